@@ -7,6 +7,7 @@ var Core = require('./core'),
 	Overview = require('../lib/Overview'),
 	Grid = require('../lib/Grid'),
 	NodeApiClient = require('../lib/NodeApiClient'),
+	Replicator = require('../lib/Replicator'),
 	BinaryLog = require('../lib/BinaryLog');
 
 if (typeof window !== 'undefined') {
@@ -40,7 +40,9 @@ BinaryLog.prototype.attachIO = function () {
 	var self = this;
 
 	if (!self._io) {
-		self._log = new Collection(self._parent.name() + '-BinaryLog', {capped: true, size: self.size()});
+		self._log = new Collection(self._parent.name() + '-BinaryLog');
+		self._log.capped(true);
+		self._log.cappedSize(self.size());
 
 		// Override the log collection's id generator so it is linear
 		self._log.objectId = function (id) {
@@ -52,10 +54,7 @@ BinaryLog.prototype.attachIO = function () {
 		};
 
 		self._io = new ReactorIO(self._parent, self, function (chainPacket) {
-			self._log.insert({
-				type: chainPacket.type,
-				data: chainPacket.data
-			});
+			self._logPacket(chainPacket);
 
 			// Returning false informs the chain reactor to continue propagation
 			// of the chain packet down the graph tree
@@ -76,10 +75,237 @@ BinaryLog.prototype.detachIO = function () {
 	}
 };
 
+/**
+ * Writes a chain packet to the log. Insert, update and remove packets
+ * are written as one entry per document holding the document before
+ * and after the change, other packets are written as they are. Emits
+ * a "log" event for each entry written.
+ * @param {Object} chainPacket The chain packet to log.
+ * @private
+ */
+BinaryLog.prototype._logPacket = function (chainPacket) {
+	var data = chainPacket.data || {},
+		dataSet = data.dataSet || [],
+		i;
+
+	switch (chainPacket.type) {
+		case 'insert':
+			for (i = 0; i < dataSet.length; i++) {
+				this._logEntry(chainPacket.type, undefined, dataSet[i]);
+			}
+			break;
+
+		case 'update':
+			for (i = 0; i < dataSet.length; i++) {
+				this._logEntry(chainPacket.type, data.oldDataSet ? data.oldDataSet[i] : undefined, dataSet[i]);
+			}
+			break;
+
+		case 'remove':
+			for (i = 0; i < dataSet.length; i++) {
+				this._logEntry(chainPacket.type, dataSet[i], undefined);
+			}
+			break;
+
+		default:
+			this._log.insert({
+				type: chainPacket.type,
+				data: chainPacket.data
+			});
+			break;
+	}
+};
+
+/**
+ * Writes a single document change to the log.
+ * @param {String} type The type of change.
+ * @param {Object=} before The document before the change.
+ * @param {Object=} after The document after the change.
+ * @private
+ */
+BinaryLog.prototype._logEntry = function (type, before, after) {
+	var entry = {
+		_id: ++this._logCounter,
+		type: type,
+		before: before,
+		after: after,
+		ts: new Date().getTime()
+	};
+
+	this._log.insert(entry);
+	this.emit('log', entry);
+};
+
+/**
+ * Gets the document change entries in the log that were written after
+ * the entry with the passed token.
+ * @param {Number=} afterToken The token to read entries after. If
+ * omitted, every document change entry in the log is returned.
+ * @returns {Array} The log entries in the order they were written.
+ */
+BinaryLog.prototype.entries = function (afterToken) {
+	var entries;
+
+	if (!this._log) {
+		return [];
+	}
+
+	afterToken = afterToken !== undefined ? afterToken : 0;
+
+	if (typeof afterToken !== 'number' || afterToken < 0 || afterToken > this._logCounter) {
+		throw(this._parent.logIdentifier() + ' Resume token "' + afterToken + '" is not a valid token for this collection!');
+	}
+
+	entries = this._log.find({
+		_id: {
+			$gt: afterToken
+		},
+		type: {
+			$in: ['insert', 'update', 'remove']
+		}
+	}, {
+		$orderBy: {
+			_id: 1
+		}
+	});
+
+	// The log is capped so check that the entry after the token has not
+	// been removed, otherwise we would silently skip changes
+	if (afterToken < this._logCounter && !this._log.findById(afterToken + 1)) {
+		throw(this._parent.logIdentifier() + ' Resume token "' + afterToken + '" is no longer in the binary log!');
+	}
+
+	return entries;
+};
+
+/**
+ * Watches the parent collection for document changes that match the
+ * passed query. See Collection.watch() for details.
+ * @param {Object} query The query a document must match before or
+ * after the change for the change to be delivered.
+ * @param {Function} callback The method to call with each change.
+ * @param {Object=} options An options object.
+ * @returns {Object} The watcher.
+ */
+BinaryLog.prototype.watch = function (query, callback, options) {
+	var self = this,
+		collection = this._parent,
+		lastToken,
+		entries,
+		listener,
+		stop,
+		i;
+
+	options = options || {};
+
+	this.attachIO();
+
+	listener = function (entry) {
+		var change = self._change(entry, query);
+
+		if (change) {
+			lastToken = change.token;
+			callback.call(collection, change);
+		}
+	};
+
+	stop = function () {
+		self.off('log', listener);
+		collection.off('drop', stop);
+	};
+
+	if (options.resumeAfter !== undefined) {
+		lastToken = options.resumeAfter;
+
+		// Replay the changes the watcher missed
+		entries = this.entries(options.resumeAfter);
+
+		for (i = 0; i < entries.length; i++) {
+			listener(entries[i]);
+		}
+	}
+
+	this.on('log', listener);
+	collection.on('drop', stop);
+
+	return {
+		/**
+		 * Gets the token of the last change delivered to the watcher.
+		 * Pass this as the resumeAfter option to a new watcher to
+		 * carry on from where this one left off.
+		 * @returns {Number|undefined}
+		 */
+		resumeToken: function () {
+			return lastToken;
+		},
+
+		/**
+		 * Stops the watcher from receiving any further changes.
+		 */
+		stop: stop
+	};
+};
+
+/**
+ * Creates a change event from a log entry if the document matches the
+ * passed query either before or after the change.
+ * @param {Object} entry The log entry.
+ * @param {Object} query The query to match against.
+ * @returns {Object|undefined} The change event or undefined if the
+ * document did not match the query.
+ * @private
+ */
+BinaryLog.prototype._change = function (entry, query) {
+	var collection = this._parent,
+		doc = entry.after || entry.before;
+
+	if ((entry.before && collection._match(entry.before, query, {}, 'and', {})) || (entry.after && collection._match(entry.after, query, {}, 'and', {}))) {
+		return {
+			token: entry._id,
+			type: entry.type,
+			documentKey: doc[collection.primaryKey()],
+			before: this.decouple(entry.before),
+			after: this.decouple(entry.after),
+			ts: entry.ts
+		};
+	}
+};
+
 Collection.prototype.init = function () {
 	CollectionInit.apply(this, arguments);
 	this._binaryLog = new BinaryLog(this);
 };
 
+/**
+ * Watches the collection for inserted, updated and removed documents.
+ * Each change is passed to the callback as an object with a "token",
+ * the change "type", the "documentKey" (primary key value) and the
+ * document "before" and "after" the change. Tokens increase with each
+ * change so a consumer that stops watching can pass the last token it
+ * received as the resumeAfter option to pick up where it left off, as
+ * long as the change is still held in the collection's binary log.
+ * @param {Object=} query The query a document must match before or
+ * after the change for the change to be delivered. Defaults to all
+ * documents.
+ * @param {Function} callback The method to call with each change.
+ * @param {Object=} options An options object. Set resumeAfter to a
+ * token to replay the changes made since that token was issued.
+ * @returns {Object} The watcher. Call stop() on it to stop watching
+ * and resumeToken() to get the token of the last delivered change.
+ */
+Collection.prototype.watch = function (query, callback, options) {
+	if (typeof query === 'function') {
+		options = callback;
+		callback = query;
+		query = {};
+	}
+
+	if (this.isDropped()) {
+		throw(this.logIdentifier() + ' Cannot operate in a dropped state!');
+	}
+
+	return this._binaryLog.watch(query || {}, callback, options);
+};
+
 Shared.finishModule('BinaryLog');
-module.exports = BinaryLog;
\ No newline at end of file
+module.exports = BinaryLog;
@@ -255,7 +255,7 @@ BinaryTree.prototype.insert = function (data) {
 			this._left.insert(data);
 		} else {
 			// Assign to left branch
-			this._left = new BinaryTree(data, this._index, this._binaryTree, this._compareFunc, this._hashFunc);
+			this._left = new BinaryTree(data, this._index, this._primaryKey, this._compareFunc, this._hashFunc);
 			this._left._parent = this;
 		}
 
@@ -273,7 +273,7 @@ BinaryTree.prototype.insert = function (data) {
 			this._right.insert(data);
 		} else {
 			// Assign to right branch
-			this._right = new BinaryTree(data, this._index, this._binaryTree, this._compareFunc, this._hashFunc);
+			this._right = new BinaryTree(data, this._index, this._primaryKey, this._compareFunc, this._hashFunc);
 			this._right._parent = this;
 		}
 
@@ -291,7 +291,7 @@ BinaryTree.prototype.insert = function (data) {
 			this._left.insert(data);
 		} else {
 			// Assign to left branch
-			this._left = new BinaryTree(data, this._index, this._binaryTree, this._compareFunc, this._hashFunc);
+			this._left = new BinaryTree(data, this._index, this._primaryKey, this._compareFunc, this._hashFunc);
 			this._left._parent = this;
 		}
 
@@ -324,6 +324,11 @@ BinaryTree.prototype.remove = function (data) {
 		console.log('Removing', data);
 	}
 
+	if (this._data === undefined) {
+		// The tree is empty
+		return false;
+	}
+
 	if (this._data[pk] === data[pk]) {
 		// Remove this node
 		return this._remove(this);
@@ -340,6 +345,11 @@ BinaryTree.prototype.remove = function (data) {
 		return this._left.remove(data);
 	}
 
+	if (result === 0) {
+		// Documents with the same key values can be on either branch
+		return Boolean((this._left && this._left.remove(data)) || (this._right && this._right.remove(data)));
+	}
+
 	return false;
 };
 
@@ -360,9 +370,17 @@ BinaryTree.prototype._remove = function (node) {
 
 		if (rightNode) {
 			// Attach the rightNode data to the right-most node
-			// of the leftNode
-			leftNode.rightMost()._right = rightNode;
+			// of the leftNode's branches, which are now this node's
+			if (this._right) {
+				leftNode = this._right.rightMost();
+				leftNode._right = rightNode;
+				rightNode._parent = leftNode;
+			} else {
+				this._right = rightNode;
+			}
 		}
+
+		this._adoptChildren();
 	} else if (this._right) {
 		// Backup branch data
 		rightNode = this._right;
@@ -372,13 +390,31 @@ BinaryTree.prototype._remove = function (node) {
 		this._right = rightNode._right;
 		this._data = rightNode._data;
 		this._store = rightNode._store;
+
+		this._adoptChildren();
+	} else if (this._parent) {
+		// Detach the leaf from the tree rather than leaving an empty
+		// node behind that lookups would compare against
+		this._parent.removeChildNode(this);
+		delete this._parent;
 	} else {
+		// Removing the last node empties the tree
 		this.clear();
 	}
 
 	return true;
 };
 
+/**
+ * Points the parent of this node's children at this node after they
+ * have been moved here from another node.
+ * @private
+ */
+BinaryTree.prototype._adoptChildren = function () {
+	if (this._left) { this._left._parent = this; }
+	if (this._right) { this._right._parent = this; }
+};
+
 BinaryTree.prototype.leftMost = function () {
 	if (!this._left) {
 		return this;
@@ -407,10 +443,17 @@ BinaryTree.prototype.rightMost = function () {
  * @returns {*|Array}
  */
 BinaryTree.prototype.lookup = function (data, options, op, resultArr) {
-	var result = this._compareFunc(this._data, data);
+	var result;
 
 	resultArr = resultArr || [];
 
+	if (this._data === undefined) {
+		// The tree is empty
+		return resultArr;
+	}
+
+	result = this._compareFunc(this._data, data);
+
 	if (result === 0) {
 		if (this._left) { this._left.lookup(data, options, op, resultArr); }
 		resultArr.push(this._data);
@@ -437,6 +480,11 @@ BinaryTree.prototype.lookup = function (data, options, op, resultArr) {
 BinaryTree.prototype.inOrder = function (type, resultArr) {
 	resultArr = resultArr || [];
 
+	if (this._data === undefined) {
+		// The tree is empty
+		return resultArr;
+	}
+
 	if (this._left) {
 		this._left.inOrder(type, resultArr);
 	}
@@ -477,13 +525,21 @@ BinaryTree.prototype.inOrder = function (type, resultArr) {
  */
 BinaryTree.prototype.startsWith = function (path, val, regex, resultArr) {
 	var reTest,
-		thisDataPathVal = sharedPathSolver.get(this._data, path),
-		thisDataPathValSubStr = thisDataPathVal.substr(0, val.length),
+		thisDataPathVal,
+		thisDataPathValSubStr,
 		result;
 
 	//regex = regex || new RegExp('^' + val);
 	resultArr = resultArr || [];
 
+	if (this._data === undefined) {
+		// The tree is empty
+		return resultArr;
+	}
+
+	thisDataPathVal = sharedPathSolver.get(this._data, path);
+	thisDataPathValSubStr = thisDataPathVal.substr(0, val.length);
+
 	if (resultArr._visitedCount === undefined) { resultArr._visitedCount = 0; }
 	resultArr._visitedCount++;
 	resultArr._visitedNodes = resultArr._visitedNodes || [];
@@ -567,6 +623,11 @@ BinaryTree.prototype.findRange = function (type, key, from, to, resultArr, pathR
 	resultArr = resultArr || [];
 	pathResolver = pathResolver || new Path(key);
 
+	if (this._data === undefined) {
+		// The tree is empty
+		return resultArr;
+	}
+
 	if (this._left) {
 		this._left.findRange(type, key, from, to, resultArr, pathResolver);
 	}
@@ -671,12 +732,15 @@ BinaryTree.prototype.match = function (query, queryOptions, matchOptions) {
 		verbose: true
 	});
 
-	// Loop the query array and check the order of keys against the
-	// index key array to see if this index can be used
+	// Loop the index key array and check the query has a value for each
+	// key. The tree is ordered by the keys in sequence so only a leading
+	// run of index keys can be used to look up data
 	for (i = 0; i < indexKeyArr.length; i++) {
-		if (queryArr[i] === indexKeyArr[i]) {
+		if (queryArr.indexOf(indexKeyArr[i]) > -1) {
 			matchedKeyCount++;
-			matchedKeys.push(queryArr[i]);
+			matchedKeys.push(indexKeyArr[i]);
+		} else {
+			break;
 		}
 	}
 
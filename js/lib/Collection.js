@@ -8,6 +8,8 @@ var Shared,
 	IndexHashMap,
 	IndexBinaryTree,
 	Index2d,
+	IndexText,
+	Schema,
 	Overload,
 	ReactorIO,
 	Condition,
@@ -91,6 +93,8 @@ Path = require('./Path');
 IndexHashMap = require('./IndexHashMap');
 IndexBinaryTree = require('./IndexBinaryTree');
 Index2d = require('./Index2d');
+IndexText = require('./IndexText');
+Schema = require('./Schema');
 Db = Shared.modules.Db;
 Overload = require('./Overload');
 ReactorIO = require('./ReactorIO');
@@ -144,6 +148,209 @@ Shared.synthesize(Collection.prototype, 'capped');
  */
 Shared.synthesize(Collection.prototype, 'cappedSize');
 
+/**
+ * Gets / sets the number of seconds a document lives for after it is
+ * inserted into the collection. Once a document has expired it is
+ * removed via the remove() method the next time expired documents are
+ * checked for. Expiry times are stored in the collection's metaData so
+ * they survive a save and load.
+ * @param {Number|Boolean=} val The number of seconds documents live for
+ * or false to disable expiry.
+ * @returns {*}
+ */
+Collection.prototype.ttl = function (val) {
+	if (val !== undefined) {
+		this._ttl = val;
+		this._expiryTimerUpdate();
+
+		return this;
+	}
+
+	return this._ttl;
+};
+
+/**
+ * Gets / sets the number of milliseconds between checks for expired
+ * documents. Defaults to 60000 (one minute).
+ * @param {Number=} val The number of milliseconds between checks.
+ * @returns {*}
+ */
+Collection.prototype.ttlCheckInterval = function (val) {
+	if (val !== undefined) {
+		this._ttlCheckInterval = val;
+
+		if (this._expiryTimer) {
+			// Restart the timer with the new interval
+			this._expiryTimerStop();
+			this._expiryTimerUpdate();
+		}
+
+		return this;
+	}
+
+	return this._ttlCheckInterval;
+};
+
+/**
+ * Checks if the passed document has expired, either because of the
+ * collection's ttl setting or a TTL index.
+ * @param {Object} doc The document to check.
+ * @param {Number=} now The current time in milliseconds. Defaults to
+ * the current time.
+ * @param {Object=} metaData The metaData object holding document expiry
+ * times. Defaults to the collection's metaData.
+ * @returns {Boolean}
+ */
+Collection.prototype.isExpired = function (doc, now, metaData) {
+	var expires,
+		ttlIndex,
+		fieldVal,
+		i, k;
+
+	now = now !== undefined ? now : new Date().getTime();
+	metaData = metaData || this._metaData;
+
+	if (metaData && metaData.expires) {
+		expires = metaData.expires[doc[this._primaryKey]];
+
+		if (expires !== undefined && expires <= now) {
+			return true;
+		}
+	}
+
+	for (i in this._ttlIndexes) {
+		if (this._ttlIndexes.hasOwnProperty(i)) {
+			ttlIndex = this._ttlIndexes[i];
+			fieldVal = sharedPathSolver.get(doc, ttlIndex.path);
+			fieldVal = fieldVal instanceof Array ? fieldVal : [fieldVal];
+
+			// Like MongoDB, an array of dates expires on the earliest one
+			for (k = 0; k < fieldVal.length; k++) {
+				if ((fieldVal[k] instanceof Date || typeof fieldVal[k] === 'number') && fieldVal[k].valueOf() + (ttlIndex.expireAfterSeconds * 1000) <= now) {
+					return true;
+				}
+			}
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Removes all documents that have expired from the collection.
+ * @returns {Array} An array of the documents that were removed.
+ */
+Collection.prototype.removeExpired = function () {
+	var self = this,
+		pk = this._primaryKey,
+		now = new Date().getTime(),
+		expired,
+		query,
+		id;
+
+	if (this.isDropped()) {
+		return [];
+	}
+
+	expired = this._data.filter(function (doc) {
+		return self.isExpired(doc, now);
+	});
+
+	if (this._metaData.expires) {
+		// Clean up expiry times for documents that no longer exist
+		for (id in this._metaData.expires) {
+			if (this._metaData.expires.hasOwnProperty(id) && (!this._primaryIndex.get(id) || this._metaData.expires[id] <= now)) {
+				delete this._metaData.expires[id];
+			}
+		}
+	}
+
+	if (!expired.length) {
+		return [];
+	}
+
+	query = {};
+	query[pk] = {
+		$in: expired.map(function (doc) {
+			return doc[pk];
+		})
+	};
+
+	return this.remove(query);
+};
+
+/**
+ * Filters expired documents out of data loaded from persistent storage
+ * and removes their expiry times from the loaded metaData.
+ * @param {Array} data The loaded documents.
+ * @param {Object=} metaData The loaded metaData.
+ * @returns {Array} The documents that have not expired.
+ * @private
+ */
+Collection.prototype._unexpired = function (data, metaData) {
+	var self = this,
+		now = new Date().getTime();
+
+	return data.filter(function (doc) {
+		if (self.isExpired(doc, now, metaData || {})) {
+			if (metaData && metaData.expires) {
+				delete metaData.expires[doc[self._primaryKey]];
+			}
+
+			return false;
+		}
+
+		return true;
+	});
+};
+
+/**
+ * Records the expiry time of a newly inserted document if the
+ * collection has a ttl set.
+ * @param {Object} doc The inserted document.
+ * @private
+ */
+Collection.prototype._recordExpiry = function (doc) {
+	if (this._ttl) {
+		this._metaData.expires = this._metaData.expires || {};
+		this._metaData.expires[doc[this._primaryKey]] = new Date().getTime() + (this._ttl * 1000);
+	}
+};
+
+/**
+ * Starts or stops the timer that removes expired documents depending
+ * on if the collection has a ttl setting or any TTL indexes.
+ * @private
+ */
+Collection.prototype._expiryTimerUpdate = function () {
+	var self = this,
+		hasExpiry = Boolean(this._ttl) || Boolean(this._ttlIndexes && Object.keys(this._ttlIndexes).length);
+
+	if (hasExpiry && !this._expiryTimer) {
+		this._expiryTimer = setInterval(function () {
+			self.removeExpired();
+		}, this._ttlCheckInterval || 60000);
+
+		// Don't keep a node.js process alive just to expire documents
+		if (this._expiryTimer.unref) {
+			this._expiryTimer.unref();
+		}
+	} else if (!hasExpiry) {
+		this._expiryTimerStop();
+	}
+};
+
+/**
+ * Stops the timer that removes expired documents.
+ * @private
+ */
+Collection.prototype._expiryTimerStop = function () {
+	if (this._expiryTimer) {
+		clearInterval(this._expiryTimer);
+		delete this._expiryTimer;
+	}
+};
+
 /**
  * Adds a job id to the async queue to signal to other parts
  * of the application that some async work is currently being
@@ -204,6 +411,7 @@ Collection.prototype.drop = function (callback) {
 			}
 
 			this._state = 'dropped';
+			this._expiryTimerStop();
 
 			this.emit('drop', this);
 
@@ -269,6 +477,48 @@ Collection.prototype.primaryKey = function (keyName) {
 	return this._primaryKey;
 };
 
+/**
+ * Gets / sets the JSON Schema that documents in this collection must
+ * conform to. Once set, documents passed to insert(), update(), upsert()
+ * and setData() are validated before they are written. Documents that
+ * fail validation are not written and are reported in the insert
+ * result's failed array (with an "errors" array detailing each failure)
+ * or, for updates, via the "validationFailed" event. Existing documents
+ * are not re-validated when the schema is changed.
+ * @param {Object=} definition The JSON Schema definition object or null
+ * to remove the current schema.
+ * @returns {*}
+ */
+Collection.prototype.schema = function (definition) {
+	if (definition !== undefined) {
+		if (definition === null) {
+			delete this._schema;
+		} else {
+			this._schema = new Schema(definition);
+		}
+
+		return this;
+	}
+
+	if (this._schema) {
+		return this._schema.definition();
+	}
+};
+
+/**
+ * Validates the passed document against the collection's schema.
+ * @param {Object} doc The document to validate.
+ * @returns {Array} An array of validation error objects. Empty if the
+ * document is valid or the collection has no schema.
+ */
+Collection.prototype.validate = function (doc) {
+	if (this._schema) {
+		return this._schema.validate(doc);
+	}
+
+	return [];
+};
+
 /**
  * Handles insert events and routes changes to binds and views as required.
  * @param {Array} inserted An array of inserted documents.
@@ -764,6 +1014,8 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 		op = this._metrics.create('update'),
 		dataSet,
 		updated,
+		failed = [],
+		oldDataSet = [],
 		updateCall = function (referencedDoc) {
 			var oldDoc = self.decouple(referencedDoc),
 				newDoc,
@@ -786,10 +1038,20 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 				result = self.updateObject(newDoc, triggerOperation.update, triggerOperation.query, triggerOperation.options, '');
 
 				if (self.processTrigger(triggerOperation, self.TYPE_UPDATE, self.PHASE_BEFORE, referencedDoc, newDoc) !== false) {
+					if (!self._updateValid(newDoc, failed)) {
+						return false;
+					}
+
 					// No triggers complained so let's execute the replacement of the existing
 					// object with the new one
 					result = self.updateObject(referencedDoc, newDoc, triggerOperation.query, triggerOperation.options, '');
 
+					// Remove any fields that the update (or a trigger) removed
+					// from newDoc since updateObject() only adds and overwrites
+					if (self._updateRemoved(referencedDoc, newDoc, true)) {
+						result = true;
+					}
+
 					// NOTE: If for some reason we would only like to fire this event if changes are actually going
 					// to occur on the object from the proposed update then we can add "result &&" to the if
 					self.processTrigger(triggerOperation, self.TYPE_UPDATE, self.PHASE_AFTER, oldDoc, newDoc);
@@ -798,6 +1060,17 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 					result = false;
 				}
 			} else {
+				if (self._schema) {
+					// Apply the update to a copy first so we can check the result
+					// against the schema before modifying the document
+					newDoc = self.decouple(referencedDoc);
+					self.updateObject(newDoc, self.decouple(update), self.decouple(query), self.decouple(options), '');
+
+					if (!self._updateValid(newDoc, failed)) {
+						return false;
+					}
+				}
+
 				// No triggers complained so let's execute the replacement of the existing
 				// object with the new one
 				result = self.updateObject(referencedDoc, update, query, options, '');
@@ -806,6 +1079,10 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 			// Inform indexes of the change
 			self._updateIndexes(oldDoc, referencedDoc);
 
+			if (result) {
+				oldDataSet.push(oldDoc);
+			}
+
 			return result;
 		};
 
@@ -819,6 +1096,10 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 		updated = dataSet.filter(updateCall);
 		op.time('Update documents');
 
+		if (failed.length) {
+			this.emit('validationFailed', {type: 'update', failed: failed});
+		}
+
 		if (updated.length) {
 			if (this.debug()) {
 				console.log(this.logIdentifier() + ' Updated some data');
@@ -829,7 +1110,8 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 				this.chainSend('update', {
 					query: query,
 					update: update,
-					dataSet: this.decouple(updated)
+					dataSet: this.decouple(updated),
+					oldDataSet: oldDataSet
 				}, options);
 			}
 			op.time('Resolve chains');
@@ -850,6 +1132,71 @@ Collection.prototype._handleUpdate = function (query, update, options, callback)
 	return updated || [];
 };
 
+/**
+ * Checks the result of an update against the collection schema and
+ * records the failure if the document is no longer valid.
+ * @param {Object} newDoc The document as it will be after the update.
+ * @param {Array} failed The array to add the failure to.
+ * @returns {Boolean} True if the document is valid.
+ * @private
+ */
+Collection.prototype._updateValid = function (newDoc, failed) {
+	var errors = this.validate(newDoc);
+
+	if (errors.length) {
+		failed.push({
+			doc: newDoc,
+			reason: 'Schema validation failed',
+			errors: errors
+		});
+
+		return false;
+	}
+
+	return true;
+};
+
+/**
+ * Removes any fields from a document that are missing from the passed
+ * updated copy of it, descending into sub-documents.
+ * @param {Object} doc The document to remove fields from.
+ * @param {Object} newDoc The updated copy of the document.
+ * @param {Boolean=} root True if doc is a top-level document, the
+ * primary key of a top-level document is never removed.
+ * @returns {Boolean} True if any fields were removed.
+ * @private
+ */
+Collection.prototype._updateRemoved = function (doc, newDoc, root) {
+	var removed = false,
+		key;
+
+	for (key in doc) {
+		if (doc.hasOwnProperty(key) && !(root && key === this._primaryKey)) {
+			if (newDoc[key] === undefined) {
+				this._updateUnset(doc, key);
+				removed = true;
+			} else if (this._updateIsObject(doc[key]) && this._updateIsObject(newDoc[key])) {
+				if (this._updateRemoved(doc[key], newDoc[key])) {
+					removed = true;
+				}
+			}
+		}
+	}
+
+	return removed;
+};
+
+/**
+ * Checks if a value is a plain sub-document rather than an array or
+ * other object type.
+ * @param {*} val The value to check.
+ * @returns {Boolean} True if the value is a plain object.
+ * @private
+ */
+Collection.prototype._updateIsObject = function (val) {
+	return Boolean(val) && typeof val === 'object' && Object.prototype.toString.call(val) === '[object Object]';
+};
+
 /**
  * Replaces an existing object with data from the new object without
  * breaking data references. It does this by removing existing keys
@@ -1697,10 +2044,7 @@ Collection.prototype._insertHandle = function (data, index, callback) {
 				if (insertResult === true) {
 					inserted.push(data[i]);
 				} else {
-					failed.push({
-						doc: data[i],
-						reason: insertResult
-					});
+					failed.push(this._insertFailure(data[i], insertResult));
 				}
 			}
 		}
@@ -1711,10 +2055,7 @@ Collection.prototype._insertHandle = function (data, index, callback) {
 		if (insertResult === true) {
 			inserted.push(data);
 		} else {
-			failed.push({
-				doc: data,
-				reason: insertResult
-			});
+			failed.push(this._insertFailure(data, insertResult));
 		}
 	}
 
@@ -1734,20 +2075,45 @@ Collection.prototype._insertHandle = function (data, index, callback) {
 	return resultObj;
 };
 
+/**
+ * Creates an entry for the failed array of an insert result.
+ * @param {Object} doc The document that failed to insert.
+ * @param {String|Object} insertResult The failure returned by _insert().
+ * @returns {Object}
+ * @private
+ */
+Collection.prototype._insertFailure = function (doc, insertResult) {
+	var failure = {
+		doc: doc
+	};
+
+	if (insertResult && typeof insertResult === 'object') {
+		failure.reason = insertResult.reason;
+		failure.errors = insertResult.errors;
+	} else {
+		failure.reason = insertResult;
+	}
+
+	return failure;
+};
+
 /**
  * Internal method to insert a document into the collection. Will
- * check for index violations before allowing the document to be inserted.
+ * check for schema and index violations before allowing the document
+ * to be inserted.
  * @param {Object} doc The document to insert after passing index violation
  * tests.
  * @param {Number=} index Optional index to insert the document at.
- * @returns {Boolean|Object} True on success, false if no document passed,
- * or an object containing details about an index violation if one occurred.
+ * @returns {Boolean|String|Object} True on success, a string reason if the
+ * document could not be inserted or an object containing the reason and an
+ * errors array if the document failed schema validation.
  * @private
  */
 Collection.prototype._insert = function (doc, index) {
 	if (doc) {
 		var self = this,
 			indexViolation,
+			schemaErrors,
 			triggerOperation,
 			insertMethod,
 			newDoc,
@@ -1756,6 +2122,16 @@ Collection.prototype._insert = function (doc, index) {
 
 		this.ensurePrimaryKey(doc);
 
+		// Check the document conforms to the collection schema
+		schemaErrors = this.validate(doc);
+
+		if (schemaErrors.length) {
+			return {
+				reason: 'Schema validation failed',
+				errors: schemaErrors
+			};
+		}
+
 		// Check indexes are not going to be broken by the document
 		indexViolation = this.insertIndexViolation(doc);
 
@@ -1770,6 +2146,7 @@ Collection.prototype._insert = function (doc, index) {
 
 			// Insert the document
 			self._dataInsertAtIndex(index, doc);
+			self._recordExpiry(doc);
 
 			// Check capped collection status and remove first record
 			// if we are over the threshold
@@ -2154,6 +2531,8 @@ Collection.prototype._find = function (query, options) {
 		cursor = {},
 		pathSolver,
 		waterfallCollection,
+		textIndex,
+		textScores,
 		matcher;
 
 	if (!(options instanceof Array)) {
@@ -2243,23 +2622,33 @@ Collection.prototype._find = function (query, options) {
 		if (analysis.indexMatch.length && (!options || (options && !options.$skipIndex))) {
 			op.data('index.potential', analysis.indexMatch);
 			op.data('index.used', analysis.indexMatch[0].index);
+			op.data('plan.type', analysis.indexMatch[0].intersect ? 'indexIntersection' : 'index');
+			op.data('plan.indexes', (analysis.indexMatch[0].intersect || [analysis.indexMatch[0].index]).map(function (index) {
+				return index.name();
+			}));
 
 			// Get the data from the index
 			op.time('indexLookup');
 			resultArr = analysis.indexMatch[0].lookup || [];
 			op.time('indexLookup');
 
-			// Check if the index coverage is all keys, if not we still need to table scan it
-			if (analysis.indexMatch[0].keyData.totalKeyCount === analysis.indexMatch[0].keyData.score) {
+			// Check if the index coverage is all keys, if not we still need to table scan it.
+			// A $text operator can only be resolved by a text index so any other index
+			// still requires a table scan
+			if (analysis.indexMatch[0].keyData.totalKeyCount === analysis.indexMatch[0].keyData.score && (!query.$text || analysis.indexMatch[0].index instanceof IndexText)) {
 				// Don't require a table scan to find relevant documents
 				requiresTableScan = false;
 			}
 		} else {
 			op.flag('usedIndex', false);
+			op.data('plan.type', 'tableScan');
+			op.data('plan.indexes', []);
 		}
 
+		op.data('plan.tableScan', requiresTableScan);
+
 		if (requiresTableScan) {
-			if (resultArr && resultArr.length) {
+			if (resultArr) {
 				scanLength = resultArr.length;
 				op.time('tableScan: ' + scanLength);
 				// Filter the source data and return the result
@@ -2274,10 +2663,22 @@ Collection.prototype._find = function (query, options) {
 			op.time('tableScan: ' + scanLength);
 		}
 
+		// Calculate relevance scores for full-text queries
+		if (query.$text) {
+			op.time('textScore');
+			textIndex = this.textIndex();
+			textScores = {};
+
+			for (i = 0; i < resultArr.length; i++) {
+				textScores[resultArr[i][pk]] = textIndex.score(resultArr[i], query.$text.$search);
+			}
+			op.time('textScore');
+		}
+
 		// Order the array if we were passed a sort clause
 		if (options.$orderBy) {
 			op.time('sort');
-			resultArr = this.sort(options.$orderBy, resultArr);
+			resultArr = this.sort(options.$orderBy, resultArr, textScores);
 			op.time('sort');
 		}
 
@@ -2319,6 +2720,18 @@ Collection.prototype._find = function (query, options) {
 			op.data('flag.decouple', true);
 		}
 
+		// Add text relevance scores to the result documents if requested
+		if (textScores && query.$text.$scoreField) {
+			if (!options.$decouple) {
+				// Don't modify the original documents
+				resultArr = this.decouple(resultArr);
+			}
+
+			for (i = 0; i < resultArr.length; i++) {
+				sharedPathSolver.set(resultArr[i], query.$text.$scoreField, textScores[resultArr[i][pk]]);
+			}
+		}
+
 		// Now process any joins on the final data
 		if (options.$join) {
 			resultRemove = resultRemove.concat(this.applyJoin(resultArr, options.$join, joinSource));
@@ -2723,11 +3136,14 @@ Collection.prototype.transformOut = function (data) {
  * Sorts an array of documents by the given sort path.
  * @param {*} sortObj The keys and orders the array objects should be sorted by.
  * @param {Array} arr The array of documents to sort.
+ * @param {Object=} textScores An optional lookup of $text relevance scores
+ * by primary key, used when sorting by the special $textScore key.
  * @returns {Array}
  */
-Collection.prototype.sort = function (sortObj, arr) {
+Collection.prototype.sort = function (sortObj, arr, textScores) {
 	// Convert the index object to an array of key val objects
 	var self = this,
+		pk = this._primaryKey,
 		keys = sharedPathSolver.parse(sortObj, true);
 
 	if (keys.length) {
@@ -2736,15 +3152,25 @@ Collection.prototype.sort = function (sortObj, arr) {
 			// Loop the index array
 			var i,
 				indexData,
+				valA,
+				valB,
 				result = 0;
 
 			for (i = 0; i < keys.length; i++) {
 				indexData = keys[i];
 
+				if (indexData.path === '$textScore') {
+					valA = textScores ? textScores[a[pk]] : undefined;
+					valB = textScores ? textScores[b[pk]] : undefined;
+				} else {
+					valA = sharedPathSolver.get(a, indexData.path);
+					valB = sharedPathSolver.get(b, indexData.path);
+				}
+
 				if (indexData.value === 1) {
-					result = self.sortAsc(sharedPathSolver.get(a, indexData.path), sharedPathSolver.get(b, indexData.path));
+					result = self.sortAsc(valA, valB);
 				} else if (indexData.value === -1) {
-					result = self.sortDesc(sharedPathSolver.get(a, indexData.path), sharedPathSolver.get(b, indexData.path));
+					result = self.sortDesc(valA, valB);
 				}
 
 				if (result !== 0) {
@@ -2791,82 +3217,519 @@ Collection.prototype.group = function (groupObj, arr) {
 	return groupResult;
 };
 
-// Commented as we have a new method that was originally implemented for binary trees.
-// This old method actually has problems with nested sort objects
-/*Collection.prototype.sortold = function (sortObj, arr) {
-	// Make sure we have an array object
-	arr = arr || [];
-
-	var	sortArr = [],
-		sortKey,
-		sortSingleObj;
-
-	for (sortKey in sortObj) {
-		if (sortObj.hasOwnProperty(sortKey)) {
-			sortSingleObj = {};
-			sortSingleObj[sortKey] = sortObj[sortKey];
-			sortSingleObj.___fdbKey = String(sortKey);
-			sortArr.push(sortSingleObj);
-		}
+/**
+ * Runs an aggregation pipeline against the collection's documents and
+ * returns the resulting array. Each stage in the pipeline is an object
+ * with a single operator key and the output of each stage is passed as
+ * the input to the next. Supported stages are $match, $group, $project,
+ * $unwind, $sort, $limit, $skip and $lookup.
+ * @example Total quantity sold per product
+ * 	collection.aggregate([
+ * 		{$match: {status: 'complete'}},
+ * 		{$group: {_id: '$product', total: {$sum: '$qty'}}},
+ * 		{$sort: {total: -1}}
+ * 	]);
+ * @param {Array} pipeline The array of pipeline stages.
+ * @returns {Array} The documents output by the final stage.
+ */
+Collection.prototype.aggregate = function (pipeline) {
+	if (this.isDropped()) {
+		throw(this.logIdentifier() + ' Cannot operate in a dropped state!');
 	}
 
-	if (sortArr.length < 2) {
-		// There is only one sort criteria, do a simple sort and return it
-		return this._sort(sortObj, arr);
-	} else {
-		return this._bucketSort(sortArr, arr);
-	}
-};*/
+	return this._aggregate(this.find(), pipeline);
+};
 
 /**
- * REMOVED AS SUPERCEDED BY BETTER SORT SYSTEMS
- * Takes array of sort paths and sorts them into buckets before returning final
- * array fully sorted by multi-keys.
- * @param keyArr
- * @param arr
- * @returns {*}
+ * Runs an aggregation pipeline against the passed array of documents.
+ * The documents in the array may be modified so pass a decoupled copy
+ * if the originals must not change.
+ * @param {Array} arr The array of documents to operate on.
+ * @param {Array} pipeline The array of pipeline stages.
+ * @returns {Array}
  * @private
  */
-/*Collection.prototype._bucketSort = function (keyArr, arr) {
-	var keyObj = keyArr.shift(),
-		arrCopy,
-		bucketData,
-		bucketOrder,
-		bucketKey,
-		buckets,
-		i,
-		finalArr = [];
+Collection.prototype._aggregate = function (arr, pipeline) {
+	var op = this._metrics.create('aggregate'),
+		joinClause,
+		stage,
+		stageName,
+		stageData,
+		stageIndex,
+		i;
 
-	if (keyArr.length > 0) {
-		// Sort array by bucket key
-		arr = this._sort(keyObj, arr);
+	if (!(pipeline instanceof Array)) {
+		throw(this.logIdentifier() + ' Aggregation pipeline must be an array of stages!');
+	}
 
-		// Split items into buckets
-		bucketData = this.bucket(keyObj.___fdbKey, arr);
-		bucketOrder = bucketData.order;
-		buckets = bucketData.buckets;
+	op.start();
 
-		// Loop buckets and sort contents
-		for (i = 0; i < bucketOrder.length; i++) {
-			bucketKey = bucketOrder[i];
+	for (stageIndex = 0; stageIndex < pipeline.length; stageIndex++) {
+		stage = pipeline[stageIndex];
+		stageName = undefined;
 
-			arrCopy = [].concat(keyArr);
-			finalArr = finalArr.concat(this._bucketSort(arrCopy, buckets[bucketKey]));
+		for (i in stage) {
+			if (stage.hasOwnProperty(i)) {
+				if (stageName !== undefined) {
+					throw(this.logIdentifier() + ' Aggregation pipeline stages must have exactly one operator, found "' + stageName + '" and "' + i + '"!');
+				}
+
+				stageName = i;
+			}
 		}
 
-		return finalArr;
-	} else {
-		return this._sort(keyObj, arr);
-	}
-};*/
+		stageData = stage[stageName];
+		op.time(stageIndex + ': ' + stageName);
 
- /**
- * Takes an array of objects and returns a new object with the array items
- * split into buckets by the passed key.
- * @param {String} key The key to split the array into buckets by.
- * @param {Array} arr An array of objects.
- * @returns {Object}
- */
+		switch (stageName) {
+			case '$match':
+				arr = this._aggregateMatch(arr, stageData);
+				break;
+
+			case '$group':
+				arr = this._aggregateGroup(arr, stageData);
+				break;
+
+			case '$project':
+				arr = this._aggregateProject(arr, stageData);
+				break;
+
+			case '$unwind':
+				arr = this._aggregateUnwind(arr, stageData);
+				break;
+
+			case '$sort':
+				arr = this.sort(stageData, arr);
+				break;
+
+			case '$limit':
+				arr = arr.slice(0, stageData);
+				break;
+
+			case '$skip':
+				arr = arr.slice(stageData);
+				break;
+
+			case '$lookup':
+				// Convert the lookup into a join clause
+				joinClause = {};
+				joinClause[stageData.from] = {
+					$as: stageData.as,
+					$multi: true
+				};
+				joinClause[stageData.from][stageData.foreignField] = stageData.localField;
+
+				this.applyJoin(arr, [joinClause], {}, {});
+				break;
+
+			default:
+				throw(this.logIdentifier() + ' Unknown aggregation pipeline stage "' + stageName + '"!');
+		}
+
+		op.time(stageIndex + ': ' + stageName);
+	}
+
+	op.data('results', arr.length);
+	op.stop();
+
+	return arr;
+};
+
+/**
+ * Filters documents by the query of a $match stage.
+ * @param {Array} arr The array of documents to filter.
+ * @param {Object} query The $match stage query.
+ * @returns {Array}
+ * @private
+ */
+Collection.prototype._aggregateMatch = function (arr, query) {
+	var self = this,
+		matchOptions = {};
+
+	return arr.filter(function (doc) {
+		return self._match(doc, query, {}, 'and', matchOptions);
+	});
+};
+
+/**
+ * Resolves an aggregation expression against a document. Strings starting
+ * with a dollar are treated as paths into the document, objects and arrays
+ * have each of their values resolved and anything else is a literal value.
+ * @param {Object} doc The document to resolve the expression against.
+ * @param {*} expression The expression to resolve.
+ * @returns {*}
+ * @private
+ */
+Collection.prototype._aggregateValue = function (doc, expression) {
+	var result,
+		i;
+
+	if (typeof expression === 'string' && expression.charAt(0) === '$') {
+		return sharedPathSolver.get(doc, expression.substr(1));
+	}
+
+	if (expression instanceof Array) {
+		result = [];
+
+		for (i = 0; i < expression.length; i++) {
+			result.push(this._aggregateValue(doc, expression[i]));
+		}
+
+		return result;
+	}
+
+	if (expression && typeof expression === 'object' && !(expression instanceof Date) && !(expression instanceof RegExp)) {
+		result = {};
+
+		for (i in expression) {
+			if (expression.hasOwnProperty(i)) {
+				result[i] = this._aggregateValue(doc, expression[i]);
+			}
+		}
+
+		return result;
+	}
+
+	return expression;
+};
+
+/**
+ * Groups documents by the _id expression of a $group stage and applies
+ * the stage's accumulators ($sum, $avg, $min, $max, $push and $first)
+ * to each group.
+ * @param {Array} arr The array of documents to group.
+ * @param {Object} groupObj The $group stage data.
+ * @returns {Array} One document per group.
+ * @private
+ */
+Collection.prototype._aggregateGroup = function (arr, groupObj) {
+	var groups = [],
+		groupLookup = {},
+		group,
+		groupId,
+		groupHash,
+		accumulator,
+		operator,
+		value,
+		result = [],
+		field,
+		i, k;
+
+	if (!groupObj || !groupObj.hasOwnProperty('_id')) {
+		throw(this.logIdentifier() + ' $group stage requires an _id expression!');
+	}
+
+	for (i = 0; i < arr.length; i++) {
+		groupId = this._aggregateValue(arr[i], groupObj._id);
+		groupHash = this.jStringify(groupId === undefined ? null : groupId);
+
+		group = groupLookup[groupHash];
+
+		if (!group) {
+			group = groupLookup[groupHash] = {
+				doc: {_id: groupId === undefined ? null : groupId},
+				state: {}
+			};
+
+			groups.push(group);
+		}
+
+		for (field in groupObj) {
+			if (groupObj.hasOwnProperty(field) && field !== '_id') {
+				accumulator = groupObj[field];
+
+				for (operator in accumulator) {
+					if (accumulator.hasOwnProperty(operator)) {
+						value = this._aggregateValue(arr[i], accumulator[operator]);
+						this._aggregateAccumulate(group, field, operator, value);
+					}
+				}
+			}
+		}
+	}
+
+	for (k = 0; k < groups.length; k++) {
+		group = groups[k];
+
+		for (field in group.state) {
+			if (group.state.hasOwnProperty(field)) {
+				if (group.state[field].operator === '$avg') {
+					group.doc[field] = group.state[field].count ? group.state[field].total / group.state[field].count : null;
+				} else {
+					group.doc[field] = group.state[field].value;
+				}
+			}
+		}
+
+		result.push(group.doc);
+	}
+
+	return result;
+};
+
+/**
+ * Applies a single accumulator operator value to a group's state.
+ * @param {Object} group The group being accumulated.
+ * @param {String} field The output field name.
+ * @param {String} operator The accumulator operator e.g. "$sum".
+ * @param {*} value The value resolved from the current document.
+ * @private
+ */
+Collection.prototype._aggregateAccumulate = function (group, field, operator, value) {
+	var state = group.state[field];
+
+	if (!state) {
+		state = group.state[field] = {
+			operator: operator,
+			count: 0,
+			total: 0
+		};
+
+		switch (operator) {
+			case '$sum':
+				state.value = 0;
+				break;
+
+			case '$push':
+				state.value = [];
+				break;
+
+			case '$first':
+				state.value = value;
+				break;
+		}
+	}
+
+	switch (operator) {
+		case '$sum':
+			if (typeof value === 'number') {
+				state.value += value;
+			}
+			break;
+
+		case '$avg':
+			if (typeof value === 'number') {
+				state.total += value;
+				state.count++;
+			}
+			break;
+
+		case '$min':
+			if (value !== undefined && value !== null && (state.value === undefined || value < state.value)) {
+				state.value = value;
+			}
+			break;
+
+		case '$max':
+			if (value !== undefined && value !== null && (state.value === undefined || value > state.value)) {
+				state.value = value;
+			}
+			break;
+
+		case '$push':
+			if (value !== undefined) {
+				state.value.push(value);
+			}
+			break;
+
+		case '$first':
+			break;
+
+		default:
+			throw(this.logIdentifier() + ' Unknown $group accumulator "' + operator + '"!');
+	}
+};
+
+/**
+ * Reshapes each document using the fields of a $project stage. Fields set
+ * to 1 or true are included, fields set to 0 or false are excluded and any
+ * other value is treated as an expression whose result is stored in the
+ * field. The primary key is included unless it is explicitly excluded.
+ * @param {Array} arr The array of documents to reshape.
+ * @param {Object} projectObj The $project stage data.
+ * @returns {Array}
+ * @private
+ */
+Collection.prototype._aggregateProject = function (arr, projectObj) {
+	var pk = this._primaryKey,
+		inclusive = false,
+		result = [],
+		doc,
+		newDoc,
+		value,
+		field,
+		fieldParts,
+		parent,
+		i;
+
+	for (field in projectObj) {
+		if (projectObj.hasOwnProperty(field) && field !== pk && projectObj[field] !== 0 && projectObj[field] !== false) {
+			inclusive = true;
+		}
+	}
+
+	for (i = 0; i < arr.length; i++) {
+		doc = arr[i];
+
+		if (inclusive) {
+			newDoc = {};
+
+			if (projectObj[pk] !== 0 && projectObj[pk] !== false && doc[pk] !== undefined) {
+				newDoc[pk] = doc[pk];
+			}
+		} else {
+			newDoc = this.decouple(doc);
+		}
+
+		for (field in projectObj) {
+			if (projectObj.hasOwnProperty(field)) {
+				value = projectObj[field];
+
+				if (value === 0 || value === false) {
+					// Remove the field from the new document
+					fieldParts = field.split('.');
+					parent = fieldParts.length > 1 ? sharedPathSolver.get(newDoc, fieldParts.slice(0, -1).join('.')) : newDoc;
+
+					if (parent && typeof parent === 'object') {
+						delete parent[fieldParts[fieldParts.length - 1]];
+					}
+				} else if (value === 1 || value === true) {
+					value = sharedPathSolver.get(doc, field);
+
+					if (value !== undefined) {
+						sharedPathSolver.set(newDoc, field, value);
+					}
+				} else {
+					sharedPathSolver.set(newDoc, field, this._aggregateValue(doc, value));
+				}
+			}
+		}
+
+		result.push(newDoc);
+	}
+
+	return result;
+};
+
+/**
+ * Outputs a document for each element of an array field. The stage data
+ * can be a path string such as "$tags" or an object with a "path" key and
+ * an optional "preserveNullAndEmptyArrays" flag.
+ * @param {Array} arr The array of documents to unwind.
+ * @param {String|Object} unwindObj The $unwind stage data.
+ * @returns {Array}
+ * @private
+ */
+Collection.prototype._aggregateUnwind = function (arr, unwindObj) {
+	var path = typeof unwindObj === 'string' ? unwindObj : unwindObj.path,
+		preserve = typeof unwindObj === 'object' && unwindObj.preserveNullAndEmptyArrays,
+		result = [],
+		newDoc,
+		value,
+		i, k;
+
+	if (typeof path !== 'string' || path.charAt(0) !== '$') {
+		throw(this.logIdentifier() + ' $unwind path must be a string starting with "$"!');
+	}
+
+	path = path.substr(1);
+
+	for (i = 0; i < arr.length; i++) {
+		value = sharedPathSolver.get(arr[i], path);
+
+		if (value instanceof Array && value.length) {
+			for (k = 0; k < value.length; k++) {
+				newDoc = this.decouple(arr[i]);
+				sharedPathSolver.set(newDoc, path, value[k]);
+				result.push(newDoc);
+			}
+		} else if (value !== undefined && value !== null && !(value instanceof Array)) {
+			// Non-array values are treated as a single element array
+			result.push(arr[i]);
+		} else if (preserve) {
+			result.push(arr[i]);
+		}
+	}
+
+	return result;
+};
+
+// Commented as we have a new method that was originally implemented for binary trees.
+// This old method actually has problems with nested sort objects
+/*Collection.prototype.sortold = function (sortObj, arr) {
+	// Make sure we have an array object
+	arr = arr || [];
+
+	var	sortArr = [],
+		sortKey,
+		sortSingleObj;
+
+	for (sortKey in sortObj) {
+		if (sortObj.hasOwnProperty(sortKey)) {
+			sortSingleObj = {};
+			sortSingleObj[sortKey] = sortObj[sortKey];
+			sortSingleObj.___fdbKey = String(sortKey);
+			sortArr.push(sortSingleObj);
+		}
+	}
+
+	if (sortArr.length < 2) {
+		// There is only one sort criteria, do a simple sort and return it
+		return this._sort(sortObj, arr);
+	} else {
+		return this._bucketSort(sortArr, arr);
+	}
+};*/
+
+/**
+ * REMOVED AS SUPERCEDED BY BETTER SORT SYSTEMS
+ * Takes array of sort paths and sorts them into buckets before returning final
+ * array fully sorted by multi-keys.
+ * @param keyArr
+ * @param arr
+ * @returns {*}
+ * @private
+ */
+/*Collection.prototype._bucketSort = function (keyArr, arr) {
+	var keyObj = keyArr.shift(),
+		arrCopy,
+		bucketData,
+		bucketOrder,
+		bucketKey,
+		buckets,
+		i,
+		finalArr = [];
+
+	if (keyArr.length > 0) {
+		// Sort array by bucket key
+		arr = this._sort(keyObj, arr);
+
+		// Split items into buckets
+		bucketData = this.bucket(keyObj.___fdbKey, arr);
+		bucketOrder = bucketData.order;
+		buckets = bucketData.buckets;
+
+		// Loop buckets and sort contents
+		for (i = 0; i < bucketOrder.length; i++) {
+			bucketKey = bucketOrder[i];
+
+			arrCopy = [].concat(keyArr);
+			finalArr = finalArr.concat(this._bucketSort(arrCopy, buckets[bucketKey]));
+		}
+
+		return finalArr;
+	} else {
+		return this._sort(keyObj, arr);
+	}
+};*/
+
+ /**
+ * Takes an array of objects and returns a new object with the array items
+ * split into buckets by the passed key.
+ * @param {String} key The key to split the array into buckets by.
+ * @param {Array} arr An array of objects.
+ * @returns {Object}
+ */
 /*Collection.prototype.bucket = function (key, arr) {
 	var i,
 			oldField,
@@ -2970,6 +3833,7 @@ Collection.prototype._analyseQuery = function (query, options, op) {
 		queryKeyCount,
 		pkQueryType,
 		lookupResult,
+		indexIntersection,
 		i;
 
 	// Check if the query is a primary key lookup
@@ -2980,6 +3844,15 @@ Collection.prototype._analyseQuery = function (query, options, op) {
 		verbose: true
 	}).length;
 
+	if (query.$text) {
+		// Full-text queries must be resolved via a text index
+		if (!this.textIndex()) {
+			throw(this.logIdentifier() + ' Cannot use a $text query without a text index on the collection!');
+		}
+
+		queryKeyCount++;
+	}
+
 	if (queryKeyCount) {
 		if (query[this._primaryKey] !== undefined) {
 			// Check suitability of querying key value index
@@ -3054,6 +3927,18 @@ Collection.prototype._analyseQuery = function (query, options, op) {
 				}
 			});
 			op.time('findOptimalIndex');
+
+			// If the best index does not cover the whole query, narrow its
+			// results down using the other indexes that matched
+			if (!query.$text) {
+				op.time('intersectIndexes');
+				indexIntersection = this._intersectIndexMatches(query, analysis.indexMatch);
+				op.time('intersectIndexes');
+
+				if (indexIntersection) {
+					analysis.indexMatch.unshift(indexIntersection);
+				}
+			}
 		}
 	}
 
@@ -3109,6 +3994,95 @@ Collection.prototype._analyseQuery = function (query, options, op) {
 	return analysis;
 };
 
+/**
+ * Intersects the lookup results of index matches that cover different
+ * keys of the query, starting with the best match.
+ * @param {Object} query The query being analysed.
+ * @param {Array} indexMatch The index matches sorted best first.
+ * @returns {Object|undefined} An index match object for the intersected
+ * results or undefined if no intersection would narrow the results.
+ * @private
+ */
+Collection.prototype._intersectIndexMatches = function (query, indexMatch) {
+	var pk = this._primaryKey,
+		queryPaths = sharedPathSolver.parseArr(query),
+		best = indexMatch[0],
+		covered = [],
+		used = [best],
+		lookup = best.lookup,
+		lookupIds,
+		addsKeys,
+		matchedKeys,
+		i, k;
+
+	if (best.keyData.totalKeyCount === best.keyData.score) {
+		// The best index already resolves the whole query
+		return;
+	}
+
+	for (i = 0; i < best.keyData.matchedKeys.length; i++) {
+		if (queryPaths.indexOf(best.keyData.matchedKeys[i]) > -1) {
+			covered.push(best.keyData.matchedKeys[i]);
+		}
+	}
+
+	for (i = 1; i < indexMatch.length && covered.length < queryPaths.length; i++) {
+		matchedKeys = indexMatch[i].keyData.matchedKeys;
+		addsKeys = false;
+
+		for (k = 0; k < matchedKeys.length; k++) {
+			if (queryPaths.indexOf(matchedKeys[k]) > -1 && covered.indexOf(matchedKeys[k]) === -1) {
+				covered.push(matchedKeys[k]);
+				addsKeys = true;
+			}
+		}
+
+		if (addsKeys) {
+			lookupIds = {};
+
+			for (k = 0; k < indexMatch[i].lookup.length; k++) {
+				lookupIds[indexMatch[i].lookup[k][pk]] = true;
+			}
+
+			lookup = this._intersectLookup(lookup, lookupIds);
+			used.push(indexMatch[i]);
+		}
+	}
+
+	if (used.length < 2) {
+		return;
+	}
+
+	return {
+		lookup: lookup,
+		keyData: {
+			matchedKeys: covered,
+			totalKeyCount: queryPaths.length,
+			score: covered.length
+		},
+		index: best.index,
+		intersect: used.map(function (match) {
+			return match.index;
+		})
+	};
+};
+
+/**
+ * Filters the passed array of documents to those whose primary key
+ * exists in the passed lookup object.
+ * @param {Array} arr The array of documents to filter.
+ * @param {Object} lookupIds An object with primary key values as keys.
+ * @returns {Array}
+ * @private
+ */
+Collection.prototype._intersectLookup = function (arr, lookupIds) {
+	var pk = this._primaryKey;
+
+	return arr.filter(function (doc) {
+		return lookupIds[doc[pk]] === true;
+	});
+};
+
 /**
  * Checks if the passed query references a source object (such
  * as a collection) by name.
@@ -3289,10 +4263,19 @@ Collection.prototype.ensureIndex = function (keys, options) {
 	this._indexById = this._indexById || {};
 
 	var index,
+		ttlKeys,
 		time = {
 			start: new Date().getTime()
 		};
 
+	if (options && options.expireAfterSeconds !== undefined) {
+		ttlKeys = sharedPathSolver.parse(keys);
+
+		if (ttlKeys.length !== 1) {
+			throw(this.logIdentifier() + ' Cannot create a TTL index on more than one key!');
+		}
+	}
+
 	if (options) {
 		if (options.type) {
 			// Check if the specified type is available
@@ -3333,6 +4316,25 @@ Collection.prototype.ensureIndex = function (keys, options) {
 	this._indexByName[index.name()] = index;
 	this._indexById[index.id()] = index;
 
+	// Keep how the index was created so settings() can recreate it
+	this._indexDefinitions = this._indexDefinitions || {};
+	this._indexDefinitions[index.name()] = {
+		keys: this.decouple(keys),
+		options: this.decouple(options)
+	};
+
+	if (ttlKeys) {
+		// Documents are removed once the date in the indexed field is
+		// more than expireAfterSeconds in the past
+		this._ttlIndexes = this._ttlIndexes || {};
+		this._ttlIndexes[index.name()] = {
+			path: ttlKeys[0].path,
+			expireAfterSeconds: options.expireAfterSeconds
+		};
+
+		this._expiryTimerUpdate();
+	}
+
 	time.end = new Date().getTime();
 	time.total = time.end - time.start;
 
@@ -3362,6 +4364,122 @@ Collection.prototype.index = function (name) {
 	}
 };
 
+/**
+ * Gets the first full-text index on the collection, if one exists.
+ * @returns {IndexText|undefined}
+ */
+Collection.prototype.textIndex = function () {
+	var i;
+
+	for (i in this._indexByName) {
+		if (this._indexByName.hasOwnProperty(i) && this._indexByName[i] instanceof IndexText) {
+			return this._indexByName[i];
+		}
+	}
+};
+
+/**
+ * Gets / sets the collection's settings: its primary key, capped
+ * settings, ttl, changeTimestamp option and the keys and options of
+ * each index created with ensureIndex(). The persistent storage modules
+ * store the settings with the collection's data and set them again when
+ * it is loaded. Setting creates any indexes the collection doesn't
+ * already have, other settings that are not passed are left as they are.
+ * @param {Object=} val The settings to set.
+ * @returns {*}
+ */
+Collection.prototype.settings = function (val) {
+	var settings,
+		i;
+
+	if (val !== undefined) {
+		if (val.primaryKey !== undefined) {
+			this.primaryKey(val.primaryKey);
+		}
+
+		if (val.capped !== undefined) {
+			this.capped(val.capped);
+			this.cappedSize(val.cappedSize);
+		}
+
+		if (val.ttl !== undefined) {
+			this.ttl(val.ttl);
+		}
+
+		if (val.changeTimestamp !== undefined) {
+			this._options.changeTimestamp = val.changeTimestamp;
+		}
+
+		if (val.indexes) {
+			for (i = 0; i < val.indexes.length; i++) {
+				if (!val.indexes[i].name || !this.index(val.indexes[i].name)) {
+					this.ensureIndex(val.indexes[i].keys, val.indexes[i].options);
+				}
+			}
+		}
+
+		return this;
+	}
+
+	settings = {
+		primaryKey: this._primaryKey,
+		capped: Boolean(this.capped()),
+		cappedSize: this.cappedSize(),
+		ttl: this.ttl() || false,
+		changeTimestamp: Boolean(this._options.changeTimestamp),
+		indexes: []
+	};
+
+	for (i in this._indexDefinitions) {
+		if (this._indexDefinitions.hasOwnProperty(i) && this._indexByName[i]) {
+			settings.indexes.push({
+				name: i,
+				keys: this.decouple(this._indexDefinitions[i].keys),
+				options: this.decouple(this._indexDefinitions[i].options)
+			});
+		}
+	}
+
+	return settings;
+};
+
+/**
+ * Gets the collection's metaData with its settings() added, ready to
+ * store alongside the collection's data.
+ * @returns {Object}
+ * @private
+ */
+Collection.prototype._persistMetaData = function () {
+	var metaData = {},
+		i;
+
+	for (i in this._metaData) {
+		if (this._metaData.hasOwnProperty(i)) {
+			metaData[i] = this._metaData[i];
+		}
+	}
+
+	metaData.settings = this.settings();
+
+	return metaData;
+};
+
+/**
+ * Sets the settings stored in loaded metaData on the collection and
+ * removes them from the metaData.
+ * @param {Object=} metaData The loaded metaData.
+ * @returns {Object=} The metaData without the settings.
+ * @private
+ */
+Collection.prototype._restoreMetaData = function (metaData) {
+	if (metaData && metaData.settings) {
+		this.settings(metaData.settings);
+		delete metaData.settings;
+	}
+
+	return metaData;
+};
+
 /**
  * Gets the last reporting operation's details such as run time.
  * @returns {Object}
@@ -3732,6 +4850,10 @@ Db.prototype.collection = new Overload('Db.prototype.collection', {
 				}
 			}
 
+			if (options.ttl !== undefined) {
+				this._collection[name].ttl(options.ttl);
+			}
+
 			// Listen for events on this collection so we can fire global events
 			// on the database in response to it
 			self._collection[name].on('change', function () {
@@ -3809,5 +4931,105 @@ Db.prototype.collections = function (search) {
 	return arr;
 };
 
+/**
+ * Takes a point-in-time copy of every collection in the database. The
+ * copy is taken in one go so writes made while a backup is being stored
+ * are not included in it.
+ * @memberof Db
+ * @param {Function=} progress The method to call with (name, done, total)
+ * after each collection is copied.
+ * @returns {Object} The snapshot with the "db" name, the time it was
+ * "created" and a "collections" object holding the "data" and "metaData"
+ * (including the settings()) of each collection by name.
+ */
+Db.prototype.snapshot = function (progress) {
+	var collections = this._collection,
+		names = Object.keys(collections),
+		snapshot = {
+			format: 'ForerunnerDB.snapshot',
+			version: 1,
+			db: this._name,
+			created: new Date().getTime(),
+			collections: {}
+		},
+		i;
+
+	for (i = 0; i < names.length; i++) {
+		snapshot.collections[names[i]] = {
+			data: this.decouple(collections[names[i]]._data),
+			metaData: this.decouple(collections[names[i]]._persistMetaData())
+		};
+
+		if (progress) { progress(names[i], i + 1, names.length); }
+	}
+
+	return snapshot;
+};
+
+/**
+ * Puts the collections in a snapshot from snapshot() back into the
+ * database, creating any that don't exist. By default each collection's
+ * data is replaced with the data in the snapshot. With the "merge" option
+ * the documents in the snapshot are upserted instead so documents that
+ * are not in the snapshot are kept. Collections that are not in the
+ * snapshot are left as they are.
+ * @memberof Db
+ * @param {Object} snapshot The snapshot.
+ * @param {Object=} options The options object. Set "merge" to true to
+ * upsert the documents instead of replacing the data.
+ * @param {Function=} progress The method to call with (name, done, total)
+ * after each collection is restored.
+ * @returns {*}
+ */
+Db.prototype.restoreSnapshot = function (snapshot, options, progress) {
+	var names,
+		collection,
+		item,
+		metaData,
+		deferredSetting,
+		id,
+		i;
+
+	if (!snapshot || snapshot.format !== 'ForerunnerDB.snapshot' || !snapshot.collections) {
+		throw(this.logIdentifier() + ' Cannot restore from data that is not a snapshot!');
+	}
+
+	options = options || {};
+	names = Object.keys(snapshot.collections);
+
+	for (i = 0; i < names.length; i++) {
+		item = snapshot.collections[names[i]];
+		collection = this.collection(names[i]);
+
+		// Set the primary key, indexes and other settings first
+		metaData = collection._restoreMetaData(this.decouple(item.metaData)) || {};
+
+		if (options.merge) {
+			deferredSetting = collection.deferredCalls();
+			collection.deferredCalls(false);
+			collection.upsert(collection._unexpired(this.decouple(item.data) || [], metaData));
+			collection.deferredCalls(deferredSetting);
+
+			// Keep the existing metaData, adding the snapshot's expiry times
+			if (metaData.expires) {
+				collection._metaData.expires = collection._metaData.expires || {};
+
+				for (id in metaData.expires) {
+					if (metaData.expires.hasOwnProperty(id)) {
+						collection._metaData.expires[id] = metaData.expires[id];
+					}
+				}
+			}
+		} else {
+			collection.setData(collection._unexpired(this.decouple(item.data) || [], metaData));
+			collection.metaData(metaData);
+		}
+
+		if (progress) { progress(names[i], i + 1, names.length); }
+	}
+
+	return this;
+};
+
 Shared.finishModule('Collection');
 module.exports = Collection;
\ No newline at end of file
@@ -5,6 +5,7 @@ var Shared,
 	Collection,
 	Metrics,
 	Checksum,
+	Transaction,
 	Overload;
 
 Shared = require('./Shared');
@@ -148,6 +149,7 @@ Core = Shared.modules.Core;
 Collection = require('./Collection.js');
 Metrics = require('./Metrics.js');
 Checksum = require('./Checksum.js');
+Transaction = require('./Transaction.js');
 
 Db.prototype._isServer = false;
 
@@ -15,7 +15,8 @@ collection(collection)
 
 var Shared = require('./Shared'),
 	Path = require('./Path'),
-	BinaryTree = require('./BinaryTree');
+	BinaryTree = require('./BinaryTree'),
+	sharedPathSolver = new Path();
 
 /**
  * The index class used to instantiate btree indexes that the database can
@@ -30,7 +31,8 @@ IndexBinaryTree.prototype.init = function (keys, options, collection) {
 	this._btree = new BinaryTree();
 	this._btree.index(keys);
 	this._size = 0;
-	this._id = this._itemKeyHash(keys, keys);
+	this._initFilter(options);
+	this._id = this._itemKeyHash(keys, keys) + this._filterId();
 	this._debug = options && options.debug ? options.debug : false;
 
 	this.unique(options && options.unique ? options.unique : false);
@@ -49,8 +51,10 @@ IndexBinaryTree.prototype.init = function (keys, options, collection) {
 };
 
 Shared.addModule('IndexBinaryTree', IndexBinaryTree);
+Shared.mixin(IndexBinaryTree.prototype, 'Mixin.Common');
 Shared.mixin(IndexBinaryTree.prototype, 'Mixin.ChainReactor');
 Shared.mixin(IndexBinaryTree.prototype, 'Mixin.Sorting');
+Shared.mixin(IndexBinaryTree.prototype, 'Mixin.IndexFilter');
 
 IndexBinaryTree.prototype.id = function () {
 	return this._id;
@@ -122,6 +126,11 @@ IndexBinaryTree.prototype.insert = function (dataItem, options) {
 	var uniqueFlag = this._unique,
 		uniqueHash;
 
+	if (!this.covers(dataItem)) {
+		// The document is excluded from this index
+		return false;
+	}
+
 	if (uniqueFlag) {
 		uniqueHash = this._itemHash(dataItem, this._keys);
 		this._uniqueLookup[uniqueHash] = dataItem;
@@ -140,6 +149,11 @@ IndexBinaryTree.prototype.remove = function (dataItem, options) {
 	var uniqueFlag = this._unique,
 		uniqueHash;
 
+	if (!this.covers(dataItem)) {
+		// The document was never added to this index
+		return false;
+	}
+
 	if (uniqueFlag) {
 		uniqueHash = this._itemHash(dataItem, this._keys);
 		delete this._uniqueLookup[uniqueHash];
@@ -155,6 +169,11 @@ IndexBinaryTree.prototype.remove = function (dataItem, options) {
 };
 
 IndexBinaryTree.prototype.violation = function (dataItem) {
+	if (!this.covers(dataItem)) {
+		// Documents excluded from the index cannot violate it
+		return false;
+	}
+
 	// Generate item hash
 	var uniqueHash = this._itemHash(dataItem, this._keys);
 
@@ -172,7 +191,38 @@ IndexBinaryTree.prototype.lookup = function (query, options, op) {
 };
 
 IndexBinaryTree.prototype.match = function (query, options) {
-	return this._btree.match(query, options);
+	var matchData = this._btree.match(query, options),
+		keys = this._btree.keys(),
+		queryVal,
+		i;
+
+	if (matchData.score && !this.filterMatch(query)) {
+		// The index does not hold every document the query could match
+		return {
+			matchedKeys: [],
+			totalKeyCount: matchData.totalKeyCount,
+			score: 0
+		};
+	}
+
+	// The tree can only look up values by equality so if the query uses an
+	// operator or regular expression against an indexed key the index
+	// cannot be used to resolve it
+	for (i = 0; i < keys.length; i++) {
+		if (matchData.matchedKeys.indexOf(keys[i].path) > -1) {
+			queryVal = sharedPathSolver.get(query, keys[i].path);
+
+			if (this._queryHasOperator(queryVal)) {
+				return {
+					matchedKeys: [],
+					totalKeyCount: matchData.totalKeyCount,
+					score: 0
+				};
+			}
+		}
+	}
+
+	return matchData;
 };
 
 IndexBinaryTree.prototype._itemHash = function (item, keys) {
@@ -15,7 +15,8 @@ var IndexHashMap = function () {
 IndexHashMap.prototype.init = function (keys, options, collection) {
 	this._crossRef = {};
 	this._size = 0;
-	this._id = this._itemKeyHash(keys, keys);
+	this._initFilter(options);
+	this._id = this._itemKeyHash(keys, keys) + this._filterId();
 
 	this.data({});
 	this.unique(options && options.unique ? options.unique : false);
@@ -32,7 +33,9 @@ IndexHashMap.prototype.init = function (keys, options, collection) {
 };
 
 Shared.addModule('IndexHashMap', IndexHashMap);
+Shared.mixin(IndexHashMap.prototype, 'Mixin.Common');
 Shared.mixin(IndexHashMap.prototype, 'Mixin.ChainReactor');
+Shared.mixin(IndexHashMap.prototype, 'Mixin.IndexFilter');
 
 IndexHashMap.prototype.id = function () {
 	return this._id;
@@ -106,6 +109,11 @@ IndexHashMap.prototype.insert = function (dataItem, options) {
 		itemHashArr,
 		hashIndex;
 
+	if (!this.covers(dataItem)) {
+		// The document is excluded from this index
+		return;
+	}
+
 	if (uniqueFlag) {
 		uniqueHash = this._itemHash(dataItem, this._keys);
 		this._uniqueLookup[uniqueHash] = dataItem;
@@ -134,6 +142,11 @@ IndexHashMap.prototype.remove = function (dataItem, options) {
 		itemHashArr,
 		hashIndex;
 
+	if (!this.covers(dataItem)) {
+		// The document was never added to this index
+		return;
+	}
+
 	if (uniqueFlag) {
 		uniqueHash = this._itemHash(dataItem, this._keys);
 		delete this._uniqueLookup[uniqueHash];
@@ -149,6 +162,11 @@ IndexHashMap.prototype.remove = function (dataItem, options) {
 };
 
 IndexHashMap.prototype.violation = function (dataItem) {
+	if (!this.covers(dataItem)) {
+		// Documents excluded from the index cannot violate it
+		return false;
+	}
+
 	// Generate item hash
 	var uniqueHash = this._itemHash(dataItem, this._keys);
 
@@ -179,11 +197,28 @@ IndexHashMap.prototype.pushToPathValue = function (hash, obj) {
 
 IndexHashMap.prototype.pullFromPathValue = function (hash, obj) {
 	var pathValArr = this._data[hash],
-		indexOfObject;
+		pk = this._collection.primaryKey(),
+		indexOfObject,
+		i;
+
+	if (!pathValArr) {
+		return;
+	}
 
 	// Make sure we have already indexed this object at this path/value
 	indexOfObject = pathValArr.indexOf(obj);
 
+	if (indexOfObject === -1) {
+		// The object may be a copy of the indexed document (such as the
+		// old version of an updated document) so check by primary key
+		for (i = 0; i < pathValArr.length; i++) {
+			if (pathValArr[i][pk] === obj[pk]) {
+				indexOfObject = i;
+				break;
+			}
+		}
+	}
+
 	if (indexOfObject > -1) {
 		// Un-index the object
 		pathValArr.splice(indexOfObject, 1);
@@ -269,12 +304,12 @@ IndexHashMap.prototype.match = function (query, options) {
 		matchedKeyCount = 0,
 		i;
 
-	// Loop the query array and check the order of keys against the
-	// index key array to see if this index can be used
+	// Loop the index key array and check the query has a value for
+	// every key to see if this index can be used
 	for (i = 0; i < indexKeyArr.length; i++) {
-		if (queryArr[i] === indexKeyArr[i]) {
+		if (queryArr.indexOf(indexKeyArr[i]) > -1) {
 			matchedKeyCount++;
-			matchedKeys.push(queryArr[i]);
+			matchedKeys.push(indexKeyArr[i]);
 		} else {
 			// Query match failed - this is a hash map index so partial key match won't work
 			return {
@@ -285,6 +320,15 @@ IndexHashMap.prototype.match = function (query, options) {
 		}
 	}
 
+	if (!this.filterMatch(query)) {
+		// The index does not hold every document the query could match
+		return {
+			matchedKeys: [],
+			totalKeyCount: queryArr.length,
+			score: 0
+		};
+	}
+
 	return {
 		matchedKeys: matchedKeys,
 		totalKeyCount: queryArr.length,
@@ -0,0 +1,417 @@
+"use strict";
+
+/*
+name(string)
+id(string)
+rebuild(null)
+state ?? needed?
+match(query, options)
+lookup(query, options)
+insert(doc)
+remove(doc)
+primaryKey(string)
+collection(collection)
+*/
+
+var Shared = require('./Shared'),
+	Path = require('./Path'),
+	sharedPathSolver = new Path(),
+	// Default list of english words that are too common to be useful
+	// search terms and are therefore not indexed
+	defaultStopWords = [
+		'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as',
+		'at', 'be', 'because', 'been', 'but', 'by', 'can', 'could', 'did', 'do',
+		'does', 'for', 'from', 'had', 'has', 'have', 'he', 'her', 'his', 'how',
+		'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me', 'my', 'no',
+		'not', 'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the',
+		'their', 'them', 'then', 'there', 'these', 'they', 'this', 'to', 'was',
+		'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with', 'would',
+		'you', 'your'
+	];
+
+/**
+ * The index class used to instantiate full-text indexes that the database
+ * can use to resolve $text queries. Indexed string fields are split into
+ * lower-cased terms (no stemming is applied) and common stop words are
+ * discarded.
+ * @constructor
+ */
+var IndexText = function () {
+	this.init.apply(this, arguments);
+};
+
+/**
+ * Create the index.
+ * @param {Object} keys The object with the keys that the user wishes the index
+ * to operate on.
+ * @param {Object} options Can be undefined, if passed is an object with arbitrary
+ * options keys and values. Supports "weights", an object of key paths to numeric
+ * weights used when scoring matches, and "stopWords", an array of words to ignore
+ * (replacing the default list) or false to index every word.
+ * @param {Collection} collection The collection the index should be created for.
+ */
+IndexText.prototype.init = function (keys, options, collection) {
+	var stopWords = defaultStopWords,
+		i;
+
+	this._size = 0;
+	this._id = 'text:' + this._itemKeyHash(keys, keys);
+	this._weights = options && options.weights ? options.weights : {};
+	this._stopWords = {};
+
+	if (options && options.stopWords !== undefined) {
+		stopWords = options.stopWords || [];
+	}
+
+	for (i = 0; i < stopWords.length; i++) {
+		this._stopWords[String(stopWords[i]).toLowerCase()] = true;
+	}
+
+	this.data({});
+	this.unique(false);
+	this.type('text');
+
+	if (keys !== undefined) {
+		this.keys(keys);
+	}
+
+	if (collection !== undefined) {
+		this.collection(collection);
+	}
+
+	this.name(options && options.name ? options.name : this._id);
+};
+
+Shared.addModule('IndexText', IndexText);
+Shared.mixin(IndexText.prototype, 'Mixin.Common');
+Shared.mixin(IndexText.prototype, 'Mixin.ChainReactor');
+
+IndexText.prototype.id = function () {
+	return this._id;
+};
+
+IndexText.prototype.state = function () {
+	return this._state;
+};
+
+IndexText.prototype.size = function () {
+	return this._size;
+};
+
+Shared.synthesize(IndexText.prototype, 'data');
+Shared.synthesize(IndexText.prototype, 'name');
+Shared.synthesize(IndexText.prototype, 'collection');
+Shared.synthesize(IndexText.prototype, 'type');
+Shared.synthesize(IndexText.prototype, 'unique');
+
+IndexText.prototype.keys = function (val) {
+	if (val !== undefined) {
+		this._keys = val;
+
+		// Store the key paths
+		this._keyPaths = sharedPathSolver.parse(this._keys);
+		this._keyCount = this._keyPaths.length;
+		return this;
+	}
+
+	return this._keys;
+};
+
+IndexText.prototype.rebuild = function () {
+	var collectionData,
+		dataIndex,
+		dataCount;
+
+	// Clear the index data
+	this._data = {};
+	this._docTerms = {};
+	this._size = 0;
+
+	// Do we have a collection?
+	if (this._collection) {
+		collectionData = this._collection.find({}, {$decouple: false});
+		dataCount = collectionData.length;
+
+		// Loop the collection data
+		for (dataIndex = 0; dataIndex < dataCount; dataIndex++) {
+			this.insert(collectionData[dataIndex]);
+		}
+	}
+
+	this._state = {
+		name: this._name,
+		keys: this._keys,
+		indexSize: this._size,
+		built: new Date(),
+		updated: new Date(),
+		ok: true
+	};
+};
+
+IndexText.prototype.insert = function (dataItem, options) {
+	var id = dataItem[this._collection.primaryKey()],
+		termCounts = this.termCounts(dataItem),
+		term;
+
+	if (this._docTerms[id]) {
+		// Already indexed, remove the old terms first
+		this.remove(dataItem);
+	}
+
+	this._docTerms[id] = termCounts;
+	this._size++;
+
+	for (term in termCounts) {
+		if (termCounts.hasOwnProperty(term)) {
+			this._data[term] = this._data[term] || {};
+			this._data[term][id] = termCounts[term];
+		}
+	}
+};
+
+IndexText.prototype.remove = function (dataItem, options) {
+	var id = dataItem[this._collection.primaryKey()],
+		termCounts = this._docTerms[id],
+		term;
+
+	if (!termCounts) {
+		return;
+	}
+
+	for (term in termCounts) {
+		if (termCounts.hasOwnProperty(term) && this._data[term]) {
+			delete this._data[term][id];
+
+			if (!Object.keys(this._data[term]).length) {
+				delete this._data[term];
+			}
+		}
+	}
+
+	delete this._docTerms[id];
+	this._size--;
+};
+
+IndexText.prototype.violation = function () {
+	// Text indexes cannot be unique
+	return false;
+};
+
+IndexText.prototype.hashViolation = function () {
+	// Text indexes cannot be unique
+	return false;
+};
+
+/**
+ * Splits the passed string into lower-cased terms, removing any
+ * stop words.
+ * @param {String} str The string to tokenise.
+ * @returns {Array} An array of terms in the order they appear.
+ */
+IndexText.prototype.tokenise = function (str) {
+	var words = String(str).toLowerCase().split(/[^\w\u00C0-\u024F]+/),
+		terms = [],
+		i;
+
+	for (i = 0; i < words.length; i++) {
+		if (words[i] && !this._stopWords[words[i]]) {
+			terms.push(words[i]);
+		}
+	}
+
+	return terms;
+};
+
+/**
+ * Generates a lookup of the terms found in the indexed fields of the
+ * passed document against the weighted number of times each appears.
+ * @param {Object} doc The document to scan.
+ * @returns {Object}
+ */
+IndexText.prototype.termCounts = function (doc) {
+	var termCounts = {},
+		keyPath,
+		weight,
+		terms,
+		i, k;
+
+	for (k = 0; k < this._keyPaths.length; k++) {
+		keyPath = this._keyPaths[k].path;
+		weight = this._weights[keyPath] !== undefined ? this._weights[keyPath] : 1;
+		terms = this.tokenise(this._fieldText(sharedPathSolver.value(doc, keyPath)));
+
+		for (i = 0; i < terms.length; i++) {
+			termCounts[terms[i]] = (termCounts[terms[i]] || 0) + weight;
+		}
+	}
+
+	return termCounts;
+};
+
+/**
+ * Parses a $search string into the terms to match and the terms that
+ * must not appear. Words prefixed with a minus sign are negated.
+ * @param {String} search The search string.
+ * @returns {{terms: Array, negated: Array}}
+ */
+IndexText.prototype.parseSearch = function (search) {
+	var words = String(search).split(/\s+/),
+		result = {
+			terms: [],
+			negated: []
+		},
+		i;
+
+	for (i = 0; i < words.length; i++) {
+		if (words[i].charAt(0) === '-') {
+			result.negated = result.negated.concat(this.tokenise(words[i].substr(1)));
+		} else {
+			result.terms = result.terms.concat(this.tokenise(words[i]));
+		}
+	}
+
+	return result;
+};
+
+/**
+ * Calculates the relevance score of the passed document against a
+ * search string. The score is the sum of the weighted occurrences of
+ * each search term in the document's indexed fields. Documents that
+ * contain a negated term always score zero.
+ * @param {Object} doc The document to score.
+ * @param {String} search The search string.
+ * @returns {Number}
+ */
+IndexText.prototype.score = function (doc, search) {
+	var parsed = typeof search === 'object' ? search : this.parseSearch(search),
+		termCounts = this.termCounts(doc),
+		score = 0,
+		i;
+
+	for (i = 0; i < parsed.negated.length; i++) {
+		if (termCounts[parsed.negated[i]]) {
+			return 0;
+		}
+	}
+
+	for (i = 0; i < parsed.terms.length; i++) {
+		score += termCounts[parsed.terms[i]] || 0;
+	}
+
+	return score;
+};
+
+/**
+ * Looks up records that match the passed query's $text operator.
+ * @param query The query to execute.
+ * @param options A query options object.
+ * @param {Operation=} op Optional operation instance.
+ * @returns {Array}
+ */
+IndexText.prototype.lookup = function (query, options, op) {
+	var parsed = this.parseSearch(query.$text.$search),
+		matched = {},
+		idArr = [],
+		termData,
+		id,
+		i;
+
+	for (i = 0; i < parsed.terms.length; i++) {
+		termData = this._data[parsed.terms[i]];
+
+		for (id in termData) {
+			if (termData.hasOwnProperty(id)) {
+				matched[id] = true;
+			}
+		}
+	}
+
+	for (i = 0; i < parsed.negated.length; i++) {
+		termData = this._data[parsed.negated[i]];
+
+		for (id in termData) {
+			if (termData.hasOwnProperty(id)) {
+				delete matched[id];
+			}
+		}
+	}
+
+	for (id in matched) {
+		if (matched.hasOwnProperty(id)) {
+			idArr.push(id);
+		}
+	}
+
+	if (op) { op.data('indexText.terms', parsed); }
+
+	return this._collection._primaryIndex.lookup(idArr);
+};
+
+IndexText.prototype.match = function (query, options) {
+	if (query && query.$text) {
+		// A $text query can only be resolved by a text index. Count the
+		// $text operator as a key so other query keys force a table scan
+		return {
+			matchedKeys: ['$text'],
+			totalKeyCount: sharedPathSolver.parseArr(query, {
+				ignore: /\$/,
+				verbose: true
+			}).length + 1,
+			score: 1
+		};
+	}
+
+	return {
+		matchedKeys: [],
+		totalKeyCount: 0,
+		score: 0
+	};
+};
+
+/**
+ * Converts a field value (or array of values) into a single string
+ * of text that can be tokenised.
+ * @param {*} val The value to convert.
+ * @returns {String}
+ * @private
+ */
+IndexText.prototype._fieldText = function (val) {
+	var textArr = [],
+		i;
+
+	if (val instanceof Array) {
+		for (i = 0; i < val.length; i++) {
+			textArr.push(this._fieldText(val[i]));
+		}
+
+		return textArr.join(' ');
+	}
+
+	if (typeof val === 'string' || typeof val === 'number') {
+		return String(val);
+	}
+
+	return '';
+};
+
+IndexText.prototype._itemKeyHash = function (item, keys) {
+	var path = new Path(),
+		pathData,
+		hash = '',
+		k;
+
+	pathData = path.parse(keys);
+
+	for (k = 0; k < pathData.length; k++) {
+		if (hash) { hash += '_'; }
+		hash += path.keyValue(item, pathData[k].path);
+	}
+
+	return hash;
+};
+
+// Register this index on the shared object
+Shared.index.text = IndexText;
+
+Shared.finishModule('IndexText');
+module.exports = IndexText;
@@ -0,0 +1,175 @@
+"use strict";
+
+/**
+ * Provides the sparse and partial filter options for index classes. A
+ * sparse index only holds documents that have a value for at least one
+ * of the index keys. A partial index only holds documents that match
+ * its partial filter query.
+ * @mixin
+ */
+var IndexFilter = {
+	/**
+	 * Reads the sparse and partialFilter settings from an index's
+	 * options object.
+	 * @param {Object=} options The options the index was created with.
+	 * @private
+	 */
+	_initFilter: function (options) {
+		this._sparse = Boolean(options && options.sparse);
+		this._partialFilter = options && options.partialFilter ? options.partialFilter : undefined;
+	},
+
+	/**
+	 * Gets if the index is sparse.
+	 * @returns {Boolean}
+	 */
+	sparse: function () {
+		return this._sparse;
+	},
+
+	/**
+	 * Gets the partial filter query of the index if it has one.
+	 * @returns {Object|undefined}
+	 */
+	partialFilter: function () {
+		return this._partialFilter;
+	},
+
+	/**
+	 * Generates a string to append to the index id so that indexes on the
+	 * same keys but with different filters do not share the same id.
+	 * @returns {String}
+	 * @private
+	 */
+	_filterId: function () {
+		var id = '';
+
+		if (this._sparse) {
+			id += ':sparse';
+		}
+
+		if (this._partialFilter) {
+			id += ':partial:' + this.jStringify(this._partialFilter);
+		}
+
+		return id;
+	},
+
+	/**
+	 * Checks if the passed document should be held in the index.
+	 * @param {Object} doc The document to check.
+	 * @returns {Boolean}
+	 */
+	covers: function (doc) {
+		var pathSolver = this._collection.sharedPathSolver,
+			keyPaths,
+			hasKey,
+			i;
+
+		if (this._sparse) {
+			keyPaths = pathSolver.parse(this._keys);
+			hasKey = false;
+
+			for (i = 0; i < keyPaths.length; i++) {
+				if (pathSolver.get(doc, keyPaths[i].path) !== undefined) {
+					hasKey = true;
+					break;
+				}
+			}
+
+			if (!hasKey) {
+				return false;
+			}
+		}
+
+		if (this._partialFilter) {
+			return this._collection._match(doc, this._partialFilter, {}, 'and', {});
+		}
+
+		return true;
+	},
+
+	/**
+	 * Checks if every document the passed query can match is held in the
+	 * index. Queries on a sparse index must not look for null values and
+	 * queries on a partial index must include the partial filter, either
+	 * verbatim or by looking for values that satisfy it.
+	 * @param {Object} query The query to check.
+	 * @returns {Boolean}
+	 */
+	filterMatch: function (query) {
+		var pathSolver = this._collection.sharedPathSolver,
+			keyPaths,
+			filterKey,
+			subDoc,
+			subFilter,
+			i;
+
+		if (this._sparse) {
+			keyPaths = pathSolver.parse(this._keys);
+
+			for (i = 0; i < keyPaths.length; i++) {
+				if (pathSolver.get(query, keyPaths[i].path) === null) {
+					return false;
+				}
+			}
+		}
+
+		if (this._partialFilter) {
+			for (filterKey in this._partialFilter) {
+				if (this._partialFilter.hasOwnProperty(filterKey)) {
+					if (query[filterKey] === undefined) {
+						return false;
+					}
+
+					if (this.jStringify(query[filterKey]) !== this.jStringify(this._partialFilter[filterKey])) {
+						// The query does not contain the filter clause verbatim so
+						// check if the value the query is looking for satisfies it
+						if (filterKey.charAt(0) === '$' || this._queryHasOperator(query[filterKey])) {
+							return false;
+						}
+
+						subDoc = {};
+						subDoc[filterKey] = query[filterKey];
+
+						subFilter = {};
+						subFilter[filterKey] = this._partialFilter[filterKey];
+
+						if (!this._collection._match(subDoc, subFilter, {}, 'and', {})) {
+							return false;
+						}
+					}
+				}
+			}
+		}
+
+		return true;
+	},
+
+	/**
+	 * Checks if the passed query value is a regular expression or contains
+	 * any query operators (keys starting with a dollar).
+	 * @param {*} val The query value to check.
+	 * @returns {Boolean}
+	 * @private
+	 */
+	_queryHasOperator: function (val) {
+		var i;
+
+		if (val instanceof RegExp) {
+			return true;
+		}
+
+		if (val && typeof val === 'object') {
+			for (i in val) {
+				if (val.hasOwnProperty(i) && (i.charAt(0) === '$' || this._queryHasOperator(val[i]))) {
+					return true;
+				}
+			}
+		}
+
+		return false;
+	}
+};
+
+module.exports = IndexFilter;
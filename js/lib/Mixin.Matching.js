@@ -106,6 +106,11 @@ var Matching = {
 
 					// Check if the property starts with a dollar (function)
 					if (substringCache.indexOf('$') === 0) {
+						// Restore the current query in case a previous operation
+						// recursed and changed it, operators such as $regex read
+						// sibling keys from it
+						options.$currentQuery = test;
+
 						// Ask the _matchOp method to handle the operation
 						opResult = this._matchOp(i, source, test[i], queryOptions, options);
 
@@ -149,7 +154,7 @@ var Matching = {
 							// Check if our source data we are checking the test query against
 							// is an object or an array
 							if (source[i] !== undefined) {
-								if (source[i] instanceof Array && !(test[i] instanceof Array)) {
+								if (source[i] instanceof Array && !(test[i] instanceof Array) && !this._isArrayOperatorQuery(test[i])) {
 									// The source data is an array, so check each item until a
 									// match is found
 									recurseVal = false;
@@ -216,8 +221,9 @@ var Matching = {
 									}
 								}
 							} else {
-								// First check if the test match is an $exists
-								if (test[i] && test[i].$exists !== undefined) {
+								// First check if the test match is an $exists or $not
+								// since both can match a property that does not exist
+								if (test[i] && (test[i].$exists !== undefined || test[i].$not !== undefined)) {
 									// Push the item through another match recurse
 									recurseVal = this._match(undefined, test[i], queryOptions, applyOp, options);
 
@@ -387,6 +393,139 @@ var Matching = {
 				}
 				break;
 
+			case '$text':
+				// Full-text search, requires a text index to tokenise the document
+				var textIndex = this.textIndex ? this.textIndex() : undefined;
+
+				if (!textIndex) {
+					throw(this.logIdentifier() + ' Cannot use a $text query without a text index!');
+				}
+
+				return textIndex.score(source, test.$search) > 0;
+
+			case '$nor':
+				// Match true if NONE of the checks pass
+				for (var norIndex = 0; norIndex < test.length; norIndex++) {
+					if (this._match(source, test[norIndex], queryOptions, 'and', options)) {
+						return false;
+					}
+				}
+
+				return true;
+
+			case '$not':
+				// Inverts the result of the test
+				if (source instanceof Array && !this._isArrayOperatorQuery(test)) {
+					// None of the array items can match the test
+					for (var notIndex = 0; notIndex < source.length; notIndex++) {
+						if (this._match(source[notIndex], test, queryOptions, 'and', options)) {
+							return false;
+						}
+					}
+
+					return true;
+				}
+
+				return !this._match(source, test, queryOptions, 'and', options);
+
+			case '$all':
+				// Check that the all test is an array
+				if (!(test instanceof Array)) {
+					console.log(this.logIdentifier() + ' Cannot use an $all operator with a non-array value: ' + key, options.$rootQuery);
+					return false;
+				}
+
+				if (!test.length) {
+					return false;
+				}
+
+				for (var allIndex = 0; allIndex < test.length; allIndex++) {
+					if (source instanceof Array) {
+						// At least one item in the source array must match
+						var allFound = false;
+
+						for (var allSourceIndex = 0; allSourceIndex < source.length; allSourceIndex++) {
+							if (this._match(source[allSourceIndex], test[allIndex], queryOptions, 'and', options)) {
+								allFound = true;
+								break;
+							}
+						}
+
+						if (!allFound) {
+							return false;
+						}
+					} else if (!this._match(source, test[allIndex], queryOptions, 'and', options)) {
+						return false;
+					}
+				}
+
+				return true;
+
+			case '$size':
+				// Array has the exact number of items
+				return source instanceof Array && source.length === test;
+
+			case '$type':
+				var typeArr = test instanceof Array ? test : [test],
+					typeIndex,
+					typeItemIndex;
+
+				for (typeIndex = 0; typeIndex < typeArr.length; typeIndex++) {
+					if (this._matchType(source, typeArr[typeIndex])) {
+						return true;
+					}
+
+					// Items in an array are checked individually unless the
+					// test is for the array type itself
+					if (source instanceof Array) {
+						for (typeItemIndex = 0; typeItemIndex < source.length; typeItemIndex++) {
+							if (this._matchType(source[typeItemIndex], typeArr[typeIndex])) {
+								return true;
+							}
+						}
+					}
+				}
+
+				return false;
+
+			case '$mod':
+				// Modulo, the test is [divisor, remainder]
+				if (!(test instanceof Array) || test.length !== 2) {
+					throw(this.logIdentifier() + ' $mod requires an array of [divisor, remainder]!');
+				}
+
+				return typeof source === 'number' && source % test[0] === test[1];
+
+			case '$regex':
+				// String based regular expression that can be serialised,
+				// flags are read from a sibling $options key
+				var regexFlags = (options.$currentQuery && options.$currentQuery.$options) || '',
+					regexCacheKey,
+					regex;
+
+				if (typeof source !== 'string') {
+					return false;
+				}
+
+				if (test instanceof RegExp) {
+					regex = test;
+				} else {
+					options.$rootData['//regexCache'] = options.$rootData['//regexCache'] || {};
+					regexCacheKey = regexFlags + '/' + test;
+
+					regex = options.$rootData['//regexCache'][regexCacheKey];
+
+					if (!regex) {
+						regex = options.$rootData['//regexCache'][regexCacheKey] = new RegExp(test, regexFlags);
+					}
+				}
+
+				return regex.test(source);
+
+			case '$options':
+				// Flags for a $regex operator, handled by $regex
+				return true;
+
 			case '$distinct':
 				// Ensure options holds a distinct lookup
 				options.$rootData['//distinctLookup'] = options.$rootData['//distinctLookup'] || {};
@@ -497,6 +636,87 @@ var Matching = {
 		return -1;
 	},
 
+	/**
+	 * Checks if the passed query contains operators that test an array
+	 * as a whole ($size, $all, $not and $type) rather than testing each
+	 * item in the array.
+	 * @param {*} test The query to check.
+	 * @returns {Boolean}
+	 * @private
+	 */
+	_isArrayOperatorQuery: function (test) {
+		return Boolean(test && typeof test === 'object' && !(test instanceof Array) && (test.$size !== undefined || test.$all !== undefined || test.$not !== undefined || test.$type !== undefined));
+	},
+
+	/**
+	 * Checks if a value is of the type named for the $type operator. Both
+	 * type names and MongoDB's numeric type codes are supported.
+	 * @param {*} value The value to check.
+	 * @param {String|Number} type The type name or code e.g. "string", "array"
+	 * or 2.
+	 * @returns {Boolean}
+	 * @private
+	 */
+	_matchType: function (value, type) {
+		var typeCodes = {
+			1: 'double',
+			2: 'string',
+			3: 'object',
+			4: 'array',
+			6: 'undefined',
+			8: 'bool',
+			9: 'date',
+			10: 'null',
+			11: 'regex',
+			16: 'int',
+			18: 'long',
+			19: 'decimal'
+		};
+
+		if (typeof type === 'number') {
+			type = typeCodes[type];
+		}
+
+		switch (type) {
+			case 'string':
+				return typeof value === 'string';
+
+			case 'number':
+			case 'double':
+			case 'decimal':
+				return typeof value === 'number';
+
+			case 'int':
+			case 'long':
+				return typeof value === 'number' && value % 1 === 0;
+
+			case 'bool':
+			case 'boolean':
+				return typeof value === 'boolean';
+
+			case 'object':
+				return value !== null && typeof value === 'object' && !(value instanceof Array) && !(value instanceof Date) && !(value instanceof RegExp);
+
+			case 'array':
+				return value instanceof Array;
+
+			case 'null':
+				return value === null;
+
+			case 'undefined':
+				return value === undefined;
+
+			case 'date':
+				return value instanceof Date;
+
+			case 'regex':
+				return value instanceof RegExp;
+
+			default:
+				return false;
+		}
+	},
+
 	/**
 	 *
 	 * @param {Array | Object} docArr An array of objects to run the join
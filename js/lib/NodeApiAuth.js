@@ -0,0 +1,400 @@
+"use strict";
+
+var Shared = require('./Shared'),
+	crypto = require('crypto'),
+	NodeApiAuth;
+
+/**
+ * Provides token based authentication for the NodeApiServer. Users are
+ * stored in a collection with their passwords hashed and log in to get
+ * an access token and a refresh token, both signed with an HMAC of the
+ * server's secret. Each login creates a session document that the
+ * tokens refer to so logging out revokes them straight away.
+ * @param {Db} db The database to hold the users and sessions
+ * collections.
+ * @param {Object} options The options object, see NodeApiServer.auth().
+ * @constructor
+ */
+NodeApiAuth = function (db, options) {
+	this.init.apply(this, arguments);
+};
+
+/**
+ * Create the authentication module.
+ * @param {Db} db The database to hold the users and sessions
+ * collections.
+ * @param {Object} options The options object, see NodeApiServer.auth().
+ */
+NodeApiAuth.prototype.init = function (db, options) {
+	if (!options || !options.secret) {
+		throw('Cannot enable authentication without a secret to sign tokens with!');
+	}
+
+	this._db = db;
+	this._secret = options.secret;
+	this._users = db.collection(options.users || 'users');
+	this._sessions = db.collection(options.sessions || 'sessions');
+	this._tokenLifetime = options.tokenLifetime || 900000;
+	this._refreshLifetime = options.refreshLifetime || 2592000000;
+	this._iterations = options.iterations || 100000;
+};
+
+// Tell ForerunnerDB about our new module
+Shared.addModule('NodeApiAuth', NodeApiAuth);
+
+// Mixin some commonly used methods
+Shared.mixin(NodeApiAuth.prototype, 'Mixin.Common');
+Shared.mixin(NodeApiAuth.prototype, 'Mixin.Events');
+
+/**
+ * Gets the collection that holds the users.
+ * @returns {Collection}
+ */
+NodeApiAuth.prototype.users = function () {
+	return this._users;
+};
+
+/**
+ * Gets the collection that holds the login sessions.
+ * @returns {Collection}
+ */
+NodeApiAuth.prototype.sessions = function () {
+	return this._sessions;
+};
+
+/**
+ * Creates a user. The password is hashed before the user is stored,
+ * any other fields are stored as they are.
+ * @param {Object} user The user document, must have a "username" and
+ * a "password".
+ * @param {Function} callback The method to call with (err, user) where
+ * user is the stored user without their password.
+ */
+NodeApiAuth.prototype.createUser = function (user, callback) {
+	var self = this;
+
+	if (!user || typeof user.username !== 'string' || typeof user.password !== 'string') {
+		return callback('Users need a username and a password');
+	}
+
+	if (this._users.findOne({username: user.username})) {
+		return callback('User already exists');
+	}
+
+	this.hashPassword(user.password, function (err, hash) {
+		var doc;
+
+		if (err) {
+			return callback(err);
+		}
+
+		doc = self.decouple(user);
+		doc.password = hash;
+
+		self._users.insert(doc, function (result) {
+			if (!result.inserted.length) {
+				return callback('Could not create user');
+			}
+
+			callback(false, self.publicUser(result.inserted[0]));
+		});
+	});
+};
+
+/**
+ * Changes a user's password and ends all of their sessions.
+ * @param {String} username The username.
+ * @param {String} password The new password.
+ * @param {Function} callback The method to call with (err).
+ */
+NodeApiAuth.prototype.setPassword = function (username, password, callback) {
+	var self = this,
+		user = this._users.findOne({username: username});
+
+	if (!user) {
+		return callback('User not found');
+	}
+
+	this.hashPassword(password, function (err, hash) {
+		if (err) {
+			return callback(err);
+		}
+
+		self._users.updateById(user[self._users.primaryKey()], {password: hash});
+		self._sessions.remove({userId: user[self._users.primaryKey()]});
+
+		callback(false);
+	});
+};
+
+/**
+ * Hashes a password with PBKDF2 and a random salt.
+ * @param {String} password The password.
+ * @param {Function} callback The method to call with (err, hash).
+ */
+NodeApiAuth.prototype.hashPassword = function (password, callback) {
+	var iterations = this._iterations,
+		salt = crypto.randomBytes(16);
+
+	crypto.pbkdf2(String(password), salt, iterations, 32, 'sha256', function (err, key) {
+		if (err) {
+			return callback(err);
+		}
+
+		callback(false, 'pbkdf2$' + iterations + '$' + salt.toString('hex') + '$' + key.toString('hex'));
+	});
+};
+
+/**
+ * Checks a password against a hash from hashPassword().
+ * @param {String} password The password.
+ * @param {String} hash The hash.
+ * @param {Function} callback The method to call with (err, match).
+ */
+NodeApiAuth.prototype.checkPassword = function (password, hash, callback) {
+	var parts = String(hash).split('$'),
+		expected;
+
+	if (parts.length !== 4 || parts[0] !== 'pbkdf2') {
+		return callback(false, false);
+	}
+
+	expected = Buffer.from(parts[3], 'hex');
+
+	crypto.pbkdf2(String(password), Buffer.from(parts[2], 'hex'), parseInt(parts[1], 10), expected.length, 'sha256', function (err, key) {
+		if (err) {
+			return callback(err);
+		}
+
+		callback(false, key.length === expected.length && crypto.timingSafeEqual(key, expected));
+	});
+};
+
+/**
+ * Logs a user in, creating a session.
+ * @param {String} username The username.
+ * @param {String} password The password.
+ * @param {Function} callback The method to call with (err, tokens), see
+ * _issue() for the tokens object.
+ */
+NodeApiAuth.prototype.login = function (username, password, callback) {
+	var self = this,
+		user = typeof username === 'string' ? this._users.findOne({username: username}) : undefined;
+
+	// Check a password even when the user doesn't exist so the response
+	// time doesn't tell clients which usernames exist
+	this.checkPassword(password, user ? user.password : this._unknownUserHash(), function (err, match) {
+		if (err) {
+			return callback(err);
+		}
+
+		if (!user || !match) {
+			return callback('Invalid username or password');
+		}
+
+		callback(false, self._issue(user));
+	});
+};
+
+/**
+ * Swaps a refresh token for a new pair of tokens. The refresh token
+ * can only be used once.
+ * @param {String} refreshToken The refresh token.
+ * @param {Function} callback The method to call with (err, tokens).
+ */
+NodeApiAuth.prototype.refresh = function (refreshToken, callback) {
+	var payload = this.verify(refreshToken),
+		session = payload && payload.typ === 'refresh' ? this._sessions.findById(payload.sid) : undefined,
+		user = session ? this._users.findById(session.userId) : undefined;
+
+	if (!user) {
+		return callback('Invalid token');
+	}
+
+	this._sessions.removeById(payload.sid);
+
+	callback(false, this._issue(user));
+};
+
+/**
+ * Ends the session a token belongs to, revoking its access and
+ * refresh tokens.
+ * @param {String} token An access or refresh token.
+ * @param {Function} callback The method to call with (err).
+ */
+NodeApiAuth.prototype.logout = function (token, callback) {
+	var payload = this.verify(token);
+
+	if (!payload || !this._sessions.findById(payload.sid)) {
+		return callback('Invalid token');
+	}
+
+	this._sessions.removeById(payload.sid);
+
+	callback(false);
+};
+
+/**
+ * Finds the user a request is made by from the access token in its
+ * Authorization header ("Bearer <token>") or, for clients that can't
+ * set headers such as EventSource, the $token query parameter.
+ * @param {Object} req The request.
+ * @returns {Object} An object with the "user" (without their password)
+ * if the request has a valid token, an "err" if it has an invalid one
+ * or neither if it has no token.
+ */
+NodeApiAuth.prototype.authenticate = function (req) {
+	var header = req.headers ? req.headers.authorization : undefined,
+		token,
+		payload,
+		user;
+
+	if (typeof header === 'string' && header.indexOf('Bearer ') === 0) {
+		token = header.substr(7);
+	} else if (req.json && req.json.$token !== undefined) {
+		token = req.json.$token;
+	}
+
+	if (token === undefined) {
+		return {};
+	}
+
+	payload = this.verify(token);
+
+	if (payload && payload.typ === 'access' && this._sessions.findById(payload.sid)) {
+		user = this._users.findById(payload.sub);
+	}
+
+	if (!user) {
+		return {err: 'Invalid token'};
+	}
+
+	return {user: this.publicUser(user)};
+};
+
+/**
+ * Creates a signed token.
+ * @param {Object} payload The token's payload.
+ * @returns {String}
+ */
+NodeApiAuth.prototype.sign = function (payload) {
+	var data = this._base64Url(Buffer.from(this.jStringify(payload)));
+
+	return data + '.' + this._base64Url(this._hmac(data));
+};
+
+/**
+ * Checks a token's signature and expiry time.
+ * @param {String} token The token.
+ * @returns {Object|undefined} The token's payload or undefined if the
+ * token is invalid or has expired.
+ */
+NodeApiAuth.prototype.verify = function (token) {
+	var parts = typeof token === 'string' ? token.split('.') : [],
+		signature,
+		expected,
+		payload;
+
+	if (parts.length !== 2) {
+		return;
+	}
+
+	signature = Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64');
+	expected = this._hmac(parts[0]);
+
+	if (signature.length !== expected.length || !crypto.timingSafeEqual(signature, expected)) {
+		return;
+	}
+
+	try {
+		payload = this.jParse(Buffer.from(parts[0].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString());
+	} catch (e) {
+		return;
+	}
+
+	if (!payload || typeof payload.exp !== 'number' || payload.exp <= new Date().getTime()) {
+		return;
+	}
+
+	return payload;
+};
+
+/**
+ * Returns a copy of a user document without the password.
+ * @param {Object} user The user document.
+ * @returns {Object}
+ */
+NodeApiAuth.prototype.publicUser = function (user) {
+	var doc = this.decouple(user);
+
+	delete doc.password;
+
+	return doc;
+};
+
+/**
+ * Creates a session for a user and the tokens that refer to it.
+ * @param {Object} user The user document.
+ * @returns {Object} The tokens object with the access "token", the
+ * "refreshToken", the time the access token "expires" in milliseconds
+ * since the epoch and the "user" without their password.
+ * @private
+ */
+NodeApiAuth.prototype._issue = function (user) {
+	var now = new Date().getTime(),
+		userId = user[this._users.primaryKey()],
+		sessionId = crypto.randomBytes(16).toString('hex'),
+		expires = now + this._tokenLifetime;
+
+	// Clear out sessions that can no longer be refreshed
+	this._sessions.remove({expires: {$lt: now}});
+
+	this._sessions.insert({
+		_id: sessionId,
+		userId: userId,
+		expires: now + this._refreshLifetime
+	});
+
+	return {
+		token: this.sign({typ: 'access', sub: userId, sid: sessionId, exp: expires}),
+		refreshToken: this.sign({typ: 'refresh', sub: userId, sid: sessionId, exp: now + this._refreshLifetime}),
+		expires: expires,
+		user: this.publicUser(user)
+	};
+};
+
+/**
+ * Gets a hash to check passwords against when a login is for a user
+ * that doesn't exist.
+ * @returns {String}
+ * @private
+ */
+NodeApiAuth.prototype._unknownUserHash = function () {
+	this._unknownHash = this._unknownHash || 'pbkdf2$' + this._iterations + '$' + crypto.randomBytes(16).toString('hex') + '$' + crypto.randomBytes(32).toString('hex');
+
+	return this._unknownHash;
+};
+
+/**
+ * Generates the HMAC signature of token data.
+ * @param {String} data The token data.
+ * @returns {Buffer}
+ * @private
+ */
+NodeApiAuth.prototype._hmac = function (data) {
+	return crypto.createHmac('sha256', this._secret).update(data).digest();
+};
+
+/**
+ * Encodes a buffer as URL safe base64 without padding.
+ * @param {Buffer} buffer The buffer.
+ * @returns {String}
+ * @private
+ */
+NodeApiAuth.prototype._base64Url = function (buffer) {
+	return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+// Tell ForerunnerDB that our module has finished loading
+Shared.finishModule('NodeApiAuth');
+module.exports = NodeApiAuth;
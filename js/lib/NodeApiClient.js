@@ -1,8 +1,9 @@
 "use strict";
 
-// Tell JSHint about EventSource
+// Tell JSHint about EventSource and WebSocket
 /*global
-	EventSource
+	EventSource,
+	WebSocket
 */
 
 // Import external names locally
@@ -24,8 +25,14 @@ NodeApiClient = function () {
 NodeApiClient.prototype.init = function (core) {
 	var self = this;
 	self._core = core;
+	self._subscriptions = {};
+	self._socketRequests = {};
+	self._socketQueue = [];
+	self._socketCounter = 0;
 
 	self.rootPath('/fdb');
+	self.transport('eventSource');
+	self.reconnectInterval(1000);
 };
 
 Shared.addModule('NodeApiClient', NodeApiClient);
@@ -40,6 +47,26 @@ Overload = Shared.overload;
 
 Shared.synthesize(NodeApiClient.prototype, 'rootPath');
 
+/**
+ * Gets / sets the transport used to talk to the server. Set to
+ * "eventSource" (the default) to sync via server-sent events and make
+ * requests via http, or "webSocket" to sync and make requests over a
+ * single WebSocket connection. The server must be started with the
+ * webSocket option to use the "webSocket" transport.
+ * @param {String=} val The name of the transport.
+ * @returns {*}
+ */
+Shared.synthesize(NodeApiClient.prototype, 'transport');
+
+/**
+ * Gets / sets the number of milliseconds to wait before reconnecting
+ * when a WebSocket connection with active syncs is lost. Defaults to
+ * 1000.
+ * @param {Number=} val The number of milliseconds.
+ * @returns {*}
+ */
+Shared.synthesize(NodeApiClient.prototype, 'reconnectInterval');
+
 /**
  * Set the url of the server to use for API.
  * @name server
@@ -77,7 +104,60 @@ NodeApiClient.prototype.server = function (host, port) {
 	}
 };
 
+/**
+ * Sends an http request to the server. When logged in the access token
+ * is sent in the Authorization header, refreshing it first if it is
+ * about to expire, and a request the server answers with a 401 is sent
+ * again once with a refreshed token.
+ * @param {String} method The request method e.g. "GET".
+ * @param {String} url The full url.
+ * @param {*} data The data to send.
+ * @param {Object=} options An options object. Set $auth to false to
+ * send the request without the access token.
+ * @param {Function} callback The method to call with (err, data).
+ * @returns {*}
+ */
 NodeApiClient.prototype.http = function (method, url, data, options, callback) {
+	var self = this;
+
+	if (!this._credentials || (options && options.$auth === false)) {
+		return this._http(method, url, data, undefined, callback);
+	}
+
+	this._withToken(function () {
+		if (!self._credentials) {
+			return self._http(method, url, data, undefined, callback);
+		}
+
+		self._http(method, url, data, self._credentials.token, function (err, result) {
+			if (err === 401 && self._credentials) {
+				return self.refresh(function (refreshErr) {
+					if (refreshErr) {
+						return callback(err, result);
+					}
+
+					self._http(method, url, data, self._credentials.token, callback);
+				});
+			}
+
+			callback(err, result);
+		});
+	});
+
+	return this;
+};
+
+/**
+ * Sends an http request to the server via XMLHttpRequest.
+ * @param {String} method The request method e.g. "GET".
+ * @param {String} url The full url.
+ * @param {*} data The data to send.
+ * @param {String=} token The access token to send.
+ * @param {Function} callback The method to call with (err, data).
+ * @returns {*}
+ * @private
+ */
+NodeApiClient.prototype._http = function (method, url, data, token, callback) {
 	var self = this,
 		finalUrl,
 		sessionData,
@@ -145,11 +225,33 @@ NodeApiClient.prototype.http = function (method, url, data, options, callback) {
 
 	xmlHttp.open(method, finalUrl, true);
 	xmlHttp.setRequestHeader("Content-Type", "application/json;charset=UTF-8");
+
+	if (token) {
+		xmlHttp.setRequestHeader("Authorization", "Bearer " + token);
+	}
+
 	xmlHttp.send(bodyData);
 
 	return this;
 };
 
+/**
+ * Sends a request to the server using the current transport.
+ * @param {String} method The request method e.g. "GET".
+ * @param {String} path The path after the rootPath.
+ * @param {*} data The data to send.
+ * @param {Object} options An options object.
+ * @param {Function} callback The method to call with the response.
+ * @private
+ */
+NodeApiClient.prototype._request = function (method, path, data, options, callback) {
+	if (this._transport === 'webSocket') {
+		return this._socketRequest(method, path, data, callback);
+	}
+
+	return this.http(method, this.server() + this._rootPath + path, data, options, callback);
+};
+
 // Define HTTP helper methods
 NodeApiClient.prototype.head = new Overload({
 	'string, function': function (path, callback) {
@@ -165,7 +267,7 @@ NodeApiClient.prototype.head = new Overload({
 	},
 
 	'$main': function (path, data, options, callback) {
-		return this.http('HEAD', this.server() + this._rootPath + path, data, options, callback);
+		return this._request('HEAD', path, data, options, callback);
 	}
 });
 
@@ -183,7 +285,7 @@ NodeApiClient.prototype.get = new Overload({
 	},
 
 	'$main': function (path, data, options, callback) {
-		return this.http('GET', this.server() + this._rootPath + path, data, options, callback);
+		return this._request('GET', path, data, options, callback);
 	}
 });
 
@@ -201,7 +303,7 @@ NodeApiClient.prototype.put = new Overload({
 	},
 
 	'$main': function (path, data, options, callback) {
-		return this.http('PUT', this.server() + this._rootPath + path, data, options, callback);
+		return this._request('PUT', path, data, options, callback);
 	}
 });
 
@@ -219,7 +321,7 @@ NodeApiClient.prototype.post = new Overload({
 	},
 
 	'$main': function (path, data, options, callback) {
-		return this.http('POST', this.server() + this._rootPath + path, data, options, callback);
+		return this._request('POST', path, data, options, callback);
 	}
 });
 
@@ -237,7 +339,7 @@ NodeApiClient.prototype.patch = new Overload({
 	},
 
 	'$main': function (path, data, options, callback) {
-		return this.http('PATCH', this.server() + this._rootPath + path, data, options, callback);
+		return this._request('PATCH', path, data, options, callback);
 	}
 });
 
@@ -249,13 +351,13 @@ NodeApiClient.prototype.postPatch = function (path, id, data, options, callback)
 		if (err) {
 			if (err === 404) {
 				// Item does not exist, run post
-				return self.http('POST', self.server() + self._rootPath + path, data, options, callback);
+				return self._request('POST', path, data, options, callback);
 			} else {
 				callback(err, data);
 			}
 		} else {
 			// Item already exists, run patch
-			return self.http('PATCH', self.server() + self._rootPath + path + '/' + id, data, options, callback);
+			return self._request('PATCH', path + '/' + id, data, options, callback);
 		}
 	});
 };
@@ -274,7 +376,7 @@ NodeApiClient.prototype.delete = new Overload({
 	},
 
 	'$main': function (path, data, options, callback) {
-		return this.http('DELETE', this.server() + this._rootPath + path, data, options, callback);
+		return this._request('DELETE', path, data, options, callback);
 	}
 });
 
@@ -298,6 +400,159 @@ NodeApiClient.prototype.session = function (key, obj) {
 	return this._sessionData;
 };
 
+/**
+ * Logs in to a server that has authentication enabled. The tokens the
+ * server sends back are used for all further requests and syncs.
+ * @param {String} username The username.
+ * @param {String} password The password.
+ * @param {Function=} callback The method to call with (err, user).
+ * @returns {*}
+ */
+NodeApiClient.prototype.login = function (username, password, callback) {
+	var self = this;
+
+	this.http('POST', this.server() + this._rootPath + '/_auth/login', {username: username, password: password}, {$auth: false}, function (err, data) {
+		if (!err) {
+			self.credentials(data);
+		}
+
+		if (callback) {
+			callback(err, err ? data : data.user);
+		}
+	});
+
+	return this;
+};
+
+/**
+ * Logs out, ending the session on the server and forgetting the
+ * tokens.
+ * @param {Function=} callback The method to call with (err).
+ * @returns {*}
+ */
+NodeApiClient.prototype.logout = function (callback) {
+	var credentials = this._credentials;
+
+	this.credentials(null);
+
+	if (!credentials) {
+		if (callback) {
+			callback(false);
+		}
+
+		return this;
+	}
+
+	this.http('POST', this.server() + this._rootPath + '/_auth/logout', {refreshToken: credentials.refreshToken}, {$auth: false}, function (err) {
+		if (callback) {
+			callback(err);
+		}
+	});
+
+	return this;
+};
+
+/**
+ * Swaps the refresh token for new tokens. Called automatically before
+ * requests when the access token is about to expire. If the server
+ * refuses the refresh token the client is logged out.
+ * @param {Function=} callback The method to call with (err).
+ * @returns {*}
+ */
+NodeApiClient.prototype.refresh = function (callback) {
+	var self = this;
+
+	if (!this._credentials) {
+		if (callback) {
+			callback('Not logged in');
+		}
+
+		return this;
+	}
+
+	// Requests made while a refresh is in progress wait for it
+	if (this._refreshCallbacks) {
+		this._refreshCallbacks.push(callback);
+		return this;
+	}
+
+	this._refreshCallbacks = [callback];
+
+	this.http('POST', this.server() + this._rootPath + '/_auth/refresh', {refreshToken: this._credentials.refreshToken}, {$auth: false}, function (err, data) {
+		var callbacks = self._refreshCallbacks,
+			i;
+
+		delete self._refreshCallbacks;
+
+		if (!err) {
+			self.credentials(data);
+		} else if (err === 401) {
+			// The session has ended on the server
+			self.credentials(null);
+		}
+
+		for (i = 0; i < callbacks.length; i++) {
+			if (callbacks[i]) {
+				callbacks[i](err);
+			}
+		}
+	});
+
+	return this;
+};
+
+/**
+ * Gets / sets the tokens from the last login or refresh. Store them
+ * (when the "credentials" event fires) and set them again on page load
+ * to stay logged in. Set to null to forget them without logging out.
+ * @param {Object=} val The tokens object with "token", "refreshToken",
+ * "expires" and "user".
+ * @returns {*}
+ */
+NodeApiClient.prototype.credentials = function (val) {
+	if (val !== undefined) {
+		this._credentials = val || undefined;
+		this.emit('credentials', this._credentials);
+
+		return this;
+	}
+
+	return this._credentials;
+};
+
+/**
+ * Gets the logged in user.
+ * @returns {Object|undefined}
+ */
+NodeApiClient.prototype.user = function () {
+	return this._credentials ? this._credentials.user : undefined;
+};
+
+/**
+ * Calls back once the access token is usable, refreshing it first if it
+ * expires in the next ten seconds.
+ * @param {Function} callback The method to call.
+ * @private
+ */
+NodeApiClient.prototype._withToken = function (callback) {
+	if (!this._credentials || this._credentials.expires - new Date().getTime() > 10000) {
+		return callback();
+	}
+
+	this.refresh(function () {
+		callback();
+	});
+};
+
+/**
+ * Gets the headers that send the access token with a WebSocket message.
+ * @returns {Object|undefined}
+ * @private
+ */
+NodeApiClient.prototype._authHeaders = function () {
+	return this._credentials ? {Authorization: 'Bearer ' + this._credentials.token} : undefined;
+};
+
 /**
  * Initiates a client connection to the API server.
  * @param collectionInstance
@@ -314,6 +569,10 @@ NodeApiClient.prototype.sync = function (collectionInstance, path, query, option
 		queryString = '',
 		connecting = true;
 
+	if (this._transport === 'webSocket') {
+		return this._socketSync(collectionInstance, path, query, options, callback);
+	}
+
 	if (this.debug()) {
 		console.log(this.logIdentifier() + ' Connecting to API server ' + this.server() + this._rootPath + path);
 	}
@@ -345,6 +604,18 @@ NodeApiClient.prototype.sync = function (collectionInstance, path, query, option
 		}
 
 		queryParams.$options = options;
+
+		// Parameters for views with bound parameters
+		if (options.$params !== undefined) {
+			queryParams.$params = options.$params;
+		}
+	}
+
+	// EventSource can't send headers so the access token goes in the
+	// query string
+	if (this._credentials) {
+		queryParams = queryParams || {};
+		queryParams.$token = this._credentials.token;
 	}
 
 	if (queryParams) {
@@ -360,7 +631,7 @@ NodeApiClient.prototype.sync = function (collectionInstance, path, query, option
 			// The connection is open, grab the initial data
 			self.get(path, queryParams, function (err, data) {
 				if (!err) {
-					collectionInstance.upsert(data);
+					self._syncEvent(collectionInstance, 'upsert', data);
 				}
 			});
 		}
@@ -379,18 +650,19 @@ NodeApiClient.prototype.sync = function (collectionInstance, path, query, option
 	}, false);
 
 	source.addEventListener('insert', function(e) {
-		var data = self.jParse(e.data);
-		collectionInstance.insert(data.dataSet);
+		self._syncEvent(collectionInstance, 'insert', self.jParse(e.data));
 	}, false);
 
 	source.addEventListener('update', function(e) {
-		var data = self.jParse(e.data);
-		collectionInstance.update(data.query, data.update);
+		self._syncEvent(collectionInstance, 'update', self.jParse(e.data));
 	}, false);
 
 	source.addEventListener('remove', function(e) {
-		var data = self.jParse(e.data);
-		collectionInstance.remove(data.query);
+		self._syncEvent(collectionInstance, 'remove', self.jParse(e.data));
+	}, false);
+
+	source.addEventListener('leave', function(e) {
+		self._syncEvent(collectionInstance, 'leave', self.jParse(e.data));
 	}, false);
 
 	if (callback) {
@@ -403,6 +675,411 @@ NodeApiClient.prototype.sync = function (collectionInstance, path, query, option
 	}
 };
 
+/**
+ * Applies a sync message received from the server to a collection.
+ * Collections that are replicating hand the message to their
+ * replicator instead.
+ * @param {Collection} collectionInstance The synced collection.
+ * @param {String} eventName The event name e.g. "insert", or "upsert"
+ * and "setData" for data loaded from the server.
+ * @param {Object} data The message data.
+ * @private
+ */
+NodeApiClient.prototype._syncEvent = function (collectionInstance, eventName, data) {
+	if (collectionInstance._replicator) {
+		return collectionInstance._replicator.applyRemote(eventName, data);
+	}
+
+	switch (eventName) {
+		case 'upsert':
+			collectionInstance.upsert(data);
+			break;
+
+		case 'setData':
+			collectionInstance.setData(data);
+			break;
+
+		case 'insert':
+			collectionInstance.insert(data.dataSet);
+			break;
+
+		case 'update':
+			collectionInstance.update(data.query, data.update);
+			break;
+
+		case 'remove':
+			collectionInstance.remove(data.query);
+			break;
+
+		case 'leave':
+			// The documents still exist on the server but no longer
+			// match the sync's query or fall outside its $limit
+			collectionInstance.remove(data.query);
+			collectionInstance.emit('syncLeave', data.dataSet);
+			break;
+	}
+};
+
+/**
+ * Syncs a collection over the WebSocket connection, opening the
+ * connection if it is not already open. All syncs share the one
+ * connection. If the connection drops it is re-opened and each sync
+ * is sent the messages it missed while disconnected.
+ * @param {Collection} collectionInstance The collection to sync into.
+ * @param {String} path The path of the object to sync from.
+ * @param {Object=} query A query object.
+ * @param {Object=} options An options object.
+ * @param {Function=} callback The method to call once the sync has
+ * been established (or failed).
+ * @private
+ */
+NodeApiClient.prototype._socketSync = function (collectionInstance, path, query, options, callback) {
+	var self = this,
+		id = ++this._socketCounter,
+		subscription;
+
+	if (options && options.$initialData === undefined) {
+		options.$initialData = true;
+	}
+
+	subscription = {
+		id: id,
+		collection: collectionInstance,
+		path: path,
+		query: query,
+		options: options,
+		callback: callback
+	};
+
+	this._subscriptions[id] = subscription;
+
+	collectionInstance.__apiConnection = {
+		close: function () {
+			self._socketUnsubscribe(id);
+		}
+	};
+
+	if (this._webSocket && this._webSocket.readyState === 1) {
+		this._withToken(function () {
+			self._socketSend(self._subscribeMessage(subscription));
+		});
+	} else {
+		// Subscriptions are sent when the connection opens
+		this._socketConnect();
+	}
+};
+
+/**
+ * Stops a WebSocket sync.
+ * @param {Number} id The sync subscription id.
+ * @private
+ */
+NodeApiClient.prototype._socketUnsubscribe = function (id) {
+	if (this._subscriptions[id]) {
+		delete this._subscriptions[id];
+
+		if (this._webSocket && this._webSocket.readyState === 1) {
+			this._socketSend({type: 'unsubscribe', id: id});
+		}
+	}
+};
+
+/**
+ * Sends a request over the WebSocket connection.
+ * @param {String} method The request method e.g. "GET".
+ * @param {String} path The path after the rootPath.
+ * @param {*} data The data to send.
+ * @param {Function} callback The method to call with the response.
+ * @private
+ */
+NodeApiClient.prototype._socketRequest = function (method, path, data, callback) {
+	var self = this,
+		id = ++this._socketCounter;
+
+	this._withToken(function () {
+		// Responses are only accepted from the connection the request
+		// was sent over, requests on a connection that closes fail
+		self._socketRequests[id] = {
+			callback: callback,
+			socket: self._socketConnect()
+		};
+
+		self._socketSend({
+			type: 'request',
+			id: id,
+			method: method,
+			path: path,
+			data: data,
+			headers: self._authHeaders()
+		});
+	});
+
+	return this;
+};
+
+/**
+ * Creates the subscribe message for a sync subscription. Includes the
+ * id of the last message the subscription received so the server can
+ * send any it missed.
+ * @param {Object} subscription The subscription.
+ * @returns {Object}
+ * @private
+ */
+NodeApiClient.prototype._subscribeMessage = function (subscription) {
+	return {
+		type: 'subscribe',
+		id: subscription.id,
+		path: subscription.path,
+		query: subscription.query,
+		options: subscription.options,
+		params: subscription.options ? subscription.options.$params : undefined,
+		lastMessageId: subscription.lastMessageId,
+		epoch: subscription.epoch,
+		headers: this._authHeaders()
+	};
+};
+
+/**
+ * Creates the query data of the request that gets a WebSocket sync
+ * subscription's initial data.
+ * @param {Object} subscription The sync subscription.
+ * @returns {Object}
+ * @private
+ */
+NodeApiClient.prototype._subscriptionQuery = function (subscription) {
+	return {
+		$query: subscription.query,
+		$options: subscription.options,
+		$params: subscription.options ? subscription.options.$params : undefined
+	};
+};
+
+/**
+ * Opens the WebSocket connection to the server if it is not already
+ * open or opening.
+ * @returns {WebSocket}
+ * @private
+ */
+NodeApiClient.prototype._socketConnect = function () {
+	var self = this,
+		socketUrl,
+		sessionData,
+		socket;
+
+	if (this._webSocket) {
+		return this._webSocket;
+	}
+
+	socketUrl = this.server().replace(/^http/, 'ws') + this._rootPath + '/_ws';
+
+	// Check for global auth
+	if (this._sessionData) {
+		sessionData = {};
+
+		if (this._sessionData.key) {
+			// Add the session data to the key specified
+			sessionData[this._sessionData.key] = this._sessionData.obj;
+		} else {
+			// Add the session data to the root query object
+			Shared.mixin(sessionData, this._sessionData.obj);
+		}
+
+		socketUrl += '?' + encodeURIComponent(this.jStringify(sessionData));
+	}
+
+	if (this.debug()) {
+		console.log(this.logIdentifier() + ' Connecting to socket server ' + socketUrl);
+	}
+
+	socket = new WebSocket(socketUrl);
+	this._webSocket = socket;
+	this._socketClosing = false;
+
+	socket.addEventListener('open', function () {
+		// Subscriptions send the access token so make sure it is current
+		self._withToken(function () {
+			var id;
+
+			if (socket.readyState !== 1) {
+				return;
+			}
+
+			// (Re)subscribe all syncs, subscriptions that have received
+			// messages before will be sent any they missed
+			for (id in self._subscriptions) {
+				if (self._subscriptions.hasOwnProperty(id)) {
+					socket.send(self.jStringify(self._subscribeMessage(self._subscriptions[id])));
+				}
+			}
+
+			// Send any requests made while the connection was opening
+			while (self._socketQueue.length) {
+				socket.send(self._socketQueue.shift());
+			}
+
+			self.emit('socketOpen');
+		});
+	});
+
+	socket.addEventListener('message', function (e) {
+		self._socketMessage(self.jParse(String(e.data)), socket);
+	});
+
+	socket.addEventListener('close', function () {
+		var requests = self._socketRequests,
+			request,
+			id;
+
+		if (self._webSocket === socket) {
+			delete self._webSocket;
+			self._socketQueue = [];
+		}
+
+		// Requests sent on this connection will never get a response
+		for (id in requests) {
+			if (requests.hasOwnProperty(id) && requests[id].socket === socket) {
+				request = requests[id];
+				delete requests[id];
+				request.callback('Connection closed');
+			}
+		}
+
+		self.emit('socketClose');
+
+		if (!self._socketClosing && Object.keys(self._subscriptions).length) {
+			setTimeout(function () {
+				if (!self._webSocket && !self._socketClosing) {
+					self._socketConnect();
+				}
+			}, self._reconnectInterval);
+		}
+	});
+
+	// Errors are followed by a close event which handles reconnection
+	socket.addEventListener('error', function (e) {
+		self.emit('socketError', e);
+	});
+
+	return socket;
+};
+
+/**
+ * Closes the WebSocket connection without reconnecting.
+ * @returns {Boolean} True if a connection existed, false if not.
+ */
+NodeApiClient.prototype.disconnect = function () {
+	if (this._webSocket) {
+		this._socketClosing = true;
+		this._webSocket.close();
+
+		return true;
+	}
+
+	return false;
+};
+
+/**
+ * Sends a message over the WebSocket connection, opening the connection
+ * if required. Messages sent before the connection is open are queued.
+ * @param {Object} msg The message.
+ * @private
+ */
+NodeApiClient.prototype._socketSend = function (msg) {
+	var socket = this._socketConnect(),
+		msgString = this.jStringify(msg);
+
+	if (socket.readyState === 1) {
+		socket.send(msgString);
+	} else {
+		this._socketQueue.push(msgString);
+	}
+};
+
+/**
+ * Handles a message received over the WebSocket connection.
+ * @param {Object} msg The message.
+ * @param {WebSocket} socket The connection the message arrived on.
+ * @private
+ */
+NodeApiClient.prototype._socketMessage = function (msg, socket) {
+	var self = this,
+		subscription = this._subscriptions[msg.id],
+		request;
+
+	switch (msg.type) {
+		case 'subscribed':
+			if (subscription && !subscription.connected) {
+				subscription.connected = true;
+				subscription.lastMessageId = msg.messageId;
+				subscription.epoch = msg.epoch;
+
+				if (!subscription.options || subscription.options.$initialData) {
+					// The sync is established, grab the initial data
+					this._socketRequest('GET', subscription.path, this._subscriptionQuery(subscription), function (err, data) {
+						if (!err) {
+							self._syncEvent(subscription.collection, 'upsert', data);
+						}
+					});
+				}
+
+				if (subscription.callback) {
+					subscription.callback(false);
+				}
+			}
+			break;
+
+		case 'event':
+			// Ignore any messages we have already applied
+			if (subscription && msg.messageId > subscription.lastMessageId) {
+				subscription.lastMessageId = msg.messageId;
+				this._syncEvent(subscription.collection, msg.event, msg.data);
+			}
+			break;
+
+		case 'resync':
+			if (subscription) {
+				subscription.lastMessageId = msg.messageId;
+				subscription.epoch = msg.epoch;
+
+				// We missed too many messages to catch up so reload the data
+				this._socketRequest('GET', subscription.path, this._subscriptionQuery(subscription), function (err, data) {
+					if (!err) {
+						self._syncEvent(subscription.collection, 'setData', data);
+					}
+				});
+			}
+			break;
+
+		case 'response':
+			request = this._socketRequests[msg.id];
+
+			if (request && request.socket === socket) {
+				delete this._socketRequests[msg.id];
+
+				if (msg.status === 200) {
+					request.callback(false, msg.data !== undefined ? msg.data : {});
+				} else if (msg.status === 204) {
+					request.callback(false, {});
+				} else {
+					request.callback(msg.status, msg.data);
+				}
+			}
+			break;
+
+		case 'error':
+			if (subscription) {
+				delete this._subscriptions[msg.id];
+
+				if (subscription.callback) {
+					subscription.callback(msg.err);
+				}
+			} else {
+				self.emit('socketError', msg.err);
+			}
+			break;
+	}
+};
+
 Collection.prototype.sync = new Overload({
 	/**
 	 * Sync with this collection on the server-side.
@@ -0,0 +1,485 @@
+"use strict";
+
+var Shared = require('./Shared'),
+	net = require('net'),
+	fs = require('fs'),
+	NodeApiPubSub,
+	MemoryPubSub,
+	SocketPubSub,
+	_channels = {};
+
+/**
+ * An in-process pub/sub adapter. Messages published by an adapter are
+ * delivered to every other adapter on the same channel in this process,
+ * which is useful when several ForerunnerDB instances share a process
+ * and for testing.
+ * @param {Object=} options The options object. Set "channel" to the
+ * name of the channel to use, defaults to "default".
+ * @constructor
+ */
+MemoryPubSub = function (options) {
+	this.init.apply(this, arguments);
+};
+
+/**
+ * Create the adapter and join its channel.
+ * @param {Object=} options The options object.
+ */
+MemoryPubSub.prototype.init = function (options) {
+	options = options || {};
+
+	this._channel = options.channel || 'default';
+	this._handlers = [];
+
+	_channels[this._channel] = _channels[this._channel] || [];
+	_channels[this._channel].push(this);
+};
+
+/**
+ * Sends a message to the other adapters on the channel. Messages are
+ * delivered asynchronously and in the order they were published.
+ * @param {String} message The message.
+ */
+MemoryPubSub.prototype.publish = function (message) {
+	var adapters = _channels[this._channel] || [],
+		i;
+
+	for (i = 0; i < adapters.length; i++) {
+		if (adapters[i] !== this) {
+			adapters[i]._deliver(message);
+		}
+	}
+};
+
+/**
+ * Adds a method to call with each message published by other adapters.
+ * @param {Function} handler The method to call with (message).
+ */
+MemoryPubSub.prototype.subscribe = function (handler) {
+	this._handlers.push(handler);
+};
+
+/**
+ * Leaves the channel, no more messages are sent or delivered.
+ */
+MemoryPubSub.prototype.close = function () {
+	var adapters = _channels[this._channel] || [],
+		index = adapters.indexOf(this);
+
+	if (index > -1) {
+		adapters.splice(index, 1);
+	}
+
+	this._handlers = [];
+};
+
+/**
+ * Passes a message to the adapter's handlers on the next tick.
+ * @param {String} message The message.
+ * @private
+ */
+MemoryPubSub.prototype._deliver = function (message) {
+	var handlers = this._handlers;
+
+	process.nextTick(function () {
+		var i;
+
+		for (i = 0; i < handlers.length; i++) {
+			handlers[i](message);
+		}
+	});
+};
+
+/**
+ * A pub/sub adapter that sends messages between processes on the same
+ * machine over a Unix domain socket (or a named pipe on Windows). The
+ * first process to start listens on the socket path and relays each
+ * message to the other processes that connect to it. If that process
+ * exits the others reconnect and one of them takes over, one process at
+ * a time holding a lock file at the socket path plus ".lock".
+ * @param {Object} options The options object. Set "path" to the socket
+ * path, every process must use the same one.
+ * @constructor
+ */
+SocketPubSub = function (options) {
+	this.init.apply(this, arguments);
+};
+
+/**
+ * Create the adapter and connect to (or start) the hub.
+ * @param {Object} options The options object.
+ */
+SocketPubSub.prototype.init = function (options) {
+	if (!options || !options.path) {
+		throw('The socket pub/sub adapter needs the "path" of the socket to use!');
+	}
+
+	this._path = options.path;
+	this._lockPath = options.path + '.lock';
+	this._handlers = [];
+	this._peers = [];
+	this._queue = [];
+
+	this._connect();
+};
+
+/**
+ * Sends a message to the other processes. Messages published while the
+ * adapter is (re)connecting are queued until it has connected.
+ * @param {String} message The message.
+ */
+SocketPubSub.prototype.publish = function (message) {
+	var i;
+
+	if (this._closed) {
+		return;
+	}
+
+	if (this._server) {
+		for (i = 0; i < this._peers.length; i++) {
+			this._peers[i].write(message + '\n');
+		}
+	} else if (this._socket && this._connected) {
+		this._socket.write(message + '\n');
+	} else {
+		this._queue.push(message);
+	}
+};
+
+/**
+ * Adds a method to call with each message published by other processes.
+ * @param {Function} handler The method to call with (message).
+ */
+SocketPubSub.prototype.subscribe = function (handler) {
+	this._handlers.push(handler);
+};
+
+/**
+ * Disconnects from the other processes. If this process is the hub it
+ * stops listening and the others elect a new one.
+ */
+SocketPubSub.prototype.close = function () {
+	var i;
+
+	this._closed = true;
+	this._handlers = [];
+	this._queue = [];
+
+	if (this._retryTimeout) {
+		clearTimeout(this._retryTimeout);
+		delete this._retryTimeout;
+	}
+
+	if (this._socket) {
+		this._socket.destroy();
+		delete this._socket;
+	}
+
+	if (this._server) {
+		for (i = 0; i < this._peers.length; i++) {
+			this._peers[i].destroy();
+		}
+
+		this._peers = [];
+		this._server.close();
+		delete this._server;
+	}
+};
+
+/**
+ * Connects to the hub, becoming the hub if there isn't one.
+ * @private
+ */
+SocketPubSub.prototype._connect = function () {
+	var self = this,
+		socket;
+
+	if (this._closed) {
+		return;
+	}
+
+	socket = net.connect(this._path);
+	this._socket = socket;
+	this._connected = false;
+
+	socket.on('connect', function () {
+		var queue = self._queue;
+
+		self._connected = true;
+		self._queue = [];
+
+		while (queue.length) {
+			socket.write(queue.shift() + '\n');
+		}
+	});
+
+	self._readLines(socket, function (message) {
+		self._deliver(message);
+	});
+
+	socket.on('error', function (err) {
+		if (!self._connected && !self._closed && self._socket === socket) {
+			delete self._socket;
+
+			// Nobody is listening so become the hub. A socket file that
+			// nobody is listening on was left behind by a hub that
+			// exited without closing it and is taken over under a lock
+			if (err.code === 'ECONNREFUSED') {
+				self._takeOver();
+			} else {
+				self._listen();
+			}
+		}
+	});
+
+	socket.on('close', function () {
+		// The hub went away, connect to (or become) the next one
+		if (self._connected && !self._closed && self._socket === socket) {
+			delete self._socket;
+			self._connect();
+		}
+	});
+};
+
+/**
+ * Becomes the hub in place of one that exited without removing its
+ * socket file. Only the process holding the lock file checks again
+ * that nobody is listening and removes the old socket file, the others
+ * wait and then connect to the new hub.
+ * @private
+ */
+SocketPubSub.prototype._takeOver = function () {
+	var self = this;
+
+	if (this._closed) {
+		return;
+	}
+
+	fs.open(this._lockPath, 'wx', function (err, fd) {
+		if (err) {
+			if (err.code !== 'EEXIST') {
+				return self._retry();
+			}
+
+			// A process that exited while holding the lock leaves it behind
+			return self._staleLock(function (stale) {
+				if (stale) {
+					return fs.unlink(self._lockPath, function () {
+						self._takeOver();
+					});
+				}
+
+				self._retry();
+			});
+		}
+
+		self._locked = true;
+
+		fs.write(fd, String(process.pid), function () {
+			fs.close(fd, function () {
+				var probe;
+
+				if (self._closed) {
+					return self._unlock();
+				}
+
+				// Another process may have taken over since we tried
+				probe = net.connect(self._path);
+
+				probe.on('connect', function () {
+					probe.destroy();
+					self._unlock();
+					self._connect();
+				});
+
+				probe.on('error', function (err) {
+					if (err.code === 'ECONNREFUSED') {
+						fs.unlink(self._path, function () {
+							self._listen();
+						});
+					} else {
+						self._listen();
+					}
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Checks if the lock file was left behind by a process that is no
+ * longer running.
+ * @param {Function} callback The method to call with (stale).
+ * @private
+ */
+SocketPubSub.prototype._staleLock = function (callback) {
+	fs.readFile(this._lockPath, 'utf8', function (err, data) {
+		var pid = parseInt(data, 10);
+
+		if (err || !pid) {
+			return callback(false);
+		}
+
+		try {
+			process.kill(pid, 0);
+		} catch (e) {
+			return callback(e.code === 'ESRCH');
+		}
+
+		callback(false);
+	});
+};
+
+/**
+ * Removes the lock file if this adapter holds it.
+ * @private
+ */
+SocketPubSub.prototype._unlock = function () {
+	if (this._locked) {
+		this._locked = false;
+		fs.unlink(this._lockPath, function () {});
+	}
+};
+
+/**
+ * Connects again after a short wait while another process takes over
+ * as the hub.
+ * @private
+ */
+SocketPubSub.prototype._retry = function () {
+	var self = this;
+
+	if (this._closed) {
+		return;
+	}
+
+	this._retryTimeout = setTimeout(function () {
+		delete self._retryTimeout;
+		self._connect();
+	}, 50);
+};
+
+/**
+ * Listens on the socket path and relays messages between the processes
+ * that connect to it.
+ * @private
+ */
+SocketPubSub.prototype._listen = function () {
+	var self = this,
+		server;
+
+	if (this._closed) {
+		return this._unlock();
+	}
+
+	server = net.createServer(function (peer) {
+		self._peers.push(peer);
+
+		self._readLines(peer, function (message) {
+			var i;
+
+			for (i = 0; i < self._peers.length; i++) {
+				if (self._peers[i] !== peer) {
+					self._peers[i].write(message + '\n');
+				}
+			}
+
+			self._deliver(message);
+		});
+
+		peer.on('error', function () {});
+		peer.on('close', function () {
+			var index = self._peers.indexOf(peer);
+
+			if (index > -1) {
+				self._peers.splice(index, 1);
+			}
+		});
+	});
+
+	server.on('error', function () {
+		// Another process became the hub first
+		if (self._server === server) {
+			delete self._server;
+		}
+
+		self._unlock();
+
+		if (!self._closed) {
+			self._connect();
+		}
+	});
+
+	server.listen(this._path, function () {
+		var queue = self._queue,
+			i;
+
+		self._unlock();
+		self._queue = [];
+
+		while (queue.length) {
+			for (i = 0; i < self._peers.length; i++) {
+				self._peers[i].write(queue[0] + '\n');
+			}
+
+			queue.shift();
+		}
+	});
+
+	this._server = server;
+};
+
+/**
+ * Calls a method with each newline delimited message read from a socket.
+ * @param {Object} socket The socket.
+ * @param {Function} callback The method to call with (message).
+ * @private
+ */
+SocketPubSub.prototype._readLines = function (socket, callback) {
+	var buffer = '';
+
+	socket.setEncoding('utf8');
+	socket.on('data', function (chunk) {
+		var lines = (buffer + chunk).split('\n'),
+			i;
+
+		buffer = lines.pop();
+
+		for (i = 0; i < lines.length; i++) {
+			if (lines[i]) {
+				callback(lines[i]);
+			}
+		}
+	});
+};
+
+/**
+ * Passes a message to the adapter's handlers.
+ * @param {String} message The message.
+ * @private
+ */
+SocketPubSub.prototype._deliver = function (message) {
+	var i;
+
+	for (i = 0; i < this._handlers.length; i++) {
+		this._handlers[i](message);
+	}
+};
+
+/**
+ * The pub/sub adapters NodeApiServer.pubsub() can create by name. An
+ * adapter is any object with publish(message), subscribe(handler) and
+ * close() methods where messages are strings.
+ * @type {Object}
+ */
+NodeApiPubSub = {
+	memory: MemoryPubSub,
+	socket: SocketPubSub
+};
+
+// Tell ForerunnerDB about our new module
+Shared.addModule('NodeApiPubSub', NodeApiPubSub);
+
+// Tell ForerunnerDB that our module has finished loading
+Shared.finishModule('NodeApiPubSub');
+module.exports = NodeApiPubSub;
@@ -14,16 +14,33 @@ var Shared = require('./Shared'),
 	https = require('https'),
 	url = require('url'),
 	pem = require('pem'),
+	Checksum = require('./Checksum.js'),
+	NodeApiAuth = require('./NodeApiAuth.js'),
+	NodeApiPubSub = require('./NodeApiPubSub.js'),
 	app = express(),
 	server,
+	socketServer,
+	WebSocket,
 	Core,
 	CoreInit,
+	CoreDb,
 	Db,
 	NodeApiServer,
 	ReactorIO,
+	Path,
+	Schema,
 	Overload,
 	_access = {},
 	_accessOrder = [],
+	_rules = [],
+	_bindings = {},
+	_boundViews = {},
+	_limits = {},
+	_jsonParser,
+	_rateClients = {},
+	_rateSweep = 0,
+	_audit,
+	_auth,
 	_io = {};
 
 NodeApiServer = function () {
@@ -41,17 +58,22 @@ NodeApiServer.prototype.init = function (core) {
 
 	this.name('ApiServer');
 	this.rootPath('/fdb');
+	this.syncHistorySize(100);
 };
 
 Shared.addModule('NodeApiServer', NodeApiServer);
 Shared.mixin(NodeApiServer.prototype, 'Mixin.Common');
 Shared.mixin(NodeApiServer.prototype, 'Mixin.Events');
 Shared.mixin(NodeApiServer.prototype, 'Mixin.ChainReactor');
+Shared.mixin(NodeApiServer.prototype, 'Mixin.Sorting');
 
 Core = Shared.modules.Core;
 CoreInit = Core.prototype.init;
+CoreDb = Core.prototype.db;
 Db = Shared.modules.Db;
 ReactorIO = Shared.modules.ReactorIO;
+Path = Shared.modules.Path;
+Schema = Shared.modules.Schema;
 Overload = Shared.overload;
 
 Shared.synthesize(NodeApiServer.prototype, 'name');
@@ -70,13 +92,29 @@ Shared.synthesize(NodeApiServer.prototype, 'rootPath', function (val) {
 	return this.$super.call(this, val);
 });
 
+/**
+ * Gets / sets the number of sync messages kept for each synced object
+ * so that WebSocket clients that reconnect can be sent the messages
+ * they missed. Defaults to 100.
+ * @param {Number=} val The number of messages to keep.
+ * @returns {*}
+ */
+Shared.synthesize(NodeApiServer.prototype, 'syncHistorySize');
+
 /**
  * Starts the rest server listening for requests against the ip and
  * port number specified.
  * @param {String} host The IP address to listen on, set to 0.0.0.0 to
  * listen on all interfaces.
  * @param {String} port The port to listen on.
- * @param {Object} options An options object.
+ * @param {Object} options An options object. Set "rateLimit" to
+ * {max, window, key} to allow each client at most "max" requests per
+ * "window" milliseconds (defaults to 60000), identifying clients with
+ * the optional "key" function (req) instead of by IP address. Set
+ * "maxBodySize" to the largest request body to accept in bytes or as a
+ * string like "1mb" (defaults to "100kb") and "maxQuerySize" to the
+ * longest query string to accept. Set "webSocket" to true to also accept
+ * WebSocket connections, this needs the optional "ws" module.
  * @param {Function=} callback The method to call when the server has
  * started (or failed to start).
  * @returns {NodeApiServer}
@@ -86,6 +124,16 @@ NodeApiServer.prototype.start = function (host, port, options, callback) {
 
 	// Start listener
 	if (!server) {
+		// The ws module is an optional dependency that is only loaded
+		// when the WebSocket server is used
+		if (options && options.webSocket && !WebSocket) {
+			try {
+				WebSocket = require('ws');
+			} catch (e) {
+				throw('Cannot start the WebSocket server, the "ws" module is not installed!');
+			}
+		}
+
 		this._startData = {
 			host: host,
 			port: port,
@@ -101,14 +149,40 @@ NodeApiServer.prototype.start = function (host, port, options, callback) {
 			app.options('*', cors({origin: true}));
 		}
 
-		// Parse body in requests
-		app.use(bodyParser.json());
+		_limits = {
+			rate: options && options.rateLimit,
+			body: options && options.maxBodySize !== undefined ? options.maxBodySize : '100kb',
+			query: options && options.maxQuerySize
+		};
+
+		_jsonParser = bodyParser.json({limit: _limits.body});
+
+		// Apply rate and size limits
+		app.use(this._rootPath, function (req, res, next) {
+			self._limitRequest(req, res, next);
+		});
+
+		// Parse body in requests, using the body size limit the server
+		// was last started with
+		app.use(function (req, res, next) {
+			_jsonParser(req, res, next);
+		});
+
+		app.use(function (err, req, res, next) {
+			if (err && err.type === 'entity.too.large') {
+				return res.status(413).send('Request body too large');
+			}
+
+			next(err);
+		});
 
 		// Parse JSON as a query parameter
 		app.use(function (req, res, next) {
 			var query,
 				jsonData,
-				urlObj = url.parse(req.url);
+				jsonParams = ['$query', '$options', '$params', '$args'],
+				urlObj = url.parse(req.url),
+				i;
 
 			req.json = req.json || {};
 
@@ -124,6 +198,18 @@ NodeApiServer.prototype.start = function (host, port, options, callback) {
 				} catch (e) {
 					// Check for normal query params
 					if (req.query && Object.keys(req.query).length > 0) {
+						// These params hold JSON
+						try {
+							for (i = 0; i < jsonParams.length; i++) {
+								if (typeof req.query[jsonParams[i]] === 'string') {
+									req.json[jsonParams[i]] = JSON.parse(req.query[jsonParams[i]]);
+								}
+							}
+						} catch (err) {
+							res.status(500).send('Error parsing query string ' + query + ' ' + err);
+							return;
+						}
+
 						return next();
 					} else {
 						res.status(500).send('Error parsing query string ' + query + ' ' + e);
@@ -135,6 +221,17 @@ NodeApiServer.prototype.start = function (host, port, options, callback) {
 			return next();
 		});
 
+		// Identify the user making the request from their token
+		app.use(this._rootPath, function (req, res, next) {
+			var err = self._authenticate(req);
+
+			if (err) {
+				return res.status(401).send(err);
+			}
+
+			next();
+		});
+
 		// Activate routes
 		this._defineRoutes();
 
@@ -142,6 +239,10 @@ NodeApiServer.prototype.start = function (host, port, options, callback) {
 			if (!err) {
 				server = httpServer.listen(port, host, function (err) {
 					if (!err) {
+						if (options && options.webSocket) {
+							self._startSocketServer(server);
+						}
+
 						if (options && options.ssl && options.ssl.enable) {
 							console.log('ForerunnerDB REST API listening at https://%s:%s/fdb', host, port);
 						} else {
@@ -289,6 +390,17 @@ NodeApiServer.prototype._generateSelfCertHttpsServer = function (callback) {
  */
 NodeApiServer.prototype.stop = function () {
 	if (server) {
+		if (socketServer) {
+			// Close any open sockets, otherwise the http server
+			// will not stop listening until they disconnect
+			socketServer.clients.forEach(function (socket) {
+				socket.terminate();
+			});
+
+			socketServer.close();
+			socketServer = undefined;
+		}
+
 		server.close();
 		server = undefined;
 
@@ -315,6 +427,15 @@ NodeApiServer.prototype.handleRequest = function (req, res) {
 		options,
 		db,
 		obj,
+		rules,
+		write,
+		body,
+		hidden,
+		bound,
+		capture,
+		record,
+		whenReady,
+		status,
 		urlPath,
 		pathSections;
 
@@ -357,6 +478,87 @@ NodeApiServer.prototype.handleRequest = function (req, res) {
 					}
 				}
 
+				// Apply any document and field rules for the request
+				rules = self._requestRules(dbName, objType, objName, method, req);
+				write = self._ruleWrite(rules, obj, method, objId, req.body);
+
+				if (write.err) {
+					return res.status(403).send(write.err);
+				}
+
+				body = write.body;
+
+				hidden = self._ruleQueryHiddenField(rules, query, options);
+
+				if (hidden) {
+					return res.status(403).send('Cannot query hidden field: ' + hidden);
+				}
+
+				// Views with bound parameters are read from a view of their own
+				if (objType === 'view' && (method === 'GET' || method === 'HEAD')) {
+					bound = self._boundView(dbName, objName, req);
+
+					if (bound.err) {
+						return res.status(400).send(bound.err);
+					}
+
+					if (bound.view) {
+						obj = bound.view;
+					}
+				}
+
+				// Record the changes the request's write makes in the audit log
+				if (method === 'POST' || method === 'PUT' || method === 'PATCH' || method === 'DELETE') {
+					capture = self._auditStart(req, method);
+					self._auditWatch(capture, obj, dbName, objType, objName);
+				}
+
+				record = function (fn) {
+					var result = self._auditRecord(capture, fn);
+
+					self._auditEnd(capture);
+
+					return result;
+				};
+
+				// Calls fn once the object has finished processing its async
+				// queue so the request sees the data the queue is writing
+				whenReady = function (fn) {
+					var run = function () {
+						// Refuse to write to a document that has changed since
+						// the client read it when the request has an If-Match
+						// header, checked here so nothing can change it before
+						// the write is made
+						if (objId !== undefined && (method === 'PUT' || method === 'PATCH' || method === 'DELETE')) {
+							status = self._conditional(req, function () {
+								return self._docETag(rules, obj, objId);
+							});
+
+							if (status) {
+								return res.sendStatus(status);
+							}
+						}
+
+						fn();
+					};
+
+					if (obj.isProcessingQueue && obj.isProcessingQueue()) {
+						if (db.debug()) {
+							console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
+						}
+
+						obj.once('ready', function () {
+							if (db.debug()) {
+								console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
+							}
+
+							run();
+						});
+					} else {
+						run();
+					}
+				};
+
 				// Get url path
 				urlPath = url.parse(req.url).pathname;
 
@@ -374,114 +576,51 @@ NodeApiServer.prototype.handleRequest = function (req, res) {
 				switch (method) {
 					case 'HEAD':
 					case 'GET':
-						if (obj.isProcessingQueue && obj.isProcessingQueue()) {
-							if (db.debug()) {
-								console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
-							}
-
-							obj.once('ready', function () {
-								if (db.debug()) {
-									console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
-								}
-								self._handleResponse(req, res, dbName, objType, objName, obj, pathSections, obj.find(query, options));
-							});
-						} else {
-							self._handleResponse(req, res, dbName, objType, objName, obj, pathSections, obj.find(query, options));
-						}
+						whenReady(function () {
+							self._handleGet(req, res, dbName, objType, objName, obj, pathSections, query, options, rules);
+						});
 						break;
 
 					case 'POST':
-						if (obj.isProcessingQueue && obj.isProcessingQueue()) {
-							if (db.debug()) {
-								console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
-							}
-
-							obj.once('ready', function () {
-								if (db.debug()) {
-									console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
-								}
-
-								obj.insert(req.body, function (result) {
-									res.send(result);
+						whenReady(function () {
+							record(function () {
+								obj.insert(body, function (result) {
+									res.send(self._ruleInsertOutput(rules, result));
 								});
 							});
-						} else {
-							obj.insert(req.body, function (result) {
-								res.send(result);
-							});
-						}
+						});
 						break;
 
 					case 'PUT':
-						if (obj.isProcessingQueue && obj.isProcessingQueue()) {
-							if (db.debug()) {
-								console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
-							}
-
-							obj.once('ready', function () {
-								if (db.debug()) {
-									console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
-								}
-
-								res.send(obj.updateById(objId, {$replace: req.body}));
-							});
-						} else {
-							res.send(obj.updateById(objId, {$replace: req.body}));
-						}
+						whenReady(function () {
+							self._sendUpdate(res, rules, obj, objId, record(function () {
+								return self._ruleUpdateById(rules, obj, objId, {$replace: body});
+							}));
+						});
 						break;
 
 					case 'PATCH':
-						if (obj.isProcessingQueue && obj.isProcessingQueue()) {
-							if (db.debug()) {
-								console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
-							}
-
-							obj.once('ready', function () {
-								if (db.debug()) {
-									console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
-								}
-
-								res.send(obj.updateById(objId, req.body));
-							});
-						} else {
-							res.send(obj.updateById(objId, req.body));
-						}
+						whenReady(function () {
+							self._sendUpdate(res, rules, obj, objId, record(function () {
+								return self._ruleUpdateById(rules, obj, objId, body);
+							}));
+						});
 						break;
 
 					case 'DELETE':
-						if (!objId) {
-							// Remove all
-							if (obj.isProcessingQueue && obj.isProcessingQueue()) {
-								if (db.debug()) {
-									console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
-								}
-
-								obj.once('ready', function () {
-									if (db.debug()) {
-										console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
-									}
-									res.send(obj.remove(query, options));
-								});
-							} else {
-								res.send(obj.remove(query, options));
-							}
-						} else {
-							// Remove one
-							if (obj.isProcessingQueue && obj.isProcessingQueue()) {
-								if (db.debug()) {
-									console.log(db.logIdentifier() + ' Waiting for async queue: ' + objName);
-								}
-
-								obj.once('ready', function () {
-									if (db.debug()) {
-										console.log(db.logIdentifier() + ' Async queue complete: ' + objName);
-									}
-									res.send(obj.removeById(objId, options));
-								});
+						whenReady(function () {
+							if (!objId) {
+								// Remove all
+								res.send(self._ruleOutput(rules, record(function () {
+									return obj.remove(self._ruleQuery(rules, query), options);
+								})));
 							} else {
-								res.send(obj.removeById(objId, options));
+								// Remove one
+								res.send(record(function () {
+									return self._ruleRemoveById(rules, obj, objId, options);
+								}));
 							}
-						}
+						});
 						break;
 
 					default:
@@ -489,6 +628,10 @@ NodeApiServer.prototype.handleRequest = function (req, res) {
 						break;
 				}
 
+				if (bound && bound.view) {
+					self._releaseBoundView(dbName, bound.name);
+				}
+
 				if (self.debug && self.debug()) {
 					console.log(self.logIdentifier() + ' REST call finished: ' + method + ' ' + req.url);
 				}
@@ -509,6 +652,31 @@ NodeApiServer.prototype.handleRequest = function (req, res) {
 	});
 };
 
+/**
+ * Handles a GET or HEAD request for an object's documents, sending a
+ * page of them if the request has pagination parameters.
+ * @param {Object} req The request.
+ * @param {Object} res The response.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @param {Object} obj The object.
+ * @param {Array} pathSections The url path sections after the object name.
+ * @param {Object=} query The query.
+ * @param {Object=} options The query options.
+ * @param {Object=} rules The rules from _requestRules().
+ * @private
+ */
+NodeApiServer.prototype._handleGet = function (req, res, dbName, objType, objName, obj, pathSections, query, options, rules) {
+	var page = !pathSections.length && req.method === 'GET' ? this._pageParams(req) : undefined;
+
+	if (page) {
+		return this._sendPage(req, res, obj, query, options, rules, page);
+	}
+
+	this._handleResponse(req, res, dbName, objType, objName, obj, pathSections, this._ruleOutput(rules, obj.find(this._ruleQuery(rules, query), options)));
+};
+
 NodeApiServer.prototype._handleResponse = function (req, res, dbName, objType, objName, obj, pathSections, responseData) {
 	var self = this,
 		pathSection,
@@ -551,304 +719,4549 @@ NodeApiServer.prototype._handleResponse = function (req, res, dbName, objType, o
 	}
 };
 
-NodeApiServer.prototype._sendResponse = function (req, res, data) {
-	var statusCode = data !== undefined ? 200 : 404;
+/**
+ * Reads the pagination parameters of a GET request. Parameters can be
+ * passed in the JSON query string or as normal query parameters:
+ * $limit and $skip, $cursor (a next or prev token from a previous
+ * page), $meta (send the page as {data, total, next, prev} instead of
+ * an array) and $format set to "ndjson" (or an Accept header of
+ * "application/x-ndjson") to stream the results as newline delimited
+ * JSON.
+ * @param {Object} req The request.
+ * @returns {Object|undefined} The parameters or undefined if the
+ * request does not ask for pagination.
+ * @private
+ */
+NodeApiServer.prototype._pageParams = function (req) {
+	var params = {},
+		accept = req.headers && req.headers.accept ? String(req.headers.accept) : '',
+		page,
+		key;
+
+	// Express also parses JSON query strings into req.query so only
+	// take the parameters we are looking for from it
+	for (key in req.query) {
+		if (req.query.hasOwnProperty(key) && key.charAt(0) === '$') {
+			params[key] = req.query[key];
+		}
+	}
 
-	switch (req.method) {
-		case 'HEAD':
-			// Only send status codes - head is a unique case in that a
-			// blank data string means we should send 204 (no content)
-			// not 200, and if undefined we can still send 404
-			if (data !== undefined) {
-				res.sendStatus(204);
-			} else {
-				res.sendStatus(404);
-			}
-			break;
+	if (req.json) {
+		Shared.mixin(params, req.json);
+	}
 
-		case 'GET':
-			// Send status code and data
-			res.status(statusCode).send(data);
-			break;
+	page = {
+		limit: params.$limit !== undefined ? parseInt(params.$limit, 10) : undefined,
+		skip: params.$skip !== undefined ? parseInt(params.$skip, 10) : 0,
+		cursor: params.$cursor,
+		meta: params.$meta === true || params.$meta === 'true',
+		ndjson: params.$format === 'ndjson' || accept.indexOf('application/x-ndjson') > -1,
+		params: params
+	};
+
+	if (page.limit === undefined && !page.skip && page.cursor === undefined && !page.meta && !page.ndjson) {
+		return;
+	}
 
-		default:
-			res.send(data);
-			break;
+	if ((page.limit !== undefined && (isNaN(page.limit) || page.limit < 0)) || isNaN(page.skip) || page.skip < 0) {
+		page.err = '$limit and $skip must be positive numbers';
 	}
+
+	return page;
 };
 
 /**
- * Handles client requests to open an EventSource connection to our
- * server-sent events server.
- * @param req
- * @param res
+ * Sends a page of results for a GET request. Results are ordered by
+ * the request's $orderBy option and then the primary key so the order
+ * is always the same. The next and prev tokens hold the sort values of
+ * the last and first documents on the page so pages stay stable when
+ * documents are inserted before them. Ordering by a field the rules
+ * hide is refused since the tokens would hold its values. The total number of results is
+ * sent in the X-Total-Count header and links to the next and previous
+ * pages in the Link header.
+ * @param {Object} req The request.
+ * @param {Object} res The response.
+ * @param {Object} obj The object being queried.
+ * @param {Object=} query The query.
+ * @param {Object=} options The query options.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} page The pagination parameters from _pageParams().
+ * @private
  */
-NodeApiServer.prototype.handleSyncRequest = function (req, res) {
-	var self = this,
-		dbName = req.params.dbName,
-		objType = req.params.objType,
-		objName = req.params.objName,
-		db,
-		obj;
+NodeApiServer.prototype._sendPage = function (req, res, obj, query, options, rules, page) {
+	var pk = obj.primaryKey ? obj.primaryKey() : '_id',
+		orderBy,
+		hidden,
+		results,
+		cursor,
+		total,
+		start,
+		end,
+		data,
+		next,
+		prev,
+		links = [];
+
+	if (page.err) {
+		return res.status(400).send(page.err);
+	}
 
-	// Check permissions
-	self.hasPermission(dbName, objType, objName, "SYNC", req, function (err, results) {
-		if (!err) {
-			// Check if the database has this type of object
-			// TODO: Do we want to call collectionExists (objType + 'Exists') here?
-			if (typeof self._core.db(dbName)[objType] === 'function') {
-				db = self._core.db(dbName);
-				obj = db[objType](objName);
+	if (page.cursor !== undefined) {
+		try {
+			cursor = this.jParse(Buffer.from(String(page.cursor), 'base64').toString());
+		} catch (e) {
+			cursor = undefined;
+		}
 
-				// Let request last as long as possible
-				req.socket.setTimeout(0x7FFFFFFF);
+		if (!cursor || !(cursor.k instanceof Array) || (cursor.d !== 1 && cursor.d !== -1)) {
+			return res.status(400).send('Invalid cursor');
+		}
+	}
 
-				// Ensure we have basic IO objects set up
-				_io[objType] = _io[objType] || {};
-				_io[objType][objName] = _io[objType][objName] || {
-						messageId: 0,
-						clients: []
-					};
+	options = Shared.mixin({}, options || {});
+	delete options.$limit;
+	delete options.$skip;
+	delete options.$page;
 
-				// Add this resource object the io clients array
-				_io[objType][objName].clients.push({req: req, res: res});
-
-				// Check if we already have an io for this object
-				if (!_io[objType][objName].io) {
-					// Setup a chain reactor IO node to intercept CRUD packets
-					// coming from the object (collection, view etc), and then
-					// pass them to the clients
-					_io[objType][objName].io = new ReactorIO(obj, self, function (chainPacket) {
-						self.sendToAll(_io[objType][objName], chainPacket.type, chainPacket.data);
-
-						// Returning false informs the chain reactor to continue propagation
-						// of the chain packet down the graph tree
-						return false;
-					});
-				}
+	orderBy = Shared.mixin({}, options.$orderBy || {});
 
-				req.socket.setNoDelay(true);
+	if (orderBy[pk] === undefined) {
+		orderBy[pk] = 1;
+	}
 
-				// Send headers for event-stream connection
-				res.writeHead(200, {
-					'Content-Type': 'text/event-stream',
-					'Cache-Control': 'no-cache',
-					'Connection': 'keep-alive'
-				});
+	hidden = this._ruleHiddenField(rules, Object.keys(orderBy));
 
-				res.write(':ok\n\n');
+	if (hidden) {
+		return res.status(403).send('Cannot order by hidden field: ' + hidden);
+	}
 
-				// Send connected message to the client with messageId zero
-				self.sendToClient(res, 0, 'connected', "{}");
+	options.$orderBy = orderBy;
 
-				req.on("close", function() {
-					// Remove this client from the array
-					var index = _io[objType][objName].clients.indexOf(res);
+	results = obj.find(this._ruleQuery(rules, query), options);
+	total = results.length;
 
-					if (index > -1) {
-						_io[objType][objName].clients.splice(index, 1);
-					}
-				});
-			} else {
-				res.status(500).send('Unknown object type: ' + objType);
-			}
-		} else {
-			res.status(403).send(err);
+	if (cursor && cursor.d === -1) {
+		// Previous page, the documents before the cursor
+		end = this._cursorIndex(obj, orderBy, results, cursor.k, 0);
+		end = Math.max(0, end - page.skip);
+		start = page.limit !== undefined ? Math.max(0, end - page.limit) : 0;
+	} else {
+		// Next page, the documents after the cursor
+		start = cursor ? this._cursorIndex(obj, orderBy, results, cursor.k, 1) : 0;
+		start = Math.min(total, start + page.skip);
+		end = page.limit !== undefined ? Math.min(total, start + page.limit) : total;
+	}
+
+	data = results.slice(start, end);
+
+	if (data.length && end < total) {
+		next = this._cursorToken(orderBy, data[data.length - 1], 1);
+		links.push('<' + this._pageUrl(req, page, next) + '>; rel="next"');
+	}
+
+	if (data.length && start > 0) {
+		prev = this._cursorToken(orderBy, data[0], -1);
+		links.push('<' + this._pageUrl(req, page, prev) + '>; rel="prev"');
+	}
+
+	data = this._ruleOutput(rules, data);
+
+	if (res.set) {
+		res.set('X-Total-Count', String(total));
+
+		if (links.length) {
+			res.set('Link', links.join(', '));
 		}
-	});
+	}
+
+	if (page.ndjson && res.write) {
+		return this._sendNdjson(res, data);
+	}
+
+	if (page.meta) {
+		return this._sendResponse(req, res, {
+			data: data,
+			total: total,
+			next: next,
+			prev: prev
+		});
+	}
+
+	this._sendResponse(req, res, data);
 };
 
 /**
- * Sends server-sent-events message to all connected clients that are listening
- * to the changes in the IO that is passed.
- * @param io
- * @param eventName
- * @param data
+ * Gets the index of the first result that sorts after (direction 1) or
+ * at or after (direction 0) the passed cursor sort values.
+ * @param {Object} obj The object being queried.
+ * @param {Object} orderBy The sort order.
+ * @param {Array} results The sorted results.
+ * @param {Array} values The cursor sort values.
+ * @param {Number} direction 1 or 0 as above.
+ * @returns {Number}
+ * @private
  */
-NodeApiServer.prototype.sendToAll = function (io, eventName, data) {
-	var self = this,
-		clientArr,
-		cleanData,
-		res,
-		i;
+NodeApiServer.prototype._cursorIndex = function (obj, orderBy, results, values, direction) {
+	var pathSolver = new Path(),
+		keys = Object.keys(orderBy),
+		compare,
+		i,
+		j;
+
+	for (i = 0; i < results.length; i++) {
+		compare = 0;
+
+		for (j = 0; j < keys.length && compare === 0; j++) {
+			if (orderBy[keys[j]] === -1) {
+				compare = this.sortDesc(pathSolver.get(results[i], keys[j]), values[j]);
+			} else {
+				compare = this.sortAsc(pathSolver.get(results[i], keys[j]), values[j]);
+			}
+		}
 
-	// Increment the message counter
-	io.messageId++;
+		if (compare >= direction) {
+			return i;
+		}
+	}
 
-	clientArr = io.clients;
-	cleanData = self.jStringify(data);
+	return results.length;
+};
 
-	// Loop client resource and write data out to socket
-	for (i = 0; i < clientArr.length; i++) {
-		res = clientArr[i].res;
-		self.sendToClient(res, io.messageId, eventName, cleanData);
+/**
+ * Creates an opaque cursor token from a document's sort values.
+ * @param {Object} orderBy The sort order.
+ * @param {Object} doc The document.
+ * @param {Number} direction 1 for a next token, -1 for a prev token.
+ * @returns {String}
+ * @private
+ */
+NodeApiServer.prototype._cursorToken = function (orderBy, doc, direction) {
+	var pathSolver = new Path(),
+		values = [],
+		key;
+
+	for (key in orderBy) {
+		if (orderBy.hasOwnProperty(key)) {
+			values.push(pathSolver.get(doc, key));
+		}
 	}
+
+	return Buffer.from(this.jStringify({k: values, d: direction})).toString('base64');
 };
 
 /**
- * Sends data to individual client.
- * @param res
- * @param messageId
- * @param eventName
- * @param stringifiedData Data to send in already-stringified format.
+ * Creates the url of another page of the current request.
+ * @param {Object} req The request.
+ * @param {Object} page The pagination parameters from _pageParams().
+ * @param {String} cursor The cursor token of the page.
+ * @returns {String}
+ * @private
  */
-NodeApiServer.prototype.sendToClient = function (res, messageId, eventName, stringifiedData) {
-	res.write('event: ' + eventName + '\n');
-	res.write('id: ' + messageId + '\n');
-	res.write("data: " + stringifiedData + '\n\n');
+NodeApiServer.prototype._pageUrl = function (req, page, cursor) {
+	var params = Shared.mixin({}, page.params);
 
-	//console.log('EventStream: "' + eventName + '" ' + stringifiedData);
+	params.$cursor = cursor;
+	delete params.$skip;
+
+	return url.parse(req.url).pathname + '?' + encodeURIComponent(JSON.stringify(params));
 };
 
 /**
- * Checks for permission to access the specified object.
- * @param {String} dbName
- * @param {String} objType
+ * Streams documents to the response as newline delimited JSON, waiting
+ * for the response to drain when its buffer is full.
+ * @param {Object} res The response.
+ * @param {Array} data The documents.
+ * @private
+ */
+NodeApiServer.prototype._sendNdjson = function (res, data) {
+	var self = this,
+		index = 0,
+		write;
+
+	res.status(200);
+	res.set('Content-Type', 'application/x-ndjson');
+
+	write = function () {
+		while (index < data.length) {
+			if (!res.write(self.jStringify(data[index++]) + '\n')) {
+				return res.once('drain', write);
+			}
+		}
+
+		res.end();
+	};
+
+	write();
+};
+
+/**
+ * Sends the response to a request. GET and HEAD responses are tagged
+ * with an ETag of their data and answered with a 304 if the client's
+ * If-None-Match header shows it already has the data.
+ * @param {Object} req The request.
+ * @param {Object} res The response.
+ * @param {*} data The data to send, undefined sends a 404.
+ * @private
+ */
+NodeApiServer.prototype._sendResponse = function (req, res, data) {
+	var statusCode = data !== undefined ? 200 : 404,
+		etag,
+		status;
+
+	if (req.method === 'GET' || req.method === 'HEAD') {
+		if (data !== undefined) {
+			etag = this._etag(data);
+
+			if (res.set) {
+				res.set('ETag', etag);
+			}
+		}
+
+		status = this._conditional(req, function () {
+			return etag;
+		});
+
+		if (status) {
+			return res.sendStatus(status);
+		}
+	}
+
+	switch (req.method) {
+		case 'HEAD':
+			// Only send status codes - head is a unique case in that a
+			// blank data string means we should send 204 (no content)
+			// not 200, and if undefined we can still send 404
+			if (data !== undefined) {
+				res.sendStatus(204);
+			} else {
+				res.sendStatus(404);
+			}
+			break;
+
+		case 'GET':
+			// Send status code and data
+			res.status(statusCode).send(data);
+			break;
+
+		default:
+			res.send(data);
+			break;
+	}
+};
+
+/**
+ * Sends the result of a PUT or PATCH request with the new ETag of the
+ * document so the client can make further conditional requests without
+ * reading the document again. A 404 is sent if there is no document
+ * with the id that the client is allowed to write to.
+ * @param {Object} res The response.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object the document belongs to.
+ * @param {*} objId The document id.
+ * @param {Object|undefined} result The updated document.
+ * @private
+ */
+NodeApiServer.prototype._sendUpdate = function (res, rules, obj, objId, result) {
+	var etag = result !== undefined ? this._docETag(rules, obj, objId) : undefined;
+
+	if (result === undefined && !obj.find(this._ruleIdQuery(rules, obj, objId)).length) {
+		return res.status(404).send('Document not found');
+	}
+
+	if (etag !== undefined && res.set) {
+		res.set('ETag', etag);
+	}
+
+	res.send(result);
+};
+
+/**
+ * Generates an entity tag for data sent to a client from a checksum
+ * of its content.
+ * @param {*} data The data.
+ * @returns {String}
+ * @private
+ */
+NodeApiServer.prototype._etag = function (data) {
+	return '"' + Checksum(this.jStringify(data)).toString(16) + '"';
+};
+
+/**
+ * Gets the entity tag of a document as a client reading it by id
+ * would see it.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object the document belongs to.
+ * @param {*} objId The document id.
+ * @returns {String|undefined} The entity tag or undefined if the
+ * document does not exist.
+ * @private
+ */
+NodeApiServer.prototype._docETag = function (rules, obj, objId) {
+	var doc = obj.find(this._ruleIdQuery(rules, obj, objId))[0];
+
+	return doc !== undefined ? this._etag(this._ruleOutput(rules, doc)) : undefined;
+};
+
+/**
+ * Evaluates the If-Match and If-None-Match headers of a request.
+ * @param {Object} req The request.
+ * @param {Function} getETag A function that returns the entity tag
+ * of the current data or undefined if there is none. Only called if
+ * the request has one of the headers.
+ * @returns {Number|undefined} 412 if a precondition failed, 304 if a
+ * GET or HEAD request already has the current data or undefined if
+ * the request should go ahead.
+ * @private
+ */
+NodeApiServer.prototype._conditional = function (req, getETag) {
+	var ifMatch = req.headers ? req.headers['if-match'] : undefined,
+		ifNoneMatch = req.headers ? req.headers['if-none-match'] : undefined,
+		etag;
+
+	if (ifMatch === undefined && ifNoneMatch === undefined) {
+		return;
+	}
+
+	etag = getETag();
+
+	if (ifMatch !== undefined && !this._etagMatch(ifMatch, etag, false)) {
+		return 412;
+	}
+
+	if (ifNoneMatch !== undefined && this._etagMatch(ifNoneMatch, etag, true)) {
+		return req.method === 'GET' || req.method === 'HEAD' ? 304 : 412;
+	}
+};
+
+/**
+ * Checks if an entity tag is in the list of an If-Match or If-None-Match
+ * header.
+ * @param {String} header The header value.
+ * @param {String|undefined} etag The entity tag of the current data.
+ * @param {Boolean} weak True to use weak comparison, where tags
+ * prefixed with W/ also match.
+ * @returns {Boolean}
+ * @private
+ */
+NodeApiServer.prototype._etagMatch = function (header, etag, weak) {
+	var tags = String(header).split(','),
+		tag,
+		i;
+
+	if (etag === undefined) {
+		return false;
+	}
+
+	for (i = 0; i < tags.length; i++) {
+		tag = tags[i].trim();
+
+		if (weak && tag.indexOf('W/') === 0) {
+			tag = tag.substr(2);
+		}
+
+		if (tag === '*' || tag === etag) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Handles client requests to open an EventSource connection to our
+ * server-sent events server.
+ * @param req
+ * @param res
+ */
+NodeApiServer.prototype.handleSyncRequest = function (req, res) {
+	var self = this,
+		dbName = req.params.dbName,
+		objType = req.params.objType,
+		objName = req.params.objName,
+		client,
+		bound,
+		subset,
+		rules,
+		io;
+
+	// Check permissions
+	self.hasPermission(dbName, objType, objName, "SYNC", req, function (err, results) {
+		if (!err) {
+			// Check if the database has this type of object
+			// TODO: Do we want to call collectionExists (objType + 'Exists') here?
+			if (typeof self._core.db(dbName)[objType] === 'function') {
+				bound = objType === 'view' ? self._boundView(dbName, objName, req) : {};
+
+				if (bound.err) {
+					return res.status(400).send(bound.err);
+				}
+
+				rules = self._requestRules(dbName, objType, objName, 'SYNC', req);
+				subset = bound.name ? {} : self._subsetView(dbName, objType, objName, req, rules);
+
+				if (subset.err) {
+					return res.status(400).send(subset.err);
+				}
+
+				// Let request last as long as possible
+				req.socket.setTimeout(0x7FFFFFFF);
+
+				// Add this resource object the io clients array
+				io = self._syncIo(dbName, subset.name ? 'view' : objType, subset.name || bound.name || objName);
+				io.bound = subset.name || bound.name ? {dbName: dbName, name: subset.name || bound.name} : undefined;
+				io.subset = io.subset || subset.subset;
+				client = {
+					req: req,
+					res: res,
+					io: io,
+					rules: rules
+				};
+				io.clients.push(client);
+
+				req.socket.setNoDelay(true);
+
+				// Send headers for event-stream connection
+				res.writeHead(200, {
+					'Content-Type': 'text/event-stream',
+					'Cache-Control': 'no-cache',
+					'Connection': 'keep-alive'
+				});
+
+				res.write(':ok\n\n');
+
+				// Send connected message to the client with messageId zero
+				self.sendToClient(res, 0, 'connected', "{}");
+
+				req.on("close", function() {
+					// Remove this client from the array
+					self._removeSyncClient(io, client);
+				});
+			} else {
+				res.status(500).send('Unknown object type: ' + objType);
+			}
+		} else {
+			res.status(403).send(err);
+		}
+	});
+};
+
+/**
+ * Handles replication requests from clients. The request body holds an
+ * array of changes the client made locally, each with the revision of
+ * the document the change was based on. A change is only applied if the
+ * document's current revision matches, otherwise it is reported back to
+ * the client as a conflict along with the server's copy of the document
+ * so the client can resolve it.
+ * @param req
+ * @param res
+ */
+NodeApiServer.prototype.handleReplicateRequest = function (req, res) {
+	var self = this,
+		dbName = req.params.dbName,
+		objType = req.params.objType,
+		objName = req.params.objName,
+		changes = req.body && req.body.changes instanceof Array ? req.body.changes : [],
+		methods = {
+			insert: 'POST',
+			update: 'PUT',
+			remove: 'DELETE'
+		},
+		capture,
+		obj;
+
+	// Callers must be allowed to write to the object before it is
+	// created or has revision triggers added to it
+	self._hasWritePermission(dbName, objType, objName, req, function (err) {
+		if (err) {
+			return res.status(403).send(err);
+		}
+
+		if (typeof self._core.db(dbName)[objType] !== 'function') {
+			return res.status(500).send('Unknown object type: ' + objType);
+		}
+
+		obj = self._core.db(dbName)[objType](objName);
+
+		if (typeof obj.addTrigger !== 'function') {
+			return res.status(500).send('Cannot replicate object type: ' + objType);
+		}
+
+		self._revisionTriggers(obj);
+
+		capture = self._auditStart(req, 'REPLICATE');
+		self._auditWatch(capture, obj, dbName, objType, objName);
+
+		async.mapSeries(changes, function (change, callback) {
+			if (!change || typeof change !== 'object' || change instanceof Array) {
+				return callback(null, {status: 'error', reason: 'Changes must be objects'});
+			}
+
+			if (!methods[change.op]) {
+				return callback(null, {id: change.id, status: 'error', reason: 'Unknown operation: ' + change.op});
+			}
+
+			// Each change must be allowed by the access rules of the REST
+			// method that would make the same change
+			self.hasPermission(dbName, objType, objName, methods[change.op], req, function (err) {
+				if (err) {
+					return callback(null, {id: change.id, status: 'error', reason: err});
+				}
+
+				var rules = self._requestRules(dbName, objType, objName, methods[change.op], req);
+
+				callback(null, self._auditRecord(capture, function () {
+					return self._replicateChange(obj, change, rules);
+				}));
+			});
+		}, function (err, results) {
+			self._auditEnd(capture);
+
+			res.send({
+				results: results
+			});
+		});
+	});
+};
+
+/**
+ * Checks if a request is allowed to make any kind of write (POST, PUT
+ * or DELETE) to an object.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @param {Object} req The request.
+ * @param {Function} callback The callback method, passed an error if
+ * no write method is allowed.
+ * @private
+ */
+NodeApiServer.prototype._hasWritePermission = function (dbName, objType, objName, req, callback) {
+	var self = this,
+		methods = ['POST', 'PUT', 'DELETE'],
+		next;
+
+	next = function (index, lastErr) {
+		if (index >= methods.length) {
+			return callback(lastErr);
+		}
+
+		self.hasPermission(dbName, objType, objName, methods[index], req, function (err) {
+			if (!err) {
+				return callback(false);
+			}
+
+			next(index + 1, err);
+		});
+	};
+
+	next(0);
+};
+
+/**
+ * Applies a single replicated change to an object if the revision the
+ * change was based on matches the current revision of the document.
+ * Malformed changes, and changes with a doc whose primary key is not
+ * the change id, are reported as errors.
+ * @param {Collection} obj The object to apply the change to.
+ * @param {Object} change The change.
+ * @param {Object=} rules The document and field rules that apply to
+ * the change.
+ * @returns {Object} The result of the change.
+ * @private
+ */
+NodeApiServer.prototype._replicateChange = function (obj, change, rules) {
+	var pk = obj.primaryKey ? obj.primaryKey() : '_id',
+		current,
+		currentRev,
+		baseRev = change.baseRev || 0,
+		doc = change.doc,
+		replacement,
+		result;
+
+	if ((typeof change.id !== 'string' && typeof change.id !== 'number') || change.id === '') {
+		return {id: change.id, status: 'error', reason: 'Changes need a string or number id'};
+	}
+
+	if (change.op !== 'remove') {
+		if (!doc || typeof doc !== 'object' || doc instanceof Array) {
+			return {id: change.id, status: 'error', reason: 'Insert and update changes need a doc object'};
+		}
+
+		if (doc[pk] !== undefined && doc[pk] !== change.id) {
+			return {id: change.id, status: 'error', reason: 'The doc primary key does not match the change id'};
+		}
+
+		doc = this.decouple(doc);
+		doc[pk] = change.id;
+	}
+
+	current = obj.findById(change.id);
+	currentRev = current ? current._rev || 0 : 0;
+
+	if (current && !this._ruleMatch(rules, obj, current)) {
+		return {id: change.id, status: 'error', reason: 'Document does not match the access rules'};
+	}
+
+	if ((change.op === 'insert' && current) || (change.op === 'update' && !current) || (current && currentRev !== baseRev)) {
+		return {
+			id: change.id,
+			status: 'conflict',
+			doc: this._ruleOutput(rules, current)
+		};
+	}
+
+	if (change.op === 'insert' && !this._ruleMatch(rules, obj, doc)) {
+		return {id: change.id, status: 'error', reason: 'Document does not match the access rules'};
+	}
+
+	if (change.op === 'update') {
+		replacement = this._ruleReplacement(rules, current, doc);
+
+		if (replacement.err) {
+			return {id: change.id, status: 'error', reason: replacement.err};
+		}
+
+		doc = replacement.doc;
+
+		if (!this._ruleMatch(rules, obj, this._ruleUpdatedDoc(obj, current, {$replace: doc}, {}))) {
+			return {id: change.id, status: 'error', reason: 'Updated document does not match the access rules'};
+		}
+	}
+
+	switch (change.op) {
+		case 'insert':
+			doc._modified = change.ts;
+			result = obj.insert(doc);
+
+			if (result && result.failed && result.failed.length) {
+				return {id: change.id, status: 'error', reason: result.failed[0].reason};
+			}
+			break;
+
+		case 'update':
+			doc._modified = change.ts;
+			obj.updateById(change.id, {$replace: doc});
+			break;
+
+		case 'remove':
+			obj.removeById(change.id);
+
+			return {
+				id: change.id,
+				status: 'ok'
+			};
+	}
+
+	current = obj.findById(change.id);
+
+	if (!current) {
+		// The write was rejected, for instance by a trigger
+		return {id: change.id, status: 'error', reason: 'Change was not applied'};
+	}
+
+	if (change.op === 'update' && current._rev === currentRev) {
+		// The update was rejected, for instance by schema validation
+		return {id: change.id, status: 'error', reason: 'Update was not applied', doc: this._ruleOutput(rules, current)};
+	}
+
+	return {
+		id: change.id,
+		status: 'ok',
+		rev: current._rev,
+		modified: current._modified
+	};
+};
+
+/**
+ * Adds triggers to an object that maintain the _rev (revision number)
+ * and _modified (last write time) fields of its documents. Every write
+ * increments the revision so writes made outside of replication are
+ * still detected as conflicts by replicating clients.
+ * @param {Collection} obj The object to add the triggers to.
+ * @private
+ */
+NodeApiServer.prototype._revisionTriggers = function (obj) {
+	obj.addTrigger('fdbReplicationRevision', obj.TYPE_INSERT, obj.PHASE_BEFORE, function (operation, oldDoc, newDoc) {
+		newDoc._rev = (newDoc._rev || 0) + 1;
+
+		if (newDoc._modified === undefined) {
+			newDoc._modified = new Date().getTime();
+		}
+	});
+
+	obj.addTrigger('fdbReplicationRevision', obj.TYPE_UPDATE, obj.PHASE_BEFORE, function (operation, oldDoc, newDoc) {
+		newDoc._rev = (oldDoc._rev || 0) + 1;
+
+		// Replicated writes carry the time the client made them,
+		// other writes are stamped with the current time
+		if (newDoc._modified === oldDoc._modified) {
+			newDoc._modified = new Date().getTime();
+		}
+	});
+};
+
+/**
+ * Handles bulk requests. The request body holds an ordered array of
+ * operations against the objects of one database, each with the
+ * "method" ("POST", "PUT", "PATCH" or "DELETE"), "objType" (defaults
+ * to "collection"), "objName", and the "objId", "body" and "query" the
+ * same request would have in the url and body of a REST call. Each
+ * operation is checked against the access rules and document rules
+ * for its method, and PUT and PATCH operations need their document to
+ * exist, against the data left by the operations before it. The
+ * response holds a result for each operation in the same order. If the
+ * body's "atomic" flag is set, the operations are only applied if every
+ * one of them is allowed and succeeds, otherwise none of them are.
+ * @param req
+ * @param res
+ */
+NodeApiServer.prototype.handleBulkRequest = function (req, res) {
+	var self = this,
+		dbName = req.params.dbName,
+		operations = req.body && req.body.operations,
+		atomic = Boolean(req.body && req.body.atomic),
+		db = self._core.db(dbName),
+		capture;
+
+	if (!(operations instanceof Array)) {
+		return res.status(400).send('Bulk request body must have an operations array');
+	}
+
+	if (!atomic) {
+		// Each operation is planned once the ones before it have been
+		// applied so that its rules are checked against the current data
+		capture = self._auditStart(req, 'BULK');
+
+		return async.mapSeries(operations, function (op, callback) {
+			self._bulkPlan(db, dbName, op, req, function (plan) {
+				var result;
+
+				if (!plan.err && plan.check) {
+					plan.check();
+				}
+
+				if (plan.err) {
+					return callback(null, {status: plan.status, error: plan.err});
+				}
+
+				self._auditWatch(capture, plan.obj, dbName, plan.objType, plan.objName);
+
+				try {
+					result = {status: 200, data: plan.output(self._auditRecord(capture, function () {
+						return plan.obj[plan.type].apply(plan.obj, plan.args);
+					}))};
+				} catch (e) {
+					result = {status: 500, error: String(e)};
+				}
+
+				callback(null, result);
+			});
+		}, function (err, results) {
+			var i;
+
+			self._auditEnd(capture);
+
+			for (i = 0; i < results.length; i++) {
+				if (results[i].status !== 200) {
+					return res.send({ok: false, results: results});
+				}
+			}
+
+			res.send({ok: true, results: results});
+		});
+	}
+
+	async.mapSeries(operations, function (op, callback) {
+		self._bulkPlan(db, dbName, op, req, function (plan) {
+			callback(null, plan);
+		});
+	}, function (err, plans) {
+		var results = [],
+			txResults,
+			failed = false,
+			i;
+
+		capture = self._auditStart(req, 'BULK');
+
+		for (i = 0; i < plans.length; i++) {
+			if (!plans[i].err && plans[i].objType !== 'collection') {
+				// Transactions only cover collections
+				plans[i] = {status: 400, err: 'Atomic bulk requests can only operate on collections'};
+			}
+
+			if (plans[i].err) {
+				failed = true;
+			} else {
+				self._auditWatch(capture, plans[i].obj, dbName, plans[i].objType, plans[i].objName);
+			}
+		}
+
+		if (!failed) {
+			try {
+				txResults = self._auditRecord(capture, function () {
+					return db.transaction(function (tx) {
+						var proxy;
+
+						for (i = 0; i < plans.length; i++) {
+							proxy = tx.collection(plans[i].obj);
+							proxy[plans[i].type].apply(proxy, plans[i].args);
+
+							// Check the operation against the data left by
+							// the operations before it
+							if (plans[i].check) {
+								tx.check(plans[i].check);
+							}
+						}
+					});
+				});
+			} catch (e) {
+				// The transaction was rolled back
+				self._auditEnd(capture, true);
+
+				return res.send({
+					ok: false,
+					error: String(e),
+					results: self._bulkNotApplied(plans)
+				});
+			}
+
+			self._auditEnd(capture);
+
+			for (i = 0; i < plans.length; i++) {
+				results.push({status: 200, data: plans[i].output(txResults[i])});
+			}
+
+			return res.send({ok: true, results: results});
+		}
+
+		self._auditEnd(capture, true);
+
+		res.send({
+			ok: false,
+			error: 'One or more operations were not allowed',
+			results: self._bulkNotApplied(plans)
+		});
+	});
+};
+
+/**
+ * Works out how to apply a single bulk operation, checking it against
+ * the access and document rules for its method.
+ * @param {Db} db The database.
+ * @param {String} dbName The database name.
+ * @param {Object} op The bulk operation.
+ * @param {Object} req The bulk request.
+ * @param {Function} callback The method to call with the plan. The plan
+ * has either an "err" and "status" or the object "obj", collection
+ * method "type" and "args" to call it with and an "output" function
+ * that converts the method's return value into the result data. Plans
+ * for updates also have a "check" function that sets the plan's "err"
+ * and "status", and returns the error, if the document is missing or
+ * outside of the rules.
+ * @private
+ */
+NodeApiServer.prototype._bulkPlan = function (db, dbName, op, req, callback) {
+	var self = this,
+		objType = op && op.objType ? op.objType : 'collection',
+		objName = op ? op.objName : undefined,
+		method = op && op.method ? String(op.method).toUpperCase() : undefined;
+
+	if (!objName || ['POST', 'PUT', 'PATCH', 'DELETE'].indexOf(method) === -1) {
+		return callback({status: 400, err: 'Operations need an objName and a method of POST, PUT, PATCH or DELETE'});
+	}
+
+	if (typeof db[objType] !== 'function') {
+		return callback({status: 500, err: 'Unknown object type: ' + objType});
+	}
+
+	if ((method === 'PUT' || method === 'PATCH') && op.objId === undefined) {
+		return callback({status: 400, err: method + ' operations need an objId'});
+	}
+
+	self.hasPermission(dbName, objType, objName, method, req, function (err) {
+		var obj,
+			rules,
+			write,
+			hidden,
+			plan;
+
+		if (err) {
+			return callback({status: 403, err: err});
+		}
+
+		obj = db[objType](objName);
+		rules = self._requestRules(dbName, objType, objName, method, req);
+		write = self._ruleWrite(rules, obj, method, op.objId, op.body);
+
+		if (write.err) {
+			return callback({status: 403, err: write.err});
+		}
+
+		hidden = self._ruleQueryHiddenField(rules, op.query);
+
+		if (hidden) {
+			return callback({status: 403, err: 'Cannot query hidden field: ' + hidden});
+		}
+
+		plan = {
+			obj: obj,
+			objType: objType,
+			objName: objName
+		};
+
+		switch (method) {
+			case 'POST':
+				plan.type = 'insert';
+				plan.args = [write.body];
+				plan.output = function (result) {
+					return self._ruleInsertOutput(rules, result);
+				};
+				break;
+
+			case 'PUT':
+			case 'PATCH':
+				plan.type = 'update';
+				plan.args = [self._ruleIdQuery(rules, obj, op.objId), method === 'PUT' ? {$replace: write.body} : write.body];
+				plan.output = function (result) {
+					return self._ruleOutput(rules, result ? result[0] : undefined);
+				};
+
+				// Updates of missing documents fail, as they do when made
+				// on their own, and updates must leave the document
+				// matching the rules
+				plan.check = function () {
+					if (obj.find(self._ruleIdQuery(rules, obj, op.objId)).length) {
+						return false;
+					}
+
+					if (obj.findById(op.objId)) {
+						plan.status = 403;
+						plan.err = 'Updated document does not match the access rules';
+					} else {
+						plan.status = 404;
+						plan.err = 'Document not found';
+					}
+
+					return plan.err;
+				};
+				break;
+
+			case 'DELETE':
+				plan.type = 'remove';
+				plan.args = [op.objId !== undefined ? self._ruleIdQuery(rules, obj, op.objId) : self._ruleQuery(rules, op.query || {})];
+				plan.output = function (result) {
+					return self._ruleOutput(rules, op.objId !== undefined ? (result ? result[0] : undefined) : result);
+				};
+				break;
+		}
+
+		callback(plan);
+	});
+};
+
+/**
+ * Creates the results of an atomic bulk request that was not applied.
+ * @param {Array} plans The operation plans from _bulkPlan().
+ * @returns {Array}
+ * @private
+ */
+NodeApiServer.prototype._bulkNotApplied = function (plans) {
+	var results = [],
+		i;
+
+	for (i = 0; i < plans.length; i++) {
+		if (plans[i].err) {
+			results.push({status: plans[i].status, error: plans[i].err});
+		} else {
+			results.push({status: 409, error: 'Not applied'});
+		}
+	}
+
+	return results;
+};
+
+/**
+ * Handles requests for the OpenAPI document that describes the API.
+ * @param req
+ * @param res
+ */
+NodeApiServer.prototype.handleOpenApiRequest = function (req, res) {
+	res.send(this.openApi(req));
+};
+
+/**
+ * Handles the login, refresh and logout requests of the authentication
+ * module.
+ * @param req
+ * @param res
+ */
+NodeApiServer.prototype.handleAuthRequest = function (req, res) {
+	var body = req.body || {},
+		header = req.headers ? req.headers.authorization : undefined,
+		done;
+
+	if (!_auth) {
+		return res.status(404).send('Authentication is not enabled');
+	}
+
+	done = function (err, tokens) {
+		if (err) {
+			return res.status(401).send(err);
+		}
+
+		res.send(tokens || {ok: true});
+	};
+
+	switch (req.params.action) {
+		case 'login':
+			_auth.login(body.username, body.password, done);
+			break;
+
+		case 'refresh':
+			_auth.refresh(body.refreshToken, done);
+			break;
+
+		case 'logout':
+			_auth.logout(body.refreshToken || (typeof header === 'string' ? header.replace(/^Bearer /, '') : undefined), function (err) {
+				done(err);
+			});
+			break;
+
+		default:
+			res.status(404).send('Unknown authentication action: ' + req.params.action);
+			break;
+	}
+};
+
+/**
+ * Generates an OpenAPI 3 document describing the REST routes of every
+ * collection, view and procedure that the access rules allow at least
+ * one method on. Only the allowed methods are listed. Document shapes come from a
+ * collection's JSON Schema or, if it has none, are inferred from a
+ * sample of its documents. Fields hidden by document and field rules
+ * are left out.
+ * @param {Object=} req The request the document is for. It is passed to
+ * rule filter functions.
+ * @returns {Object} The OpenAPI document.
+ */
+NodeApiServer.prototype.openApi = function (req) {
+	var doc = {
+			openapi: '3.1.0',
+			info: {
+				title: 'ForerunnerDB API',
+				version: this._core.version()
+			},
+			servers: [{url: this._rootPath || '/'}],
+			paths: {},
+			components: this._openApiComponents()
+		},
+		databases = this._core.databases(),
+		objTypes = ['collection', 'view'],
+		hasCollections,
+		db,
+		list,
+		i, j, k;
+
+	req = req || {headers: {}, query: {}, json: {}};
+
+	for (i = 0; i < databases.length; i++) {
+		db = this._core.db(databases[i].name);
+		hasCollections = false;
+
+		for (j = 0; j < objTypes.length; j++) {
+			if (typeof db[objTypes[j] + 's'] === 'function') {
+				list = db[objTypes[j] + 's']();
+
+				for (k = 0; k < list.length; k++) {
+					if (this._openApiObject(doc, req, databases[i].name, objTypes[j], list[k].name) && objTypes[j] === 'collection') {
+						hasCollections = true;
+					}
+				}
+			}
+		}
+
+		if (typeof db.procedures === 'function') {
+			list = db.procedures();
+
+			for (k = 0; k < list.length; k++) {
+				this._openApiProcedure(doc, databases[i].name, list[k]);
+			}
+		}
+
+		if (hasCollections) {
+			doc.paths['/' + databases[i].name + '/_bulk'] = this._openApiBulk(databases[i].name);
+		}
+	}
+
+	if (_auth) {
+		this._openApiAuth(doc);
+	}
+
+	return doc;
+};
+
+/**
+ * Checks if the access rules allow a method on an object.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @param {String} methodName The method name.
+ * @returns {Boolean}
+ * @private
+ */
+NodeApiServer.prototype._openApiAllowed = function (dbName, objType, objName, methodName) {
+	var methods = this.access(dbName, objType, objName, methodName);
+
+	if (objType === 'view' && _boundViews[dbName] && _boundViews[dbName][objName]) {
+		return false;
+	}
+
+	return methods.length > 0 && methods.indexOf(this._denyMethod) === -1;
+};
+
+/**
+ * Adds the authentication routes and the bearer token security scheme
+ * to an OpenAPI document.
+ * @param {Object} doc The OpenAPI document.
+ * @private
+ */
+NodeApiServer.prototype._openApiAuth = function (doc) {
+	var route = function (summary, properties, required) {
+		return {
+			post: {
+				tags: ['_auth'],
+				summary: summary,
+				requestBody: {
+					required: Boolean(required.length),
+					content: {
+						'application/json': {
+							schema: {type: 'object', properties: properties, required: required}
+						}
+					}
+				},
+				responses: {
+					200: {
+						description: 'Success.',
+						content: {
+							'application/json': {
+								schema: {$ref: '#/components/schemas/_authTokens'}
+							}
+						}
+					},
+					401: {description: 'Invalid credentials or token.'}
+				}
+			}
+		};
+	};
+
+	doc.components.securitySchemes = {
+		bearerAuth: {type: 'http', scheme: 'bearer'}
+	};
+
+	doc.components.schemas._authTokens = {
+		type: 'object',
+		properties: {
+			token: {type: 'string'},
+			refreshToken: {type: 'string'},
+			expires: {type: 'integer'},
+			user: {type: 'object'}
+		}
+	};
+
+	// Requests can be made with or without a token
+	doc.security = [{}, {bearerAuth: []}];
+
+	doc.paths['/_auth/login'] = route('Logs in and gets an access token and a refresh token', {
+		username: {type: 'string'},
+		password: {type: 'string'}
+	}, ['username', 'password']);
+
+	doc.paths['/_auth/refresh'] = route('Swaps a refresh token for new tokens', {
+		refreshToken: {type: 'string'}
+	}, ['refreshToken']);
+
+	doc.paths['/_auth/logout'] = route('Ends the session of the access token in the Authorization header or of the refresh token', {
+		refreshToken: {type: 'string'}
+	}, []);
+};
+
+/**
+ * Creates the parameters, responses and schemas shared by the paths of
+ * the OpenAPI document.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._openApiComponents = function () {
+	return {
+		parameters: {
+			query: {
+				name: '$query',
+				'in': 'query',
+				description: 'A query object e.g. {"age": {"$gt": 18}}. The whole query string can also be a JSON object holding $query and $options.',
+				content: {'application/json': {schema: {type: 'object'}}}
+			},
+			options: {
+				name: '$options',
+				'in': 'query',
+				description: 'A query options object e.g. {"$orderBy": {"name": 1}}.',
+				content: {'application/json': {schema: {type: 'object'}}}
+			},
+			limit: {
+				name: '$limit',
+				'in': 'query',
+				description: 'The maximum number of documents to return.',
+				schema: {type: 'integer', minimum: 0}
+			},
+			skip: {
+				name: '$skip',
+				'in': 'query',
+				description: 'The number of documents to skip.',
+				schema: {type: 'integer', minimum: 0}
+			},
+			cursor: {
+				name: '$cursor',
+				'in': 'query',
+				description: 'The next or prev token of a page to continue from.',
+				schema: {type: 'string'}
+			},
+			meta: {
+				name: '$meta',
+				'in': 'query',
+				description: 'Wraps the documents in an object with the total count and page tokens.',
+				schema: {type: 'boolean'}
+			},
+			format: {
+				name: '$format',
+				'in': 'query',
+				description: 'Streams the documents as newline delimited JSON.',
+				schema: {type: 'string', 'enum': ['ndjson']}
+			}
+		},
+		responses: {
+			Forbidden: {
+				description: 'Access forbidden',
+				content: {'text/html': {schema: {type: 'string'}}}
+			},
+			NotFound: {
+				description: 'Not found'
+			}
+		},
+		schemas: {}
+	};
+};
+
+/**
+ * Adds the paths and document schema of an object to an OpenAPI
+ * document if the access rules allow any methods on it.
+ * @param {Object} doc The OpenAPI document.
+ * @param {Object} req The request the document is for.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @returns {Boolean} True if the object was added.
+ * @private
+ */
+NodeApiServer.prototype._openApiObject = function (doc, req, dbName, objType, objName) {
+	var obj = this._core.db(dbName)[objType](objName),
+		methodNames = ['GET', 'HEAD', 'POST', 'PUT', 'PATCH', 'DELETE', 'SYNC'],
+		allowed = {},
+		found = false,
+		path = '/' + dbName + '/' + objType + '/' + objName,
+		schemaName = String(dbName + '.' + objType + '.' + objName).replace(/[^A-Za-z0-9._\-]/g, '_'),
+		tags = [dbName + '/' + objType + '/' + objName],
+		ref = {$ref: '#/components/schemas/' + schemaName},
+		forbidden = {$ref: '#/components/responses/Forbidden'},
+		notFound = {$ref: '#/components/responses/NotFound'},
+		binding = objType === 'view' && _bindings[dbName] ? _bindings[dbName][objName] : undefined,
+		paramsRefs = [],
+		listPath = {},
+		itemPath = {},
+		i;
+
+	for (i = 0; i < methodNames.length; i++) {
+		allowed[methodNames[i]] = this._openApiAllowed(dbName, objType, objName, methodNames[i]);
+		found = found || allowed[methodNames[i]];
+	}
+
+	if (!found) {
+		return false;
+	}
+
+	doc.components.schemas[schemaName] = this._openApiDocSchema(obj, this._requestRules(dbName, objType, objName, 'GET', req));
+
+	if (binding) {
+		paramsRefs.push({
+			name: '$params',
+			'in': 'query',
+			description: 'The parameters to bind into the view\'s query.',
+			content: {'application/json': {schema: binding.params ? binding.params.definition() : {type: 'object'}}}
+		});
+	}
+
+	if (allowed.GET) {
+		listPath.get = {
+			tags: tags,
+			summary: 'Finds documents',
+			parameters: paramsRefs.concat(this._openApiParameterRefs(['query', 'options', 'limit', 'skip', 'cursor', 'meta', 'format'])),
+			responses: {
+				200: {
+					description: 'The matching documents. When $meta is passed they are wrapped in an object with the total count and page tokens.',
+					headers: {
+						'X-Total-Count': {
+							description: 'The total number of matching documents when paging.',
+							schema: {type: 'integer'}
+						},
+						'Link': {
+							description: 'Links to the next and previous pages when paging.',
+							schema: {type: 'string'}
+						}
+					},
+					content: {
+						'application/json': {
+							schema: {
+								oneOf: [{
+									type: 'array',
+									items: ref
+								}, {
+									type: 'object',
+									properties: {
+										data: {type: 'array', items: ref},
+										total: {type: 'integer'},
+										next: {type: 'string'},
+										prev: {type: 'string'}
+									}
+								}]
+							}
+						},
+						'application/x-ndjson': {
+							schema: ref
+						}
+					}
+				},
+				400: {description: 'Invalid pagination parameters'},
+				403: forbidden
+			}
+		};
+
+		itemPath.get = {
+			tags: tags,
+			summary: 'Gets a document by id',
+			responses: {
+				200: {
+					description: 'The document.',
+					content: {'application/json': {schema: ref}}
+				},
+				403: forbidden,
+				404: notFound
+			}
+		};
+	}
+
+	if (allowed.HEAD) {
+		itemPath.head = {
+			tags: tags,
+			summary: 'Checks a document exists',
+			responses: {
+				204: {description: 'The document exists.'},
+				403: forbidden,
+				404: notFound
+			}
+		};
+	}
+
+	if (allowed.POST) {
+		listPath.post = {
+			tags: tags,
+			summary: 'Inserts documents',
+			requestBody: {
+				required: true,
+				content: {
+					'application/json': {
+						schema: {
+							oneOf: [ref, {type: 'array', items: ref}]
+						}
+					}
+				}
+			},
+			responses: {
+				200: {
+					description: 'The inserted documents and any that failed to insert.',
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								properties: {
+									inserted: {type: 'array', items: ref},
+									failed: {type: 'array', items: {type: 'object'}}
+								}
+							}
+						}
+					}
+				},
+				403: forbidden
+			}
+		};
+	}
+
+	if (allowed.PUT) {
+		itemPath.put = {
+			tags: tags,
+			summary: 'Replaces a document',
+			requestBody: {
+				required: true,
+				content: {'application/json': {schema: ref}}
+			},
+			responses: {
+				200: {
+					description: 'The updated document.',
+					content: {'application/json': {schema: ref}}
+				},
+				403: forbidden
+			}
+		};
+	}
+
+	if (allowed.PATCH) {
+		itemPath.patch = {
+			tags: tags,
+			summary: 'Updates a document',
+			requestBody: {
+				required: true,
+				content: {
+					'application/json': {
+						schema: {
+							type: 'object',
+							description: 'An update object e.g. {"name": "Jim"} or {"$inc": {"count": 1}}.'
+						}
+					}
+				}
+			},
+			responses: {
+				200: {
+					description: 'The updated document.',
+					content: {'application/json': {schema: ref}}
+				},
+				403: forbidden
+			}
+		};
+	}
+
+	if (allowed.DELETE) {
+		listPath['delete'] = {
+			tags: tags,
+			summary: 'Removes matching documents',
+			parameters: this._openApiParameterRefs(['query', 'options']),
+			responses: {
+				200: {
+					description: 'The removed documents.',
+					content: {'application/json': {schema: {type: 'array', items: ref}}}
+				},
+				403: forbidden
+			}
+		};
+
+		itemPath['delete'] = {
+			tags: tags,
+			summary: 'Removes a document',
+			responses: {
+				200: {
+					description: 'The removed document.',
+					content: {'application/json': {schema: ref}}
+				},
+				403: forbidden
+			}
+		};
+	}
+
+	if (Object.keys(listPath).length) {
+		doc.paths[path] = listPath;
+	}
+
+	if (Object.keys(itemPath).length) {
+		itemPath.parameters = [{
+			name: 'id',
+			'in': 'path',
+			required: true,
+			description: 'The document\'s primary key (' + obj.primaryKey() + ').',
+			schema: {type: 'string'}
+		}];
+
+		doc.paths[path + '/{id}'] = itemPath;
+	}
+
+	if (allowed.SYNC) {
+		doc.paths[path + '/_sync'] = {
+			get: {
+				tags: tags,
+				summary: 'Streams changes as server-sent events',
+				parameters: paramsRefs.concat(this._openApiParameterRefs(['query', 'options'])),
+				responses: {
+					200: {
+						description: 'A stream of insert, update and remove events.',
+						content: {'text/event-stream': {schema: {type: 'string'}}}
+					},
+					403: forbidden
+				}
+			}
+		};
+	}
+
+	if (objType === 'collection' && (allowed.POST || allowed.PUT || allowed.DELETE)) {
+		doc.paths[path + '/_replicate'] = {
+			post: {
+				tags: tags,
+				summary: 'Replicates changes made offline',
+				requestBody: {
+					required: true,
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								properties: {
+									changes: {
+										type: 'array',
+										items: {
+											type: 'object',
+											properties: {
+												op: {type: 'string', 'enum': ['insert', 'update', 'remove']},
+												id: {type: 'string'},
+												baseRev: {type: 'integer'},
+												ts: {type: 'integer'},
+												doc: ref
+											},
+											required: ['op', 'id']
+										}
+									}
+								},
+								required: ['changes']
+							}
+						}
+					}
+				},
+				responses: {
+					200: {
+						description: 'The result of each change.',
+						content: {
+							'application/json': {
+								schema: {
+									type: 'object',
+									properties: {
+										results: {
+											type: 'array',
+											items: {
+												type: 'object',
+												properties: {
+													id: {type: 'string'},
+													status: {type: 'string', 'enum': ['ok', 'conflict', 'error']},
+													rev: {type: 'integer'},
+													modified: {type: 'integer'},
+													reason: {type: 'string'},
+													doc: ref
+												}
+											}
+										}
+									}
+								}
+							}
+						}
+					}
+				}
+			}
+		};
+	}
+
+	return true;
+};
+
+/**
+ * Adds the path of a procedure to an OpenAPI document if the access
+ * rules allow any methods on it. Procedures created with a definition
+ * object are described with their args schema and result envelope.
+ * @param {Object} doc The OpenAPI document.
+ * @param {String} dbName The database name.
+ * @param {Object} procedure The procedure details from db.procedures().
+ * @private
+ */
+NodeApiServer.prototype._openApiProcedure = function (doc, dbName, procedure) {
+	var methodNames = ['GET', 'POST'],
+		pathItem = {},
+		tags = [dbName + '/procedure'],
+		args = procedure.args || {},
+		operation,
+		i;
+
+	for (i = 0; i < methodNames.length; i++) {
+		if (this._openApiAllowed(dbName, 'procedure', procedure.name, methodNames[i])) {
+			operation = {
+				tags: tags,
+				summary: 'Calls the ' + procedure.name + ' procedure',
+				responses: {
+					200: {description: 'The procedure result.'},
+					403: {$ref: '#/components/responses/Forbidden'}
+				}
+			};
+
+			if (procedure.typed) {
+				if (methodNames[i] === 'GET') {
+					operation.parameters = [{
+						name: '$args',
+						'in': 'query',
+						description: 'The procedure arguments.',
+						content: {'application/json': {schema: args}}
+					}];
+				} else {
+					operation.requestBody = {
+						content: {'application/json': {schema: args}}
+					};
+				}
+
+				operation.responses[200].content = {
+					'application/json': {
+						schema: {
+							type: 'object',
+							properties: {
+								ok: {type: 'boolean'},
+								data: {}
+							}
+						}
+					}
+				};
+
+				operation.responses[400] = {description: 'The arguments are invalid.'};
+				operation.responses[500] = {description: 'The procedure failed.'};
+			}
+
+			pathItem[methodNames[i].toLowerCase()] = operation;
+		}
+	}
+
+	if (Object.keys(pathItem).length) {
+		doc.paths['/' + dbName + '/procedure/' + procedure.name] = pathItem;
+	}
+};
+
+/**
+ * Creates an array of references to shared parameters.
+ * @param {Array} names The parameter names.
+ * @returns {Array}
+ * @private
+ */
+NodeApiServer.prototype._openApiParameterRefs = function (names) {
+	var refs = [],
+		i;
+
+	for (i = 0; i < names.length; i++) {
+		refs.push({$ref: '#/components/parameters/' + names[i]});
+	}
+
+	return refs;
+};
+
+/**
+ * Creates the OpenAPI path item of a database's bulk route.
+ * @param {String} dbName The database name.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._openApiBulk = function (dbName) {
+	return {
+		post: {
+			tags: [dbName],
+			summary: 'Applies a batch of operations in order',
+			requestBody: {
+				required: true,
+				content: {
+					'application/json': {
+						schema: {
+							type: 'object',
+							properties: {
+								atomic: {type: 'boolean'},
+								operations: {
+									type: 'array',
+									items: {
+										type: 'object',
+										properties: {
+											method: {type: 'string', 'enum': ['GET', 'POST', 'PUT', 'PATCH', 'DELETE']},
+											objType: {type: 'string'},
+											objName: {type: 'string'},
+											objId: {type: 'string'},
+											body: {},
+											query: {type: 'object'}
+										},
+										required: ['method', 'objName']
+									}
+								}
+							},
+							required: ['operations']
+						}
+					}
+				}
+			},
+			responses: {
+				200: {
+					description: 'The result of each operation.',
+					content: {
+						'application/json': {
+							schema: {
+								type: 'object',
+								properties: {
+									ok: {type: 'boolean'},
+									results: {
+										type: 'array',
+										items: {
+											type: 'object',
+											properties: {
+												status: {type: 'integer'},
+												data: {},
+												error: {type: 'string'}
+											}
+										}
+									}
+								}
+							}
+						}
+					}
+				}
+			}
+		}
+	};
+};
+
+/**
+ * Gets the JSON Schema of an object's documents. Uses the object's own
+ * schema if it has one, otherwise the schema is inferred from a sample
+ * of its documents.
+ * @param {Collection|View} obj The object.
+ * @param {Object=} rules The rules from _requestRules(). Hidden fields
+ * are removed from the schema.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._openApiDocSchema = function (obj, rules) {
+	var schema = typeof obj.schema === 'function' ? obj.schema() : undefined;
+
+	if (schema) {
+		schema = this.decouple(schema);
+	} else {
+		schema = this._openApiInfer(obj.find({}, {$limit: 20, $decouple: false}));
+
+		if (schema.type !== 'object') {
+			schema = {type: 'object'};
+		}
+	}
+
+	if (rules) {
+		this._openApiStripSchema(schema, rules.hide);
+	}
+
+	return schema;
+};
+
+/**
+ * Removes the passed field paths from the properties of a JSON Schema.
+ * Array schemas along a path have the rest of the path removed from
+ * their items schema.
+ * @param {Object} schema The schema.
+ * @param {Array} paths The field paths.
+ * @private
+ */
+NodeApiServer.prototype._openApiStripSchema = function (schema, paths) {
+	var parts,
+		index,
+		i;
+
+	if (!schema || typeof schema !== 'object') {
+		return;
+	}
+
+	if (schema.items) {
+		this._openApiStripSchema(schema.items, paths);
+	}
+
+	if (!schema.properties) {
+		return;
+	}
+
+	for (i = 0; i < paths.length; i++) {
+		parts = paths[i].split('.');
+
+		if (parts.length === 1) {
+			delete schema.properties[parts[0]];
+			index = schema.required instanceof Array ? schema.required.indexOf(parts[0]) : -1;
+
+			if (index > -1) {
+				schema.required.splice(index, 1);
+			}
+		} else {
+			this._openApiStripSchema(schema.properties[parts[0]], [parts.slice(1).join('.')]);
+		}
+	}
+};
+
+/**
+ * Infers a JSON Schema that describes all of the passed values. Values
+ * of different types are described with a list of types or "anyOf".
+ * Object properties that are present in every object are required.
+ * @param {Array} values The sample values.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._openApiInfer = function (values) {
+	var types = {},
+		typeNames = [],
+		schemas = [],
+		simple = true,
+		typeName,
+		i;
+
+	for (i = 0; i < values.length; i++) {
+		typeName = this._openApiTypeName(values[i]);
+
+		if (typeName) {
+			if (!types[typeName]) {
+				types[typeName] = [];
+				typeNames.push(typeName);
+			}
+
+			types[typeName].push(values[i]);
+		}
+	}
+
+	// Integers are numbers too so don't list both
+	if (types.integer && types.number) {
+		typeNames.splice(typeNames.indexOf('integer'), 1);
+	}
+
+	for (i = 0; i < typeNames.length; i++) {
+		schemas.push(this._openApiTypeSchema(typeNames[i], types[typeNames[i]]));
+		simple = simple && Object.keys(schemas[i]).length === 1;
+	}
+
+	if (!schemas.length) {
+		return {};
+	}
+
+	if (schemas.length === 1) {
+		return schemas[0];
+	}
+
+	if (simple) {
+		return {type: typeNames};
+	}
+
+	return {anyOf: schemas};
+};
+
+/**
+ * Gets the type name of a value used to group sample values.
+ * @param {*} val The value.
+ * @returns {String|undefined}
+ * @private
+ */
+NodeApiServer.prototype._openApiTypeName = function (val) {
+	if (val === null) {
+		return 'null';
+	}
+
+	if (val instanceof Array) {
+		return 'array';
+	}
+
+	if (val instanceof Date) {
+		return 'date';
+	}
+
+	switch (typeof val) {
+		case 'number':
+			return val % 1 === 0 ? 'integer' : 'number';
+
+		case 'string':
+		case 'boolean':
+		case 'object':
+			return typeof val;
+	}
+};
+
+/**
+ * Creates the JSON Schema of sample values that have the same type.
+ * @param {String} typeName The type name from _openApiTypeName().
+ * @param {Array} values The sample values.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._openApiTypeSchema = function (typeName, values) {
+	var schema,
+		items,
+		keys,
+		keyValues,
+		required,
+		key,
+		i, j;
+
+	switch (typeName) {
+		case 'date':
+			return {type: 'string', format: 'date-time'};
+
+		case 'array':
+			items = [];
+
+			for (i = 0; i < values.length; i++) {
+				items = items.concat(values[i]);
+			}
+
+			schema = {type: 'array'};
+
+			if (items.length) {
+				schema.items = this._openApiInfer(items);
+			}
+
+			return schema;
+
+		case 'object':
+			schema = {type: 'object', properties: {}};
+			keys = [];
+
+			for (i = 0; i < values.length; i++) {
+				for (key in values[i]) {
+					if (values[i].hasOwnProperty(key) && keys.indexOf(key) === -1) {
+						keys.push(key);
+					}
+				}
+			}
+
+			required = [];
+
+			for (i = 0; i < keys.length; i++) {
+				keyValues = [];
+
+				for (j = 0; j < values.length; j++) {
+					if (values[j][keys[i]] !== undefined) {
+						keyValues.push(values[j][keys[i]]);
+					}
+				}
+
+				schema.properties[keys[i]] = this._openApiInfer(keyValues);
+
+				if (keyValues.length === values.length) {
+					required.push(keys[i]);
+				}
+			}
+
+			if (required.length) {
+				schema.required = required;
+			}
+
+			return schema;
+
+		default:
+			return {type: typeName};
+	}
+};
+
+/**
+ * Checks a request against the size and rate limits the server was
+ * started with, sending a 414 or 429 response if it breaks one.
+ * @param req
+ * @param res
+ * @param {Function} next
+ * @private
+ */
+NodeApiServer.prototype._limitRequest = function (req, res, next) {
+	var query = url.parse(req.url).query,
+		rate;
+
+	// This middleware is added each time the server starts so make
+	// sure a request is only counted once
+	if (req._fdbLimited) {
+		return next();
+	}
+
+	req._fdbLimited = true;
+
+	if (_limits.query !== undefined && query && query.length > _limits.query) {
+		return res.status(414).send('Query string too long');
+	}
+
+	rate = this._rateLimit(req);
+
+	if (rate) {
+		res.set('X-RateLimit-Limit', String(rate.limit));
+		res.set('X-RateLimit-Remaining', String(rate.remaining));
+		res.set('X-RateLimit-Reset', String(Math.ceil(rate.reset / 1000)));
+
+		if (rate.limited) {
+			res.set('Retry-After', String(Math.ceil((rate.reset - new Date().getTime()) / 1000)));
+			return res.status(429).send('Too many requests');
+		}
+	}
+
+	next();
+};
+
+/**
+ * Counts a request against its client's rate limit. Clients are
+ * identified by their IP address unless the rateLimit option has a
+ * "key" function (req) that returns something else.
+ * @param {Object} req The request.
+ * @returns {Object|undefined} The "limit", "remaining" requests and
+ * "reset" time of the client's current window and whether the request
+ * is "limited", or undefined if there is no rate limit.
+ * @private
+ */
+NodeApiServer.prototype._rateLimit = function (req) {
+	var rateLimit = _limits.rate,
+		now = new Date().getTime(),
+		windowTime,
+		client,
+		key;
+
+	if (!rateLimit) {
+		return;
+	}
+
+	windowTime = rateLimit.window || 60000;
+	key = rateLimit.key ? rateLimit.key(req) : req.ip || (req.connection && req.connection.remoteAddress);
+
+	// Forget clients whose window has ended
+	if (now >= _rateSweep) {
+		for (client in _rateClients) {
+			if (_rateClients.hasOwnProperty(client) && _rateClients[client].reset <= now) {
+				delete _rateClients[client];
+			}
+		}
+
+		_rateSweep = now + windowTime;
+	}
+
+	client = _rateClients[key];
+
+	if (!client || client.reset <= now) {
+		client = _rateClients[key] = {
+			count: 0,
+			reset: now + windowTime
+		};
+	}
+
+	client.count++;
+
+	return {
+		limit: rateLimit.max,
+		remaining: Math.max(0, rateLimit.max - client.count),
+		reset: client.reset,
+		limited: client.count > rateLimit.max
+	};
+};
+
+/**
+ * Converts a size such as 100, "100kb" or "1.5mb" to a number of bytes.
+ * @param {Number|String} size The size.
+ * @returns {Number|undefined}
+ * @private
+ */
+NodeApiServer.prototype._byteSize = function (size) {
+	var units = {b: 1, kb: 1024, mb: 1048576, gb: 1073741824},
+		match;
+
+	if (typeof size === 'number') {
+		return size;
+	}
+
+	match = /^(\d+(?:\.\d+)?)\s*(b|kb|mb|gb)?$/i.exec(String(size));
+
+	if (match) {
+		return Math.floor(parseFloat(match[1]) * units[(match[2] || 'b').toLowerCase()]);
+	}
+};
+
+/**
+ * Gets / sets the authentication module. When set, users log in with
+ * a username and password via POST {rootPath}/_auth/login to get an
+ * access token and a refresh token. Requests that send the access
+ * token in an Authorization header ("Bearer <token>") or the $token
+ * query parameter have req.user set to the user (without their
+ * password) before access functions are called. Requests with an
+ * invalid or expired token get a 401.
+ * @param {String|Boolean=} dbName The name of the database to hold the
+ * users and sessions collections or false to turn authentication off.
+ * @param {Object=} options An options object. "secret" (required) is
+ * the key tokens are signed with, "users" and "sessions" name the
+ * collections (defaults "users" and "sessions"), "tokenLifetime" and
+ * "refreshLifetime" are the number of milliseconds access tokens
+ * (defaults to 15 minutes) and refresh tokens (defaults to 30 days)
+ * are valid for and "iterations" is the number of PBKDF2 iterations
+ * used to hash passwords (defaults to 100000).
+ * @returns {*} The NodeApiAuth instance if no arguments are passed,
+ * otherwise this.
+ */
+NodeApiServer.prototype.auth = function (dbName, options) {
+	if (dbName === undefined) {
+		return _auth;
+	}
+
+	if (dbName === false) {
+		_auth = undefined;
+		return this;
+	}
+
+	_auth = new NodeApiAuth(this._core.db(dbName), options);
+
+	// Never send password hashes to clients
+	this.rule(dbName, 'collection', _auth.users().name(), {hide: ['password']});
+
+	return this;
+};
+
+/**
+ * Sets req.user from the request's access token if authentication is
+ * enabled.
+ * @param {Object} req The request.
+ * @returns {String|undefined} An error if the request has an invalid
+ * token.
+ * @private
+ */
+NodeApiServer.prototype._authenticate = function (req) {
+	var result;
+
+	if (!_auth || req._fdbAuthenticated) {
+		return;
+	}
+
+	req._fdbAuthenticated = true;
+
+	// Clients with expired tokens still need to be able to refresh
+	// them and log out
+	if ((req.params && req.params.dbName === '_auth') || (req.path && req.path.indexOf('/_auth/') === 0)) {
+		return;
+	}
+
+	result = _auth.authenticate(req);
+
+	if (result.err) {
+		return result.err;
+	}
+
+	if (result.user) {
+		req.user = result.user;
+	}
+};
+
+/**
+ * Gets / sets the audit log. When set, every change made through the
+ * REST API, bulk requests and replication is recorded as a document in
+ * a capped collection with the request method, the user, the object
+ * that was changed, the ids of the changed documents and a diff of each
+ * change. The collection is a normal ForerunnerDB collection so it can
+ * be queried, exposed and persisted like any other.
+ * @param {String|Boolean=} dbName The name of the database to hold
+ * the audit log or false to stop auditing.
+ * @param {String=} collectionName The name of the audit log collection.
+ * @param {Object=} options An options object. Set "size" to the number
+ * of entries to keep (defaults to 1000) and "user" to a function (req)
+ * that returns the user to record. By default the user is req.user,
+ * which access functions can set when they identify the user.
+ * @returns {*} The audit log collection if no arguments are passed,
+ * otherwise this.
+ */
+NodeApiServer.prototype.audit = function (dbName, collectionName, options) {
+	var collection;
+
+	if (dbName === undefined) {
+		return _audit ? _audit.collection : undefined;
+	}
+
+	if (dbName === false) {
+		_audit = undefined;
+		return this;
+	}
+
+	options = options || {};
+
+	collection = this._core.db(dbName).collection(collectionName);
+	collection.capped(true);
+	collection.cappedSize(options.size || 1000);
+
+	_audit = {
+		collection: collection,
+		user: options.user
+	};
+
+	return this;
+};
+
+/**
+ * Starts an audit log capture for a request. Only changes made inside
+ * _auditRecord() calls are recorded.
+ * @param {Object} req The request.
+ * @param {String} method The request method, or "BULK" or "REPLICATE"
+ * for bulk and replication requests.
+ * @returns {Object|undefined} The capture to pass to _auditWatch(),
+ * _auditRecord() and _auditEnd() or undefined if there is no audit log.
+ * @private
+ */
+NodeApiServer.prototype._auditStart = function (req, method) {
+	var capture;
+
+	if (!_audit) {
+		return;
+	}
+
+	capture = {
+		req: req,
+		method: method,
+		objs: [],
+		changes: [],
+		listener: {
+			chainReceive: function (sender, type, data) {
+				if (type === 'insert' || type === 'update' || type === 'remove') {
+					capture.changes.push({obj: sender, type: type, data: data});
+				}
+			}
+		}
+	};
+
+	return capture;
+};
+
+/**
+ * Adds an object to the objects a capture records changes on.
+ * @param {Object=} capture The capture from _auditStart().
+ * @param {Object} obj The object.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @private
+ */
+NodeApiServer.prototype._auditWatch = function (capture, obj, dbName, objType, objName) {
+	var i;
+
+	if (!capture || typeof obj.chain !== 'function') {
+		return;
+	}
+
+	for (i = 0; i < capture.objs.length; i++) {
+		if (capture.objs[i].obj === obj) {
+			return;
+		}
+	}
+
+	capture.objs.push({
+		obj: obj,
+		dbName: dbName,
+		objType: objType,
+		objName: objName
+	});
+};
+
+/**
+ * Calls a function that writes to the objects a capture watches and
+ * records the changes it makes. The objects are only listened to while
+ * the function runs, with deferred calls switched off so the write
+ * completes before it returns, so changes made by other requests, TTL
+ * expiry or pub/sub are not recorded against this request.
+ * @param {Object=} capture The capture from _auditStart().
+ * @param {Function} fn The function that makes the changes.
+ * @returns {*} The function's return value.
+ * @private
+ */
+NodeApiServer.prototype._auditRecord = function (capture, fn) {
+	var deferred = [],
+		obj,
+		i;
+
+	if (!capture || capture.ended) {
+		return fn();
+	}
+
+	for (i = 0; i < capture.objs.length; i++) {
+		obj = capture.objs[i].obj;
+
+		if (typeof obj.deferredCalls === 'function') {
+			deferred[i] = obj.deferredCalls();
+			obj.deferredCalls(false);
+		}
+
+		obj.chain(capture.listener);
+	}
+
+	try {
+		return fn();
+	} finally {
+		for (i = 0; i < capture.objs.length; i++) {
+			obj = capture.objs[i].obj;
+			obj.unChain(capture.listener);
+
+			if (deferred[i] !== undefined) {
+				obj.deferredCalls(deferred[i]);
+			}
+		}
+	}
+};
+
+/**
+ * Ends a capture and writes an audit log entry for each object that
+ * was changed.
+ * @param {Object=} capture The capture from _auditStart().
+ * @param {Boolean=} discard If true the changes are not recorded, for
+ * instance because they were rolled back.
+ * @private
+ */
+NodeApiServer.prototype._auditEnd = function (capture, discard) {
+	var watched,
+		entry,
+		pk,
+		i, j;
+
+	if (!capture || capture.ended) {
+		return;
+	}
+
+	capture.ended = true;
+
+	if (discard || !_audit) {
+		return;
+	}
+
+	for (i = 0; i < capture.objs.length; i++) {
+		watched = capture.objs[i];
+		pk = watched.obj.primaryKey();
+		entry = {
+			ts: new Date(),
+			method: capture.method,
+			user: _audit.user ? _audit.user(capture.req) : capture.req.user,
+			dbName: watched.dbName,
+			objType: watched.objType,
+			objName: watched.objName,
+			ids: [],
+			changes: []
+		};
+
+		for (j = 0; j < capture.changes.length; j++) {
+			if (capture.changes[j].obj === watched.obj) {
+				this._auditChanges(entry, pk, capture.changes[j]);
+			}
+		}
+
+		if (entry.changes.length) {
+			_audit.collection.insert(entry);
+		}
+	}
+};
+
+/**
+ * Adds the documents changed by a chain reactor packet to an audit
+ * log entry.
+ * @param {Object} entry The audit log entry.
+ * @param {String} pk The primary key of the changed object.
+ * @param {Object} change The captured change.
+ * @private
+ */
+NodeApiServer.prototype._auditChanges = function (entry, pk, change) {
+	var dataSet = change.data.dataSet instanceof Array ? change.data.dataSet : [change.data.dataSet],
+		oldDataSet = change.data.oldDataSet || [],
+		before,
+		after,
+		id,
+		i;
+
+	for (i = 0; i < dataSet.length; i++) {
+		before = change.type === 'update' ? oldDataSet[i] : change.type === 'remove' ? dataSet[i] : undefined;
+		after = change.type === 'remove' ? undefined : dataSet[i];
+		id = (after || before)[pk];
+
+		if (entry.ids.indexOf(id) === -1) {
+			entry.ids.push(id);
+		}
+
+		entry.changes.push({
+			id: id,
+			type: change.type,
+			diff: this._auditDiff(before || {}, after || {}, '', {})
+		});
+	}
+};
+
+/**
+ * Works out the differences between two versions of a document.
+ * @param {*} before The value before the change.
+ * @param {*} after The value after the change.
+ * @param {String} path The path of the values from the document root.
+ * @param {Object} diff The object to add differences to. Each key is
+ * the path of a changed field and each value an object with the old
+ * value as "from" and the new value as "to". Added fields have no
+ * "from" and removed fields have no "to".
+ * @returns {Object} The diff.
+ * @private
+ */
+NodeApiServer.prototype._auditDiff = function (before, after, path, diff) {
+	var keys = [],
+		change,
+		key,
+		i;
+
+	if (this._auditIsObject(before) && this._auditIsObject(after)) {
+		for (key in before) {
+			if (before.hasOwnProperty(key)) {
+				keys.push(key);
+			}
+		}
+
+		for (key in after) {
+			if (after.hasOwnProperty(key) && !before.hasOwnProperty(key)) {
+				keys.push(key);
+			}
+		}
+
+		for (i = 0; i < keys.length; i++) {
+			this._auditDiff(before[keys[i]], after[keys[i]], path ? path + '.' + keys[i] : keys[i], diff);
+		}
+
+		return diff;
+	}
+
+	if (this.jStringify(before) !== this.jStringify(after)) {
+		change = {};
+
+		if (before !== undefined) {
+			change.from = before;
+		}
+
+		if (after !== undefined) {
+			change.to = after;
+		}
+
+		diff[path] = change;
+	}
+
+	return diff;
+};
+
+/**
+ * Checks if a value is a plain object that _auditDiff() should
+ * compare field by field.
+ * @param {*} val The value.
+ * @returns {Boolean}
+ * @private
+ */
+NodeApiServer.prototype._auditIsObject = function (val) {
+	return Boolean(val) && typeof val === 'object' && !(val instanceof Array) && !(val instanceof Date) && !(val instanceof RegExp);
+};
+
+/**
+ * Gets / sets the pub/sub adapter used to share changes with the other
+ * processes serving the same data, for instance the workers of a Node
+ * cluster behind a load balancer. Every insert, update and remove made
+ * to a collection in this process is published and the changes other
+ * processes publish are applied to the local collections, so sync
+ * clients, views and subset syncs see every change whichever worker
+ * made it. Changes are applied without running triggers since the
+ * process that made them has already run them.
+ * @param {String|Object|Boolean=} adapter The name of a built-in
+ * adapter ("memory" for ForerunnerDB instances in the same process or
+ * "socket" for processes on the same machine), an adapter object with
+ * publish(message), subscribe(handler) and close() methods or false to
+ * stop sharing changes.
+ * @param {Object=} options The options for a built-in adapter, see
+ * NodeApiPubSub.
+ * @returns {*} The adapter if no arguments are passed, otherwise this.
+ */
+NodeApiServer.prototype.pubsub = function (adapter, options) {
+	var self = this,
+		pubsub,
+		name;
+
+	if (adapter === undefined) {
+		return this._pubsub ? this._pubsub.adapter : undefined;
+	}
+
+	if (this._pubsub) {
+		this._pubsubStop();
+	}
+
+	if (adapter === false) {
+		return this;
+	}
+
+	if (typeof adapter === 'string') {
+		if (!NodeApiPubSub[adapter]) {
+			throw('Unknown pub/sub adapter "' + adapter + '"!');
+		}
+
+		adapter = new NodeApiPubSub[adapter](options);
+	}
+
+	pubsub = this._pubsub = {
+		id: this.objectId(),
+		adapter: adapter,
+		dbs: [],
+		ios: [],
+		applying: false
+	};
+
+	adapter.subscribe(function (message) {
+		if (self._pubsub === pubsub) {
+			self._pubsubReceive(message);
+		}
+	});
+
+	// Databases created from now on are watched by the Core.db() override
+	for (name in this._core._db) {
+		if (this._core._db.hasOwnProperty(name)) {
+			this._pubsubWatchDb(this._core._db[name]);
+		}
+	}
+
+	return this;
+};
+
+/**
+ * Stops publishing changes and closes the pub/sub adapter.
+ * @private
+ */
+NodeApiServer.prototype._pubsubStop = function () {
+	var pubsub = this._pubsub,
+		i;
+
+	delete this._pubsub;
+
+	for (i = 0; i < pubsub.dbs.length; i++) {
+		pubsub.dbs[i].db.off('create', pubsub.dbs[i].listener);
+	}
+
+	for (i = 0; i < pubsub.ios.length; i++) {
+		pubsub.ios[i].io.drop();
+	}
+
+	pubsub.adapter.close();
+};
+
+/**
+ * Publishes the changes made to a database's collections, including
+ * collections that are created later.
+ * @param {Db} db The database.
+ * @private
+ */
+NodeApiServer.prototype._pubsubWatchDb = function (db) {
+	var self = this,
+		pubsub = this._pubsub,
+		listener,
+		name,
+		i;
+
+	for (i = 0; i < pubsub.dbs.length; i++) {
+		if (pubsub.dbs[i].db === db) {
+			return;
+		}
+	}
+
+	listener = function (obj, objType) {
+		if (objType === 'collection') {
+			self._pubsubWatch(obj);
+		}
+	};
+
+	pubsub.dbs.push({
+		db: db,
+		listener: listener
+	});
+
+	db.on('create', listener);
+
+	for (name in db._collection) {
+		if (db._collection.hasOwnProperty(name)) {
+			this._pubsubWatch(db._collection[name]);
+		}
+	}
+};
+
+/**
+ * Publishes the changes made to a collection.
+ * @param {Collection} obj The collection.
+ * @private
+ */
+NodeApiServer.prototype._pubsubWatch = function (obj) {
+	var self = this,
+		pubsub = this._pubsub,
+		watched,
+		i;
+
+	for (i = 0; i < pubsub.ios.length; i++) {
+		if (pubsub.ios[i].obj === obj) {
+			return;
+		}
+	}
+
+	watched = {
+		obj: obj,
+		io: new ReactorIO(obj, self, function (chainPacket) {
+			if (!pubsub.applying) {
+				self._pubsubPublish(obj, chainPacket);
+			}
+
+			// Nothing further down the chain needs the packet
+			return true;
+		})
+	};
+
+	pubsub.ios.push(watched);
+
+	obj.on('drop', function () {
+		var index = pubsub.ios.indexOf(watched);
+
+		if (index > -1) {
+			pubsub.ios.splice(index, 1);
+			watched.io.drop();
+		}
+	});
+};
+
+/**
+ * Publishes a chain packet from a collection.
+ * @param {Collection} obj The collection.
+ * @param {Object} chainPacket The chain packet.
+ * @private
+ */
+NodeApiServer.prototype._pubsubPublish = function (obj, chainPacket) {
+	var pk = obj.primaryKey(),
+		message = {
+			origin: this._pubsub.id,
+			db: obj.db().name(),
+			collection: obj.name(),
+			primaryKey: pk,
+			type: chainPacket.type
+		},
+		i;
+
+	switch (chainPacket.type) {
+		case 'insert':
+		case 'update':
+			message.dataSet = chainPacket.data.dataSet;
+			break;
+
+		case 'remove':
+			// The other processes only need to know which documents went
+			message.ids = [];
+
+			for (i = 0; i < chainPacket.data.dataSet.length; i++) {
+				message.ids.push(chainPacket.data.dataSet[i][pk]);
+			}
+			break;
+
+		default:
+			return;
+	}
+
+	this._pubsub.adapter.publish(this.jStringify(message));
+};
+
+/**
+ * Applies a change published by another process to the local collection.
+ * The change is not published again and sync clients of this process
+ * are sent it as usual.
+ * @param {String} message The published message.
+ * @private
+ */
+NodeApiServer.prototype._pubsubReceive = function (message) {
+	var pubsub = this._pubsub,
+		db,
+		obj,
+		pk,
+		ignoreTriggers,
+		doc,
+		query,
+		i;
+
+	try {
+		message = this.jParse(message);
+	} catch (e) {
+		return;
+	}
+
+	if (!message || message.origin === pubsub.id || !message.db || !message.collection) {
+		return;
+	}
+
+	db = this._core.db(message.db);
+	obj = db.collectionExists(message.collection) ? db.collection(message.collection) : db.collection(message.collection, {primaryKey: message.primaryKey});
+	pk = obj.primaryKey();
+	ignoreTriggers = obj.ignoreTriggers();
+
+	pubsub.applying = true;
+	obj.ignoreTriggers(true);
+
+	try {
+		switch (message.type) {
+			case 'insert':
+			case 'update':
+				for (i = 0; i < (message.dataSet || []).length; i++) {
+					doc = message.dataSet[i];
+
+					if (obj.findById(doc[pk])) {
+						obj.updateById(doc[pk], {$replace: doc});
+					} else {
+						obj.insert(doc);
+					}
+				}
+				break;
+
+			case 'remove':
+				if (message.ids && message.ids.length) {
+					query = {};
+					query[pk] = {$in: message.ids};
+					obj.remove(query);
+				}
+				break;
+		}
+	} finally {
+		obj.ignoreTriggers(Boolean(ignoreTriggers));
+		pubsub.applying = false;
+	}
+};
+
+/**
+ * Sends server-sent-events message to all connected clients that are listening
+ * to the changes in the IO that is passed.
+ * @param io
+ * @param eventName
+ * @param data
+ */
+NodeApiServer.prototype.sendToAll = function (io, eventName, data) {
+	var self = this,
+		clientArr,
+		cleanData,
+		client,
+		i;
+
+	// Increment the message counter
+	io.messageId++;
+
+	clientArr = io.clients;
+	cleanData = self.jStringify(data);
+
+	// Keep recent messages so that socket clients that reconnect
+	// can be sent the messages they missed
+	io.history.push({
+		messageId: io.messageId,
+		eventName: eventName,
+		data: cleanData
+	});
+
+	if (io.history.length > self.syncHistorySize()) {
+		io.history.shift();
+	}
+
+	// Loop client resource and write data out to socket
+	for (i = 0; i < clientArr.length; i++) {
+		client = clientArr[i];
+		self._sendToSyncClient(client, io.messageId, eventName, cleanData, data);
+	}
+};
+
+/**
+ * Sends a sync message to a server-sent events or socket client. If
+ * the client has document or field rules the message is converted into
+ * the messages the rules allow it to see.
+ * @param {Object} client The sync client.
+ * @param {Number} messageId The message id.
+ * @param {String} eventName The event name e.g. "insert".
+ * @param {String} stringifiedData Data to send in already-stringified format.
+ * @param {Object=} data The data before it was stringified, if available.
+ * @private
+ */
+NodeApiServer.prototype._sendToSyncClient = function (client, messageId, eventName, stringifiedData, data) {
+	var messages,
+		i;
+
+	if (client.rules) {
+		messages = this._ruleSyncMessages(client.io, client.rules, eventName, data !== undefined ? data : this.jParse(stringifiedData));
+
+		for (i = 0; i < messages.length; i++) {
+			this._sendToSyncClient({socket: client.socket, res: client.res, id: client.id}, messageId, messages[i].eventName, this.jStringify(messages[i].data));
+		}
+
+		return;
+	}
+
+	if (client.socket) {
+		this.sendToSocket(client.socket, client.id, messageId, eventName, stringifiedData);
+	} else {
+		this.sendToClient(client.res, messageId, eventName, stringifiedData);
+	}
+};
+
+/**
+ * Sends data to individual client.
+ * @param res
+ * @param messageId
+ * @param eventName
+ * @param stringifiedData Data to send in already-stringified format.
+ */
+NodeApiServer.prototype.sendToClient = function (res, messageId, eventName, stringifiedData) {
+	res.write('event: ' + eventName + '\n');
+	res.write('id: ' + messageId + '\n');
+	res.write("data: " + stringifiedData + '\n\n');
+
+	//console.log('EventStream: "' + eventName + '" ' + stringifiedData);
+};
+
+/**
+ * Sends a sync message to an individual WebSocket client.
+ * @param {WebSocket} socket The client's socket.
+ * @param {*} subscriptionId The id the client gave the subscription.
+ * @param {Number} messageId The message id.
+ * @param {String} eventName The event name e.g. "insert".
+ * @param {String} stringifiedData Data to send in already-stringified format.
+ */
+NodeApiServer.prototype.sendToSocket = function (socket, subscriptionId, messageId, eventName, stringifiedData) {
+	// The data is already stringified so build the message around it
+	// rather than parsing and stringifying it again for every client
+	this._socketSend(socket, '{"type":"event","id":' + this.jStringify(subscriptionId) + ',"messageId":' + messageId + ',"event":' + this.jStringify(eventName) + ',"data":' + stringifiedData + '}');
+};
+
+/**
+ * Gets the sync IO data for an object, creating it and the chain reactor
+ * node that passes the object's CRUD packets to sync clients if it does
+ * not already exist.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type e.g. "collection".
+ * @param {String} objName The object name.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._syncIo = function (dbName, objType, objName) {
+	var self = this,
+		io;
+
+	// Ensure we have basic IO objects set up
+	_io[dbName] = _io[dbName] || {};
+	_io[dbName][objType] = _io[dbName][objType] || {};
+	_io[dbName][objType][objName] = _io[dbName][objType][objName] || {
+		// Message ids start again from zero when the server restarts so
+		// clients are told which run of ids their messages belong to
+		epoch: self.objectId(),
+		messageId: 0,
+		clients: [],
+		history: []
+	};
+
+	io = _io[dbName][objType][objName];
+	io.obj = self._core.db(dbName)[objType](objName);
+
+	// Check if we already have an io for this object
+	if (!io.io) {
+		// Setup a chain reactor IO node to intercept CRUD packets
+		// coming from the object (collection, view etc), and then
+		// pass them to the clients
+		io.io = new ReactorIO(self._core.db(dbName)[objType](objName), self, function (chainPacket) {
+			var messages = io.subset ? self._subsetMessages(io, chainPacket) : [{eventName: chainPacket.type, data: chainPacket.data}],
+				i;
+
+			for (i = 0; i < messages.length; i++) {
+				self.sendToAll(io, messages[i].eventName, messages[i].data);
+			}
+
+			// Returning false informs the chain reactor to continue propagation
+			// of the chain packet down the graph tree
+			return false;
+		});
+	}
+
+	return io;
+};
+
+/**
+ * Removes a client from a sync IO so it is no longer sent messages.
+ * @param {Object} io The sync IO data.
+ * @param {Object} client The client to remove.
+ * @private
+ */
+NodeApiServer.prototype._removeSyncClient = function (io, client) {
+	var index = io.clients.indexOf(client);
+
+	if (index > -1) {
+		io.clients.splice(index, 1);
+	}
+
+	if (io.bound && !io.clients.length) {
+		this._releaseBoundView(io.bound.dbName, io.bound.name);
+	}
+};
+
+/**
+ * Starts the WebSocket server on the rootPath + "/_ws" route of the
+ * passed http server.
+ * @param {Object} httpServer The http(s) server.
+ * @private
+ */
+NodeApiServer.prototype._startSocketServer = function (httpServer) {
+	var self = this;
+
+	socketServer = new WebSocket.Server({
+		server: httpServer,
+		path: this._rootPath + '/_ws',
+		maxPayload: this._byteSize(_limits.body)
+	});
+
+	socketServer.on('connection', function (socket, req) {
+		self.handleSocketConnection(socket, req);
+	});
+};
+
+/**
+ * Handles a new WebSocket client connection. A single connection can
+ * hold sync subscriptions to any number of objects and send requests
+ * that are handled the same way as REST requests. Session data can be
+ * passed as JSON in the connection url's query string in the same way
+ * as REST requests.
+ * @param {WebSocket} socket The client's socket.
+ * @param {Object} req The http upgrade request.
+ */
+NodeApiServer.prototype.handleSocketConnection = function (socket, req) {
+	var self = this,
+		urlObj = url.parse(req.url),
+		subscriptions = {},
+		json = {};
+
+	if (urlObj.query) {
+		try {
+			json = JSON.parse(decodeURIComponent(urlObj.query));
+		} catch (e) {
+			json = {};
+		}
+	}
+
+	socket.on('message', function (message) {
+		var request,
+			rate,
+			err,
+			msg;
+
+		try {
+			msg = self.jParse(String(message));
+		} catch (e) {
+			return self._socketSend(socket, {type: 'error', err: 'Error parsing message ' + e});
+		}
+
+		if (msg.type === 'subscribe' || msg.type === 'request') {
+			rate = self._rateLimit(req);
+
+			if (rate && rate.limited) {
+				if (msg.type === 'request') {
+					return self._socketResponse(socket, msg.id).status(429).send('Too many requests');
+				}
+
+				return self._socketSend(socket, {type: 'error', id: msg.id, err: 'Too many requests'});
+			}
+		}
+
+		if (self.debug && self.debug()) {
+			console.log(self.logIdentifier() + ' Received socket message: ' + msg.type + ' ' + msg.path);
+		}
+
+		switch (msg.type) {
+			case 'subscribe':
+				self._socketSubscribe(socket, req, json, subscriptions, msg);
+				break;
+
+			case 'unsubscribe':
+				if (subscriptions[msg.id]) {
+					self._removeSyncClient(subscriptions[msg.id].io, subscriptions[msg.id]);
+					delete subscriptions[msg.id];
+				}
+				break;
+
+			case 'request':
+				// Express catches errors thrown by route handlers but
+				// nothing catches them here so we need to
+				try {
+					request = self._socketRequest(req, json, msg.method, msg.path, msg.data, msg.headers);
+					err = self._authenticate(request);
+
+					if (err) {
+						self._socketResponse(socket, msg.id).status(401).send(err);
+					} else if (request.params.dbName === '_auth' && msg.method === 'POST') {
+						request.params.action = request.params.objType;
+						self.handleAuthRequest(request, self._socketResponse(socket, msg.id));
+					} else if (request.params.objId === '_replicate' && msg.method === 'POST') {
+						self.handleReplicateRequest(request, self._socketResponse(socket, msg.id));
+					} else if (request.params.objType === '_bulk' && msg.method === 'POST') {
+						self.handleBulkRequest(request, self._socketResponse(socket, msg.id));
+					} else if (request.params.dbName === '_openapi.json' && msg.method === 'GET') {
+						self.handleOpenApiRequest(request, self._socketResponse(socket, msg.id));
+					} else {
+						self.handleRequest(request, self._socketResponse(socket, msg.id));
+					}
+				} catch (e) {
+					self._socketResponse(socket, msg.id).status(500).send(String(e));
+				}
+				break;
+
+			default:
+				self._socketSend(socket, {type: 'error', id: msg.id, err: 'Unknown message type: ' + msg.type});
+				break;
+		}
+	});
+
+	socket.on('error', function (err) {
+		// The socket closes after an error, for instance when a message
+		// is over the body size limit
+		if (self.debug && self.debug()) {
+			console.log(self.logIdentifier() + ' Socket error: ' + err);
+		}
+	});
+
+	socket.on('close', function () {
+		var id;
+
+		// Remove this connection's subscriptions from their sync IOs
+		for (id in subscriptions) {
+			if (subscriptions.hasOwnProperty(id)) {
+				self._removeSyncClient(subscriptions[id].io, subscriptions[id]);
+			}
+		}
+	});
+
+	self._socketSend(socket, {type: 'connected'});
+};
+
+/**
+ * Handles a socket client's request to subscribe to sync messages from
+ * an object. If the message includes the lastMessageId the client
+ * received on a previous connection, any messages it missed are sent
+ * straight away. If the missed messages are no longer held, or the ids
+ * came from an earlier run of the server (a different epoch), a "resync"
+ * message is sent instead telling the client to reload its data.
+ * @param {WebSocket} socket The client's socket.
+ * @param {Object} req The http upgrade request.
+ * @param {Object} json The connection's query string data.
+ * @param {Object} subscriptions The connection's subscriptions.
+ * @param {Object} msg The subscribe message.
+ * @private
+ */
+NodeApiServer.prototype._socketSubscribe = function (socket, req, json, subscriptions, msg) {
+	var self = this,
+		syncReq = this._socketRequest(req, json, 'SYNC', msg.path, {
+			$query: msg.query,
+			$options: msg.options,
+			$params: msg.params
+		}, msg.headers),
+		dbName = syncReq.params.dbName,
+		objType = syncReq.params.objType,
+		objName = syncReq.params.objName,
+		authErr = this._authenticate(syncReq);
+
+	if (authErr) {
+		return self._socketSend(socket, {type: 'error', id: msg.id, err: authErr});
+	}
+
+	self.hasPermission(dbName, objType, objName, "SYNC", syncReq, function (err) {
+		var client,
+			history,
+			bound,
+			subset,
+			rules,
+			io,
+			i;
+
+		if (err) {
+			return self._socketSend(socket, {type: 'error', id: msg.id, err: err});
+		}
+
+		if (typeof self._core.db(dbName)[objType] !== 'function') {
+			return self._socketSend(socket, {type: 'error', id: msg.id, err: 'Unknown object type: ' + objType});
+		}
+
+		if (subscriptions[msg.id]) {
+			self._removeSyncClient(subscriptions[msg.id].io, subscriptions[msg.id]);
+			delete subscriptions[msg.id];
+		}
+
+		bound = objType === 'view' ? self._boundView(dbName, objName, syncReq) : {};
+
+		if (bound.err) {
+			return self._socketSend(socket, {type: 'error', id: msg.id, err: bound.err});
+		}
+
+		rules = self._requestRules(dbName, objType, objName, 'SYNC', syncReq);
+		subset = bound.name ? {} : self._subsetView(dbName, objType, objName, syncReq, rules);
+
+		if (subset.err) {
+			return self._socketSend(socket, {type: 'error', id: msg.id, err: subset.err});
+		}
+
+		io = self._syncIo(dbName, subset.name ? 'view' : objType, subset.name || bound.name || objName);
+		io.bound = subset.name || bound.name ? {dbName: dbName, name: subset.name || bound.name} : undefined;
+		io.subset = io.subset || subset.subset;
+		client = {
+			socket: socket,
+			id: msg.id,
+			io: io,
+			rules: rules
+		};
+
+		self._socketSend(socket, {type: 'subscribed', id: msg.id, messageId: io.messageId, epoch: io.epoch});
+
+		if (msg.lastMessageId !== undefined) {
+			history = io.history;
+
+			if (msg.epoch === io.epoch && msg.lastMessageId <= io.messageId && msg.lastMessageId >= io.messageId - history.length) {
+				// Send the messages the client missed
+				for (i = 0; i < history.length; i++) {
+					if (history[i].messageId > msg.lastMessageId) {
+						self._sendToSyncClient(client, history[i].messageId, history[i].eventName, history[i].data);
+					}
+				}
+			} else {
+				// The client missed more messages than we hold (or the
+				// server has restarted) so it must reload its data
+				self._socketSend(socket, {type: 'resync', id: msg.id, messageId: io.messageId, epoch: io.epoch});
+			}
+		}
+
+		subscriptions[msg.id] = client;
+		io.clients.push(client);
+	});
+};
+
+/**
+ * Creates a request object for a socket message that looks enough like
+ * an express request for handleRequest() and access rules to use it.
+ * @param {Object} req The http upgrade request.
+ * @param {Object} json The connection's query string data.
+ * @param {String} method The request method e.g. "GET".
+ * @param {String} path The request path after the rootPath e.g.
+ * "/myDb/collection/myColl".
+ * @param {*} data The query data for GET, HEAD, DELETE and SYNC
+ * requests or the body for other requests.
+ * @param {Object=} headers Headers for this request such as If-Match,
+ * added to the headers of the upgrade request.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._socketRequest = function (req, json, method, path, data, headers) {
+	var pathSections = String(path).split('/'),
+		reqHeaders = req.headers,
+		reqJson = {},
+		body,
+		i;
+
+	Shared.mixin(reqJson, json);
+
+	if (headers && typeof headers === 'object') {
+		reqHeaders = Shared.mixin({}, req.headers);
+
+		// Header names are lower case, as they are on express requests
+		for (i in headers) {
+			if (headers.hasOwnProperty(i)) {
+				reqHeaders[i.toLowerCase()] = headers[i];
+			}
+		}
+	}
+
+	if (method === 'GET' || method === 'HEAD' || method === 'DELETE' || method === 'SYNC') {
+		if (data) {
+			Shared.mixin(reqJson, data);
+		}
+	} else {
+		body = data;
+	}
+
+	return {
+		method: method,
+		url: this._rootPath + path,
+		headers: reqHeaders,
+		socket: req.socket,
+		connection: req.connection,
+		params: {
+			dbName: pathSections[1],
+			objType: pathSections[2],
+			objName: pathSections[3],
+			objId: pathSections[4]
+		},
+		query: {},
+		json: reqJson,
+		body: body,
+		webSocket: true
+	};
+};
+
+/**
+ * Creates a response object for a socket request that sends the
+ * response back over the socket. Supports the express response
+ * methods that handleRequest() and procedures use.
+ * @param {WebSocket} socket The client's socket.
+ * @param {*} id The id the client gave the request.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._socketResponse = function (socket, id) {
+	var self = this,
+		statusCode = 200,
+		headers;
+
+	return {
+		status: function (code) {
+			statusCode = code;
+			return this;
+		},
+
+		set: function (name, value) {
+			headers = headers || {};
+			headers[name] = value;
+			return this;
+		},
+
+		sendStatus: function (code) {
+			statusCode = code;
+			return this.send();
+		},
+
+		send: function (data) {
+			self._socketSend(socket, {type: 'response', id: id, status: statusCode, headers: headers, data: data});
+			return this;
+		},
+
+		json: function (data) {
+			return this.send(data);
+		}
+	};
+};
+
+/**
+ * Sends a message to a socket client if the socket is open.
+ * @param {WebSocket} socket The client's socket.
+ * @param {Object|String} msg The message object or an already
+ * stringified message.
+ * @private
+ */
+NodeApiServer.prototype._socketSend = function (socket, msg) {
+	if (socket.readyState === WebSocket.OPEN) {
+		socket.send(typeof msg === 'string' ? msg : this.jStringify(msg));
+	}
+};
+
+/**
+ * Checks for permission to access the specified object.
+ * @param {String} dbName
+ * @param {String} objType
  * @param {String} objName
  * @param {String} methodName
  * @param {Object} req
  * @param {Function} callback
  * @returns {*}
  */
-NodeApiServer.prototype.hasPermission = function (dbName, objType, objName, methodName, req, callback) {
-	var permissionMethods = this._core.api.access(dbName, objType, objName, methodName);
+NodeApiServer.prototype.hasPermission = function (dbName, objType, objName, methodName, req, callback) {
+	var permissionMethods = this._core.api.access(dbName, objType, objName, methodName);
+
+	if (objType === 'view' && _boundViews[dbName] && _boundViews[dbName][objName]) {
+		// Bound views are only served through the view they are bound to
+		return callback('403 Access Forbidden');
+	}
+
+	if (!permissionMethods || !permissionMethods.length) {
+		// No permissions set, deny access by default
+		return callback('403 Access Forbidden');
+	}
+
+	// Add a method right at the beginning of the waterfall
+	// that passes in the req object so all the access control
+	// methods can analyse the request for info they might need
+	permissionMethods.splice(0, 0, function (cb) {
+		cb(null, dbName, objType, objName, methodName, req);
+	});
+
+	// Loop the access methods and call each one in turn until an error
+	// response is found, then callback a failure
+	async.waterfall(permissionMethods, callback);
+};
+
+/**
+ * Defines an access rule for an object and HTTP method combination. When
+ * access is requested via a REST call, the function provided will be
+ * executed and the callback from that method will determine if the
+ * access will be allowed or denied. Multiple access functions can
+ * be provided for a single model and method allowing authentication
+ * checks to be stacked.
+ *
+ * This call also allows you to pass a wildcard "*" instead of the objType,
+ * objName and methodName parameters which will match all items. This
+ * allows you to set permissions globally.
+ *
+ * If no access permissions are present ForerunnerDB will automatically
+ * deny any request to the resource by default.
+ * @name access
+ * @param {String} dbName The name of the database to set access rules for.
+ * @param {String} objType The type of object that the name refers to
+ * e.g. "collection", "view" etc. This effectively maps to a method name on
+ * the Db class instance. If you can do db.collection() then you can use the
+ * string "collection" since it maps to the db.collection() method. This means
+ * you can also use this to map to custom classes as long as you register
+ * an accessor method on the Db class.
+ * @param {String} objName The object name to apply the access rule to.
+ * @param {String} methodName The name of the HTTP method to apply the access
+ * function to e.g. "GET", "POST", "PUT", "PATCH" etc.
+ * @param {Function|String} checkFunction The function to call when an access
+ * attempt is made against the collection. A callback method is passed to this
+ * function which should be called after the function has finished
+ * processing. If you do not need custom logic to allow or deny access you
+ * can simply pass the string "allow" or "deny" instead of a function and
+ * ForerunnerDB will handle the logic automatically.
+ * @returns {*}
+ */
+NodeApiServer.prototype.access = function (dbName, objType, objName, methodName, checkFunction) {
+	var methodArr,
+		accessOrderItem,
+		foundEntry = false,
+		i;
+
+	if (objType !== undefined && objName !== undefined && methodName !== undefined) {
+		if (checkFunction !== undefined) {
+			if (checkFunction === 'allow') {
+				// Provide default allow method
+				checkFunction = this._allowMethod;
+			} else if (checkFunction === 'deny') {
+				// Provide default deny method
+				checkFunction = this._denyMethod;
+			}
+
+			if (typeof checkFunction !== 'function') {
+				throw('Cannot create an access rule with a checkFunction argument of a type other than function!');
+			}
+
+			// Set new access permission with callback "checkFunction"
+			_access.db = _access.db || {};
+			_access.db[dbName] = _access.db[dbName] || {};
+			_access.db[dbName][objType] = _access.db[dbName][objType] || {};
+			_access.db[dbName][objType][objName] = _access.db[dbName][objType][objName] || {};
+			_access.db[dbName][objType][objName][methodName] = true;
+
+			_accessOrder.push({
+				dbName: dbName,
+				objType: objType,
+				objName: objName,
+				methodName: methodName,
+				checkFunction: checkFunction
+			});
+
+			return this;
+		}
+
+		methodArr = [];
+
+		// Do quick lookup check
+		if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType][objName] && _access.db[dbName][objType][objName][methodName]) {
+			foundEntry = true;
+		} else if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType][objName] && _access.db[dbName][objType][objName]['*']) {
+			foundEntry = true;
+		} else if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType]['*'] && _access.db[dbName][objType]['*'][methodName]) {
+			foundEntry = true;
+		} else if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType]['*'] && _access.db[dbName][objType]['*']['*']) {
+			foundEntry = true;
+		} else if (_access.db && _access.db[dbName] && _access.db[dbName]['*'] && _access.db[dbName]['*']['*'] && _access.db[dbName]['*']['*']['*']) {
+			foundEntry = true;
+		} else {
+			// None of the matching patterns exist, exit without permissions
+			return methodArr;
+		}
+
+		// Now we know that at least one of the permission rules matches the passed pattern
+		// so we loop through the permissions in order they are registered and add matching
+		// ones to the methodArr array.
+		for (i = 0; i < _accessOrder.length; i++) {
+			accessOrderItem = _accessOrder[i];
+
+			// Determine if the access data fits the query
+			if (accessOrderItem.dbName === '*' || accessOrderItem.dbName === dbName) {
+				if (accessOrderItem.objType === '*' || accessOrderItem.objType === objType) {
+					if (accessOrderItem.objName === '*' || accessOrderItem.objName === objName) {
+						if (accessOrderItem.methodName === '*' || accessOrderItem.methodName === methodName) {
+							methodArr.push(accessOrderItem.checkFunction);
+						}
+					}
+				}
+			}
+		}
+
+		return methodArr;
+	}
+
+	return [];
+};
+
+NodeApiServer.prototype._allowMethod = function defaultAllowMethod (dbName, objType, objName, httpMethod, req, callback) {
+	callback(false, dbName, objType, objName, httpMethod, req);
+};
+
+NodeApiServer.prototype._denyMethod = function defaultDenyMethod (dbName, objType, objName, httpMethod, req, callback) {
+	callback('Access forbidden', dbName, objType, objName, httpMethod, req);
+};
+
+/**
+ * Defines a rule that limits which documents and fields of an object
+ * clients can read and write. Rules are matched against requests with
+ * the same wildcard support as access() and every matching rule is
+ * applied. Rules apply to REST requests, replication requests and
+ * sync streams.
+ * @param {String} dbName The name of the database to set the rule for.
+ * @param {String} objType The type of object e.g. "collection".
+ * @param {String} objName The object name to apply the rule to.
+ * @param {Object} rule The rule. Set "filter" to a query object (or a
+ * function(req, methodName) that returns one) that documents must
+ * match for a client to read, update or remove them or to insert them.
+ * Set "hide" to an array of field paths to strip from documents sent to
+ * clients and "readOnly" to an array of field paths that clients cannot
+ * change on existing documents.
+ * @returns {NodeApiServer}
+ */
+NodeApiServer.prototype.rule = function (dbName, objType, objName, rule) {
+	if (!rule || typeof rule !== 'object') {
+		throw('Cannot create a rule with a rule argument of a type other than object!');
+	}
+
+	_rules.push({
+		dbName: dbName,
+		objType: objType,
+		objName: objName,
+		rule: rule
+	});
+
+	return this;
+};
+
+/**
+ * Gets the combined rules that apply to a request.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @param {String} methodName The request method e.g. "GET" or "SYNC".
+ * @param {Object} req The request.
+ * @returns {Object|undefined} An object with the combined "filter"
+ * query and the "hide" and "readOnly" field path arrays or undefined
+ * if no rules apply.
+ * @private
+ */
+NodeApiServer.prototype._requestRules = function (dbName, objType, objName, methodName, req) {
+	var filters = [],
+		rules,
+		rule,
+		filter,
+		i;
+
+	for (i = 0; i < _rules.length; i++) {
+		if ((_rules[i].dbName === '*' || _rules[i].dbName === dbName) && (_rules[i].objType === '*' || _rules[i].objType === objType) && (_rules[i].objName === '*' || _rules[i].objName === objName)) {
+			rule = _rules[i].rule;
+			rules = rules || {hide: [], readOnly: []};
+
+			filter = typeof rule.filter === 'function' ? rule.filter(req, methodName) : rule.filter;
+
+			if (filter) {
+				filters.push(filter);
+			}
+
+			if (rule.hide) {
+				rules.hide = rules.hide.concat(rule.hide);
+			}
+
+			if (rule.readOnly) {
+				rules.readOnly = rules.readOnly.concat(rule.readOnly);
+			}
+		}
+	}
+
+	if (rules && filters.length) {
+		rules.filter = filters.length === 1 ? filters[0] : {$and: filters};
+	}
+
+	return rules;
+};
+
+/**
+ * Adds the rules' filter to a query.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object=} query The query.
+ * @returns {Object|undefined}
+ * @private
+ */
+NodeApiServer.prototype._ruleQuery = function (rules, query) {
+	if (!rules || !rules.filter) {
+		return query;
+	}
+
+	if (!query) {
+		return rules.filter;
+	}
+
+	return {
+		$and: [query, rules.filter]
+	};
+};
+
+/**
+ * Creates a query for the document with the passed id that also
+ * matches the rules' filter.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object the document belongs to.
+ * @param {*} objId The document id.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._ruleIdQuery = function (rules, obj, objId) {
+	var query = {};
+
+	query[obj.primaryKey ? obj.primaryKey() : '_id'] = objId;
+
+	return this._ruleQuery(rules, query);
+};
+
+/**
+ * Checks if a document matches the rules' filter.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object the document belongs to.
+ * @param {Object} doc The document.
+ * @returns {Boolean}
+ * @private
+ */
+NodeApiServer.prototype._ruleMatch = function (rules, obj, doc) {
+	return !rules || !rules.filter || obj._match(doc, rules.filter, {}, 'and', {});
+};
+
+/**
+ * Strips the fields the rules hide from data being sent to a client.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object|Array} data A document or array of documents.
+ * @returns {Object|Array} A copy of the data without the hidden fields
+ * or the data itself if no fields are hidden.
+ * @private
+ */
+NodeApiServer.prototype._ruleOutput = function (rules, data) {
+	var docs,
+		i;
+
+	if (!rules || !rules.hide.length || !data || typeof data !== 'object') {
+		return data;
+	}
+
+	data = this.decouple(data);
+	docs = data instanceof Array ? data : [data];
+
+	for (i = 0; i < docs.length; i++) {
+		this._stripFields(docs[i], rules.hide);
+	}
+
+	return data;
+};
+
+/**
+ * Removes the passed field paths from an object. Arrays along a path
+ * have the rest of the path removed from each of their items.
+ * @param {Object} obj The object.
+ * @param {Array} paths The field paths.
+ * @private
+ */
+NodeApiServer.prototype._stripFields = function (obj, paths) {
+	var parts,
+		i;
+
+	if (obj instanceof Array) {
+		for (i = 0; i < obj.length; i++) {
+			this._stripFields(obj[i], paths);
+		}
+
+		return;
+	}
+
+	if (!obj || typeof obj !== 'object') {
+		return;
+	}
+
+	for (i = 0; i < paths.length; i++) {
+		parts = paths[i].split('.');
+
+		if (parts.length === 1) {
+			delete obj[parts[0]];
+		} else {
+			this._stripFields(obj[parts[0]], [parts.slice(1).join('.')]);
+		}
+	}
+};
+
+/**
+ * Strips the fields the rules hide from an update object so that
+ * clients are not sent hidden values when an update is synced.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} update The update object.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._ruleUpdateOutput = function (rules, update) {
+	var self = this,
+		strip;
+
+	if (!rules || !rules.hide.length || !update || typeof update !== 'object') {
+		return update;
+	}
+
+	strip = function (obj) {
+		var key,
+			i;
+
+		for (key in obj) {
+			if (obj.hasOwnProperty(key)) {
+				if (key.charAt(0) === '$') {
+					if (obj[key] && typeof obj[key] === 'object') {
+						// Operators such as $inc and $replace hold fields
+						strip(obj[key]);
+					}
+				} else {
+					for (i = 0; i < rules.hide.length; i++) {
+						if (key === rules.hide[i] || key.indexOf(rules.hide[i] + '.') === 0) {
+							delete obj[key];
+							break;
+						}
+
+						if (rules.hide[i].indexOf(key + '.') === 0) {
+							self._stripFields(obj[key], [rules.hide[i].substr(key.length + 1)]);
+						}
+					}
+				}
+			}
+		}
+	};
+
+	update = this.decouple(update);
+	strip(update);
+
+	return update;
+};
+
+/**
+ * Checks if an update object writes to a field the rules make read
+ * only, including the fields a $rename moves values to.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} update The update object.
+ * @returns {String|undefined} The read only field written to, if any.
+ * @private
+ */
+NodeApiServer.prototype._ruleReadOnlyField = function (rules, update) {
+	var targets,
+		key,
+		field,
+		i;
+
+	if (!rules || !rules.readOnly.length || !update || typeof update !== 'object') {
+		return;
+	}
+
+	for (key in update) {
+		if (update.hasOwnProperty(key)) {
+			if (key.charAt(0) === '$') {
+				field = this._ruleReadOnlyField(rules, update[key]);
+
+				if (!field && key === '$rename') {
+					targets = {};
+
+					for (i in update[key]) {
+						if (update[key].hasOwnProperty(i) && typeof update[key][i] === 'string') {
+							targets[update[key][i]] = true;
+						}
+					}
+
+					field = this._ruleReadOnlyField(rules, targets);
+				}
+
+				if (field) {
+					return field;
+				}
+			} else {
+				for (i = 0; i < rules.readOnly.length; i++) {
+					if (key === rules.readOnly[i] || key.indexOf(rules.readOnly[i] + '.') === 0 || rules.readOnly[i].indexOf(key + '.') === 0) {
+						return rules.readOnly[i];
+					}
+				}
+			}
+		}
+	}
+};
+
+/**
+ * Checks if any of the passed field paths is, is inside or holds a
+ * field the rules hide.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Array} fields The field paths.
+ * @returns {String|undefined} The hidden field referenced, if any.
+ * @private
+ */
+NodeApiServer.prototype._ruleHiddenField = function (rules, fields) {
+	var i,
+		j;
+
+	if (!rules || !rules.hide.length) {
+		return;
+	}
+
+	for (i = 0; i < fields.length; i++) {
+		for (j = 0; j < rules.hide.length; j++) {
+			if (fields[i] === rules.hide[j] || fields[i].indexOf(rules.hide[j] + '.') === 0 || rules.hide[j].indexOf(fields[i] + '.') === 0) {
+				return rules.hide[j];
+			}
+		}
+	}
+};
+
+/**
+ * Gets the source and target field paths of a $rename operation.
+ * @param {Object} rename The $rename operation's fields.
+ * @returns {Array}
+ * @private
+ */
+NodeApiServer.prototype._renameFields = function (rename) {
+	var fields = [],
+		key;
+
+	for (key in rename) {
+		if (rename.hasOwnProperty(key)) {
+			fields.push(key);
+
+			if (typeof rename[key] === 'string') {
+				fields.push(rename[key]);
+			}
+		}
+	}
+
+	return fields;
+};
+
+/**
+ * Checks if a client's query or its $orderBy, $groupBy or $aggregate
+ * options reference a field the rules hide. Clients must not be able
+ * to match, sort or group on hidden fields since the results would
+ * give away their values.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object=} query The query.
+ * @param {Object=} options The query options.
+ * @returns {String|undefined} The hidden field referenced, if any.
+ * @private
+ */
+NodeApiServer.prototype._ruleQueryHiddenField = function (rules, query, options) {
+	var fields = [];
+
+	if (!rules || !rules.hide.length) {
+		return;
+	}
+
+	this._queryFields(query, '', fields);
+
+	if (options && typeof options === 'object') {
+		this._queryFields(options.$orderBy, '', fields);
+		this._queryFields(options.$groupBy, '', fields);
+
+		if (typeof options.$aggregate === 'string') {
+			fields.push(options.$aggregate);
+		}
+	}
+
+	return this._ruleHiddenField(rules, fields);
+};
+
+/**
+ * Adds the field paths a query (or an $orderBy or $groupBy object)
+ * references to the passed array.
+ * @param {*} query The query or the part of it under the path.
+ * @param {String} path The path of the part of the query.
+ * @param {Array} fields The array to add the field paths to.
+ * @private
+ */
+NodeApiServer.prototype._queryFields = function (query, path, fields) {
+	var key,
+		i;
+
+	if (query instanceof Array) {
+		for (i = 0; i < query.length; i++) {
+			this._queryFields(query[i], path, fields);
+		}
+
+		return;
+	}
+
+	if (!query || typeof query !== 'object' || query instanceof Date || query instanceof RegExp) {
+		if (path) {
+			fields.push(path);
+		}
+
+		return;
+	}
+
+	for (key in query) {
+		if (query.hasOwnProperty(key)) {
+			if (key.charAt(0) !== '$') {
+				this._queryFields(query[key], path ? path + '.' + key : key, fields);
+			} else if (path) {
+				// An operator such as $eq or $regex on the field
+				fields.push(path);
+			} else {
+				// A logical operator such as $and or $or holding queries
+				this._queryFields(query[key], path, fields);
+			}
+		}
+	}
+};
+
+/**
+ * Prepares a document that will replace an existing document. Read
+ * only fields must either be left out or unchanged and hidden fields
+ * the client could not see are kept.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} current The existing document.
+ * @param {Object} doc The replacement document.
+ * @returns {Object} An object with either the replacement "doc" or an
+ * "err" string.
+ * @private
+ */
+NodeApiServer.prototype._ruleReplacement = function (rules, current, doc) {
+	var pathSolver = new Path(),
+		keep,
+		val,
+		i;
+
+	if (!rules || !current || !doc || typeof doc !== 'object') {
+		return {doc: doc};
+	}
+
+	doc = this.decouple(doc);
+
+	for (i = 0; i < rules.readOnly.length; i++) {
+		val = pathSolver.get(doc, rules.readOnly[i]);
+
+		if (val !== undefined && this.jStringify(val) !== this.jStringify(pathSolver.get(current, rules.readOnly[i]))) {
+			return {err: 'Field "' + rules.readOnly[i] + '" is read only'};
+		}
+	}
+
+	keep = rules.readOnly.concat(rules.hide);
+
+	for (i = 0; i < keep.length; i++) {
+		val = pathSolver.get(current, keep[i]);
+
+		if (val !== undefined && pathSolver.get(doc, keep[i]) === undefined) {
+			pathSolver.set(doc, keep[i], this.decouple(val));
+		}
+	}
+
+	return {doc: doc};
+};
+
+/**
+ * Gets a copy of a document as it will be after an update, leaving the
+ * document itself unchanged.
+ * @param {Object} obj The object the document belongs to.
+ * @param {Object} doc The document.
+ * @param {Object} update The update object.
+ * @param {Object} query The query the update is made with.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._ruleUpdatedDoc = function (obj, doc, update, query) {
+	var newDoc = this.decouple(doc);
+
+	if (typeof obj.updateObject === 'function' && update && typeof update === 'object') {
+		obj.updateObject(newDoc, this.decouple(update), query, {}, '');
+	}
+
+	return newDoc;
+};
+
+/**
+ * Checks a write request against the rules that apply to it. Updates
+ * must leave the document matching the rules' filter so that clients
+ * cannot move documents outside of what they are allowed to see.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object being written to.
+ * @param {String} method The request method.
+ * @param {*} objId The document id from the url, if any.
+ * @param {*} body The request body.
+ * @returns {Object} An object with either the "body" to use for the
+ * request or an "err" string.
+ * @private
+ */
+NodeApiServer.prototype._ruleWrite = function (rules, obj, method, objId, body) {
+	var docs,
+		field,
+		query,
+		update,
+		current,
+		replacement,
+		i;
+
+	if (!rules) {
+		return {body: body};
+	}
+
+	switch (method) {
+		case 'POST':
+			docs = body instanceof Array ? body : [body];
+
+			for (i = 0; i < docs.length; i++) {
+				if (!this._ruleMatch(rules, obj, docs[i])) {
+					return {err: 'Document does not match the access rules'};
+				}
+			}
+			break;
+
+		case 'PATCH':
+			query = this._ruleIdQuery(rules, obj, objId);
+			current = obj.find(query)[0];
+			update = body && typeof body === 'object' ? Shared.mixin({}, body) : body;
+
+			if (update && update.$replace !== undefined) {
+				// A $replace is checked the same way as a PUT
+				replacement = this._ruleReplacement(rules, current, update.$replace);
+
+				if (replacement.err) {
+					return replacement;
+				}
+
+				delete update.$replace;
+			}
+
+			field = this._ruleReadOnlyField(rules, update);
+
+			if (field) {
+				return {err: 'Field "' + field + '" is read only'};
+			}
+
+			// Renaming a hidden field would give away its value
+			field = update && update.$rename && typeof update.$rename === 'object' ? this._ruleHiddenField(rules, this._renameFields(update.$rename)) : undefined;
+
+			if (field) {
+				return {err: 'Field "' + field + '" is hidden'};
+			}
+
+			if (replacement) {
+				body = Shared.mixin({}, body);
+				body.$replace = replacement.doc;
+			}
+
+			if (current && !this._ruleMatch(rules, obj, this._ruleUpdatedDoc(obj, current, body, query))) {
+				return {err: 'Updated document does not match the access rules'};
+			}
+			break;
+
+		case 'PUT':
+			query = this._ruleIdQuery(rules, obj, objId);
+			current = obj.find(query)[0];
+			replacement = this._ruleReplacement(rules, current, body);
+
+			if (replacement.err) {
+				return replacement;
+			}
+
+			if (current && !this._ruleMatch(rules, obj, this._ruleUpdatedDoc(obj, current, {$replace: replacement.doc}, query))) {
+				return {err: 'Updated document does not match the access rules'};
+			}
+
+			return {body: replacement.doc};
+	}
+
+	return {body: body};
+};
+
+/**
+ * Updates a document by id, limited to documents the rules allow.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object to update.
+ * @param {*} objId The document id.
+ * @param {Object} update The update object.
+ * @returns {Object|undefined} The updated document.
+ * @private
+ */
+NodeApiServer.prototype._ruleUpdateById = function (rules, obj, objId, update) {
+	if (!rules) {
+		return obj.updateById(objId, update);
+	}
+
+	return this._ruleOutput(rules, obj.update(this._ruleIdQuery(rules, obj, objId), update)[0]);
+};
+
+/**
+ * Removes a document by id, limited to documents the rules allow.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} obj The object to remove from.
+ * @param {*} objId The document id.
+ * @param {Object=} options An options object.
+ * @returns {Object|undefined} The removed document.
+ * @private
+ */
+NodeApiServer.prototype._ruleRemoveById = function (rules, obj, objId, options) {
+	if (!rules) {
+		return obj.removeById(objId, options);
+	}
+
+	return this._ruleOutput(rules, obj.remove(this._ruleIdQuery(rules, obj, objId), options)[0]);
+};
+
+/**
+ * Strips the fields the rules hide from the documents in an insert
+ * result.
+ * @param {Object=} rules The rules from _requestRules().
+ * @param {Object} result The insert result.
+ * @returns {Object}
+ * @private
+ */
+NodeApiServer.prototype._ruleInsertOutput = function (rules, result) {
+	if (!rules || !result || !result.inserted) {
+		return result;
+	}
+
+	result = Shared.mixin({}, result);
+	result.inserted = this._ruleOutput(rules, result.inserted);
+
+	return result;
+};
+
+/**
+ * Converts a sync message into the messages a client with rules
+ * should be sent. Documents the client cannot see are left out and
+ * hidden fields are stripped. An update that moves a document into or
+ * out of the client's view is sent as an insert or remove.
+ * @param {Object} io The sync IO data.
+ * @param {Object} rules The client's rules from _requestRules().
+ * @param {String} eventName The event name.
+ * @param {Object} data The event data.
+ * @returns {Array} An array of messages, each with an "eventName" and
+ * "data".
+ * @private
+ */
+NodeApiServer.prototype._ruleSyncMessages = function (io, rules, eventName, data) {
+	var obj = io.obj,
+		pk = obj.primaryKey ? obj.primaryKey() : '_id',
+		dataSet = data && data.dataSet ? data.dataSet : [],
+		oldDataSet = data && data.oldDataSet ? data.oldDataSet : [],
+		messages = [],
+		kept = [],
+		entered = [],
+		left = [],
+		before,
+		after,
+		i;
 
-	if (!permissionMethods || !permissionMethods.length) {
-		// No permissions set, deny access by default
-		return callback('403 Access Forbidden');
+	if (!rules.filter && !rules.hide.length) {
+		return [{eventName: eventName, data: data}];
 	}
 
-	// Add a method right at the beginning of the waterfall
-	// that passes in the req object so all the access control
-	// methods can analyse the request for info they might need
-	permissionMethods.splice(0, 0, function (cb) {
-		cb(null, dbName, objType, objName, methodName, req);
-	});
+	switch (eventName) {
+		case 'insert':
+			for (i = 0; i < dataSet.length; i++) {
+				if (this._ruleMatch(rules, obj, dataSet[i])) {
+					kept.push(dataSet[i]);
+				}
+			}
 
-	// Loop the access methods and call each one in turn until an error
-	// response is found, then callback a failure
-	async.waterfall(permissionMethods, callback);
+			if (kept.length) {
+				messages.push({eventName: 'insert', data: {dataSet: this._ruleOutput(rules, kept)}});
+			}
+			break;
+
+		case 'update':
+			for (i = 0; i < dataSet.length; i++) {
+				after = this._ruleMatch(rules, obj, dataSet[i]);
+				before = oldDataSet[i] ? this._ruleMatch(rules, obj, oldDataSet[i]) : after;
+
+				if (before && after) {
+					kept.push(dataSet[i]);
+				} else if (after) {
+					entered.push(dataSet[i]);
+				} else if (before) {
+					left.push(dataSet[i]);
+				}
+			}
+
+			if (kept.length) {
+				messages.push({eventName: 'update', data: {
+					query: this._idsQuery(pk, kept),
+					update: this._ruleUpdateOutput(rules, data.update),
+					dataSet: this._ruleOutput(rules, kept)
+				}});
+			}
+
+			if (entered.length) {
+				messages.push({eventName: 'insert', data: {dataSet: this._ruleOutput(rules, entered)}});
+			}
+
+			if (left.length) {
+				messages.push({eventName: 'remove', data: {query: this._idsQuery(pk, left), dataSet: this._ruleOutput(rules, left)}});
+			}
+			break;
+
+		case 'remove':
+		case 'leave':
+			for (i = 0; i < dataSet.length; i++) {
+				if (this._ruleMatch(rules, obj, dataSet[i])) {
+					kept.push(dataSet[i]);
+				}
+			}
+
+			if (kept.length) {
+				messages.push({eventName: eventName, data: {query: this._idsQuery(pk, kept), dataSet: this._ruleOutput(rules, kept)}});
+			}
+			break;
+
+		default:
+			// Other packets may hold documents the rules do not allow
+			// the client to see so they are not sent
+			break;
+	}
+
+	return messages;
 };
 
 /**
- * Defines an access rule for an object and HTTP method combination. When
- * access is requested via a REST call, the function provided will be
- * executed and the callback from that method will determine if the
- * access will be allowed or denied. Multiple access functions can
- * be provided for a single model and method allowing authentication
- * checks to be stacked.
- *
- * This call also allows you to pass a wildcard "*" instead of the objType,
- * objName and methodName parameters which will match all items. This
- * allows you to set permissions globally.
- *
- * If no access permissions are present ForerunnerDB will automatically
- * deny any request to the resource by default.
- * @name access
- * @param {String} dbName The name of the database to set access rules for.
- * @param {String} objType The type of object that the name refers to
- * e.g. "collection", "view" etc. This effectively maps to a method name on
- * the Db class instance. If you can do db.collection() then you can use the
- * string "collection" since it maps to the db.collection() method. This means
- * you can also use this to map to custom classes as long as you register
- * an accessor method on the Db class.
- * @param {String} objName The object name to apply the access rule to.
- * @param {String} methodName The name of the HTTP method to apply the access
- * function to e.g. "GET", "POST", "PUT", "PATCH" etc.
- * @param {Function|String} checkFunction The function to call when an access
- * attempt is made against the collection. A callback method is passed to this
- * function which should be called after the function has finished
- * processing. If you do not need custom logic to allow or deny access you
- * can simply pass the string "allow" or "deny" instead of a function and
- * ForerunnerDB will handle the logic automatically.
- * @returns {*}
+ * Creates a query that matches the passed documents by primary key.
+ * @param {String} pk The primary key field.
+ * @param {Array} docs The documents.
+ * @returns {Object}
+ * @private
  */
-NodeApiServer.prototype.access = function (dbName, objType, objName, methodName, checkFunction) {
-	var methodArr,
-		accessOrderItem,
-		foundEntry = false,
+NodeApiServer.prototype._idsQuery = function (pk, docs) {
+	var query = {},
 		i;
 
-	if (objType !== undefined && objName !== undefined && methodName !== undefined) {
-		if (checkFunction !== undefined) {
-			if (checkFunction === 'allow') {
-				// Provide default allow method
-				checkFunction = this._allowMethod;
-			} else if (checkFunction === 'deny') {
-				// Provide default deny method
-				checkFunction = this._denyMethod;
-			}
+	query[pk] = {$in: []};
 
-			if (typeof checkFunction !== 'function') {
-				throw('Cannot create an access rule with a checkFunction argument of a type other than function!');
+	for (i = 0; i < docs.length; i++) {
+		query[pk].$in.push(docs[i][pk]);
+	}
+
+	return query;
+};
+
+/**
+ * Binds request parameters into a view's query so that each client
+ * reading or syncing the view gets its own filtered live view. Clients
+ * pass the parameters as $params. The view is read from a view of its
+ * own that uses the bound view as its source and the query (and query
+ * options) built from the parameters. Clients passing the same
+ * parameters share that view and it is dropped once no clients are
+ * syncing it. Writes to the view are not affected.
+ * @param {String} dbName The name of the database.
+ * @param {String} viewName The name of the view.
+ * @param {Object} binding The binding. Set "params" to a JSON Schema
+ * that the parameters must match, "query" to a function (params, req)
+ * that returns the query to apply and "options" to a function
+ * (params, req) that returns the query options. If no query function is
+ * given each parameter must be a plain value that the field of the same
+ * name must equal.
+ * @returns {NodeApiServer}
+ */
+NodeApiServer.prototype.bindView = function (dbName, viewName, binding) {
+	if (!binding || typeof binding !== 'object') {
+		throw('Cannot bind a view with a binding argument of a type other than object!');
+	}
+
+	_bindings[dbName] = _bindings[dbName] || {};
+	_bindings[dbName][viewName] = {
+		params: binding.params ? new Schema(binding.params) : undefined,
+		query: binding.query,
+		options: binding.options
+	};
+
+	return this;
+};
+
+/**
+ * Gets the view that serves a request for a view with bound parameters,
+ * creating it if it doesn't exist yet.
+ * @param {String} dbName The database name.
+ * @param {String} viewName The name of the view that was requested.
+ * @param {Object} req The request.
+ * @returns {Object} An empty object if the view has no binding, an
+ * object with an "err" string if the parameters are invalid or an
+ * object with the "name" and "view" of the bound view.
+ * @private
+ */
+NodeApiServer.prototype._boundView = function (dbName, viewName, req) {
+	var binding = _bindings[dbName] && _bindings[dbName][viewName],
+		params,
+		errors,
+		query,
+		options,
+		messages,
+		db,
+		name,
+		view,
+		key,
+		i;
+
+	if (!binding) {
+		return {};
+	}
+
+	params = req.json && req.json.$params !== undefined ? req.json.$params : {};
+	errors = binding.params ? binding.params.validate(params) : [];
+
+	if (!errors.length && !binding.query) {
+		if (!params || typeof params !== 'object' || params instanceof Array) {
+			errors.push({path: '', message: 'Parameters must be an object'});
+		} else {
+			for (key in params) {
+				if (params.hasOwnProperty(key) && params[key] !== null && typeof params[key] === 'object') {
+					errors.push({path: key, message: 'Parameter must be a plain value'});
+				}
 			}
+		}
+	}
 
-			// Set new access permission with callback "checkFunction"
-			_access.db = _access.db || {};
-			_access.db[dbName] = _access.db[dbName] || {};
-			_access.db[dbName][objType] = _access.db[dbName][objType] || {};
-			_access.db[dbName][objType][objName] = _access.db[dbName][objType][objName] || {};
-			_access.db[dbName][objType][objName][methodName] = true;
+	if (errors.length) {
+		messages = [];
 
-			_accessOrder.push({
-				dbName: dbName,
-				objType: objType,
-				objName: objName,
-				methodName: methodName,
-				checkFunction: checkFunction
-			});
+		for (i = 0; i < errors.length; i++) {
+			messages.push(errors[i].path ? errors[i].path + ': ' + errors[i].message : errors[i].message);
+		}
 
-			return this;
+		return {err: 'Invalid view parameters: ' + messages.join(', ')};
+	}
+
+	query = binding.query ? binding.query(params, req) : params;
+	options = binding.options ? binding.options(params, req) : undefined;
+
+	db = this._core.db(dbName);
+	name = viewName + '.' + db.Checksum(this.jStringify({query: query, options: options}));
+	view = db.view(name);
+
+	if (!view.from()) {
+		view.queryData(query, options, false);
+		view.from(db.view(viewName));
+
+		// Clients can only get to bound views through their binding
+		_boundViews[dbName] = _boundViews[dbName] || {};
+		_boundViews[dbName][name] = true;
+	}
+
+	return {
+		name: name,
+		view: view
+	};
+};
+
+/**
+ * Gets the view that serves a sync of a subset of an object's documents,
+ * creating it if it doesn't exist yet. A sync is of a subset when it has
+ * a $query or its $options have a $limit or $skip. Clients syncing the
+ * same subset share the view, which keeps track of which documents
+ * match the query and, with $orderBy, of their order.
+ * @param {String} dbName The database name.
+ * @param {String} objType The object type.
+ * @param {String} objName The object name.
+ * @param {Object} req The sync request.
+ * @param {Object=} rules The rules from _requestRules(). Their filter
+ * is added to the subset's query.
+ * @returns {Object} An empty object if the sync is not of a subset, an
+ * object with an "err" string if its options are invalid or an object
+ * with the "name" of the view and the "subset" data for the sync IO.
+ * @private
+ */
+NodeApiServer.prototype._subsetView = function (dbName, objType, objName, req, rules) {
+	var query = req.json ? req.json.$query : undefined,
+		options = req.json && req.json.$options ? req.json.$options : {},
+		windowOptions = {},
+		hasQuery = Boolean(query && typeof query === 'object' && Object.keys(query).length),
+		hidden,
+		db,
+		obj,
+		name,
+		view,
+		subset,
+		docs,
+		i;
+
+	if (!hasQuery && options.$limit === undefined && options.$skip === undefined) {
+		return {};
+	}
+
+	if ((options.$limit !== undefined && !(options.$limit >= 0 && options.$limit % 1 === 0)) || (options.$skip !== undefined && !(options.$skip >= 0 && options.$skip % 1 === 0))) {
+		return {err: '$limit and $skip must be positive integers'};
+	}
+
+	hidden = this._ruleQueryHiddenField(rules, hasQuery ? query : undefined, options);
+
+	if (hidden) {
+		return {err: 'Cannot query hidden field: ' + hidden};
+	}
+
+	query = this._ruleQuery(rules, hasQuery ? query : undefined);
+
+	if (options.$orderBy) {
+		windowOptions.$orderBy = options.$orderBy;
+	}
+
+	if (options.$skip !== undefined) {
+		windowOptions.$skip = options.$skip;
+	}
+
+	if (options.$limit !== undefined) {
+		windowOptions.$limit = options.$limit;
+	}
+
+	db = this._core.db(dbName);
+	obj = db[objType](objName);
+	name = objName + '.' + db.Checksum(this.jStringify({objType: objType, query: query, options: windowOptions}));
+	view = db.view(name);
+
+	if (!view.from()) {
+		view.queryData(query, options.$orderBy ? {$orderBy: options.$orderBy} : undefined, false);
+		view.from(obj);
+
+		// Clients can only get to subset views by syncing the subset
+		_boundViews[dbName] = _boundViews[dbName] || {};
+		_boundViews[dbName][name] = true;
+	}
+
+	subset = {
+		view: view,
+		source: obj
+	};
+
+	if (windowOptions.$limit !== undefined || windowOptions.$skip !== undefined) {
+		// Keep track of the documents in the window so we can tell when
+		// documents enter and leave it
+		subset.window = windowOptions;
+		subset.members = {};
+		docs = view.find({}, windowOptions);
+
+		for (i = 0; i < docs.length; i++) {
+			subset.members[docs[i][view.primaryKey()]] = docs[i];
 		}
+	}
 
-		methodArr = [];
+	return {
+		name: name,
+		subset: subset
+	};
+};
 
-		// Do quick lookup check
-		if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType][objName] && _access.db[dbName][objType][objName][methodName]) {
-			foundEntry = true;
-		} else if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType][objName] && _access.db[dbName][objType][objName]['*']) {
-			foundEntry = true;
-		} else if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType]['*'] && _access.db[dbName][objType]['*'][methodName]) {
-			foundEntry = true;
-		} else if (_access.db && _access.db[dbName] && _access.db[dbName][objType] && _access.db[dbName][objType]['*'] && _access.db[dbName][objType]['*']['*']) {
-			foundEntry = true;
-		} else if (_access.db && _access.db[dbName] && _access.db[dbName]['*'] && _access.db[dbName]['*']['*'] && _access.db[dbName]['*']['*']['*']) {
-			foundEntry = true;
-		} else {
-			// None of the matching patterns exist, exit without permissions
-			return methodArr;
+/**
+ * Converts a chain packet from a subset view into the sync messages to
+ * send its clients. Documents that no longer match the subset but still
+ * exist are sent as "leave" messages rather than "remove" messages. If
+ * the subset has a $limit or $skip only the changes to documents in the
+ * window are sent, along with "insert" and "leave" messages as documents
+ * move in and out of it.
+ * @param {Object} io The sync IO data.
+ * @param {Object} chainPacket The chain packet.
+ * @returns {Array} An array of {eventName, data} messages.
+ * @private
+ */
+NodeApiServer.prototype._subsetMessages = function (io, chainPacket) {
+	var subset = io.subset,
+		pk = subset.view.primaryKey(),
+		type = chainPacket.type,
+		data = chainPacket.data,
+		dataSet = data && data.dataSet ? data.dataSet : [],
+		messages = [],
+		members = {},
+		entered = [],
+		updated = [],
+		removed = [],
+		left = [],
+		docs,
+		id,
+		i;
+
+	if (type !== 'insert' && type !== 'update' && type !== 'remove' && type !== 'setData') {
+		return [{eventName: type, data: data}];
+	}
+
+	if (!subset.window) {
+		if (type !== 'remove') {
+			return [{eventName: type, data: data}];
 		}
 
-		// Now we know that at least one of the permission rules matches the passed pattern
-		// so we loop through the permissions in order they are registered and add matching
-		// ones to the methodArr array.
-		for (i = 0; i < _accessOrder.length; i++) {
-			accessOrderItem = _accessOrder[i];
+		for (i = 0; i < dataSet.length; i++) {
+			if (subset.source.findById(dataSet[i][pk])) {
+				left.push(dataSet[i]);
+			} else {
+				removed.push(dataSet[i]);
+			}
+		}
+	} else {
+		docs = subset.view.find({}, subset.window);
 
-			// Determine if the access data fits the query
-			if (accessOrderItem.dbName === '*' || accessOrderItem.dbName === dbName) {
-				if (accessOrderItem.objType === '*' || accessOrderItem.objType === objType) {
-					if (accessOrderItem.objName === '*' || accessOrderItem.objName === objName) {
-						if (accessOrderItem.methodName === '*' || accessOrderItem.methodName === methodName) {
-							methodArr.push(accessOrderItem.checkFunction);
-						}
-					}
+		for (i = 0; i < docs.length; i++) {
+			members[docs[i][pk]] = docs[i];
+
+			if (!subset.members[docs[i][pk]]) {
+				entered.push(docs[i]);
+			}
+		}
+
+		for (id in subset.members) {
+			if (subset.members.hasOwnProperty(id) && !members[id]) {
+				if (subset.source.findById(subset.members[id][pk])) {
+					left.push(subset.members[id]);
+				} else {
+					removed.push(subset.members[id]);
 				}
 			}
 		}
 
-		return methodArr;
+		if (type === 'update') {
+			for (i = 0; i < dataSet.length; i++) {
+				if (members[dataSet[i][pk]] && subset.members[dataSet[i][pk]]) {
+					updated.push(dataSet[i]);
+				}
+			}
+		}
+
+		subset.members = members;
+
+		if (type === 'setData') {
+			return [{eventName: 'setData', data: docs}];
+		}
 	}
 
-	return [];
-};
+	if (removed.length) {
+		messages.push({eventName: 'remove', data: {query: this._idsQuery(pk, removed), dataSet: removed}});
+	}
 
-NodeApiServer.prototype._allowMethod = function defaultAllowMethod (dbName, objType, objName, httpMethod, req, callback) {
-	callback(false, dbName, objType, objName, httpMethod, req);
+	if (left.length) {
+		messages.push({eventName: 'leave', data: {query: this._idsQuery(pk, left), dataSet: left}});
+	}
+
+	if (entered.length) {
+		messages.push({eventName: 'insert', data: {dataSet: entered}});
+	}
+
+	if (updated.length) {
+		messages.push({eventName: 'update', data: {query: this._idsQuery(pk, updated), update: data.update, dataSet: updated}});
+	}
+
+	return messages;
 };
 
-NodeApiServer.prototype._denyMethod = function defaultDenyMethod (dbName, objType, objName, httpMethod, req, callback) {
-	callback('Access forbidden', dbName, objType, objName, httpMethod, req);
+/**
+ * Drops a bound view created by _boundView() if no clients are
+ * syncing it.
+ * @param {String} dbName The database name.
+ * @param {String} name The name of the bound view.
+ * @private
+ */
+NodeApiServer.prototype._releaseBoundView = function (dbName, name) {
+	var io = _io[dbName] && _io[dbName].view ? _io[dbName].view[name] : undefined,
+		db = this._core.db(dbName);
+
+	if (io) {
+		if (io.clients.length) {
+			return;
+		}
+
+		io.io.drop();
+		delete _io[dbName].view[name];
+	}
+
+	if (db.viewExists(name)) {
+		db.view(name).drop();
+	}
+
+	if (_boundViews[dbName]) {
+		delete _boundViews[dbName][name];
+	}
 };
 
 /**
@@ -866,8 +5279,13 @@ NodeApiServer.prototype._defineRoutes = function () {
 		});
 	});
 
+	app.get(root + '/_openapi.json', function () { self.handleOpenApiRequest.apply(self, arguments); });
+	app.post(root + '/_auth/:action', function () { self.handleAuthRequest.apply(self, arguments); });
+
 	// Handle sync routes
 	app.get(root + '/:dbName/:objType/:objName/_sync', function () { self.handleSyncRequest.apply(self, arguments); });
+	app.post(root + '/:dbName/:objType/:objName/_replicate', function () { self.handleReplicateRequest.apply(self, arguments); });
+	app.post(root + '/:dbName/_bulk', function () { self.handleBulkRequest.apply(self, arguments); });
 
 	// Handle all other routes
 	app.get(root + '/:dbName/:objType/:objName', function () { self.handleRequest.apply(self, arguments); });
@@ -906,5 +5324,20 @@ Core.prototype.init = function () {
 	return CoreInit.apply(this, arguments);
 };
 
+/**
+ * Override the Core db method so the changes made to databases created
+ * after pubsub() was called are shared with other processes as well.
+ * @returns {Db}
+ */
+Core.prototype.db = function () {
+	var db = CoreDb.apply(this, arguments);
+
+	if (this.api && this.api._pubsub) {
+		this.api._pubsubWatchDb(db);
+	}
+
+	return db;
+};
+
 Shared.finishModule('NodeApiServer');
 module.exports = NodeApiServer;
\ No newline at end of file
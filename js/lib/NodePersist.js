@@ -6,6 +6,8 @@ var Shared = require('./Shared'),
 	async = require('async'),
 	FdbCompress = require('./PersistCompress'),// jshint ignore:line
 	FdbCrypto = require('./PersistCrypto'),// jshint ignore:line
+	NodeRAS = require('./NodeRAS'),
+	Checksum = require('./Checksum'),
 	Db,
 	Collection,
 	CollectionDrop,
@@ -14,7 +16,8 @@ var Shared = require('./Shared'),
 	DbInit,
 	DbDrop,
 	NodePersist,
-	Overload;
+	Overload,
+	ReactorIO;
 
 NodePersist = function () {
 	this.init.apply(this, arguments);
@@ -39,10 +42,16 @@ NodePersist.prototype.init = function (db) {
 
 	this._db = db;
 	this._opQueue = {};
+	this._journals = {};
+	this._ras = new NodeRAS();
+	this._adapters = {
+		file: this._fileAdapter()
+	};
 };
 
 Shared.addModule('NodePersist', NodePersist);
 Shared.mixin(NodePersist.prototype, 'Mixin.Common');
+Shared.mixin(NodePersist.prototype, 'Mixin.Events');
 Shared.mixin(NodePersist.prototype, 'Mixin.ChainReactor');
 
 Db = Shared.modules.Db;
@@ -53,6 +62,7 @@ CollectionInit = Collection.prototype.init;
 DbInit = Db.prototype.init;
 DbDrop = Db.prototype.drop;
 Overload = Shared.overload;
+ReactorIO = require('./ReactorIO');
 
 /**
  * Gets / sets the persistent storage mode.
@@ -275,7 +285,12 @@ NodePersist.prototype._decode = function (val, meta, finished) {
 
 		switch (parts[0]) {
 			case 'json':
-				data = this.jParse(parts[1]);
+				try {
+					data = this.jParse(parts[1]);
+				} catch (e) {
+					if (finished) { finished('Could not parse stored data: ' + e.message); }
+					return;
+				}
 				break;
 
 			case 'raw':
@@ -347,27 +362,83 @@ NodePersist.prototype._encode = function (val, meta, finished) {
  * has completed.
  */
 NodePersist.prototype.save = function (key, data, callback) {
-	var self = this;
+	var adapter = this.adapter();
 
-	switch (this.mode()) {
-		case 'file':
-			this.encode(data, function (err, data, tableStats) {
-				self.saveDataFile(key, data, function (err, data) {
-					if (!err) {
-						if (callback) {
-							callback(false, data, tableStats);
-						}
-					} else {
-						if (callback) { callback(err); }
-					}
-				});
-			});
-			break;
+	if (!adapter) {
+		if (callback) { callback('No data handler.'); }
+		return;
+	}
 
-		default:
-			if (callback) { callback('No data handler.'); }
-			break;
+	this.encode(data, function (err, data, tableStats) {
+		if (err) {
+			if (callback) { callback(err); }
+			return;
+		}
+
+		adapter.set(key, data, function (err) {
+			if (!err) {
+				if (callback) {
+					callback(false, data, tableStats);
+				}
+			} else {
+				if (callback) { callback(err); }
+			}
+		});
+	});
+};
+
+/**
+ * Encodes data and stores it under several keys, and removes keys, in
+ * one go. If the storage adapter has a batch() method the operations are
+ * passed to it together, otherwise they are applied one at a time.
+ * @param {Array} ops An array of {type: "set", key, data} and
+ * {type: "remove", key} operations.
+ * @param {Function=} callback The method to call with (err, results)
+ * when the operations have completed. Each result has the "key" and, for
+ * set operations, the encoded "val" and the encode "stats".
+ */
+NodePersist.prototype.batch = function (ops, callback) {
+	var self = this,
+		adapter = this.adapter();
+
+	if (!adapter) {
+		if (callback) { callback('No data handler.'); }
+		return;
 	}
+
+	async.mapSeries(ops, function (op, next) {
+		if (op.type !== 'set') {
+			return next(false, {type: op.type, key: op.key});
+		}
+
+		self.encode(op.data, function (err, val, stats) {
+			next(err, {type: op.type, key: op.key, val: val, stats: stats});
+		});
+	}, function (err, results) {
+		var done = function (err) {
+			if (callback) { callback(err, err ? undefined : results); }
+		};
+
+		if (err) {
+			return done(err);
+		}
+
+		if (adapter.batch) {
+			return adapter.batch(results.map(function (result) {
+				return {type: result.type, key: result.key, val: result.val};
+			}), done);
+		}
+
+		async.eachSeries(results, function (result, next) {
+			if (result.type === 'set') {
+				adapter.set(result.key, result.val, next);
+			} else {
+				adapter.remove(result.key, next);
+			}
+		}, function (err) {
+			done(err || false);
+		});
+	});
 };
 
 /**
@@ -378,31 +449,26 @@ NodePersist.prototype.save = function (key, data, callback) {
  * has completed.
  */
 NodePersist.prototype.load = function (key, callback) {
-	var self = this;
-
-	switch (this.mode()) {
-		case 'file':
-			self.checkDataFile(key, function (err) {
-				if (!err) {
-					self.loadDataFile(key, function (err, val) {
-						if (!err) {
-							self.decode(val, callback);
-						} else {
-							if (callback) {
-								callback(err);
-							}
-						}
-					});
-				} else {
-					callback(false);
-				}
-			});
-			break;
+	var self = this,
+		adapter = this.adapter();
 
-		default:
-			if (callback) { callback('No data handler or unrecognised data type.');	}
-			break;
+	if (!adapter) {
+		if (callback) { callback('No data handler or unrecognised data type.');	}
+		return;
 	}
+
+	adapter.get(key, function (err, val) {
+		if (err) {
+			return callback(err);
+		}
+
+		if (val === undefined || val === null) {
+			// Nothing has been saved under this key
+			return callback(false);
+		}
+
+		self.decode(val, callback);
+	});
 };
 
 /**
@@ -411,20 +477,107 @@ NodePersist.prototype.load = function (key, callback) {
  * @param {Function=} callback The method to call when the data is dropped.
  */
 NodePersist.prototype.drop = function (key, callback) {
+	var self = this,
+		adapter = this.adapter();
+
+	if (!adapter) {
+		if (callback) { callback('No data handler or unrecognised data type.'); }
+		return;
+	}
+
+	adapter.remove(key, function (err) {
+		if (self.mode() !== 'file') {
+			if (callback) { callback(err || false); }
+			return;
+		}
+
+		self.journalRemove(key, function () {
+			if (callback) { callback(err || false); }
+		});
+	});
+};
+
+/**
+ * Gets / registers a storage adapter. A storage adapter stores the
+ * encoded string data of each key and has the methods:
+ *
+ * get(key, callback) calls back with (err, val), val is null or
+ * undefined if nothing is stored under the key.
+ * set(key, val, callback) calls back with (err).
+ * remove(key, callback) calls back with (err), removing a key that
+ * is not stored is not an error.
+ * list(callback) calls back with (err, keys).
+ * exists(key, callback) calls back with (err, exists).
+ * batch(ops, callback) is optional and calls back with (err) after
+ * applying an array of {type: "set", key, val} and {type: "remove", key}
+ * operations together. Adapters without it have the operations applied
+ * one at a time.
+ *
+ * Errors are passed as anything other than false. Once registered, an
+ * adapter is used by setting the mode() to its name. The built-in "file"
+ * adapter stores each key in a file in the dataDir(). Journaled saves
+ * are only made with the file adapter.
+ * @param {String=} name The name of the adapter. If not provided, gets
+ * the adapter for the current mode.
+ * @param {Object=} impl The adapter to register under the name.
+ * @returns {*}
+ */
+NodePersist.prototype.adapter = function (name, impl) {
+	if (impl !== undefined) {
+		if (!impl || typeof impl.get !== 'function' || typeof impl.set !== 'function' || typeof impl.remove !== 'function' || typeof impl.list !== 'function' || typeof impl.exists !== 'function') {
+			throw('ForerunnerDB.NodePersist: Storage adapters must have get, set, remove, list and exists methods!');
+		}
+
+		this._adapters[name] = impl;
+		return this;
+	}
+
+	return this._adapters[name !== undefined ? name : this.mode()];
+};
+
+/**
+ * Creates the storage adapter that stores each key in a data file.
+ * @returns {Object}
+ * @private
+ */
+NodePersist.prototype._fileAdapter = function () {
 	var self = this;
 
-	switch (this.mode()) {
-		case 'file':
+	return {
+		get: function (key, callback) {
+			self.loadDataFile(key, callback);
+		},
+
+		set: function (key, val, callback) {
+			self.saveDataFile(key, val, callback);
+		},
+
+		remove: function (key, callback) {
 			self.removeDataFile(key, function (err) {
-				if (callback) { callback(err); }
+				callback(err && err.code !== 'ENOENT' ? err : false);
 			});
-			break;
+		},
 
-		default:
-			if (callback) { callback('No data handler or unrecognised data type.'); }
-			break;
-	}
+		list: function (callback) {
+			fs.readdir(self.dataDir(), function (err, files) {
+				if (err) {
+					return callback(err.code === 'ENOENT' ? false : err, []);
+				}
+
+				callback(false, files.filter(function (file) {
+					return file.substr(-4) === '.fdb';
+				}).map(function (file) {
+					return file.substr(0, file.length - 4);
+				}));
+			});
+		},
 
+		exists: function (key, callback) {
+			self.checkDataFile(key, function (err, exists) {
+				callback(false, exists);
+			});
+		}
+	};
 };
 
 Shared.synthesize(NodePersist.prototype, 'dataDir', function (val) {
@@ -448,20 +601,99 @@ Shared.synthesize(NodePersist.prototype, 'dataDir', function (val) {
 	return this.$super.call(this, val);
 });
 
+/**
+ * Gets the path of the data file for a key.
+ * @param {String} key The key the data is stored under.
+ * @param {Boolean=} previous If true, gets the path of the previous
+ * generation of the file, which is kept to fall back to if the current
+ * one is damaged.
+ * @returns {String}
+ */
+NodePersist.prototype.dataFile = function (key, previous) {
+	return this.dataDir() + '/' + key + (previous ? '.fdb.prev' : '.fdb');
+};
+
+/**
+ * Writes a data file so that a crash part way through the write cannot
+ * leave a damaged file behind. The data is written to a temporary file
+ * along with its checksum and flushed to disk, then the current file
+ * becomes the previous generation and the temporary file replaces it.
+ * Writes to the same key are made one at a time, if more data is saved
+ * while a write is in progress only the latest data is written after it.
+ * @param {String} key The key to store the data under.
+ * @param {String} data The encoded data.
+ * @param {Function=} callback The method to call when the data has been
+ * written.
+ */
 NodePersist.prototype.saveDataFile = function (key, data, callback) {
-	fs.writeFile(this.dataDir() + "/" + key + '.fdb', data, callback);
+	var queue = this._opQueue[key];
+
+	if (queue) {
+		queue.data = data;
+		queue.callbacks.push(callback);
+		return;
+	}
+
+	this._writeDataFile(key, data, [callback]);
 };
 
+/**
+ * Reads a data file. If the file is damaged or missing, which happens if
+ * the process stopped while it was being replaced, the previous
+ * generation is read instead and a "corrupt" event is emitted.
+ * @param {String} key The key the data is stored under.
+ * @param {Function} callback The method to call with (err, data), data
+ * is undefined if nothing has been saved under the key.
+ */
 NodePersist.prototype.loadDataFile = function (key, callback) {
-	fs.readFile(this.dataDir() + "/" + key + '.fdb', 'utf8', callback);
+	var self = this;
+
+	this._readDataFile(this.dataFile(key), function (err, val) {
+		if (!err) {
+			return callback(false, val);
+		}
+
+		self._readDataFile(self.dataFile(key, true), function (prevErr, prevVal) {
+			var missing = err.code === 'ENOENT';
+
+			if (missing && prevErr && prevErr.code === 'ENOENT') {
+				// Nothing has been saved under this key
+				return callback(false);
+			}
+
+			err = missing ? 'Data file "' + self.dataFile(key) + '" is missing' : err;
+
+			if (self._db.debug()) {
+				console.log(self._db.logIdentifier() + ' Could not load "' + key + '":', err);
+			}
+
+			self.emit('corrupt', {
+				key: key,
+				error: err,
+				recovered: !prevErr
+			});
+
+			if (prevErr) {
+				return callback(err);
+			}
+
+			callback(false, prevVal);
+		});
+	});
 };
 
 NodePersist.prototype.removeDataFile = function (key, callback) {
-	fs.unlink(this.dataDir() + "/" + key + '.fdb', callback);
+	var self = this;
+
+	fs.unlink(this.dataFile(key), function (err) {
+		fs.unlink(self.dataFile(key, true), function () {
+			callback(err);
+		});
+	});
 };
 
 NodePersist.prototype.checkDataFile = function (key, callback) {
-	fs.stat(this.dataDir() + "/" + key + '.fdb', function (err, stats) {
+	fs.stat(this.dataFile(key), function (err, stats) {
 		callback(err, !err, stats);
 	});
 };
@@ -470,6 +702,593 @@ NodePersist.prototype.dataExists = function (collectionName, callback) {
 	this.checkDataFile(this._db._name + '-' + collectionName, callback);
 };
 
+/**
+ * Gets / sets journaled saving. When enabled, the first save of a
+ * collection writes its data file as normal and after that each save
+ * only appends the inserts, updates and removes made since the last
+ * save to a journal file next to it, so saving a large collection no
+ * longer re-writes all of its data. Loading a collection replays its
+ * journal on top of its data file. Once a journal passes the maximum
+ * size it is compacted in the background by writing a new data file
+ * and starting a new journal.
+ * @param {Boolean=} val Set to true to enable, false to disable.
+ * @param {Object=} options An options object. Set "maxSize" to the size
+ * in bytes a journal can grow to before it is compacted, defaults to
+ * 16777216 (16MB).
+ * @returns {*}
+ */
+NodePersist.prototype.journal = function (val, options) {
+	if (val !== undefined) {
+		this._journal = val;
+		this._journalMaxSize = options && options.maxSize !== undefined ? options.maxSize : 16777216;
+
+		return this;
+	}
+
+	return this._journal;
+};
+
+/**
+ * Gets the path of the journal file for a key.
+ * @param {String} key The key the data is stored under.
+ * @param {Boolean=} compacting If true, gets the path the journal is
+ * moved to while it is being compacted.
+ * @returns {String}
+ */
+NodePersist.prototype.journalFile = function (key, compacting) {
+	return this.dataDir() + '/' + key + (compacting ? '.compact' : '') + '.fdj';
+};
+
+/**
+ * Saves a collection in journaled mode. The first save writes the
+ * collection's data file and starts journaling its changes, later saves
+ * append the changes made since the previous save to the journal.
+ * @param {String} key The key to store the data under.
+ * @param {Collection} obj The collection.
+ * @param {Function=} callback The method to call when the save process
+ * has completed.
+ */
+NodePersist.prototype.journalSave = function (key, obj, callback) {
+	var self = this,
+		journal = this._journals[key];
+
+	if (journal && journal.obj === obj) {
+		return this.journalFlush(key, callback);
+	}
+
+	// Start journaling before the data file is written so no change is
+	// missed, the changes are only written once the old journal is gone
+	journal = this.journalStart(key, obj, 0);
+	journal.ready = false;
+
+	this.save(key, obj._data, function (err, data, tableStats) {
+		if (err) {
+			self.journalStop(key);
+			if (callback) { callback(err); }
+			return;
+		}
+
+		self._journalRemoveFiles(key, function () {
+			journal.ready = true;
+
+			if (callback) { callback(false, data, tableStats); }
+		});
+	});
+};
+
+/**
+ * Appends the changes a collection has had since the last flush to its
+ * journal.
+ * @param {String} key The key the data is stored under.
+ * @param {Function=} callback The method to call when the changes have
+ * been written.
+ */
+NodePersist.prototype.journalFlush = function (key, callback) {
+	var journal = this._journals[key];
+
+	if (!journal) {
+		if (callback) { callback('No journal for "' + key + '"'); }
+		return;
+	}
+
+	journal.callbacks.push(callback || function () {});
+	this._journalWrite(key);
+};
+
+/**
+ * Stops journaling the changes stored under a key. The journal files
+ * are kept.
+ * @param {String} key The key the data is stored under.
+ */
+NodePersist.prototype.journalStop = function (key) {
+	var journal = this._journals[key];
+
+	if (journal) {
+		delete this._journals[key];
+
+		journal.io.drop();
+		journal.obj.off('truncate', journal.onTruncate);
+		journal.obj.off('drop', journal.onDrop);
+	}
+};
+
+/**
+ * Stops journaling the changes stored under a key and removes its
+ * journal files.
+ * @param {String} key The key the data is stored under.
+ * @param {Function=} callback The method to call when the files have
+ * been removed.
+ */
+NodePersist.prototype.journalRemove = function (key, callback) {
+	this.journalStop(key);
+	this._journalRemoveFiles(key, callback);
+};
+
+/**
+ * Replays the journal stored under a key on top of the data loaded from
+ * its data file.
+ * @param {String} key The key the data is stored under.
+ * @param {Array} data The documents loaded from the data file.
+ * @param {String} primaryKey The primary key of the documents.
+ * @param {Function} callback The method to call with (err, data,
+ * journalStats) where journalStats has the number of "entries"
+ * replayed, the "size" of the journal in bytes and "compacting" which
+ * is true if a compaction did not finish.
+ */
+NodePersist.prototype.journalReplay = function (key, data, primaryKey, callback) {
+	var self = this,
+		ras = this._ras,
+		journalStats = {
+			entries: 0,
+			size: 0,
+			compacting: false
+		};
+
+	// Journals are only kept alongside data files
+	if (this.mode() !== 'file') {
+		return callback(false, data, journalStats);
+	}
+
+	ras.read(this.journalFile(key, true), function (err, compactEntries) {
+		if (err) {
+			return callback(err);
+		}
+
+		ras.read(self.journalFile(key), function (err, entries) {
+			if (err) {
+				return callback(err);
+			}
+
+			entries = compactEntries.concat(entries);
+			journalStats.entries = entries.length;
+			journalStats.compacting = compactEntries.length > 0;
+
+			if (!entries.length) {
+				return callback(false, data, journalStats);
+			}
+
+			async.mapSeries(entries, function (entry, next) {
+				self.decode(entry.data, function (err, doc) {
+					next(err, {op: entry.op, doc: doc});
+				});
+			}, function (err, changes) {
+				if (err) {
+					return callback(err);
+				}
+
+				fs.stat(self.journalFile(key), function (err, stats) {
+					journalStats.size = err ? 0 : stats.size;
+					callback(false, self._journalApply(data || [], primaryKey, changes), journalStats);
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Starts journaling the changes made to a collection. Changes are
+ * queued until they are flushed.
+ * @param {String} key The key the data is stored under.
+ * @param {Collection} obj The collection.
+ * @param {Number} size The current size of the journal in bytes.
+ * @returns {Object} The journal.
+ */
+NodePersist.prototype.journalStart = function (key, obj, size) {
+	var self = this,
+		journal;
+
+	this.journalStop(key);
+
+	journal = this._journals[key] = {
+		obj: obj,
+		size: size,
+		queue: [],
+		callbacks: [],
+		ready: true,
+		writing: false,
+		compacting: false
+	};
+
+	journal.io = new ReactorIO(obj, this, function (chainPacket) {
+		var pk = obj.primaryKey(),
+			dataSet = chainPacket.data && chainPacket.data.dataSet,
+			doc,
+			i;
+
+		if (chainPacket.type === 'insert' || chainPacket.type === 'update' || chainPacket.type === 'remove') {
+			for (i = 0; i < dataSet.length; i++) {
+				// Removes only need the primary key of the document
+				if (chainPacket.type === 'remove') {
+					doc = {};
+					doc[pk] = dataSet[i][pk];
+				} else {
+					doc = dataSet[i];
+				}
+
+				journal.queue.push({
+					op: chainPacket.type === 'remove' ? 'delete' : chainPacket.type,
+					doc: doc
+				});
+			}
+		}
+
+		// Nothing further down the chain needs the packet
+		return true;
+	});
+
+	// Truncating a collection does not send a chain packet
+	journal.onTruncate = function () {
+		journal.queue.push({op: 'truncate', doc: {}});
+	};
+
+	journal.onDrop = function () {
+		if (self._journals[key] === journal) {
+			self.journalStop(key);
+		}
+	};
+
+	obj.on('truncate', journal.onTruncate);
+	obj.on('drop', journal.onDrop);
+
+	return journal;
+};
+
+/**
+ * Writes the queued changes of a journal if a flush is waiting for them
+ * and no other write is in progress.
+ * @param {String} key The key the data is stored under.
+ * @private
+ */
+NodePersist.prototype._journalWrite = function (key) {
+	var self = this,
+		journal = this._journals[key],
+		entries,
+		callbacks;
+
+	if (!journal || journal.writing || !journal.ready || !journal.callbacks.length) {
+		return;
+	}
+
+	journal.writing = true;
+	entries = journal.queue;
+	callbacks = journal.callbacks;
+	journal.queue = [];
+	journal.callbacks = [];
+
+	async.mapSeries(entries, function (entry, next) {
+		self.encode(entry.doc, function (err, data) {
+			next(err, {op: entry.op, data: data});
+		});
+	}, function (err, records) {
+		var done = function (err) {
+			var i;
+
+			journal.writing = false;
+
+			if (err) {
+				// Keep the changes so the next flush can try again
+				journal.queue = entries.concat(journal.queue);
+			}
+
+			for (i = 0; i < callbacks.length; i++) {
+				callbacks[i](err);
+			}
+
+			if (self._journals[key] === journal && !journal.compacting && (journal.compactPending || (!err && journal.size > self._journalMaxSize))) {
+				self.journalCompact(key, journal.compactPending);
+			} else {
+				self._journalWrite(key);
+			}
+		};
+
+		if (err) {
+			return done(err);
+		}
+
+		if (!records.length) {
+			return done(false);
+		}
+
+		self._ras.append(self.journalFile(key), records, function (err, byteCount) {
+			if (!err) {
+				journal.size += byteCount;
+			}
+
+			done(err);
+		});
+	});
+};
+
+/**
+ * Compacts a journal by moving it aside, writing a new data file from
+ * the collection and then removing the old journal. Changes made while
+ * the data file is written go to a new journal.
+ * @param {String} key The key the data is stored under.
+ * @param {Function=} callback The method to call when the compaction
+ * has completed.
+ */
+NodePersist.prototype.journalCompact = function (key, callback) {
+	var self = this,
+		journal = this._journals[key],
+		compactFile = this.journalFile(key, true),
+		writeDataFile;
+
+	if (!journal || journal.compacting) {
+		if (callback) { callback(journal ? false : 'No journal for "' + key + '"'); }
+		return;
+	}
+
+	// Wait for the current write to finish before moving the journal
+	if (journal.writing) {
+		journal.compactPending = callback || function () {};
+		return;
+	}
+
+	delete journal.compactPending;
+	journal.compacting = true;
+	journal.writing = true;
+
+	writeDataFile = function () {
+		journal.writing = false;
+		self._journalWrite(key);
+
+		self.save(key, journal.obj._data, function (err) {
+			var finished = function () {
+				journal.compacting = false;
+
+				if (self._db.debug()) {
+					console.log(self._db.logIdentifier() + ' Compacted journal for "' + key + '"', err || '');
+				}
+
+				if (callback) { callback(err); }
+			};
+
+			if (err) {
+				return finished();
+			}
+
+			fs.unlink(compactFile, finished);
+		});
+	};
+
+	// A journal left over from a compaction that did not finish is
+	// already aside, the new data file replaces it and the current one
+	fs.stat(compactFile, function (err) {
+		if (!err) {
+			return writeDataFile();
+		}
+
+		fs.rename(self.journalFile(key), compactFile, function (err) {
+			if (!err) {
+				journal.size = 0;
+			}
+
+			writeDataFile();
+		});
+	});
+};
+
+/**
+ * Applies journal changes to an array of documents.
+ * @param {Array} data The documents.
+ * @param {String} primaryKey The primary key of the documents.
+ * @param {Array} changes The changes, objects with the "op" type and
+ * the "doc".
+ * @returns {Array} The documents with the changes applied.
+ * @private
+ */
+NodePersist.prototype._journalApply = function (data, primaryKey, changes) {
+	var docs = data.slice(),
+		index = {},
+		id,
+		i;
+
+	for (i = 0; i < docs.length; i++) {
+		index[docs[i][primaryKey]] = i;
+	}
+
+	for (i = 0; i < changes.length; i++) {
+		id = changes[i].doc ? changes[i].doc[primaryKey] : undefined;
+
+		switch (changes[i].op) {
+			case 'insert':
+			case 'update':
+				if (index.hasOwnProperty(id)) {
+					docs[index[id]] = changes[i].doc;
+				} else {
+					index[id] = docs.length;
+					docs.push(changes[i].doc);
+				}
+				break;
+
+			case 'delete':
+				if (index.hasOwnProperty(id)) {
+					docs[index[id]] = undefined;
+					delete index[id];
+				}
+				break;
+
+			case 'truncate':
+				docs = [];
+				index = {};
+				break;
+		}
+	}
+
+	return docs.filter(function (doc) {
+		return doc !== undefined;
+	});
+};
+
+/**
+ * Removes the journal files stored under a key.
+ * @param {String} key The key the data is stored under.
+ * @param {Function=} callback The method to call when the files have
+ * been removed.
+ * @private
+ */
+NodePersist.prototype._journalRemoveFiles = function (key, callback) {
+	var self = this;
+
+	fs.unlink(this.journalFile(key), function () {
+		fs.unlink(self.journalFile(key, true), function () {
+			if (callback) { callback(false); }
+		});
+	});
+};
+
+/**
+ * Writes a data file and then any data saved to the same key while it
+ * was being written.
+ * @param {String} key The key to store the data under.
+ * @param {String} data The encoded data.
+ * @param {Array} callbacks The methods to call when the data has been
+ * written.
+ * @private
+ */
+NodePersist.prototype._writeDataFile = function (key, data, callbacks) {
+	var self = this,
+		file = this.dataFile(key),
+		tmpFile = file + '.tmp',
+		done;
+
+	this._opQueue[key] = {callbacks: []};
+
+	done = function (err) {
+		var queue = self._opQueue[key],
+			i;
+
+		delete self._opQueue[key];
+
+		for (i = 0; i < callbacks.length; i++) {
+			if (callbacks[i]) { callbacks[i](err); }
+		}
+
+		if (queue.data !== undefined) {
+			self._writeDataFile(key, queue.data, queue.callbacks);
+		}
+	};
+
+	this._writeSynced(tmpFile, 'fdbChecksum:' + Checksum(data).toString(16) + '\n' + data, function (err) {
+		if (err) {
+			return done(err);
+		}
+
+		// Keep the current generation to fall back to
+		fs.rename(file, self.dataFile(key, true), function (err) {
+			if (err && err.code !== 'ENOENT') {
+				return done(err);
+			}
+
+			fs.rename(tmpFile, file, function (err) {
+				if (err) {
+					return done(err);
+				}
+
+				self._syncDir(done);
+			});
+		});
+	});
+};
+
+/**
+ * Writes a file and flushes it to disk.
+ * @param {String} file The path of the file.
+ * @param {String} data The data to write.
+ * @param {Function} callback The method to call with (err).
+ * @private
+ */
+NodePersist.prototype._writeSynced = function (file, data, callback) {
+	fs.open(file, 'w', function (err, fd) {
+		if (err) {
+			return callback(err);
+		}
+
+		fs.writeFile(fd, data, function (err) {
+			if (err) {
+				return fs.close(fd, function () {
+					callback(err);
+				});
+			}
+
+			fs.fsync(fd, function (err) {
+				fs.close(fd, function (closeErr) {
+					callback(err || closeErr || false);
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Flushes the data directory to disk so renames in it are not lost in
+ * a crash. Platforms that cannot open directories are skipped.
+ * @param {Function} callback The method to call with (err).
+ * @private
+ */
+NodePersist.prototype._syncDir = function (callback) {
+	fs.open(this.dataDir(), 'r', function (err, fd) {
+		if (err) {
+			return callback(false);
+		}
+
+		fs.fsync(fd, function () {
+			fs.close(fd, function () {
+				callback(false);
+			});
+		});
+	});
+};
+
+/**
+ * Reads a data file and checks it against the checksum it was saved
+ * with. Files saved before checksums were added are not checked.
+ * @param {String} file The path of the file.
+ * @param {Function} callback The method to call with (err, data).
+ * @private
+ */
+NodePersist.prototype._readDataFile = function (file, callback) {
+	fs.readFile(file, 'utf8', function (err, content) {
+		var headerEnd;
+
+		if (err) {
+			return callback(err);
+		}
+
+		if (content.indexOf('fdbChecksum:') !== 0) {
+			return callback(false, content);
+		}
+
+		headerEnd = content.indexOf('\n');
+
+		if (headerEnd === -1 || Checksum(content.substr(headerEnd + 1)).toString(16) !== content.substring(12, headerEnd)) {
+			return callback('Checksum of "' + file + '" does not match its data');
+		}
+
+		callback(false, content.substr(headerEnd + 1));
+	});
+};
+
 // Extend the Collection prototype with persist methods
 Collection.prototype.drop = new Overload({
 	/**
@@ -558,11 +1377,13 @@ Collection.prototype.save = function (callback) {
 	if (self._name) {
 		if (self._db) {
 			processSave = function () {
-				// Save the collection data
-				self._asyncPending('save');
-				self._db.persist.save(self._db._name + '-' + self._name, self._data, function (err, data, tableStats) {
+				var key = self._db._name + '-' + self._name,
+					persist = self._db.persist,
+					saveMetaData;
+
+				saveMetaData = function (err, data, tableStats) {
 					if (!err) {
-						self._db.persist.save(self._db._name + '-' + self._name + '-metaData', self.metaData(), function (err, data, metaStats) {
+						persist.save(key + '-metaData', self._persistMetaData(), function (err, data, metaStats) {
 							self._asyncComplete('save');
 							if (callback) { callback(err, data, tableStats, metaStats); }
 						});
@@ -570,7 +1391,31 @@ Collection.prototype.save = function (callback) {
 						self._asyncComplete('save');
 						if (callback) { callback(err); }
 					}
-				});
+				};
+
+				// Save the collection data
+				self._asyncPending('save');
+
+				if (persist.journal() && persist.mode() === 'file') {
+					persist.journalSave(key, self, saveMetaData);
+				} else {
+					persist.batch([
+						{type: 'set', key: key, data: self._data},
+						{type: 'set', key: key + '-metaData', data: self._persistMetaData()}
+					], function (err, results) {
+						var done = function () {
+							self._asyncComplete('save');
+							if (callback) { callback(err, err ? undefined : results[1].val, err ? undefined : results[0].stats, err ? undefined : results[1].stats); }
+						};
+
+						if (err || persist.mode() !== 'file') {
+							return done();
+						}
+
+						// A journal from an earlier journaled save is now out of date
+						persist.journalRemove(key, done);
+					});
+				}
 			};
 
 			// Check for processing queues
@@ -605,22 +1450,40 @@ Collection.prototype.load = function (callback) {
 			self._asyncPending('load');
 			self._db.persist.load(self._db._name + '-' + self._name, function (err, data, tableStats) {
 				if (!err) {
-					if (data) {
-						//self.remove({});
-						//self.insert(data);
-						self.setData(data);
-					}
-
 					// Now load the collection's metadata
-					self._db.persist.load(self._db._name + '-' + self._name + '-metaData', function (err, data, metaStats) {
-						if (!err) {
-							self._asyncComplete('load');
+					self._db.persist.load(self._db._name + '-' + self._name + '-metaData', function (metaErr, metaData, metaStats) {
+						// Set the stored primary key, indexes and other settings
+						// before the data goes back in
+						if (!metaErr) {
+							metaData = self._restoreMetaData(metaData);
+						}
+
+						// Replay any changes journaled since the data was saved
+						self._db.persist.journalReplay(self._db._name + '-' + self._name, data, self.primaryKey(), function (err, data, journalStats) {
+							if (err) {
+								self._asyncComplete('load');
+								if (callback) { callback(err); }
+								return;
+							}
+
 							if (data) {
-								self.metaData(data);
+								// Skip any documents that expired while they were stored
+								//self.remove({});
+								//self.insert(data);
+								self.setData(self._unexpired(data, metaErr ? undefined : metaData));
 							}
-						}
 
-						if (callback) { callback(err, tableStats, metaStats); }
+							if (!metaErr) {
+								self._asyncComplete('load');
+								if (metaData) {
+									self.metaData(metaData);
+								}
+
+								self._journalLoaded(journalStats);
+							}
+
+							if (callback) { callback(metaErr, tableStats, metaStats); }
+						});
 					});
 				} else {
 					self._asyncComplete('load');
@@ -635,6 +1498,28 @@ Collection.prototype.load = function (callback) {
 	}
 };
 
+/**
+ * Starts journaling the collection's changes after it has been loaded
+ * if journaled saving is enabled, so the next save appends to the
+ * journal that was just replayed.
+ * @param {Object} journalStats The journal stats from journalReplay().
+ * @private
+ */
+Collection.prototype._journalLoaded = function (journalStats) {
+	var persist = this._db.persist,
+		key = this._db._name + '-' + this._name;
+
+	if (!persist.journal() || persist.mode() !== 'file') {
+		return;
+	}
+
+	persist.journalStart(key, this, journalStats.size);
+
+	if (journalStats.compacting || journalStats.size > persist._journalMaxSize) {
+		persist.journalCompact(key);
+	}
+};
+
 // Override the DB init to instantiate the plugin
 Db.prototype.init = function () {
 	DbInit.apply(this, arguments);
@@ -735,6 +1620,141 @@ Db.prototype.save = function (callback) {
 	}
 };
 
+/**
+ * Stores a point-in-time copy of every collection in the database (see
+ * snapshot()) as a single archive. The archive is encoded with the
+ * persistent storage transcoder so compression and encryption steps
+ * apply to it. Emits "backupProgress" events with the "stage" of the
+ * backup ("snapshot", "write" or "complete") and, while taking the
+ * snapshot, the "collection" copied and the number "done" of the "total".
+ * @param {String|Object} target The path of the file to write the
+ * archive to, or a storage adapter (see NodePersist.adapter()) to store
+ * it with.
+ * @param {Object=} options The options object. Set "key" to the key to
+ * store the archive under in a storage adapter, defaults to the name of
+ * the database followed by "-backup".
+ * @param {Function=} callback The method to call with (err, snapshot)
+ * when the archive has been stored.
+ */
+Db.prototype.backup = function (target, options, callback) {
+	var self = this,
+		snapshot;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	if (typeof target !== 'string' && !(target && typeof target.set === 'function')) {
+		if (callback) { callback('Cannot backup without a file path or a storage adapter to store the archive with!'); }
+		return;
+	}
+
+	snapshot = this.snapshot(function (name, done, total) {
+		self.emit('backupProgress', {stage: 'snapshot', collection: name, done: done, total: total});
+	});
+
+	this.persist.encode(snapshot, function (err, data) {
+		var finished = function (err) {
+			if (!err) {
+				self.emit('backupProgress', {stage: 'complete'});
+			}
+
+			if (callback) { callback(err || false, err ? undefined : snapshot); }
+		};
+
+		if (err) {
+			return finished(err);
+		}
+
+		self.emit('backupProgress', {stage: 'write'});
+
+		if (typeof target !== 'string') {
+			return target.set(options.key || self._name + '-backup', data, finished);
+		}
+
+		// Write the archive next to its final path first so a crash
+		// part way through never leaves half an archive behind
+		self.persist._writeSynced(target + '.tmp', 'fdbChecksum:' + Checksum(data).toString(16) + '\n' + data, function (err) {
+			if (err) {
+				return finished(err);
+			}
+
+			fs.rename(target + '.tmp', target, finished);
+		});
+	});
+};
+
+/**
+ * Restores the collections in an archive written by backup() into the
+ * database (see restoreSnapshot()). Emits "restoreProgress" events with
+ * the "stage" of the restore ("read", "restore" or "complete") and, while
+ * restoring, the "collection" restored and the number "done" of the
+ * "total". Restored data is not saved to persistent storage until the
+ * database or its collections are saved.
+ * @param {String|Object} source The path of the archive file, or the
+ * storage adapter it was stored with.
+ * @param {Object=} options The options object. Set "merge" to true to
+ * upsert the archived documents instead of replacing each collection's
+ * data and "key" to the key the archive was stored under in a storage
+ * adapter.
+ * @param {Function=} callback The method to call with (err, snapshot)
+ * when the data has been restored.
+ */
+Db.prototype.restore = function (source, options, callback) {
+	var self = this,
+		restoreData;
+
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	options = options || {};
+
+	restoreData = function (err, data) {
+		if (!err && (data === undefined || data === null)) {
+			err = 'No backup found to restore!';
+		}
+
+		if (err) {
+			if (callback) { callback(err); }
+			return;
+		}
+
+		self.persist.decode(data, function (err, snapshot) {
+			if (err) {
+				if (callback) { callback(err); }
+				return;
+			}
+
+			try {
+				self.restoreSnapshot(snapshot, options, function (name, done, total) {
+					self.emit('restoreProgress', {stage: 'restore', collection: name, done: done, total: total});
+				});
+			} catch (e) {
+				if (callback) { callback(e); }
+				return;
+			}
+
+			self.emit('restoreProgress', {stage: 'complete'});
+			if (callback) { callback(false, snapshot); }
+		});
+	};
+
+	this.emit('restoreProgress', {stage: 'read'});
+
+	if (typeof source === 'string') {
+		this.persist._readDataFile(source, restoreData);
+	} else if (source && typeof source.get === 'function') {
+		source.get(options.key || this._name + '-backup', restoreData);
+	} else {
+		if (callback) { callback('Cannot restore without a file path or a storage adapter to read the archive from!'); }
+	}
+};
+
 Shared.finishModule('NodePersist');
 
 module.exports = NodePersist;
\ No newline at end of file
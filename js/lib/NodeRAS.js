@@ -38,14 +38,25 @@ NodeRAS = function () {
 };
 
 NodeRAS.prototype.init = function () {
-	var self = this;
+	var self = this,
+		key;
 
 	self.opCodes = {
 		"insert": "00",
+		"update": "01",
+		"truncate": "02",
 		"delete": "03",
 		"pointer": "99"
 	};
 
+	self.opTypes = {};
+
+	for (key in self.opCodes) {
+		if (self.opCodes.hasOwnProperty(key)) {
+			self.opTypes[self.opCodes[key]] = key;
+		}
+	}
+
 	/*
 	opcode(2)bytesize(*):data:pointer:
 
@@ -83,35 +94,68 @@ NodeRAS.prototype.init = function () {
  * @param callback A callback after the operation has finished.
  */
 NodeRAS.prototype.post = function (filePath, primaryKey, data, callback) {
-	var self = this;
-
-	fs.open(filePath, 'a', function(status, fd) {
-		var dataLine = self.encodeDataLine('insert', data, "");
-
-		fs.write(fd, dataLine, function(err) {
-			fs.close(fd);
-			callback(err);
-		});
-	});
+	this.append(filePath, [{op: 'insert', data: data}], callback);
 };
 
 /**
- *
+ * Appends updated data to the end of the file. The last entry for a
+ * primary key holds its current data.
  * @param filePath The file to operate on.
  * @param primaryKey The data entry's primary key.
  * @param data The data to write.
- * @param callback
+ * @param callback A callback after the operation has finished.
  */
 NodeRAS.prototype.put = function (filePath, primaryKey, data, callback) {
+	this.append(filePath, [{op: 'update', data: data}], callback);
+};
+
+/**
+ * Appends entries to the end of the file in a single write and flushes
+ * the file to disk.
+ * @param {String} filePath The file to operate on.
+ * @param {Array} entries An array of objects with the "op" type (insert,
+ * update, truncate or delete) and the string "data" of each entry.
+ * @param {Function} callback A callback with (err, byteCount) after the
+ * operation has finished.
+ */
+NodeRAS.prototype.append = function (filePath, entries, callback) {
+	var lines = '',
+		i;
+
+	for (i = 0; i < entries.length; i++) {
+		lines += this.encodeDataLine(entries[i].op, entries[i].data, "");
+	}
+
+	fs.open(filePath, 'a', function (err, fd) {
+		if (err) {
+			return callback(err);
+		}
+
+		fs.writeFile(fd, lines, function (err) {
+			fs.fsync(fd, function (syncErr) {
+				fs.close(fd, function () {
+					callback(err || syncErr || false, Buffer.byteLength(lines, 'utf8'));
+				});
+			});
+		});
+	});
+};
+
+/**
+ * Reads all the entries in the file. A missing file has no entries.
+ * @param {String} filePath The file to operate on.
+ * @param {Function} callback A callback with (err, entries) where each
+ * entry is an object with the "op" type and the string "data".
+ */
+NodeRAS.prototype.read = function (filePath, callback) {
 	var self = this;
 
-	fs.open(filePath, 'a', function(status, fd) {
-		var dataLine = self.encodeDataLine('insert', data, "");
+	fs.readFile(filePath, function (err, buffer) {
+		if (err) {
+			return callback(err.code === 'ENOENT' ? false : err, []);
+		}
 
-		fs.write(fd, dataLine, function(err) {
-			fs.close(fd);
-			callback(err);
-		});
+		callback(false, self.decodeDataLines(buffer));
 	});
 };
 
@@ -120,6 +164,49 @@ NodeRAS.prototype.encodeDataLine = function (opType, data, pointer) {
 	return this.opCodes[opType] + Buffer.byteLength(data, 'utf8') + ':' + data + ":" + pointer + ":";
 };
 
+/**
+ * Decodes the entries in a buffer of data lines. Decoding stops at the
+ * first entry that is incomplete, which happens when the process stopped
+ * part way through writing it, so only whole entries are returned. Entries
+ * continued at a pointer are not supported yet.
+ * @param {Buffer} buffer The data lines.
+ * @returns {Array} An array of objects with the "op" type and the string
+ * "data" of each entry.
+ */
+NodeRAS.prototype.decodeDataLines = function (buffer) {
+	var entries = [],
+		pos = 0,
+		lengthEnd,
+		dataEnd,
+		pointerEnd,
+		op;
+
+	while (pos < buffer.length) {
+		op = this.opTypes[buffer.toString('utf8', pos, pos + 2)];
+		lengthEnd = buffer.indexOf(':', pos + 2);
+
+		if (!op || op === 'pointer' || lengthEnd === -1) {
+			break;
+		}
+
+		dataEnd = lengthEnd + 1 + parseInt(buffer.toString('utf8', pos + 2, lengthEnd), 10);
+		pointerEnd = buffer.indexOf(':', dataEnd + 1);
+
+		if (isNaN(dataEnd) || buffer[dataEnd] !== 58 || pointerEnd === -1) {
+			break;
+		}
+
+		entries.push({
+			op: op,
+			data: buffer.toString('utf8', lengthEnd + 1, dataEnd)
+		});
+
+		pos = pointerEnd + 1;
+	}
+
+	return entries;
+};
+
 /**
  * Scans the data file specified and removes entries marked for deletion,
  * de-fragments entries that span multiple points and then re-writes the
@@ -14,6 +14,7 @@ var Shared = require('./Shared'),
 	DbInit,
 	DbDrop,
 	Persist,
+	LocalForageAdapter,
 	Overload;//,
 	//DataVersion = '2.0';
 
@@ -31,6 +32,42 @@ Persist = function () {
  */
 Persist.prototype.localforage = localforage;
 
+/**
+ * The storage adapter that stores data in the browser with localForage.
+ * See Persist.adapter() for the methods a storage adapter has.
+ */
+LocalForageAdapter = {
+	get: function (key, callback) {
+		localforage.getItem(key).then(function (val) {
+			callback(false, val);
+		}, callback);
+	},
+
+	set: function (key, val, callback) {
+		localforage.setItem(key, val).then(function () {
+			callback(false);
+		}, callback);
+	},
+
+	remove: function (key, callback) {
+		localforage.removeItem(key).then(function () {
+			callback(false);
+		}, callback);
+	},
+
+	list: function (callback) {
+		localforage.keys().then(function (keys) {
+			callback(false, keys);
+		}, callback);
+	},
+
+	exists: function (key, callback) {
+		localforage.getItem(key).then(function (val) {
+			callback(false, val !== null);
+		}, callback);
+	}
+};
+
 /**
  * The init method that can be overridden or extended.
  * @param {Db} db The ForerunnerDB database instance.
@@ -45,6 +82,10 @@ Persist.prototype.init = function (db) {
 		function () { return self._decode.apply(self, arguments); }
 	];
 
+	this._adapters = {
+		localforage: LocalForageAdapter
+	};
+
 	// Check environment
 	if (db.isClient()) {
 		if (window.Storage !== undefined) {
@@ -151,10 +192,10 @@ Persist.prototype._autoSave = function (obj, objType, name) {
 };
 
 /**
- * Gets / sets the persistent storage mode (the library used
- * to persist data to the browser - defaults to localForage).
- * @param {String} type The library to use for storage. Defaults
- * to localForage.
+ * Gets / sets the persistent storage mode (the name of the storage
+ * adapter used to persist data to the browser - defaults to localForage).
+ * @param {String} type The name of the storage adapter to use. Defaults
+ * to localforage.
  * @returns {*}
  */
 Persist.prototype.mode = function (type) {
@@ -166,6 +207,42 @@ Persist.prototype.mode = function (type) {
 	return this._mode;
 };
 
+/**
+ * Gets / registers a storage adapter. A storage adapter stores the
+ * encoded string data of each key and has the methods:
+ *
+ * get(key, callback) calls back with (err, val), val is null or
+ * undefined if nothing is stored under the key.
+ * set(key, val, callback) calls back with (err).
+ * remove(key, callback) calls back with (err), removing a key that
+ * is not stored is not an error.
+ * list(callback) calls back with (err, keys).
+ * exists(key, callback) calls back with (err, exists).
+ * batch(ops, callback) is optional and calls back with (err) after
+ * applying an array of {type: "set", key, val} and {type: "remove", key}
+ * operations together. Adapters without it have the operations applied
+ * one at a time.
+ *
+ * Errors are passed as anything other than false. Once registered, an
+ * adapter is used by setting the mode() to its name.
+ * @param {String=} name The name of the adapter. If not provided, gets
+ * the adapter for the current mode.
+ * @param {Object=} impl The adapter to register under the name.
+ * @returns {*}
+ */
+Persist.prototype.adapter = function (name, impl) {
+	if (impl !== undefined) {
+		if (!impl || typeof impl.get !== 'function' || typeof impl.set !== 'function' || typeof impl.remove !== 'function' || typeof impl.list !== 'function' || typeof impl.exists !== 'function') {
+			throw('ForerunnerDB.Persist: Storage adapters must have get, set, remove, list and exists methods!');
+		}
+
+		this._adapters[name] = impl;
+		return this;
+	}
+
+	return this._adapters[name !== undefined ? name : this.mode()];
+};
+
 /**
  * Gets / sets the driver used when persisting data.
  * @param {String} val Specify the driver type (LOCALSTORAGE,
@@ -375,29 +452,82 @@ Persist.prototype._encode = function (val, meta, finished) {
  * has completed.
  */
 Persist.prototype.save = function (key, data, callback) {
-	switch (this.mode()) {
-		case 'localforage':
-			this.encode(data, function (err, data, tableStats) {
-				if (!err) {
-					localforage.setItem(key, data).then(function (data) {
-						if (callback) {
-							callback(false, data, tableStats);
-						}
-					}, function (err) {
-						if (callback) {
-							callback(err);
-						}
-					});
-				} else {
-					callback(err);
+	var adapter = this.adapter();
+
+	if (!adapter) {
+		if (callback) { callback('No data handler.'); }
+		return;
+	}
+
+	this.encode(data, function (err, data, tableStats) {
+		if (!err) {
+			adapter.set(key, data, function (err) {
+				if (callback) {
+					if (!err) {
+						callback(false, data, tableStats);
+					} else {
+						callback(err);
+					}
 				}
 			});
-			break;
+		} else {
+			if (callback) { callback(err); }
+		}
+	});
+};
 
-		default:
-			if (callback) { callback('No data handler.'); }
-			break;
+/**
+ * Encodes data and stores it under several keys, and removes keys, in
+ * one go. If the storage adapter has a batch() method the operations are
+ * passed to it together, otherwise they are applied one at a time.
+ * @param {Array} ops An array of {type: "set", key, data} and
+ * {type: "remove", key} operations.
+ * @param {Function=} callback The method to call with (err, results)
+ * when the operations have completed. Each result has the "key" and, for
+ * set operations, the encoded "val" and the encode "stats".
+ */
+Persist.prototype.batch = function (ops, callback) {
+	var self = this,
+		adapter = this.adapter();
+
+	if (!adapter) {
+		if (callback) { callback('No data handler.'); }
+		return;
 	}
+
+	async.mapSeries(ops, function (op, next) {
+		if (op.type !== 'set') {
+			return next(false, {type: op.type, key: op.key});
+		}
+
+		self.encode(op.data, function (err, val, stats) {
+			next(err, {type: op.type, key: op.key, val: val, stats: stats});
+		});
+	}, function (err, results) {
+		var done = function (err) {
+			if (callback) { callback(err, err ? undefined : results); }
+		};
+
+		if (err) {
+			return done(err);
+		}
+
+		if (adapter.batch) {
+			return adapter.batch(results.map(function (result) {
+				return {type: result.type, key: result.key, val: result.val};
+			}), done);
+		}
+
+		async.eachSeries(results, function (result, next) {
+			if (result.type === 'set') {
+				adapter.set(result.key, result.val, next);
+			} else {
+				adapter.remove(result.key, next);
+			}
+		}, function (err) {
+			done(err || false);
+		});
+	});
 };
 
 /**
@@ -408,21 +538,21 @@ Persist.prototype.save = function (key, data, callback) {
  * has completed.
  */
 Persist.prototype.load = function (key, callback) {
-	var self = this;
-
-	switch (this.mode()) {
-		case 'localforage':
-			localforage.getItem(key).then(function (val) {
-				self.decode(val, callback);
-			}, function (err) {
-				if (callback) { callback(err); }
-			});
-			break;
+	var self = this,
+		adapter = this.adapter();
 
-		default:
-			if (callback) { callback('No data handler or unrecognised data type.');	}
-			break;
+	if (!adapter) {
+		if (callback) { callback('No data handler or unrecognised data type.');	}
+		return;
 	}
+
+	adapter.get(key, function (err, val) {
+		if (!err) {
+			self.decode(val, callback);
+		} else {
+			if (callback) { callback(err); }
+		}
+	});
 };
 
 /**
@@ -431,20 +561,16 @@ Persist.prototype.load = function (key, callback) {
  * @param {Function=} callback The method to call when the data is dropped.
  */
 Persist.prototype.drop = function (key, callback) {
-	switch (this.mode()) {
-		case 'localforage':
-			localforage.removeItem(key).then(function () {
-				if (callback) { callback(false); }
-			}, function (err) {
-				if (callback) { callback(err); }
-			});
-			break;
+	var adapter = this.adapter();
 
-		default:
-			if (callback) { callback('No data handler or unrecognised data type.'); }
-			break;
+	if (!adapter) {
+		if (callback) { callback('No data handler or unrecognised data type.'); }
+		return;
 	}
 
+	adapter.remove(key, function (err) {
+		if (callback) { callback(err || false); }
+	});
 };
 
 // Extend the Collection prototype with persist methods
@@ -537,19 +663,25 @@ Collection.prototype.save = function (callback) {
 	if (self._name) {
 		if (self._db) {
 			processSave = function () {
-				// Save the collection data
-				self._db.persist.save(self._db._name + '-' + self._name, self._data, function (err, tableData, tableStats) {
+				// Save the collection data and metadata together
+				self._db.persist.batch([{
+					type: 'set',
+					key: self._db._name + '-' + self._name,
+					data: self._data
+				}, {
+					type: 'set',
+					key: self._db._name + '-' + self._name + '-metaData',
+					data: self._persistMetaData()
+				}], function (err, results) {
 					if (!err) {
-						self._db.persist.save(self._db._name + '-' + self._name + '-metaData', self.metaData(), function (err, metaData, metaStats) {
-							if (callback) {
-								callback(err, tableStats, metaStats, {
-									tableData: tableData,
-									metaData: metaData,
-									tableDataName: self._db._name + '-' + self._name,
-									metaDataName: self._db._name + '-' + self._name + '-metaData'
-								});
-							}
-						});
+						if (callback) {
+							callback(err, results[0].stats, results[1].stats, {
+								tableData: results[0].val,
+								metaData: results[1].val,
+								tableDataName: results[0].key,
+								metaDataName: results[1].key
+							});
+						}
 					} else {
 						if (callback) { callback(err); }
 					}
@@ -587,23 +719,30 @@ Collection.prototype.load = function (callback) {
 			// Load the collection data
 			self._db.persist.load(self._db._name + '-' + self._name, function (err, data, tableStats) {
 				if (!err) {
-					// Remove all previous data
-					self.remove({}, function () {
-						// Now insert the new data
-						data = data || [];
-						self.insert(data, function () {
-							// Now load the collection's metadata
-							self._db.persist.load(self._db._name + '-' + self._name + '-metaData', function (err, data, metaStats) {
-								if (!err) {
-									if (data) {
-										self.metaData(data);
-									}
+					// Now load the collection's metadata
+					self._db.persist.load(self._db._name + '-' + self._name + '-metaData', function (err, metaData, metaStats) {
+						if (err) {
+							metaData = undefined;
+						}
+
+						// Set the stored primary key, indexes and other settings
+						metaData = self._restoreMetaData(metaData);
+
+						// Skip any documents that expired while they were stored
+						data = self._unexpired(data || [], metaData);
+
+						// Remove all previous data
+						self.remove({}, function () {
+							// Now insert the new data
+							self.insert(data, function () {
+								if (metaData) {
+									self.metaData(metaData);
 								}
 
 								if (callback) { callback(err, tableStats, metaStats); }
 							});
+							//self.setData(data);
 						});
-						//self.setData(data);
 					});
 				} else {
 					if (callback) { callback(err); }
@@ -692,14 +831,14 @@ Collection.prototype.loadCustom = function (myData, callback) {
 					self.decode(myData.data.store, function (err, data, tableStats) {
 						if (!err) {
 							if (data) {
-								// Remove all previous data
-								self.remove({});
-								self.insert(data);
+								self.decode(myData.metaData.store, function (err, metaData, metaStats) {
+									// Remove all previous data
+									self.remove({});
+									self.insert(self._unexpired(data, err ? undefined : metaData));
 
-								self.decode(myData.metaData.store, function (err, data, metaStats) {
 									if (!err) {
-										if (data) {
-											self.metaData(data);
+										if (metaData) {
+											self.metaData(metaData);
 
 											if (callback) { callback(err, tableStats, metaStats); }
 										}
@@ -830,5 +969,147 @@ Db.prototype.save = new Overload({
 	}
 });
 
+Db.prototype.backup = new Overload({
+	/**
+	 * Stores a point-in-time copy of every collection in the database (see
+	 * snapshot()) as a single archive. The archive is encoded with the
+	 * persistent storage transcoder so compression and encryption steps
+	 * apply to it. Emits "backupProgress" events with the "stage" of the
+	 * backup ("snapshot", "write" or "complete") and, while taking the
+	 * snapshot, the "collection" copied and the number "done" of the
+	 * "total".
+	 * @param {String|Object} target The key to store the archive under
+	 * with the current storage adapter, or a storage adapter (see
+	 * Persist.adapter()) to store it with.
+	 * @param {Function=} callback The method to call with (err, snapshot)
+	 * when the archive has been stored.
+	 */
+	'*, function': function (target, callback) {
+		this.$main.call(this, target, {}, callback);
+	},
+
+	/**
+	 * Stores a point-in-time copy of every collection in the database.
+	 * @param {String|Object} target The key or storage adapter.
+	 * @param {Object} options The options object. Set "key" to the key to
+	 * store the archive under when the target is a storage adapter,
+	 * defaults to the name of the database followed by "-backup".
+	 * @param {Function=} callback The method to call with (err, snapshot)
+	 * when the archive has been stored.
+	 */
+	'*, object, function': function (target, options, callback) {
+		this.$main.call(this, target, options, callback);
+	},
+
+	'$main': function (target, options, callback) {
+		var self = this,
+			adapter = typeof target === 'string' ? this.persist.adapter() : target,
+			key = typeof target === 'string' ? target : options.key || this._name + '-backup',
+			snapshot;
+
+		if (!adapter || typeof adapter.set !== 'function') {
+			if (callback) { callback('Cannot backup without a storage adapter to store the archive with!'); }
+			return;
+		}
+
+		snapshot = this.snapshot(function (name, done, total) {
+			self.emit('backupProgress', {stage: 'snapshot', collection: name, done: done, total: total});
+		});
+
+		this.persist.encode(snapshot, function (err, data) {
+			if (err) {
+				if (callback) { callback(err); }
+				return;
+			}
+
+			self.emit('backupProgress', {stage: 'write'});
+
+			adapter.set(key, data, function (err) {
+				if (!err) {
+					self.emit('backupProgress', {stage: 'complete'});
+				}
+
+				if (callback) { callback(err || false, err ? undefined : snapshot); }
+			});
+		});
+	}
+});
+
+Db.prototype.restore = new Overload({
+	/**
+	 * Restores the collections in an archive stored by backup() into the
+	 * database (see restoreSnapshot()). Emits "restoreProgress" events
+	 * with the "stage" of the restore ("read", "restore" or "complete")
+	 * and, while restoring, the "collection" restored and the number
+	 * "done" of the "total". Restored data is not saved to persistent
+	 * storage until the database or its collections are saved.
+	 * @param {String|Object} source The key the archive is stored under
+	 * with the current storage adapter, or the storage adapter it was
+	 * stored with.
+	 * @param {Function=} callback The method to call with (err, snapshot)
+	 * when the data has been restored.
+	 */
+	'*, function': function (source, callback) {
+		this.$main.call(this, source, {}, callback);
+	},
+
+	/**
+	 * Restores the collections in an archive stored by backup().
+	 * @param {String|Object} source The key or storage adapter.
+	 * @param {Object} options The options object. Set "merge" to true to
+	 * upsert the archived documents instead of replacing each collection's
+	 * data and "key" to the key the archive was stored under when the
+	 * source is a storage adapter.
+	 * @param {Function=} callback The method to call with (err, snapshot)
+	 * when the data has been restored.
+	 */
+	'*, object, function': function (source, options, callback) {
+		this.$main.call(this, source, options, callback);
+	},
+
+	'$main': function (source, options, callback) {
+		var self = this,
+			adapter = typeof source === 'string' ? this.persist.adapter() : source,
+			key = typeof source === 'string' ? source : options.key || this._name + '-backup';
+
+		if (!adapter || typeof adapter.get !== 'function') {
+			if (callback) { callback('Cannot restore without a storage adapter to read the archive from!'); }
+			return;
+		}
+
+		this.emit('restoreProgress', {stage: 'read'});
+
+		adapter.get(key, function (err, data) {
+			if (!err && (data === undefined || data === null)) {
+				err = 'No backup found to restore!';
+			}
+
+			if (err) {
+				if (callback) { callback(err); }
+				return;
+			}
+
+			self.persist.decode(data, function (err, snapshot) {
+				if (err) {
+					if (callback) { callback(err); }
+					return;
+				}
+
+				try {
+					self.restoreSnapshot(snapshot, options, function (name, done, total) {
+						self.emit('restoreProgress', {stage: 'restore', collection: name, done: done, total: total});
+					});
+				} catch (e) {
+					if (callback) { callback(e); }
+					return;
+				}
+
+				self.emit('restoreProgress', {stage: 'complete'});
+				if (callback) { callback(false, snapshot); }
+			});
+		});
+	}
+});
+
 Shared.finishModule('Persist');
 module.exports = Persist;
\ No newline at end of file
@@ -2,18 +2,23 @@
 
 var Shared,
 	Db,
+	Schema,
 	Procedure;
 
 Shared = require('./Shared');
+Schema = require('./Schema');
 
 /**
  * This class handles remote procedure call generation. It is an
  * extension of the NodeApiServer class and is primarily used there.
  * It allows procedures to be created that are exposed to remote
  * clients via the REST interface. Procedures handle their own server
- * code including responding to clients directly.
+ * code including responding to clients directly unless they are
+ * created with a definition object, in which case their arguments are
+ * validated and their result is sent to the client for them.
  * @param {String} name The name of the procedure.
- * @param {Function} method The handler method.
+ * @param {Function|Object} method The handler method or a definition
+ * object.
  * @constructor
  */
 Procedure = function (name, method) {
@@ -23,11 +28,21 @@ Procedure = function (name, method) {
 /**
  * Create a remote procedure call.
  * @param {String} name The name of the procedure.
- * @param {Function} method The procedure handler.
+ * @param {Function|Object} method The procedure handler or a definition
+ * object with an "args" JSON Schema that the arguments must match and
+ * a "method" that is called with function (args, req, callback).
  */
 Procedure.prototype.init = function (name, method) {
 	this._name = name;
-	this._method = method;
+
+	if (method && typeof method === 'object') {
+		this._args = method.args;
+		this._argsSchema = method.args ? new Schema(method.args) : undefined;
+		this._method = method.method;
+		this._typed = true;
+	} else {
+		this._method = method;
+	}
 };
 
 // Tell ForerunnerDB about our new module
@@ -44,17 +59,93 @@ Shared.mixin(Procedure.prototype, 'Mixin.Events');
  */
 Shared.synthesize(Procedure.prototype, 'name');
 
+/**
+ * Gets the JSON Schema that the procedure's arguments must match.
+ * @returns {Object|undefined}
+ */
+Procedure.prototype.args = function () {
+	return this._args;
+};
+
+/**
+ * Checks if the procedure was created with a definition object.
+ * @returns {Boolean}
+ */
+Procedure.prototype.typed = function () {
+	return Boolean(this._typed);
+};
+
+/**
+ * Validates arguments against the procedure's args schema.
+ * @param {*} args The arguments.
+ * @returns {Array} An array of schema errors, empty if the arguments
+ * are valid or the procedure has no args schema.
+ */
+Procedure.prototype.validate = function (args) {
+	return this._argsSchema ? this._argsSchema.validate(args) : [];
+};
+
 /**
  * Execute the procedure, passing in the request and response
  * (req and res) arguments from the server. Procedure methods
  * are responsible for correctly communicating with the client
  * and handling response properly.
+ *
+ * Procedures created with a definition object are instead passed the
+ * arguments from the request body, or the $args query parameter for
+ * GET requests. The client is sent {ok: true, data: result} when the
+ * method calls back, {ok: false, error: err} with a 500 status if it
+ * calls back with an error, or {ok: false, error, errors} with a 400
+ * status if the arguments don't match the args schema.
  * @param req
  * @param res
  * @returns {*}
  */
 Procedure.prototype.exec = function (req, res) {
-	return this._method.call(this, req, res);
+	var responded = false,
+		args,
+		errors;
+
+	if (!this._typed) {
+		return this._method.call(this, req, res);
+	}
+
+	if (req.method === 'GET' || req.method === 'HEAD') {
+		args = req.json ? req.json.$args : undefined;
+	} else {
+		args = req.body;
+	}
+
+	if (args === undefined) {
+		args = {};
+	}
+
+	errors = this.validate(args);
+
+	if (errors.length) {
+		return res.status(400).send({ok: false, error: 'Invalid arguments', errors: errors});
+	}
+
+	try {
+		this._method.call(this, args, req, function (err, result) {
+			if (responded) {
+				return;
+			}
+
+			responded = true;
+
+			if (err) {
+				return res.status(500).send({ok: false, error: String(err)});
+			}
+
+			res.send({ok: true, data: result});
+		});
+	} catch (e) {
+		if (!responded) {
+			responded = true;
+			res.status(500).send({ok: false, error: String(e)});
+		}
+	}
 };
 
 // Grab the collection module for use later
@@ -63,8 +154,8 @@ Db = Shared.modules.Db;
 /**
  * Create or retrieve a procedure by name.
  * @param {String} name The name of the procedure.
- * @param {Function=} method If specified, creates a new procedure
- * with the provided name and method.
+ * @param {Function|Object=} method If specified, creates a new procedure
+ * with the provided name and method or definition object.
  * @returns {*}
  */
 Db.prototype.procedure = function (name, method) {
@@ -87,6 +178,28 @@ Db.prototype.procedure = function (name, method) {
 	}
 };
 
+/**
+ * Returns an array of procedures the DB currently has.
+ * @returns {Array} An array of objects containing details of each
+ * procedure the database is currently managing.
+ */
+Db.prototype.procedures = function () {
+	var arr = [],
+		i;
+
+	for (i in this._procedure) {
+		if (this._procedure.hasOwnProperty(i)) {
+			arr.push({
+				name: i,
+				typed: this._procedure[i].typed(),
+				args: this._procedure[i].args()
+			});
+		}
+	}
+
+	return arr;
+};
+
 // Tell ForerunnerDB that our module has finished loading
 Shared.finishModule('Procedure');
 module.exports = Procedure;
\ No newline at end of file
@@ -0,0 +1,666 @@
+"use strict";
+
+/**
+ * The replicator keeps a local collection and a collection on a
+ * ForerunnerDB API server in step in both directions. Local writes are
+ * queued (and persisted if the database has persistence) and pushed to
+ * the server, changes on the server are synced down. Every document on
+ * the server carries a revision number that is incremented on each
+ * write so writes based on an out of date copy of a document can be
+ * detected and resolved with a conflict strategy.
+ */
+
+var Shared,
+	Collection,
+	Replicator;
+
+Shared = require('./Shared');
+
+/**
+ * Creates a new replicator.
+ * @param {Collection} collection The local collection to replicate.
+ * @param {Object=} options An options object. See
+ * Collection.replicate() for details.
+ * @constructor
+ */
+Replicator = function (collection, options) {
+	this.init.apply(this, arguments);
+};
+
+Replicator.prototype.init = function (collection, options) {
+	var self = this;
+
+	options = options || {};
+
+	self._collection = collection;
+	self._db = collection.db();
+	self._queue = [];
+	self._applyingRemote = 0;
+	self._pushing = false;
+
+	self.strategy(options.strategy || 'lastWriteWins');
+	self._path = '/' + self._db.name() + '/collection/' + (options.name || collection.name());
+
+	self._onInsert = function (inserted) {
+		self._localChange('insert', inserted);
+	};
+
+	self._onUpdate = function (items) {
+		self._localChange('update', items);
+	};
+
+	self._onRemove = function (items) {
+		self._localChange('remove', items);
+	};
+
+	self._onSocketOpen = function () {
+		self.push();
+	};
+};
+
+Shared.addModule('Replicator', Replicator);
+Shared.mixin(Replicator.prototype, 'Mixin.Common');
+Shared.mixin(Replicator.prototype, 'Mixin.Events');
+
+Collection = Shared.modules.Collection;
+
+/**
+ * Gets / sets the conflict strategy. Either "lastWriteWins",
+ * "serverWins" or a merge function. See Collection.replicate() for
+ * details.
+ * @param {String|Function=} val The strategy.
+ * @returns {*}
+ */
+Replicator.prototype.strategy = function (val) {
+	if (val !== undefined) {
+		if (val !== 'lastWriteWins' && val !== 'serverWins' && typeof val !== 'function') {
+			throw(this._collection.logIdentifier() + ' Unknown replication strategy "' + val + '"!');
+		}
+
+		this._strategy = val;
+		return this;
+	}
+
+	return this._strategy;
+};
+
+/**
+ * Gets the local changes that have not yet been accepted by the server.
+ * @returns {Array}
+ */
+Replicator.prototype.queue = function () {
+	return this._queue;
+};
+
+/**
+ * Starts replicating. Loads any changes queued by a previous session,
+ * starts syncing with the server and pushes the queued changes.
+ * @param {Function=} callback The method to call once the sync has been
+ * established (or failed).
+ */
+Replicator.prototype.start = function (callback) {
+	var self = this,
+		collection = this._collection,
+		api = this._db._core.api;
+
+	this._loadQueue(function () {
+		collection.on('insert', self._onInsert);
+		collection.on('update', self._onUpdate);
+		collection.on('remove', self._onRemove);
+		api.on('socketOpen', self._onSocketOpen);
+
+		api.sync(collection, self._path, undefined, undefined, function (err) {
+			self.push();
+
+			if (callback) { callback(err); }
+		});
+	});
+};
+
+/**
+ * Stops replicating. Changes still in the queue are kept and pushed
+ * the next time replication is started.
+ */
+Replicator.prototype.stop = function () {
+	var collection = this._collection;
+
+	collection.off('insert', this._onInsert);
+	collection.off('update', this._onUpdate);
+	collection.off('remove', this._onRemove);
+	this._db._core.api.off('socketOpen', this._onSocketOpen);
+
+	clearTimeout(this._retryTimeout);
+	this._stopped = true;
+};
+
+/**
+ * Queues local changes to be pushed to the server.
+ * @param {String} type The type of change.
+ * @param {Array} docs The changed documents.
+ * @private
+ */
+Replicator.prototype._localChange = function (type, docs) {
+	var i;
+
+	if (this._applyingRemote || !docs || !docs.length) {
+		return;
+	}
+
+	for (i = 0; i < docs.length; i++) {
+		this._queueChange(type, docs[i]);
+	}
+
+	this._saveQueue();
+	this.push();
+};
+
+/**
+ * Adds a change to the queue, combining it with a queued change to the
+ * same document that has not yet been sent so only the latest version
+ * of a document is pushed.
+ * @param {String} type The type of change.
+ * @param {Object} doc The changed document.
+ * @private
+ */
+Replicator.prototype._queueChange = function (type, doc) {
+	var id = doc[this._collection.primaryKey()],
+		op = this._lastOp(id),
+		now = new Date().getTime();
+
+	if (!op || op.sent) {
+		this._queue.push({
+			op: type,
+			id: id,
+			baseRev: doc._rev || 0,
+			doc: type !== 'remove' ? this.decouple(doc) : undefined,
+			ts: now
+		});
+
+		return;
+	}
+
+	if (!this._combine(op, type, type !== 'remove' ? this.decouple(doc) : undefined, now)) {
+		this._dequeue(op);
+	}
+};
+
+/**
+ * Combines a later change to a document into a queued change, keeping
+ * the revision the queued change was based on.
+ * @param {Object} op The queued change.
+ * @param {String} type The type of the later change.
+ * @param {Object=} doc The document after the later change.
+ * @param {Number} ts The time of the later change.
+ * @returns {Boolean} False if the changes cancel each other out and
+ * the queued change should be removed.
+ * @private
+ */
+Replicator.prototype._combine = function (op, type, doc, ts) {
+	op.ts = ts;
+
+	if (type === 'remove') {
+		if (op.op === 'insert') {
+			// The server has never seen the document so there is
+			// nothing to push
+			return false;
+		}
+
+		op.op = 'remove';
+		op.doc = undefined;
+		return true;
+	}
+
+	if (op.op === 'remove') {
+		// A removed document was inserted again, this is an update to
+		// the document on the server
+		op.op = 'update';
+	}
+
+	op.doc = doc;
+	return true;
+};
+
+/**
+ * Gets the last queued change for the document with the passed id.
+ * @param {*} id The document id.
+ * @returns {Object|undefined}
+ * @private
+ */
+Replicator.prototype._lastOp = function (id) {
+	var i;
+
+	for (i = this._queue.length - 1; i >= 0; i--) {
+		if (this._queue[i].id === id) {
+			return this._queue[i];
+		}
+	}
+};
+
+/**
+ * Pushes the queued changes to the server. If the server cannot be
+ * reached the push is retried after the api's reconnectInterval.
+ */
+Replicator.prototype.push = function () {
+	var self = this,
+		api = this._db._core.api,
+		changes = [],
+		sent = [],
+		i;
+
+	if (this._pushing || this._stopped) {
+		return;
+	}
+
+	for (i = 0; i < this._queue.length; i++) {
+		if (!this._queue[i].sent) {
+			this._queue[i].sent = true;
+			sent.push(this._queue[i]);
+
+			changes.push({
+				op: this._queue[i].op,
+				id: this._queue[i].id,
+				baseRev: this._queue[i].baseRev,
+				doc: this._queue[i].doc,
+				ts: this._queue[i].ts
+			});
+		}
+	}
+
+	if (!changes.length) {
+		return;
+	}
+
+	this._pushing = true;
+
+	api.post(this._path + '/_replicate', {changes: changes}, function (err, data) {
+		var next;
+
+		self._pushing = false;
+
+		if (err !== false || !data || !(data.results instanceof Array)) {
+			// The server could not be reached, send the changes again
+			// after a while along with any made since
+			for (i = 0; i < sent.length; i++) {
+				sent[i].sent = false;
+				next = self._lastOp(sent[i].id);
+
+				if (next !== sent[i]) {
+					self._dequeue(next);
+
+					if (!self._combine(sent[i], next.op, next.doc, next.ts)) {
+						self._dequeue(sent[i]);
+					}
+				}
+			}
+
+			clearTimeout(self._retryTimeout);
+			self._retryTimeout = setTimeout(function () {
+				self.push();
+			}, api.reconnectInterval());
+
+			return;
+		}
+
+		for (i = 0; i < sent.length; i++) {
+			self._result(sent[i], data.results[i] || {status: 'error', reason: 'No result'});
+		}
+
+		self._saveQueue();
+		self.push();
+	});
+};
+
+/**
+ * Handles the server's result for a pushed change.
+ * @param {Object} op The queued change that was pushed.
+ * @param {Object} result The result.
+ * @private
+ */
+Replicator.prototype._result = function (op, result) {
+	var next;
+
+	switch (result.status) {
+		case 'ok':
+			this._dequeue(op);
+
+			if (op.op !== 'remove') {
+				this._applyRemoteDoc(op.id, {_rev: result.rev, _modified: result.modified}, true);
+			}
+
+			// Changes made while this one was in flight are now based on
+			// the revision the server just created
+			next = this._lastOp(op.id);
+
+			if (next) {
+				this._rebase(next, op.op !== 'remove' ? {_rev: result.rev} : undefined);
+			}
+
+			this.emit('replicated', op.op, op.id, result);
+			break;
+
+		case 'conflict':
+			this._conflict(op, result.doc);
+			break;
+
+		default:
+			this._dequeue(op);
+			this.emit('replicationError', result.reason, op);
+			break;
+	}
+};
+
+/**
+ * Resolves a conflict between a pushed change and the server's copy of
+ * the document using the conflict strategy.
+ * @param {Object} op The queued change that was rejected.
+ * @param {Object=} serverDoc The server's copy of the document or
+ * undefined if the document does not exist on the server.
+ * @private
+ */
+Replicator.prototype._conflict = function (op, serverDoc) {
+	var collection = this._collection,
+		strategy = this._strategy,
+		localDoc = collection.findById(op.id),
+		latest = this._lastOp(op.id),
+		merged;
+
+	this.emit('conflict', op.id, localDoc, serverDoc);
+
+	// Only the latest queued change to the document is kept
+	if (latest !== op) {
+		this._dequeue(op);
+	}
+
+	if (typeof strategy === 'function') {
+		merged = strategy.call(collection, localDoc, serverDoc, op);
+
+		if (merged) {
+			merged[collection.primaryKey()] = op.id;
+			this._applyRemoteDoc(op.id, merged);
+
+			latest.op = 'update';
+			latest.doc = this.decouple(merged);
+		} else {
+			this._applyRemoteDoc(op.id, undefined);
+
+			latest.op = 'remove';
+			latest.doc = undefined;
+		}
+
+		latest.ts = new Date().getTime();
+		this._rebase(latest, serverDoc);
+		return;
+	}
+
+	if (strategy === 'lastWriteWins' && (!serverDoc || latest.ts >= serverDoc._modified)) {
+		this._rebase(latest, serverDoc);
+		return;
+	}
+
+	// The server's copy wins
+	this._dequeue(latest);
+	this._applyRemoteDoc(op.id, serverDoc);
+};
+
+/**
+ * Bases a queued change on the server's current copy of a document so
+ * it will be accepted when it is pushed again.
+ * @param {Object} op The queued change.
+ * @param {Object=} serverDoc The server's copy of the document (only
+ * the _rev field is used) or undefined if it does not exist on the
+ * server.
+ * @private
+ */
+Replicator.prototype._rebase = function (op, serverDoc) {
+	op.sent = false;
+
+	if (serverDoc) {
+		op.baseRev = serverDoc._rev || 0;
+
+		if (op.op === 'insert') {
+			op.op = 'update';
+		}
+	} else {
+		op.baseRev = 0;
+
+		if (op.op === 'update') {
+			op.op = 'insert';
+		} else if (op.op === 'remove') {
+			// Already gone from the server
+			this._dequeue(op);
+		}
+	}
+};
+
+/**
+ * Removes a change from the queue.
+ * @param {Object} op The queued change.
+ * @private
+ */
+Replicator.prototype._dequeue = function (op) {
+	var index = this._queue.indexOf(op);
+
+	if (index > -1) {
+		this._queue.splice(index, 1);
+	}
+};
+
+/**
+ * Checks if the document with the passed id has local changes that have
+ * not yet been accepted by the server.
+ * @param {*} id The document id.
+ * @returns {Boolean}
+ */
+Replicator.prototype.isPending = function (id) {
+	return this._lastOp(id) !== undefined;
+};
+
+/**
+ * Applies data received from the server to the local collection without
+ * queueing it to be pushed back. Documents with pending local changes
+ * are left alone, their changes are reconciled when they are pushed.
+ * @param {String} eventName The sync event name, one of "upsert",
+ * "setData", "insert", "update", "remove" or "leave".
+ * @param {*} data The event data.
+ */
+Replicator.prototype.applyRemote = function (eventName, data) {
+	var collection = this._collection,
+		pk = collection.primaryKey(),
+		docs,
+		ids = {},
+		localDocs,
+		i;
+
+	switch (eventName) {
+		case 'upsert':
+		case 'setData':
+			docs = data instanceof Array ? data : [data];
+			break;
+
+		case 'insert':
+		case 'update':
+			docs = data.dataSet || [];
+			break;
+
+		case 'remove':
+		case 'leave':
+			docs = data.dataSet || [];
+
+			for (i = 0; i < docs.length; i++) {
+				if (!this.isPending(docs[i][pk])) {
+					this._applyRemoteDoc(docs[i][pk], undefined);
+				}
+			}
+			return;
+
+		default:
+			return;
+	}
+
+	for (i = 0; i < docs.length; i++) {
+		ids[docs[i][pk]] = true;
+
+		if (!this.isPending(docs[i][pk])) {
+			this._applyRemoteDoc(docs[i][pk], docs[i]);
+		}
+	}
+
+	if (eventName === 'setData') {
+		// Remove local documents the server no longer has
+		localDocs = collection.find({}, {$decouple: false});
+
+		for (i = 0; i < localDocs.length; i++) {
+			if (!ids[localDocs[i][pk]] && !this.isPending(localDocs[i][pk])) {
+				this._applyRemoteDoc(localDocs[i][pk], undefined);
+			}
+		}
+	}
+};
+
+/**
+ * Writes a document from the server to the local collection without
+ * queueing the write.
+ * @param {*} id The document id.
+ * @param {Object=} doc The document, or undefined to remove it.
+ * @param {Boolean=} partial If true the document's fields are set on
+ * the local document instead of replacing it.
+ * @private
+ */
+Replicator.prototype._applyRemoteDoc = function (id, doc, partial) {
+	var collection = this._collection;
+
+	this._applyingRemote++;
+
+	if (!doc) {
+		collection.removeById(id);
+	} else if (collection.findById(id)) {
+		collection.updateById(id, partial ? doc : {$replace: doc});
+	} else if (!partial) {
+		collection.insert(doc);
+	}
+
+	this._applyingRemote--;
+};
+
+/**
+ * Gets the persistent storage key for the queue.
+ * @returns {String}
+ * @private
+ */
+Replicator.prototype._queueKey = function () {
+	return this._db.name() + '-' + this._collection.name() + '-replicationQueue';
+};
+
+/**
+ * Saves the queue to persistent storage if the database has
+ * persistence.
+ * @private
+ */
+Replicator.prototype._saveQueue = function () {
+	var queue = [],
+		i;
+
+	if (!this._db.persist) {
+		return;
+	}
+
+	for (i = 0; i < this._queue.length; i++) {
+		queue.push({
+			op: this._queue[i].op,
+			id: this._queue[i].id,
+			baseRev: this._queue[i].baseRev,
+			doc: this._queue[i].doc,
+			ts: this._queue[i].ts
+		});
+	}
+
+	this._db.persist.save(this._queueKey(), queue);
+};
+
+/**
+ * Loads a queue saved by a previous session from persistent storage if
+ * the database has persistence.
+ * @param {Function} callback The method to call when the queue has been
+ * loaded.
+ * @private
+ */
+Replicator.prototype._loadQueue = function (callback) {
+	var self = this;
+
+	if (!this._db.persist) {
+		return callback(false);
+	}
+
+	this._db.persist.load(this._queueKey(), function (err, data) {
+		var i;
+
+		if (!err && data instanceof Array) {
+			for (i = 0; i < data.length; i++) {
+				if (!self._lastOp(data[i].id)) {
+					self._queue.push(data[i]);
+				}
+			}
+		}
+
+		callback(false);
+	});
+};
+
+/**
+ * Replicates the collection with a collection on the API server. Local
+ * writes are pushed to the server and server changes are synced down.
+ * Writes made while the server cannot be reached are queued, saved via
+ * the database's persistence layer if it has one, and pushed once the
+ * server can be reached again.
+ *
+ * Conflicts occur when a local write was based on an older revision of
+ * a document than the server holds. They are resolved by the strategy
+ * option:
+ * "lastWriteWins" (the default) keeps whichever write was made last,
+ * "serverWins" discards the local write in favour of the server's copy,
+ * or pass a function(localDoc, serverDoc, change) that returns the
+ * merged document (or null to remove it) which is then pushed.
+ * @param {Object=} options An options object. Set strategy as above
+ * and name to replicate with a server collection of a different name.
+ * @param {Function=} callback The method to call once the sync has been
+ * established (or failed).
+ * @returns {Replicator} The replicator. Listen to its "replicated",
+ * "conflict" and "replicationError" events to follow progress.
+ */
+Collection.prototype.replicate = function (options, callback) {
+	if (typeof options === 'function') {
+		callback = options;
+		options = {};
+	}
+
+	if (!this._db || !this._db._core || !this._db._core.api) {
+		throw(this.logIdentifier() + ' Cannot replicate an anonymous collection! (Collection must be attached to a database)');
+	}
+
+	this.unReplicate();
+
+	this._replicator = new Replicator(this, options);
+	this._replicator.start(callback);
+
+	return this._replicator;
+};
+
+/**
+ * Stops replicating the collection. Queued local writes are kept and
+ * pushed the next time the collection is replicated.
+ * @returns {Boolean} True if the collection was replicating.
+ */
+Collection.prototype.unReplicate = function () {
+	if (this._replicator) {
+		this._replicator.stop();
+		this.unSync();
+		delete this._replicator;
+
+		return true;
+	}
+
+	return false;
+};
+
+Shared.finishModule('Replicator');
+module.exports = Replicator;
@@ -0,0 +1,250 @@
+"use strict";
+
+/**
+ * The schema class validates documents against a JSON Schema definition.
+ * The supported keywords are type, enum, const, required, properties,
+ * additionalProperties, items, minItems, maxItems, uniqueItems, pattern,
+ * minLength, maxLength, minimum, maximum, exclusiveMinimum and
+ * exclusiveMaximum. Unsupported keywords are ignored.
+ */
+
+var Shared,
+	Schema;
+
+Shared = require('./Shared');
+
+/**
+ * Creates a new schema.
+ * @param {Object} definition The JSON Schema definition object.
+ * @constructor
+ */
+Schema = function (definition) {
+	this.init.apply(this, arguments);
+};
+
+Schema.prototype.init = function (definition) {
+	this._definition = definition;
+	this._patterns = {};
+};
+
+Shared.addModule('Schema', Schema);
+Shared.mixin(Schema.prototype, 'Mixin.Common');
+
+/**
+ * Gets the JSON Schema definition object.
+ * @returns {Object}
+ */
+Schema.prototype.definition = function () {
+	return this._definition;
+};
+
+/**
+ * Validates the passed document against the schema.
+ * @param {*} doc The document to validate.
+ * @returns {Array} An array of error objects, each with a "path" to
+ * the invalid value (an empty string for the document itself), the
+ * schema "keyword" that failed and a human readable "message". If the
+ * document is valid the array is empty.
+ */
+Schema.prototype.validate = function (doc) {
+	var errors = [];
+
+	this._validate(doc, this._definition, '', errors);
+
+	return errors;
+};
+
+/**
+ * Validates a value against a schema definition, recursing into
+ * object properties and array items.
+ * @param {*} val The value to validate.
+ * @param {Object} def The schema definition to validate against.
+ * @param {String} path The path of the value from the document root.
+ * @param {Array} errors The array to push errors to.
+ * @private
+ */
+Schema.prototype._validate = function (val, def, path, errors) {
+	var types,
+		typeName,
+		key,
+		i;
+
+	if (!def || typeof def !== 'object') {
+		return;
+	}
+
+	if (def.type !== undefined) {
+		types = def.type instanceof Array ? def.type : [def.type];
+		typeName = this._typeName(val);
+
+		if (types.indexOf(typeName) === -1 && !(typeName === 'integer' && types.indexOf('number') > -1)) {
+			this._error(errors, path, 'type', 'should be ' + types.join(' or ') + ' but is ' + typeName);
+
+			// The remaining keywords assume the correct type so stop here
+			return;
+		}
+	}
+
+	if (def.enum instanceof Array && !this._inArray(def.enum, val)) {
+		this._error(errors, path, 'enum', 'should be one of ' + this.jStringify(def.enum));
+	}
+
+	if (def.const !== undefined && this.jStringify(def.const) !== this.jStringify(val)) {
+		this._error(errors, path, 'const', 'should be ' + this.jStringify(def.const));
+	}
+
+	if (typeof val === 'string') {
+		if (def.minLength !== undefined && val.length < def.minLength) {
+			this._error(errors, path, 'minLength', 'should not be shorter than ' + def.minLength + ' characters');
+		}
+
+		if (def.maxLength !== undefined && val.length > def.maxLength) {
+			this._error(errors, path, 'maxLength', 'should not be longer than ' + def.maxLength + ' characters');
+		}
+
+		if (def.pattern !== undefined && !this._pattern(def.pattern).test(val)) {
+			this._error(errors, path, 'pattern', 'should match pattern ' + def.pattern);
+		}
+	}
+
+	if (typeof val === 'number') {
+		if (def.minimum !== undefined && val < def.minimum) {
+			this._error(errors, path, 'minimum', 'should be >= ' + def.minimum);
+		}
+
+		if (def.maximum !== undefined && val > def.maximum) {
+			this._error(errors, path, 'maximum', 'should be <= ' + def.maximum);
+		}
+
+		if (typeof def.exclusiveMinimum === 'number' && val <= def.exclusiveMinimum) {
+			this._error(errors, path, 'exclusiveMinimum', 'should be > ' + def.exclusiveMinimum);
+		}
+
+		if (typeof def.exclusiveMaximum === 'number' && val >= def.exclusiveMaximum) {
+			this._error(errors, path, 'exclusiveMaximum', 'should be < ' + def.exclusiveMaximum);
+		}
+	}
+
+	if (val instanceof Array) {
+		if (def.minItems !== undefined && val.length < def.minItems) {
+			this._error(errors, path, 'minItems', 'should not have fewer than ' + def.minItems + ' items');
+		}
+
+		if (def.maxItems !== undefined && val.length > def.maxItems) {
+			this._error(errors, path, 'maxItems', 'should not have more than ' + def.maxItems + ' items');
+		}
+
+		if (def.uniqueItems === true) {
+			for (i = 0; i < val.length; i++) {
+				if (this._inArray(val.slice(i + 1), val[i])) {
+					this._error(errors, path, 'uniqueItems', 'should not have duplicate items');
+					break;
+				}
+			}
+		}
+
+		if (def.items instanceof Array) {
+			// Tuple validation, each position has its own schema
+			for (i = 0; i < def.items.length && i < val.length; i++) {
+				this._validate(val[i], def.items[i], this._path(path, i), errors);
+			}
+		} else if (def.items) {
+			for (i = 0; i < val.length; i++) {
+				this._validate(val[i], def.items, this._path(path, i), errors);
+			}
+		}
+	} else if (val !== null && typeof val === 'object') {
+		if (def.required instanceof Array) {
+			for (i = 0; i < def.required.length; i++) {
+				if (val[def.required[i]] === undefined) {
+					this._error(errors, this._path(path, def.required[i]), 'required', 'is required');
+				}
+			}
+		}
+
+		for (key in val) {
+			if (val.hasOwnProperty(key) && val[key] !== undefined) {
+				if (def.properties && def.properties[key] !== undefined) {
+					this._validate(val[key], def.properties[key], this._path(path, key), errors);
+				} else if (def.additionalProperties === false) {
+					this._error(errors, this._path(path, key), 'additionalProperties', 'is not an allowed property');
+				} else if (def.additionalProperties && typeof def.additionalProperties === 'object') {
+					this._validate(val[key], def.additionalProperties, this._path(path, key), errors);
+				}
+			}
+		}
+	}
+};
+
+/**
+ * Gets the JSON Schema type name of the passed value.
+ * @param {*} val The value to get the type name for.
+ * @returns {String}
+ * @private
+ */
+Schema.prototype._typeName = function (val) {
+	if (val === null) {
+		return 'null';
+	}
+
+	if (val instanceof Array) {
+		return 'array';
+	}
+
+	if (typeof val === 'number') {
+		return val % 1 === 0 ? 'integer' : 'number';
+	}
+
+	return typeof val;
+};
+
+/**
+ * Checks if the passed array contains a value that is deeply equal
+ * to the passed value.
+ * @param {Array} arr The array to search.
+ * @param {*} val The value to search for.
+ * @returns {Boolean}
+ * @private
+ */
+Schema.prototype._inArray = function (arr, val) {
+	var valString = this.jStringify(val),
+		i;
+
+	for (i = 0; i < arr.length; i++) {
+		if (this.jStringify(arr[i]) === valString) {
+			return true;
+		}
+	}
+
+	return false;
+};
+
+/**
+ * Gets a compiled regular expression for the passed pattern string,
+ * caching it for subsequent validations.
+ * @param {String} pattern The regular expression pattern.
+ * @returns {RegExp}
+ * @private
+ */
+Schema.prototype._pattern = function (pattern) {
+	if (!this._patterns[pattern]) {
+		this._patterns[pattern] = new RegExp(pattern);
+	}
+
+	return this._patterns[pattern];
+};
+
+Schema.prototype._path = function (path, key) {
+	return path ? path + '.' + key : String(key);
+};
+
+Schema.prototype._error = function (errors, path, keyword, message) {
+	errors.push({
+		path: path,
+		keyword: keyword,
+		message: message
+	});
+};
+
+Shared.finishModule('Schema');
+module.exports = Schema;
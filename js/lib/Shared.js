@@ -188,7 +188,8 @@ var Shared = {
 		'Mixin.Sorting': require('./Mixin.Sorting'),
 		'Mixin.Matching': require('./Mixin.Matching'),
 		'Mixin.Updating': require('./Mixin.Updating'),
-		'Mixin.Tags': require('./Mixin.Tags')
+		'Mixin.Tags': require('./Mixin.Tags'),
+		'Mixin.IndexFilter': require('./Mixin.IndexFilter')
 	}
 };
 
@@ -0,0 +1,473 @@
+"use strict";
+
+/**
+ * The transaction class buffers CRUD operations against one or more
+ * collections and only applies them when the transaction is committed.
+ * If any operation fails while committing, every collection touched by
+ * the transaction is restored to the state it was in before the commit
+ * started (including primary key and secondary indexes). Chain reactor
+ * packets and events generated by the operations are held back until the
+ * commit has completed so that downstream nodes never see a partially
+ * applied transaction.
+ */
+
+var Shared,
+	Db,
+	Transaction;
+
+Shared = require('./Shared');
+
+/**
+ * Creates a new transaction against the passed database.
+ * @param {Db} db The database the transaction operates against.
+ * @constructor
+ */
+Transaction = function (db) {
+	this.init.apply(this, arguments);
+};
+
+Transaction.prototype.init = function (db) {
+	this._db = db;
+	this._name = this.objectId();
+	this._queue = [];
+	this._participants = [];
+	this._state = 'pending';
+};
+
+Shared.addModule('Transaction', Transaction);
+Shared.mixin(Transaction.prototype, 'Mixin.Common');
+
+Db = Shared.modules.Db;
+
+/**
+ * Gets / sets the name of the transaction.
+ * @param {String=} val The name of the transaction to set.
+ * @returns {*}
+ */
+Shared.synthesize(Transaction.prototype, 'name');
+
+/**
+ * Gets / sets the current state of the transaction. One of "pending",
+ * "committed" or "rolledBack".
+ * @param {String=} val The name of the state to set.
+ * @returns {*}
+ */
+Shared.synthesize(Transaction.prototype, 'state');
+
+/**
+ * Gets / sets the db instance this transaction belongs to.
+ * @param {Db=} db The db instance.
+ * @returns {*}
+ */
+Shared.synthesize(Transaction.prototype, 'db');
+
+/**
+ * Returns an object exposing the CRUD methods of the named collection.
+ * Calls to these methods are queued against the transaction and are only
+ * executed when the transaction is committed.
+ * @param {String|Collection} name The name of the collection or a
+ * collection instance.
+ * @returns {Object} An object with insert(), update(), upsert(), remove(),
+ * updateById() and removeById() methods. Each method returns the same
+ * object so calls can be chained.
+ */
+Transaction.prototype.collection = function (name) {
+	var self = this,
+		collection = this._db.collection(name),
+		proxy = {},
+		queueMethod = function (type) {
+			return function () {
+				self._enqueue(collection, type, Array.prototype.slice.call(arguments));
+				return proxy;
+			};
+		};
+
+	proxy.insert = queueMethod('insert');
+	proxy.update = queueMethod('update');
+	proxy.upsert = queueMethod('upsert');
+	proxy.remove = queueMethod('remove');
+	proxy.updateById = queueMethod('updateById');
+	proxy.removeById = queueMethod('removeById');
+
+	return proxy;
+};
+
+/**
+ * Adds an operation to the transaction queue.
+ * @param {Collection} collection The collection to operate on.
+ * @param {String} type The name of the collection method to call.
+ * @param {Array} args The arguments to pass to the method.
+ * @private
+ */
+Transaction.prototype._enqueue = function (collection, type, args) {
+	if (this._state !== 'pending') {
+		throw(this.logIdentifier() + ' Cannot queue operations on a transaction that has already been ' + this._state + '!');
+	}
+
+	this._queue.push({
+		collection: collection,
+		type: type,
+		args: args
+	});
+};
+
+/**
+ * Queues a function that is called while the transaction is committed,
+ * after the operations queued before it have been applied. If the
+ * function returns a failure reason the transaction is rolled back.
+ * @param {Function} fn The function to call. It should return a string
+ * describing the failure or false if the commit can continue.
+ * @returns {Transaction}
+ */
+Transaction.prototype.check = function (fn) {
+	if (this._state !== 'pending') {
+		throw(this.logIdentifier() + ' Cannot queue operations on a transaction that has already been ' + this._state + '!');
+	}
+
+	this._queue.push({
+		check: fn
+	});
+
+	return this;
+};
+
+/**
+ * Applies all queued operations. If any operation throws or fails to
+ * write a document (including updates and removes cancelled by a trigger
+ * or failing schema validation), all changes made by the transaction are
+ * rolled back and the error is thrown. The same happens if a function
+ * queued with check() returns a failure reason.
+ * @returns {Array} An array containing the return value of each queued
+ * operation in the order they were queued. Checks have no entry.
+ */
+Transaction.prototype.commit = function () {
+	var results = [],
+		opIndex,
+		op,
+		participant,
+		result,
+		failure;
+
+	if (this._state !== 'pending') {
+		throw(this.logIdentifier() + ' Cannot commit a transaction that has already been ' + this._state + '!');
+	}
+
+	try {
+		for (opIndex = 0; opIndex < this._queue.length; opIndex++) {
+			op = this._queue[opIndex];
+
+			if (op.check) {
+				failure = op.check();
+
+				if (failure) {
+					throw(this.logIdentifier() + ' Transaction check failed: ' + failure);
+				}
+
+				continue;
+			}
+
+			if (op.collection.isDropped()) {
+				throw(op.collection.logIdentifier() + ' Cannot operate in a dropped state!');
+			}
+
+			participant = this._begin(op.collection);
+			participant.rejected = [];
+
+			result = op.collection[op.type].apply(op.collection, op.args);
+			failure = this._failureReason(op.type, result) || participant.rejected[0];
+
+			if (failure) {
+				throw(op.collection.logIdentifier() + ' Transaction ' + op.type + ' failed: ' + failure);
+			}
+
+			results.push(result);
+		}
+	} catch (err) {
+		this.rollback();
+		throw(err);
+	}
+
+	this._state = 'committed';
+	this._queue = [];
+	this._release(true);
+
+	return results;
+};
+
+/**
+ * Abandons the transaction, restoring any collections that were modified
+ * by a partial commit and discarding any held events and chain packets.
+ * @returns {Transaction}
+ */
+Transaction.prototype.rollback = function () {
+	var i;
+
+	if (this._state === 'pending') {
+		// Restore in reverse order of participation
+		for (i = this._participants.length - 1; i >= 0; i--) {
+			this._restore(this._participants[i]);
+		}
+
+		this._state = 'rolledBack';
+		this._queue = [];
+		this._release(false);
+	}
+
+	return this;
+};
+
+/**
+ * Checks the result of a queued operation for documents that failed
+ * to be written. Updates and removes don't report failed documents in
+ * their results so those are picked up by _begin() instead.
+ * @param {String} type The operation type.
+ * @param {*} result The return value of the operation.
+ * @returns {String|Boolean} The reason for the failure or false if the
+ * operation succeeded.
+ * @private
+ */
+Transaction.prototype._failureReason = function (type, result) {
+	if (type === 'upsert' && result) {
+		if (result instanceof Array) {
+			for (var i = 0; i < result.length; i++) {
+				if (this._failureReason('upsert', result[i])) {
+					return this._failureReason('upsert', result[i]);
+				}
+			}
+
+			return false;
+		}
+
+		result = result.result;
+		type = 'insert';
+	}
+
+	if (type === 'insert' && result && result.failed && result.failed.length) {
+		return result.failed[0].reason;
+	}
+
+	return false;
+};
+
+/**
+ * Takes a snapshot of the passed collection the first time it takes part
+ * in the transaction commit and starts holding back its events and chain
+ * reactor packets. Documents that an update or remove leaves alone
+ * because a trigger cancelled the operation or the result failed schema
+ * validation are recorded in the participant's "rejected" array.
+ * @param {Collection} collection The collection to prepare.
+ * @returns {Object} The participant data.
+ * @private
+ */
+Transaction.prototype._begin = function (collection) {
+	var participant,
+		processTrigger,
+		i;
+
+	for (i = 0; i < this._participants.length; i++) {
+		if (this._participants[i].collection === collection) {
+			return this._participants[i];
+		}
+	}
+
+	participant = {
+		collection: collection,
+		snapshot: {
+			refs: collection._data.slice(),
+			copies: collection.decouple(collection._data),
+			metaData: collection.decouple(collection._metaData)
+		},
+		deferredCalls: collection.deferredCalls(),
+		chain: [],
+		events: [],
+		changes: [],
+		rejected: []
+	};
+
+	this._participants.push(participant);
+
+	// Operations inside a transaction must complete synchronously
+	collection.deferredCalls(false);
+
+	// Hold back chain packets and events until the transaction is resolved
+	collection.chainSend = function (type, data, options) {
+		participant.chain.push({
+			type: type,
+			data: collection.decouple(data),
+			options: options
+		});
+	};
+
+	processTrigger = collection.processTrigger;
+
+	collection.processTrigger = function (operation, type, phase) {
+		var response = processTrigger.apply(collection, arguments);
+
+		// Cancelled inserts are reported in the insert result
+		if (response === false && phase === collection.PHASE_BEFORE && type !== collection.TYPE_INSERT) {
+			participant.rejected.push('Trigger cancelled operation');
+		}
+
+		return response;
+	};
+
+	collection.emit = collection.deferEmit = function (eventName, data) {
+		if (eventName === 'validationFailed' && data && data.type !== 'insert') {
+			participant.rejected.push(data.failed && data.failed.length ? data.failed[0].reason : 'Schema validation failed');
+		}
+
+		if (eventName === 'change' || eventName === 'immediateChange') {
+			if (eventName === 'immediateChange') {
+				participant.changes.push(data);
+			}
+		} else {
+			participant.events.push(Array.prototype.slice.call(arguments));
+		}
+
+		return this;
+	};
+
+	return participant;
+};
+
+/**
+ * Restores a collection to the state it was in when it first took part
+ * in the transaction commit. Documents are restored in place so that
+ * existing references to them remain valid.
+ * @param {Object} participant The participant data recorded by _begin().
+ * @private
+ */
+Transaction.prototype._restore = function (participant) {
+	var collection = participant.collection,
+		snapshot = participant.snapshot,
+		doc,
+		copy,
+		key,
+		i;
+
+	if (collection.isDropped()) {
+		return;
+	}
+
+	for (i = 0; i < snapshot.refs.length; i++) {
+		doc = snapshot.refs[i];
+		copy = snapshot.copies[i];
+
+		for (key in doc) {
+			if (doc.hasOwnProperty(key)) {
+				delete doc[key];
+			}
+		}
+
+		for (key in copy) {
+			if (copy.hasOwnProperty(key)) {
+				doc[key] = copy[key];
+			}
+		}
+	}
+
+	collection._dataReplace(snapshot.refs);
+	collection._metaData = snapshot.metaData;
+
+	// Rebuild the primary key and secondary indexes from the restored data
+	collection.rebuildPrimaryKeyIndex({
+		$ensureKeys: false,
+		$violationCheck: false
+	});
+
+	collection._rebuildIndexes();
+};
+
+/**
+ * Stops holding events on all participating collections and, if the
+ * transaction committed, sends the held chain packets and events followed
+ * by a single change event per collection.
+ * @param {Boolean} committed True if the transaction committed.
+ * @private
+ */
+Transaction.prototype._release = function (committed) {
+	var participant,
+		collection,
+		i, k;
+
+	for (i = 0; i < this._participants.length; i++) {
+		participant = this._participants[i];
+		collection = participant.collection;
+
+		// Remove the instance overrides to expose the prototype methods again
+		delete collection.chainSend;
+		delete collection.emit;
+		delete collection.deferEmit;
+		delete collection.processTrigger;
+
+		collection.deferredCalls(participant.deferredCalls);
+
+		if (committed && !collection.isDropped()) {
+			for (k = 0; k < participant.chain.length; k++) {
+				collection.chainSend(participant.chain[k].type, participant.chain[k].data, participant.chain[k].options);
+			}
+
+			for (k = 0; k < participant.events.length; k++) {
+				collection.emit.apply(collection, participant.events[k]);
+			}
+
+			if (participant.changes.length) {
+				collection.emit('immediateChange', {type: 'transaction', data: participant.changes});
+				collection.deferEmit('change', {type: 'transaction', data: participant.changes});
+			}
+		}
+	}
+
+	this._participants = [];
+};
+
+/**
+ * Creates a new transaction. If a function is passed it is called with the
+ * transaction as its only argument and any CRUD operations it queues via
+ * transaction.collection() are committed as soon as it returns. If the
+ * function throws, or returns false, nothing is applied.
+ * @example Move a document between collections atomically
+ * 	db.transaction(function (tx) {
+ * 		tx.collection('pending').removeById('1');
+ * 		tx.collection('complete').insert({_id: '1', name: 'Job'});
+ * 	});
+ * @memberof Db
+ * @param {Function=} fn The function that queues the transaction's operations.
+ * If omitted the transaction is returned so it can be committed manually.
+ * @param {Function=} callback Optional callback called with (err, results).
+ * If no callback is passed, errors are thrown.
+ * @returns {Transaction|Array} The transaction instance if no function was
+ * passed, otherwise the results array from the commit.
+ */
+Db.prototype.transaction = function (fn, callback) {
+	var transaction = new Transaction(this),
+		results = [];
+
+	if (!fn) {
+		return transaction;
+	}
+
+	try {
+		if (fn.call(this, transaction) === false) {
+			transaction.rollback();
+		} else {
+			results = transaction.commit();
+		}
+	} catch (err) {
+		transaction.rollback();
+
+		if (callback) {
+			callback.call(this, err);
+			return results;
+		}
+
+		throw(err);
+	}
+
+	if (callback) { callback.call(this, false, results); }
+
+	return results;
+};
+
+Shared.finishModule('Transaction');
+module.exports = Transaction;
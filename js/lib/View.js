@@ -111,6 +111,13 @@ View.prototype._handleChainIO = function (chainPacket, self) {
 		return false;
 	}
 
+	// Views driven by an aggregation pipeline cannot be updated
+	// incrementally so rebuild the view data from the source instead
+	if (self._querySettings.pipeline) {
+		self.refresh();
+		return true;
+	}
+
 	// We only need to check packets under three conditions
 
 	// 1) We have a limiting query on the view "active query",
@@ -346,7 +353,7 @@ View.prototype._handleChainIO_TransformIn = function (chainPacket, sharedData) {
 View.prototype._handleChainIO_RemovePackets = function (ioObj, chainPacket, sharedData) {
 	var $or = [],
 		pk = sharedData.pk,
-		removeArr = sharedData.removeArr,
+		removeArr = [],
 		packet = {
 			dataSet: removeArr,
 			query: {
@@ -356,14 +363,22 @@ View.prototype._handleChainIO_RemovePackets = function (ioObj, chainPacket, shar
 		orObj,
 		i;
 
-	for (i = 0; i < removeArr.length; i++) {
-		orObj = {};
-		orObj[pk] = removeArr[i][pk];
+	for (i = 0; i < sharedData.removeArr.length; i++) {
+		// Only remove data the view holds so that data which never
+		// matched the view is not sent down the chain
+		if (this._data._primaryIndex.get(sharedData.removeArr[i][pk])) {
+			removeArr.push(sharedData.removeArr[i]);
 
-		$or.push(orObj);
+			orObj = {};
+			orObj[pk] = sharedData.removeArr[i][pk];
+
+			$or.push(orObj);
+		}
 	}
 
-	ioObj.chainSend('remove', packet);
+	if (removeArr.length) {
+		ioObj.chainSend('remove', packet);
+	}
 };
 
 View.prototype._handleChainIO_UpsertPackets = function (ioObj, chainPacket, sharedData) {
@@ -576,7 +591,7 @@ View.prototype.from = function (source, callback) {
 		// Do the initial data lookup and populate the view's internal data
 		// since at this point we don't actually have any data in the view
 		// yet.
-		var collData = source.find(this._querySettings.query, this._querySettings.options);
+		var collData = this._sourceFind();
 		this._data.setData(collData, {}, callback);
 
 		// If we have an active query and that query has an $orderBy clause,
@@ -599,6 +614,22 @@ View.prototype.from = function (source, callback) {
 	return this._from;
 };
 
+/**
+ * Gets the view's data from its source by running the view's query
+ * and, if one is set, the view's aggregation pipeline.
+ * @returns {Array}
+ * @private
+ */
+View.prototype._sourceFind = function () {
+	var results = this._from.find(this._querySettings.query, this._querySettings.options);
+
+	if (this._querySettings.pipeline) {
+		results = this._data._aggregate(results, this._querySettings.pipeline);
+	}
+
+	return results;
+};
+
 /**
  * The chain reaction handler method for the view.
  * @param {Object} chainPacket The chain reaction packet to handle.
@@ -626,7 +657,7 @@ View.prototype._chainHandler = function (chainPacket) {
 			}
 
 			// Get the new data from our underlying data source sorted as we want
-			var collData = this._from.find(this._querySettings.query, this._querySettings.options);
+			var collData = this._sourceFind();
 			this._data.setData(collData);
 
 			// Rebuild active bucket as well
@@ -795,6 +826,16 @@ View.prototype.distinct = function (key, query, options) {
 	return this._data.distinct(key, query, options);
 };
 
+/**
+ * Runs an aggregation pipeline against the view data.
+ * @see Collection::aggregate()
+ * @param {Array} pipeline The array of pipeline stages.
+ * @returns {Array}
+ */
+View.prototype.aggregate = function (pipeline) {
+	return this._data.aggregate(pipeline);
+};
+
 /**
  * Gets the primary key for this view from the assigned collection.
  * @see Collection::primaryKey()
@@ -1207,6 +1248,38 @@ View.prototype.queryOptions = function (options, refresh) {
 	return this._querySettings.options;
 };
 
+/**
+ * Gets / sets the aggregation pipeline used to generate the view data.
+ * The pipeline is run against the documents that match the view's query
+ * and query options. Because the output of a pipeline cannot be updated
+ * incrementally, the view data is rebuilt whenever the source changes.
+ * @see Collection::aggregate()
+ * @param {Array|null=} pipeline The pipeline stages to set or null to
+ * remove the current pipeline.
+ * @param {Boolean=} refresh Whether to refresh the view data after
+ * this operation. Defaults to true.
+ * @returns {*}
+ */
+View.prototype.pipeline = function (pipeline, refresh) {
+	if (pipeline !== undefined) {
+		if (pipeline) {
+			this._querySettings.pipeline = pipeline;
+		} else {
+			delete this._querySettings.pipeline;
+		}
+
+		if (refresh === undefined || refresh === true) {
+			this.refresh();
+		}
+
+		this.emit('pipelineChange', pipeline);
+
+		return this;
+	}
+
+	return this._querySettings.pipeline;
+};
+
 /**
  * Clears the existing active bucket and builds a new one based
  * on the passed orderBy object (if one is passed).
@@ -1247,7 +1320,7 @@ View.prototype.refresh = function () {
 		this._data.remove();
 
 		// Grab all the data from the underlying data source
-		refreshResults = this._from.find(this._querySettings.query, this._querySettings.options);
+		refreshResults = this._sourceFind();
 		this.cursor(refreshResults.$cursor);
 
 		// Insert the underlying data into the private data collection
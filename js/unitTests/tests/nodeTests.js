@@ -1,6 +1,8 @@
 "use strict";
 
 var TB = require('testbear'),
+	http = require('http'),
+	WebSocket = require('ws'),
 	ForerunnerDB = require('../../builds/nodecore');
 
 TB.test('Instantiate ForerunnerDB', function (callback) {
@@ -87,6 +89,364 @@ TB.test('Save Collection Data and Load it Back From File-Based Persistent Storag
 	});
 });
 
+TB.test('Documents that expire while stored are skipped on load', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('temp'),
+		coll = db.collection('testTtl', {
+			ttl: 60
+		}),
+		result;
+
+	db.persist.dataDir('./configData');
+
+	coll.insert([{
+		_id: '1',
+		name: 'Expired'
+	}, {
+		_id: '2',
+		name: 'Live'
+	}]);
+
+	// Move the first document's expiry time into the past
+	coll.metaData().expires['1'] = new Date().getTime() - 1;
+
+	coll.save(function (err) {
+		TB.equal(err, false, 'Save did not produce an error');
+
+		db.drop(false);
+		db = fdb.db('temp');
+		db.persist.dataDir('./configData');
+
+		coll = db.collection('testTtl');
+
+		coll.load(function (err) {
+			TB.ok(!err, 'Load did not produce an error');
+
+			result = coll.find();
+
+			TB.strictEqual(result.length, 1, 'Expired document was not loaded');
+			TB.strictEqual(result[0] && result[0]._id, '2', 'Unexpired document was loaded');
+			TB.strictEqual(coll.metaData().expires['1'], undefined, 'Expiry time of skipped document was removed');
+			TB.ok(coll.metaData().expires['2'] > new Date().getTime(), 'Expiry time of loaded document was kept');
+
+			db.drop();
+
+			callback();
+		});
+	});
+});
+
+TB.test('Journaled saves append changes and replay them on load', function (callback) {
+	var fs = require('fs'),
+		fdb = new ForerunnerDB(),
+		db = fdb.db('temp'),
+		coll = db.collection('testJournal'),
+		journalFile,
+		reload;
+
+	db.persist.dataDir('./configData');
+	db.persist.journal(true);
+
+	journalFile = db.persist.journalFile('temp-testJournal');
+
+	// Loads the collection into a new instance of the database
+	reload = function (done) {
+		var db2 = new ForerunnerDB().db('temp');
+
+		db2.persist.dataDir('./configData');
+		db2.collection('testJournal').load(function (err) {
+			TB.ok(!err, 'Load did not produce an error');
+			done(db2.collection('testJournal').find({}, {$orderBy: {_id: 1}}));
+		});
+	};
+
+	coll.insert([{_id: '1', name: 'Jim'}, {_id: '2', name: 'Bob'}]);
+
+	coll.save(function (err) {
+		TB.ok(!err, 'First save did not produce an error');
+		TB.strictEqual(fs.existsSync(journalFile), false, 'First save wrote the data file without a journal');
+
+		coll.insert({_id: '3', name: 'Sue'});
+		coll.updateById('1', {name: 'Jane'});
+		coll.removeById('2');
+
+		coll.save(function (err) {
+			TB.ok(!err, 'Second save did not produce an error');
+			TB.strictEqual(fs.readFileSync(journalFile, 'utf8').indexOf('Sue') > -1, true, 'Second save appended to the journal');
+
+			// A partly written entry is skipped
+			fs.appendFileSync(journalFile, '0040:json::fdb::{"_id":"4"');
+
+			reload(function (result) {
+				TB.strictEqual(JSON.stringify(result), '[{"_id":"1","name":"Jane"},{"_id":"3","name":"Sue"}]', 'Journal was replayed on top of the data file');
+
+				db.persist.journalCompact('temp-testJournal', function (err) {
+					TB.ok(!err, 'Compaction did not produce an error');
+					TB.strictEqual(fs.existsSync(journalFile), false, 'Compaction removed the journal');
+
+					reload(function (result) {
+						TB.strictEqual(JSON.stringify(result), '[{"_id":"1","name":"Jane"},{"_id":"3","name":"Sue"}]', 'Compacted data file holds the changes');
+
+						db.drop();
+
+						callback();
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('Damaged data files fall back to the previous generation on load', function (callback) {
+	var fs = require('fs'),
+		fdb = new ForerunnerDB(),
+		db = fdb.db('temp'),
+		coll = db.collection('testGenerations'),
+		dataFile,
+		db2,
+		events = [];
+
+	db.persist.dataDir('./configData');
+	dataFile = db.persist.dataFile('temp-testGenerations');
+
+	coll.insert({_id: '1', name: 'First'});
+
+	coll.save(function (err) {
+		TB.ok(!err, 'First save did not produce an error');
+
+		coll.updateById('1', {name: 'Second'});
+
+		coll.save(function (err) {
+			TB.ok(!err, 'Second save did not produce an error');
+			TB.strictEqual(fs.existsSync(dataFile + '.tmp'), false, 'Temporary file was renamed into place');
+			TB.strictEqual(fs.readFileSync(dataFile, 'utf8').indexOf('fdbChecksum:'), 0, 'Data file holds a checksum');
+
+			// Damage the data file as a crash part way through a write would
+			fs.writeFileSync(dataFile, fs.readFileSync(dataFile, 'utf8').slice(0, -10));
+
+			db2 = new ForerunnerDB().db('temp');
+			db2.persist.dataDir('./configData');
+			db2.persist.on('corrupt', function (event) {
+				events.push(event);
+			});
+
+			db2.collection('testGenerations').load(function (err) {
+				TB.ok(!err, 'Load did not produce an error');
+				TB.strictEqual(db2.collection('testGenerations').findById('1').name, 'First', 'Previous generation was loaded');
+				TB.strictEqual(events.length, 1, 'Corrupt event was emitted');
+				TB.strictEqual(events[0] && events[0].key, 'temp-testGenerations', 'Corrupt event has the key');
+				TB.strictEqual(events[0] && events[0].recovered, true, 'Corrupt event says the data was recovered');
+
+				coll.drop(function () {
+					TB.strictEqual(fs.existsSync(dataFile + '.prev'), false, 'Dropping removed the previous generation');
+
+					db.drop();
+
+					callback();
+				});
+			});
+		});
+	});
+});
+
+TB.test('Custom storage adapters store collection data', function (callback) {
+	var store = {},
+		batches = 0,
+		createAdapter,
+		db = new ForerunnerDB().db('temp'),
+		db2 = new ForerunnerDB().db('temp'),
+		coll = db.collection('testAdapter');
+
+	createAdapter = function () {
+		return {
+			get: function (key, cb) { cb(false, store[key]); },
+			set: function (key, val, cb) { store[key] = val; cb(false); },
+			remove: function (key, cb) { delete store[key]; cb(false); },
+			list: function (cb) { cb(false, Object.keys(store)); },
+			exists: function (key, cb) { cb(false, store[key] !== undefined); },
+			batch: function (ops, cb) {
+				batches++;
+				ops.forEach(function (op) {
+					if (op.type === 'set') {
+						store[op.key] = op.val;
+					} else {
+						delete store[op.key];
+					}
+				});
+				cb(false);
+			}
+		};
+	};
+
+	try {
+		db.persist.adapter('broken', {get: function () {}});
+		TB.ok(false, 'Adapter without the required methods was registered');
+	} catch (e) {
+		TB.ok(true, 'Adapter without the required methods was rejected');
+	}
+
+	db.persist.adapter('memory', createAdapter());
+	db.persist.mode('memory');
+
+	coll.insert([{_id: '1', name: 'First'}, {_id: '2', name: 'Second'}]);
+
+	coll.save(function (err) {
+		TB.ok(!err, 'Save did not produce an error');
+		TB.strictEqual(batches, 1, 'Data and metadata were saved in one batch');
+
+		db.persist.adapter().list(function (err, keys) {
+			TB.strictEqual(keys.sort().join(','), 'temp-testAdapter,temp-testAdapter-metaData', 'Adapter lists the saved keys');
+
+			db2.persist.adapter('memory', createAdapter());
+			db2.persist.mode('memory');
+
+			db2.collection('testAdapter').load(function (err) {
+				TB.ok(!err, 'Load did not produce an error');
+				TB.strictEqual(db2.collection('testAdapter').count(), 2, 'Data was loaded from the adapter');
+
+				db2.collection('testAdapter').drop(function () {
+					db2.persist.adapter().exists('temp-testAdapter', function (err, exists) {
+						TB.strictEqual(exists, false, 'Dropping removed the data from the adapter');
+
+						db.drop();
+						callback();
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('Collection settings and indexes are restored on load', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('temp'),
+		coll = db.collection('testSettings', {capped: true, size: 5, primaryKey: 'sku'}),
+		db2,
+		coll2,
+		result;
+
+	db.persist.dataDir('./configData');
+
+	coll.ensureIndex({name: 1}, {unique: true, name: 'uniqueName'});
+	coll.ensureIndex({price: 1}, {type: 'btree'});
+
+	coll.insert([{sku: 'a', name: 'Apple', price: 2}, {sku: 'b', name: 'Banana', price: 1}]);
+
+	coll.save(function (err) {
+		TB.ok(!err, 'Save did not produce an error');
+
+		db2 = new ForerunnerDB().db('temp');
+		db2.persist.dataDir('./configData');
+		coll2 = db2.collection('testSettings');
+
+		coll2.load(function (err) {
+			TB.ok(!err, 'Load did not produce an error');
+			TB.strictEqual(coll2.primaryKey(), 'sku', 'Primary key was restored');
+			TB.strictEqual(coll2.findById('a').name, 'Apple', 'Documents are found by the restored primary key');
+			TB.strictEqual(coll2.capped(), true, 'Capped flag was restored');
+			TB.strictEqual(coll2.cappedSize(), 5, 'Capped size was restored');
+			TB.ok(coll2.index('uniqueName'), 'Hash index was restored');
+			TB.strictEqual(coll2.index('uniqueName').unique(), true, 'Unique flag was restored');
+			TB.strictEqual(coll2.metaData().settings, undefined, 'Settings are not left in the metaData');
+
+			result = coll2.insert({sku: 'c', name: 'Apple', price: 3});
+			TB.strictEqual(result.inserted.length, 0, 'Restored unique index is enforced');
+
+			result = coll2.explain({price: 1});
+			TB.ok(result.index.used, 'Restored btree index is used');
+
+			coll2.drop(function () {
+				db.drop();
+				db2.drop();
+
+				callback();
+			});
+		});
+	});
+});
+
+TB.test('Database backups restore a point-in-time copy', function (callback) {
+	var fs = require('fs'),
+		db = new ForerunnerDB().db('temp'),
+		users = db.collection('testBackupUsers', {primaryKey: 'username'}),
+		posts = db.collection('testBackupPosts'),
+		archive = './configData/temp.backup',
+		store = {},
+		adapter = {
+			get: function (key, cb) { cb(false, store[key]); },
+			set: function (key, val, cb) { store[key] = val; cb(false); },
+			remove: function (key, cb) { delete store[key]; cb(false); },
+			list: function (cb) { cb(false, Object.keys(store)); },
+			exists: function (key, cb) { cb(false, store[key] !== undefined); }
+		},
+		backupStages = [],
+		restored = [];
+
+	db.on('backupProgress', function (event) {
+		backupStages.push(event.stage);
+	});
+
+	db.on('restoreProgress', function (event) {
+		if (event.stage === 'restore') {
+			restored.push(event.collection);
+		}
+	});
+
+	users.ensureIndex({email: 1}, {unique: true, name: 'email'});
+	users.insert([{username: 'jim', email: 'jim@example.com'}, {username: 'sue', email: 'sue@example.com'}]);
+	posts.insert({_id: '1', title: 'Hello'});
+
+	db.backup(archive, function (err, snapshot) {
+		TB.ok(!err, 'Backup did not produce an error');
+		TB.strictEqual(snapshot.collections.testBackupUsers.data.length, 2, 'Snapshot holds the collection data');
+		TB.strictEqual(backupStages.join(','), 'snapshot,snapshot,write,complete', 'Backup progress was reported');
+		TB.strictEqual(fs.readFileSync(archive, 'utf8').indexOf('fdbChecksum:'), 0, 'Archive file holds a checksum');
+
+		// Change the data after the backup was taken
+		users.removeById('jim');
+		users.insert({username: 'bob', email: 'bob@example.com'});
+		posts.remove({});
+
+		db.restore(archive, function (err) {
+			var db2;
+
+			TB.ok(!err, 'Restore did not produce an error');
+			TB.strictEqual(restored.sort().join(','), 'testBackupPosts,testBackupUsers', 'Restore progress was reported');
+			TB.strictEqual(users.count(), 2, 'Replaced data has the backed up documents only');
+			TB.ok(users.findById('jim'), 'Removed document was restored');
+			TB.strictEqual(users.findById('bob'), undefined, 'Document added after the backup was removed');
+			TB.strictEqual(posts.count(), 1, 'Every collection was restored');
+
+			users.insert({username: 'bob', email: 'bob@example.com'});
+
+			db.backup(adapter, {key: 'nightly'}, function (err) {
+				TB.ok(!err, 'Backup to a storage adapter did not produce an error');
+				TB.ok(store.nightly, 'Archive was stored under the key');
+
+				db2 = new ForerunnerDB().db('temp');
+				db2.collection('testBackupUsers', {primaryKey: 'username'}).insert({username: 'ann', email: 'ann@example.com'});
+
+				db2.restore(adapter, {key: 'nightly', merge: true}, function (err) {
+					TB.ok(!err, 'Merging restore did not produce an error');
+					TB.strictEqual(db2.collection('testBackupUsers').count(), 4, 'Merged data keeps documents not in the backup');
+					TB.ok(db2.collection('testBackupUsers').index('email'), 'Indexes were restored');
+					TB.strictEqual(db2.collection('testBackupPosts').count(), 1, 'Missing collections were created');
+
+					db2.restore('./configData/missing.backup', function (err) {
+						TB.ok(err, 'Restoring a missing archive produced an error');
+
+						fs.unlinkSync(archive);
+						db.drop();
+						db2.drop();
+
+						callback();
+					});
+				});
+			});
+		});
+	});
+});
+
 TB.test('Timed save, 50,000 records', function (callback) {
 	var fdb = new ForerunnerDB(),
 		self = this,
@@ -218,6 +578,1416 @@ TB.test('Timed save, 50,000 records', function (callback) {
 	});
 });
 
+TB.test('NodeApiServer :: Paginate GET requests with cursors', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testPageApi'),
+		coll = db.collection('items'),
+		docs = [],
+		get,
+		i;
+
+	// Makes a GET request and calls back with the response and body
+	get = function (path, headers, cb) {
+		http.get({host: '127.0.0.1', port: 9019, path: path, headers: headers}, function (res) {
+			var body = '';
+
+			res.on('data', function (chunk) {
+				body += chunk;
+			});
+
+			res.on('end', function () {
+				cb(res, body);
+			});
+		});
+	};
+
+	for (i = 0; i < 25; i++) {
+		docs.push({_id: 'd' + (i < 10 ? '0' : '') + i});
+	}
+
+	coll.insert(docs);
+
+	db.collection('users').insert([
+		{_id: 'u1', name: 'Amy', password: 'secret1'},
+		{_id: 'u2', name: 'Bob', password: 'secret2'},
+		{_id: 'u3', name: 'Cat', password: 'secret3'}
+	]);
+
+	fdb.api.access('testPageApi', 'collection', 'items', '*', 'allow');
+	fdb.api.access('testPageApi', 'collection', 'users', '*', 'allow');
+	fdb.api.rule('testPageApi', 'collection', 'users', {hide: ['password']});
+
+	fdb.api.start('127.0.0.1', '9019', {}, function () {
+		get('/fdb/testPageApi/collection/items?' + encodeURIComponent(JSON.stringify({$limit: 10})), {}, function (res, body) {
+			var next = /<([^>]+)>; rel="next"/.exec(res.headers.link);
+
+			body = JSON.parse(body);
+
+			TB.strictEqual(body.length, 10, 'First page has 10 documents');
+			TB.strictEqual(body[0]._id, 'd00', 'First page starts at the first document');
+			TB.strictEqual(res.headers['x-total-count'], '25', 'Total count header was sent');
+			TB.ok(next !== null, 'Link header has the next page');
+			TB.ok(res.headers.link.indexOf('rel="prev"') === -1, 'Link header has no prev page');
+
+			// Insert a document that sorts before the next page
+			coll.insert({_id: 'a'});
+
+			get(next[1], {}, function (res, body) {
+				var prev = /<([^>]+)>; rel="prev"/.exec(res.headers.link);
+
+				body = JSON.parse(body);
+
+				TB.strictEqual(body[0]._id, 'd10', 'Next page is not shifted by the insert');
+				TB.strictEqual(body.length, 10, 'Next page has 10 documents');
+				TB.strictEqual(res.headers['x-total-count'], '26', 'Total count includes the insert');
+
+				get(prev[1], {}, function (res, body) {
+					body = JSON.parse(body);
+
+					TB.strictEqual(body[0]._id, 'd00', 'Prev page starts at the right document');
+					TB.strictEqual(body[9]._id, 'd09', 'Prev page ends before the cursor');
+
+					get('/fdb/testPageApi/collection/items?$limit=5&$skip=2&$meta=true', {}, function (res, body) {
+						body = JSON.parse(body);
+
+						TB.strictEqual(body.data.length, 5, 'Plain query params limit the page');
+						TB.strictEqual(body.data[0]._id, 'd01', 'Plain query params skip documents');
+						TB.strictEqual(body.total, 26, 'Meta response holds the total');
+						TB.ok(typeof body.next === 'string' && typeof body.prev === 'string', 'Meta response holds the cursor tokens');
+
+						get('/fdb/testPageApi/collection/items', {accept: 'application/x-ndjson'}, function (res, body) {
+							var lines = body.split('\n');
+
+							TB.strictEqual(res.headers['content-type'], 'application/x-ndjson', 'NDJSON content type was sent');
+							TB.strictEqual(lines.length, 27, 'Each document was sent on its own line');
+							TB.strictEqual(JSON.parse(lines[0])._id, 'a', 'Each line is a document');
+
+							get('/fdb/testPageApi/collection/items?$cursor=nonsense', {}, function (res) {
+								TB.strictEqual(res.statusCode, 400, 'Invalid cursor was rejected');
+
+								get('/fdb/testPageApi/collection/users?' + encodeURIComponent(JSON.stringify({$limit: 1, $options: {$orderBy: {password: -1}}})), {}, function (res) {
+									TB.strictEqual(res.statusCode, 403, 'Ordering a page by a hidden field was refused');
+									TB.strictEqual(res.headers.link, undefined, 'No cursor was sent for the hidden field');
+
+									get('/fdb/testPageApi/collection/users?' + encodeURIComponent(JSON.stringify({$limit: 1, $options: {$orderBy: {name: 1}}})), {}, function (res, body) {
+										var next = /<([^>]+)>; rel="next"/.exec(res.headers.link),
+											cursor = JSON.parse(decodeURIComponent(next[1].split('?')[1])).$cursor;
+
+										cursor = Buffer.from(cursor, 'base64').toString();
+
+										TB.strictEqual(JSON.parse(body)[0].password, undefined, 'Page has no hidden fields');
+										TB.strictEqual(cursor.indexOf('secret'), -1, 'Cursor holds no hidden values');
+
+										fdb.api.stop();
+										db.drop();
+
+										callback();
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Sync and requests over a WebSocket connection', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testSocketApi'),
+		coll = db.collection('items'),
+		messages = [],
+		lastMessageId,
+		epoch,
+		socket,
+		waitFor,
+		connect;
+
+	// Calls the passed method once a message of the passed type arrives
+	waitFor = function (type, cb) {
+		var check = function () {
+			var i;
+
+			for (i = 0; i < messages.length; i++) {
+				if (messages[i].type === type) {
+					return cb(messages.splice(i, 1)[0]);
+				}
+			}
+
+			setTimeout(check, 10);
+		};
+
+		check();
+	};
+
+	connect = function (cb) {
+		messages = [];
+		socket = new WebSocket('ws://127.0.0.1:9019/fdb/_ws');
+
+		socket.on('message', function (data) {
+			messages.push(JSON.parse(String(data)));
+		});
+
+		socket.on('open', cb);
+	};
+
+	fdb.api.access('testSocketApi', 'collection', 'items', '*', 'allow');
+
+	fdb.api.start('127.0.0.1', '9019', {webSocket: true}, function () {
+		connect(function () {
+			socket.send(JSON.stringify({type: 'subscribe', id: 1, path: '/testSocketApi/collection/items'}));
+
+			waitFor('subscribed', function (msg) {
+				TB.strictEqual(msg.id, 1, 'Subscription was confirmed');
+
+				epoch = msg.epoch;
+
+				coll.insert({_id: '1', name: 'Test'});
+
+				waitFor('event', function (msg) {
+					TB.strictEqual(msg.event, 'insert', 'Insert event was sent');
+					TB.strictEqual(msg.data.dataSet[0]._id, '1', 'Event holds the inserted document');
+
+					lastMessageId = msg.messageId;
+
+					socket.send(JSON.stringify({type: 'request', id: 2, method: 'POST', path: '/testSocketApi/collection/items', data: {_id: '2', name: 'Posted'}}));
+
+					waitFor('response', function (msg) {
+						TB.strictEqual(msg.status, 200, 'Request over the socket succeeded');
+						TB.strictEqual(coll.count(), 2, 'Request inserted the document');
+
+						socket.send(JSON.stringify({type: 'request', id: 3, method: 'GET', path: '/testSocketApi/collection/denied'}));
+
+						waitFor('response', function (msg) {
+							TB.strictEqual(msg.status, 403, 'Access rules apply to socket requests');
+
+							socket.terminate();
+
+							// Change the data while the client is disconnected
+							coll.update({_id: '1'}, {name: 'Updated'});
+
+							connect(function () {
+								socket.send(JSON.stringify({type: 'subscribe', id: 1, path: '/testSocketApi/collection/items', lastMessageId: lastMessageId, epoch: epoch}));
+
+								waitFor('event', function (msg) {
+									TB.strictEqual(msg.event, 'insert', 'Missed insert was replayed');
+									TB.strictEqual(msg.data.dataSet[0]._id, '2', 'Replayed insert is correct');
+
+									waitFor('event', function (msg) {
+										TB.strictEqual(msg.event, 'update', 'Missed update was replayed');
+
+										socket.terminate();
+
+										// Message ids from an earlier server run do not match ours
+										connect(function () {
+											socket.send(JSON.stringify({type: 'subscribe', id: 1, path: '/testSocketApi/collection/items', lastMessageId: lastMessageId, epoch: 'previousRun'}));
+
+											waitFor('resync', function (msg) {
+												TB.strictEqual(msg.epoch, epoch, 'Ids from another server run cause a resync');
+
+												socket.terminate();
+												fdb.api.stop();
+												db.drop();
+
+												callback();
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Replicate changes with revision conflict detection', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testReplicateApi'),
+		coll = db.collection('items'),
+		socket,
+		replicate;
+
+	// Sends a replication request over the socket and calls back with
+	// the results
+	replicate = function (changes, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)).data.results);
+		});
+
+		socket.send(JSON.stringify({type: 'request', id: 1, method: 'POST', path: '/testReplicateApi/collection/items/_replicate', data: {changes: changes}}));
+	};
+
+	fdb.api.access('testReplicateApi', 'collection', 'items', '*', 'allow');
+
+	fdb.api.start('127.0.0.1', '9019', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9019/fdb/_ws');
+
+		socket.once('message', function () {
+			replicate([{op: 'insert', id: '1', baseRev: 0, doc: {_id: '1', name: 'Local'}, ts: 1000}], function (results) {
+				TB.strictEqual(results[0].status, 'ok', 'Insert was applied');
+				TB.strictEqual(results[0].rev, 1, 'Insert created revision 1');
+				TB.strictEqual(coll.findById('1')._modified, 1000, 'Document holds the time of the client write');
+
+				// A write made on the server outside of replication
+				coll.updateById('1', {name: 'Server'});
+
+				TB.strictEqual(coll.findById('1')._rev, 2, 'Server write incremented the revision');
+
+				replicate([{op: 'update', id: '1', baseRev: 1, doc: {_id: '1', name: 'Stale'}, ts: 2000}], function (results) {
+					TB.strictEqual(results[0].status, 'conflict', 'Update based on an old revision is a conflict');
+					TB.strictEqual(results[0].doc.name, 'Server', 'Conflict holds the server document');
+					TB.strictEqual(coll.findById('1').name, 'Server', 'Conflicting update was not applied');
+
+					replicate([{op: 'update', id: '1', baseRev: 2, doc: {_id: '1', title: 'Merged'}, ts: 3000}, {op: 'remove', id: '2', baseRev: 0, ts: 3000}], function (results) {
+						TB.strictEqual(results[0].status, 'ok', 'Update based on the current revision was applied');
+						TB.strictEqual(results[0].rev, 3, 'Update created revision 3');
+						TB.strictEqual(coll.findById('1').name, undefined, 'Update replaced the document');
+						TB.strictEqual(coll.findById('1').title, 'Merged', 'Update replaced the document');
+						TB.strictEqual(results[1].status, 'ok', 'Removing a missing document is not a conflict');
+
+						replicate([
+							{op: 'insert', id: 'a', doc: {text: 'No id'}, ts: 4000},
+							{op: 'insert', id: 'b', doc: {_id: 'c'}, ts: 4000},
+							'nonsense',
+							{op: 'update', id: '1', baseRev: 3, ts: 4000},
+							{op: 'insert', doc: {_id: 'd'}, ts: 4000}
+						], function (results) {
+							TB.strictEqual(results[0].status, 'ok', 'Insert without a primary key used the change id');
+							TB.strictEqual(coll.findById('a').text, 'No id', 'Document was inserted with the change id');
+							TB.strictEqual(results[1].status, 'error', 'Doc with a different primary key was refused');
+							TB.strictEqual(results[2].status, 'error', 'Change that is not an object was refused');
+							TB.strictEqual(results[3].status, 'error', 'Update without a doc was refused');
+							TB.strictEqual(results[4].status, 'error', 'Change without an id was refused');
+							TB.strictEqual(coll.findById('c'), undefined, 'Refused changes were not applied');
+
+							// Objects the caller cannot write to are left untouched
+							socket.once('message', function (data) {
+								TB.strictEqual(JSON.parse(String(data)).status, 403, 'Replication without write access is denied');
+								TB.strictEqual(db.collectionExists('denied'), false, 'Denied replication did not create the collection');
+
+								socket.terminate();
+								fdb.api.stop();
+								db.drop();
+
+								callback();
+							});
+
+							socket.send(JSON.stringify({type: 'request', id: 2, method: 'POST', path: '/testReplicateApi/collection/denied/_replicate', data: {changes: []}}));
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Document and field rules apply to requests and syncs', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testRulesApi'),
+		coll = db.collection('notes'),
+		messages = [],
+		hiddenQueries,
+		socket,
+		request,
+		queryHidden,
+		waitFor;
+
+	// Calls the passed method once a message of the passed type arrives
+	waitFor = function (type, cb) {
+		var check = function () {
+			var i;
+
+			for (i = 0; i < messages.length; i++) {
+				if (messages[i].type === type) {
+					return cb(messages.splice(i, 1)[0]);
+				}
+			}
+
+			setTimeout(check, 10);
+		};
+
+		check();
+	};
+
+	// Sends a request over the socket and calls back with the response
+	request = function (method, path, data, cb) {
+		socket.send(JSON.stringify({type: 'request', id: 1, method: method, path: '/testRulesApi/collection/notes' + path, data: data}));
+		waitFor('response', cb);
+	};
+
+	// Queries that would tell the client about a hidden field's value
+	hiddenQueries = [
+		{$query: {secret: {$regex: '^a'}}},
+		{$query: {$or: [{secret: 'a'}, {text: 'Nothing'}]}},
+		{$options: {$orderBy: {secret: 1}}},
+		{$options: {$aggregate: 'secret'}}
+	];
+
+	// Checks that each of the queries from the passed index is refused
+	queryHidden = function (index, cb) {
+		if (index >= hiddenQueries.length) {
+			return cb();
+		}
+
+		request('GET', '', hiddenQueries[index], function (msg) {
+			TB.strictEqual(msg.status, 403, 'Query ' + index + ' on a hidden field was forbidden');
+			queryHidden(index + 1, cb);
+		});
+	};
+
+	coll.insert([
+		{_id: '1', ownerId: 'jim', text: 'Jim note', secret: 'a'},
+		{_id: '2', ownerId: 'amy', text: 'Amy note', secret: 'b'}
+	]);
+
+	fdb.api.access('testRulesApi', 'collection', 'notes', '*', 'allow');
+	fdb.api.rule('testRulesApi', 'collection', 'notes', {
+		filter: function (req) {
+			return {ownerId: req.json.user};
+		},
+		hide: ['secret'],
+		readOnly: ['ownerId', 'role']
+	});
+
+	fdb.api.start('127.0.0.1', '9019', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9019/fdb/_ws?' + encodeURIComponent(JSON.stringify({user: 'jim'})));
+
+		socket.on('message', function (data) {
+			messages.push(JSON.parse(String(data)));
+		});
+
+		waitFor('connected', function () {
+			request('GET', '', undefined, function (msg) {
+				TB.strictEqual(msg.data.length, 1, 'Only documents matching the filter were returned');
+				TB.strictEqual(msg.data[0]._id, '1', 'Returned document is correct');
+				TB.strictEqual(msg.data[0].secret, undefined, 'Hidden field was stripped');
+
+				request('PATCH', '/1', {ownerId: 'amy'}, function (msg) {
+					TB.strictEqual(msg.status, 403, 'Writing a read only field was forbidden');
+
+					request('PUT', '/1', {_id: '1', text: 'Replaced'}, function (msg) {
+						TB.strictEqual(msg.data.text, 'Replaced', 'Replacement was applied');
+						TB.strictEqual(coll.findById('1').secret, 'a', 'Replacement kept the hidden field');
+						TB.strictEqual(coll.findById('1').ownerId, 'jim', 'Replacement kept the read only field');
+
+						request('DELETE', '/2', undefined, function (msg) {
+							TB.strictEqual(coll.count(), 2, 'Document outside the filter was not removed');
+
+							request('POST', '', {_id: '3', ownerId: 'amy'}, function (msg) {
+								TB.strictEqual(msg.status, 403, 'Inserting a document outside the filter was forbidden');
+
+								socket.send(JSON.stringify({type: 'subscribe', id: 2, path: '/testRulesApi/collection/notes'}));
+
+								waitFor('subscribed', function () {
+									coll.insert({_id: '4', ownerId: 'amy', text: 'Not for Jim'});
+									coll.updateById('2', {ownerId: 'jim'});
+									coll.updateById('1', {secret: 'c', text: 'Updated'});
+
+									waitFor('event', function (msg) {
+										TB.strictEqual(msg.event, 'insert', 'Document moving into the filter was synced as an insert');
+										TB.strictEqual(msg.data.dataSet[0]._id, '2', 'Inserted document is correct');
+										TB.strictEqual(msg.data.dataSet[0].secret, undefined, 'Synced document has hidden field stripped');
+
+										waitFor('event', function (msg) {
+											TB.strictEqual(msg.event, 'update', 'Update was synced');
+											TB.strictEqual(msg.data.update.secret, undefined, 'Synced update has hidden field stripped');
+											TB.strictEqual(msg.data.update.text, 'Updated', 'Synced update holds visible fields');
+
+											queryHidden(0, function () {
+												request('GET', '', {$query: {text: 'Updated'}, $options: {$orderBy: {text: 1}}}, function (msg) {
+													TB.strictEqual(msg.data.length, 1, 'Queries on visible fields are allowed');
+
+													request('PATCH', '/1', {$rename: {text: 'role'}}, function (msg) {
+														TB.strictEqual(msg.status, 403, 'Renaming onto a read only field was forbidden');
+														TB.strictEqual(coll.findById('1').role, undefined, 'Read only field was not written');
+
+														request('PATCH', '/1', {$rename: {secret: 'text'}}, function (msg) {
+															TB.strictEqual(msg.status, 403, 'Renaming a hidden field was forbidden');
+															TB.strictEqual(coll.findById('1').secret, 'c', 'Hidden field was not renamed');
+
+															request('PATCH', '/1', {$replace: {text: 'Patched'}}, function (msg) {
+																TB.strictEqual(msg.data.text, 'Patched', 'Replacement by patch was applied');
+																TB.strictEqual(coll.findById('1').secret, 'c', 'Replacement by patch kept the hidden field');
+																TB.strictEqual(coll.findById('1').ownerId, 'jim', 'Replacement by patch kept the read only field');
+
+																request('PATCH', '/1', {$replace: {ownerId: 'amy'}}, function (msg) {
+																	TB.strictEqual(msg.status, 403, 'Replacement by patch cannot change a read only field');
+
+																	socket.terminate();
+																	fdb.api.stop();
+																	db.drop();
+
+																	callback();
+																});
+															});
+														});
+													});
+												});
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Updates cannot move documents outside the rules filter', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testRulesMoveApi'),
+		coll = db.collection('tasks'),
+		socket,
+		request;
+
+	// Sends a request over the socket and calls back with the response
+	request = function (method, path, data, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)));
+		});
+
+		socket.send(JSON.stringify({type: 'request', id: 1, method: method, path: '/testRulesMoveApi' + path, data: data}));
+	};
+
+	coll.insert({_id: '1', team: 'red', text: 'Red task'});
+
+	fdb.api.access('testRulesMoveApi', 'collection', 'tasks', '*', 'allow');
+	fdb.api.rule('testRulesMoveApi', 'collection', 'tasks', {
+		filter: function (req) {
+			return {team: req.json.team};
+		}
+	});
+
+	fdb.api.start('127.0.0.1', '9019', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9019/fdb/_ws?' + encodeURIComponent(JSON.stringify({team: 'red'})));
+
+		socket.once('message', function () {
+			request('PATCH', '/collection/tasks/1', {team: 'blue'}, function (msg) {
+				TB.strictEqual(msg.status, 403, 'Patch moving the document outside the filter was forbidden');
+
+				request('PUT', '/collection/tasks/1', {_id: '1', team: 'blue', text: 'Moved'}, function (msg) {
+					TB.strictEqual(msg.status, 403, 'Replacement moving the document outside the filter was forbidden');
+
+					request('POST', '/_bulk', {operations: [{method: 'PATCH', objName: 'tasks', objId: '1', body: {$overwrite: {team: 'blue'}}}]}, function (msg) {
+						TB.strictEqual(msg.data.results[0].status, 403, 'Bulk update moving the document outside the filter was forbidden');
+
+						request('POST', '/collection/tasks/_replicate', {changes: [{op: 'update', id: '1', baseRev: 0, doc: {_id: '1', team: 'blue'}, ts: 1000}]}, function (msg) {
+							TB.strictEqual(msg.data.results[0].status, 'error', 'Replicated update moving the document outside the filter was refused');
+							TB.strictEqual(coll.findById('1').team, 'red', 'Document stayed inside the filter');
+
+							request('PATCH', '/collection/tasks/1', {text: 'Updated'}, function (msg) {
+								TB.strictEqual(msg.status, 200, 'Updates that keep the document inside the filter are allowed');
+								TB.strictEqual(coll.findById('1').text, 'Updated', 'Update was applied');
+
+								socket.terminate();
+								fdb.api.stop();
+								db.drop();
+
+								callback();
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Bulk requests apply ordered operations across collections', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testBulkApi'),
+		socket,
+		bulk;
+
+	// Sends a bulk request over the socket and calls back with the response
+	bulk = function (body, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)));
+		});
+
+		socket.send(JSON.stringify({type: 'request', id: 1, method: 'POST', path: '/testBulkApi/_bulk', data: body}));
+	};
+
+	db.collection('orders').insert({_id: 'o1', total: 10});
+
+	fdb.api.access('testBulkApi', 'collection', 'orders', '*', 'allow');
+	fdb.api.access('testBulkApi', 'collection', 'items', '*', 'allow');
+	fdb.api.access('testBulkApi', 'collection', 'locked', 'GET', 'allow');
+	fdb.api.access('testBulkApi', 'collection', 'stock', '*', 'allow');
+	fdb.api.rule('testBulkApi', 'collection', 'stock', {filter: {qty: {$lt: 10}}});
+
+	db.collection('stock').insert({_id: 's1', qty: 5});
+
+	fdb.api.start('127.0.0.1', '9019', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9019/fdb/_ws');
+
+		socket.once('message', function () {
+			bulk({operations: [
+				{method: 'POST', objName: 'items', body: [{_id: 'i1', qty: 1}, {_id: 'i2', qty: 2}]},
+				{method: 'PATCH', objName: 'orders', objId: 'o1', body: {total: 20}},
+				{method: 'POST', objName: 'locked', body: {_id: 'l1'}},
+				{method: 'DELETE', objName: 'items', objId: 'i2'}
+			]}, function (msg) {
+				var results = msg.data.results;
+
+				TB.strictEqual(msg.data.ok, false, 'Request reports that an operation failed');
+				TB.strictEqual(results.length, 4, 'Each operation has a result');
+				TB.strictEqual(results[0].data.inserted.length, 2, 'Insert result was returned');
+				TB.strictEqual(results[1].data.total, 20, 'Update result was returned');
+				TB.strictEqual(results[2].status, 403, 'Operation without permission was denied');
+				TB.strictEqual(results[3].data._id, 'i2', 'Remove result was returned');
+				TB.strictEqual(db.collection('items').count(), 1, 'Allowed operations were applied in order');
+				TB.strictEqual(db.collection('locked').count(), 0, 'Denied operation was not applied');
+
+				bulk({atomic: true, operations: [
+					{method: 'PATCH', objName: 'orders', objId: 'o1', body: {total: 30}},
+					{method: 'POST', objName: 'items', body: {_id: 'i1'}}
+				]}, function (msg) {
+					TB.strictEqual(msg.data.ok, false, 'Atomic request with a failing operation failed');
+					TB.strictEqual(msg.data.results[0].status, 409, 'Operations were reported as not applied');
+					TB.strictEqual(db.collection('orders').findById('o1').total, 20, 'Earlier operation was rolled back');
+
+					bulk({atomic: true, operations: [
+						{method: 'PATCH', objName: 'orders', objId: 'o1', body: {total: 30}},
+						{method: 'POST', objName: 'items', body: {_id: 'i3'}}
+					]}, function (msg) {
+						TB.strictEqual(msg.data.ok, true, 'Atomic request succeeded');
+						TB.strictEqual(msg.data.results[0].data.total, 30, 'Atomic update result was returned');
+						TB.strictEqual(db.collection('items').count(), 2, 'Atomic insert was applied');
+
+						bulk({atomic: true, operations: [
+							{method: 'POST', objName: 'items', body: {_id: 'i4'}},
+							{method: 'PATCH', objName: 'orders', objId: 'missing', body: {total: 40}}
+						]}, function (msg) {
+							TB.strictEqual(msg.data.ok, false, 'Atomic request updating a missing document failed');
+							TB.strictEqual(msg.data.results[1].status, 404, 'Update of the missing document was reported as not found');
+							TB.strictEqual(db.collection('items').count(), 2, 'Other operations were not applied');
+
+							socket.send(JSON.stringify({type: 'request', id: 2, method: 'PUT', path: '/testBulkApi/collection/orders/missing', data: {total: 50}}));
+
+							socket.once('message', function (data) {
+								TB.strictEqual(JSON.parse(String(data)).status, 404, 'Single update of a missing document was not found');
+								TB.strictEqual(db.collection('orders').count(), 1, 'No document was created');
+
+								// Each update is allowed on its own but together they
+								// would move the document outside the rules filter
+								bulk({operations: [
+									{method: 'PATCH', objName: 'stock', objId: 's1', body: {$inc: {qty: 3}}},
+									{method: 'PATCH', objName: 'stock', objId: 's1', body: {$inc: {qty: 3}}}
+								]}, function (msg) {
+									TB.strictEqual(msg.data.results[0].status, 200, 'First update was applied');
+									TB.strictEqual(msg.data.results[1].status, 403, 'Update checked against the data left by the first was forbidden');
+									TB.strictEqual(db.collection('stock').findById('s1').qty, 8, 'Document stayed inside the filter');
+
+									bulk({atomic: true, operations: [
+										{method: 'PATCH', objName: 'stock', objId: 's1', body: {$inc: {qty: 1}}},
+										{method: 'PATCH', objName: 'stock', objId: 's1', body: {$inc: {qty: 1}}}
+									]}, function (msg) {
+										TB.strictEqual(msg.data.ok, false, 'Atomic updates that together leave the filter failed');
+										TB.strictEqual(msg.data.results[1].status, 403, 'Update that left the filter was reported');
+										TB.strictEqual(db.collection('stock').findById('s1').qty, 8, 'Atomic updates were rolled back');
+
+										bulk({atomic: true, operations: [
+											{method: 'POST', objName: 'items', body: {_id: 'i5', qty: 1}},
+											{method: 'PATCH', objName: 'items', objId: 'i5', body: {qty: 2}}
+										]}, function (msg) {
+											TB.strictEqual(msg.data.ok, true, 'Atomic update of a document inserted earlier in the request succeeded');
+											TB.strictEqual(db.collection('items').findById('i5').qty, 2, 'Inserted document was updated');
+
+											socket.terminate();
+											fdb.api.stop();
+											db.drop();
+
+											callback();
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: OpenAPI document describes exposed objects', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testOpenApi'),
+		socket;
+
+	db.collection('users').insert([{
+		_id: '1',
+		name: 'Jim',
+		age: 20,
+		password: 'secret',
+		tags: ['a']
+	}, {
+		_id: '2',
+		name: 'Bob',
+		age: 30.5
+	}]);
+
+	db.collection('orders').schema({
+		type: 'object',
+		properties: {
+			total: {type: 'number'}
+		},
+		required: ['total']
+	});
+
+	db.collection('hidden').insert({_id: '1'});
+
+	fdb.api.access('testOpenApi', 'collection', 'users', 'GET', 'allow');
+	fdb.api.access('testOpenApi', 'collection', 'orders', '*', 'allow');
+	fdb.api.access('testOpenApi', 'collection', 'orders', 'DELETE', 'deny');
+	fdb.api.rule('testOpenApi', 'collection', 'users', {hide: ['password']});
+
+	fdb.api.start('127.0.0.1', '9020', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9020/fdb/_ws');
+
+		socket.once('message', function () {
+			socket.once('message', function (data) {
+				var doc = JSON.parse(String(data)).data,
+					users = doc.components.schemas['testOpenApi.collection.users'];
+
+				TB.strictEqual(doc.openapi, '3.1.0', 'Document is an OpenAPI 3 document');
+				TB.ok(doc.paths['/testOpenApi/collection/users'].get, 'Allowed method is listed');
+				TB.strictEqual(doc.paths['/testOpenApi/collection/users'].post, undefined, 'Method without access is not listed');
+				TB.strictEqual(doc.paths['/testOpenApi/collection/orders']['delete'], undefined, 'Denied method is not listed');
+				TB.strictEqual(doc.paths['/testOpenApi/collection/hidden'], undefined, 'Object without access is not listed');
+				TB.ok(doc.paths['/testOpenApi/_bulk'], 'Bulk route is listed');
+				TB.strictEqual(doc.components.schemas['testOpenApi.collection.orders'].required[0], 'total', 'Collection schema is used');
+				TB.strictEqual(users.properties.name.type, 'string', 'String type was inferred');
+				TB.strictEqual(users.properties.age.type, 'number', 'Number type was inferred');
+				TB.strictEqual(users.properties.tags.items.type, 'string', 'Array items type was inferred');
+				TB.strictEqual(users.required.join(','), '_id,name,age', 'Fields in every document are required');
+				TB.strictEqual(users.properties.password, undefined, 'Hidden field is not described');
+
+				socket.terminate();
+				fdb.api.stop();
+				db.drop();
+
+				callback();
+			});
+
+			socket.send(JSON.stringify({type: 'request', id: 1, method: 'GET', path: '/_openapi.json'}));
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Typed procedures and views with bound parameters', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testBindApi'),
+		orders = db.collection('orders'),
+		socket,
+		send;
+
+	// Sends a message over the socket and calls back with the next message
+	send = function (msg, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)));
+		});
+
+		socket.send(JSON.stringify(msg));
+	};
+
+	orders.insert([{_id: '1', userId: 'u1', open: true}, {_id: '2', userId: 'u2', open: true}, {_id: '3', userId: 'u1', open: false}]);
+	db.view('openOrders').query({open: true}).from(orders);
+
+	db.procedure('add', {
+		args: {
+			type: 'object',
+			properties: {
+				a: {type: 'number'},
+				b: {type: 'number'}
+			},
+			required: ['a', 'b']
+		},
+		method: function (args, req, callback) {
+			callback(false, args.a + args.b);
+		}
+	});
+
+	fdb.api.access('testBindApi', 'procedure', 'add', 'POST', 'allow');
+	fdb.api.access('testBindApi', 'view', '*', '*', 'allow');
+	fdb.api.bindView('testBindApi', 'openOrders', {
+		params: {
+			type: 'object',
+			properties: {
+				userId: {type: 'string'}
+			},
+			required: ['userId']
+		}
+	});
+
+	fdb.api.start('127.0.0.1', '9021', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9021/fdb/_ws');
+
+		socket.once('message', function () {
+			send({type: 'request', id: 1, method: 'POST', path: '/testBindApi/procedure/add', data: {a: 1, b: 2}}, function (msg) {
+				TB.strictEqual(msg.data.ok, true, 'Procedure call succeeded');
+				TB.strictEqual(msg.data.data, 3, 'Procedure result was returned in the envelope');
+
+				send({type: 'request', id: 2, method: 'POST', path: '/testBindApi/procedure/add', data: {a: 1, b: 'x'}}, function (msg) {
+					TB.strictEqual(msg.status, 400, 'Invalid arguments were rejected');
+					TB.strictEqual(msg.data.errors[0].path, 'b', 'Invalid argument was reported');
+
+					send({type: 'request', id: 3, method: 'GET', path: '/testBindApi/view/openOrders', data: {}}, function (msg) {
+						TB.strictEqual(msg.status, 400, 'View request without required parameters was rejected');
+
+						send({type: 'request', id: 4, method: 'GET', path: '/testBindApi/view/openOrders', data: {$params: {userId: 'u1'}}}, function (msg) {
+							TB.strictEqual(msg.data.length, 1, 'Bound view only has documents matching the parameters');
+							TB.strictEqual(msg.data[0]._id, '1', 'Bound view has the correct document');
+							TB.strictEqual(db.views().length, 1, 'Bound view was dropped after the request');
+
+							send({type: 'subscribe', id: 5, path: '/testBindApi/view/openOrders', params: {userId: 'u2'}}, function (msg) {
+								TB.strictEqual(msg.type, 'subscribed', 'Subscribed to bound view');
+								TB.strictEqual(db.views().length, 2, 'Bound view was created for the subscription');
+
+								socket.once('message', function (data) {
+									msg = JSON.parse(String(data));
+
+									TB.strictEqual(msg.event, 'insert', 'Insert was synced');
+									TB.strictEqual(msg.data.dataSet.length, 1, 'Only the document matching the parameters was synced');
+									TB.strictEqual(msg.data.dataSet[0]._id, '5', 'The synced document is correct');
+
+									send({type: 'request', id: 6, method: 'GET', path: '/testBindApi/view/' + db.views()[1].name, data: {}}, function (msg) {
+										TB.strictEqual(msg.status, 403, 'Bound view cannot be requested directly');
+
+										socket.send(JSON.stringify({type: 'unsubscribe', id: 5}));
+
+										setTimeout(function () {
+											TB.strictEqual(db.views().length, 1, 'Bound view was dropped after unsubscribing');
+
+											socket.terminate();
+											fdb.api.stop();
+											db.drop();
+
+											callback();
+										}, 50);
+									});
+								});
+
+								orders.insert([{_id: '4', userId: 'u1', open: true}, {_id: '5', userId: 'u2', open: true}]);
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Rate limits, size limits and audit log', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testAuditApi'),
+		auditLog,
+		socket,
+		send;
+
+	// Sends a message over the socket and calls back with the next message
+	send = function (msg, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)));
+		});
+
+		socket.send(JSON.stringify(msg));
+	};
+
+	db.collection('items').insert({_id: '1', name: 'Jim', stock: {count: 1}});
+
+	fdb.api.access('testAuditApi', 'collection', 'items', '*', function (dbName, objType, objName, httpMethod, req, callback) {
+		req.user = 'jim';
+		callback(false, dbName, objType, objName, httpMethod, req);
+	});
+
+	fdb.api.audit('testAuditApi', 'auditLog', {size: 10});
+	auditLog = db.collection('auditLog');
+
+	fdb.api.start('127.0.0.1', '9022', {webSocket: true, rateLimit: {max: 4}, maxBodySize: 200, maxQuerySize: 20}, function () {
+		var req = http.request({host: '127.0.0.1', port: 9022, method: 'POST', path: '/fdb/testAuditApi/collection/items', headers: {'Content-Type': 'application/json'}}, function (res) {
+			TB.strictEqual(res.statusCode, 413, 'Request body over the size limit was rejected');
+			res.resume();
+
+			http.get({host: '127.0.0.1', port: 9022, path: '/fdb/testAuditApi/collection/items?$query=' + encodeURIComponent('{"name":"Jim"}')}, function (res) {
+				TB.strictEqual(res.statusCode, 414, 'Query string over the size limit was rejected');
+				TB.strictEqual(res.headers['x-ratelimit-remaining'], undefined, 'Rejected request was not counted');
+				res.resume();
+
+				socket = new WebSocket('ws://127.0.0.1:9022/fdb/_ws');
+
+				// The POST request counts towards the rate limit so three more are allowed
+				socket.once('message', function () {
+					var docs = [],
+						i;
+
+					// Start a deferred insert so the request waits for it
+					for (i = 0; i < 2000; i++) {
+						docs.push({name: 'Filler ' + i});
+					}
+
+					db.collection('items').insert(docs);
+
+					send({type: 'request', id: 1, method: 'PATCH', path: '/testAuditApi/collection/items/1', data: {name: 'Bob', stock: {count: 2}}}, function (msg) {
+						var entry = auditLog.find()[0];
+
+						TB.strictEqual(msg.status, 200, 'Request within the rate limit was allowed');
+						TB.strictEqual(auditLog.count(), 1, 'Change was recorded in the audit log');
+						TB.strictEqual(entry.method, 'PATCH', 'Method was recorded');
+						TB.strictEqual(entry.user, 'jim', 'User set by the access method was recorded');
+						TB.strictEqual(entry.objName, 'items', 'Collection was recorded');
+						TB.strictEqual(entry.ids[0], '1', 'Document id was recorded');
+						TB.strictEqual(entry.ids.length, 1, 'Changes made while the request waited were not recorded');
+						TB.strictEqual(entry.changes[0].diff.name.from, 'Jim', 'Old value was recorded');
+						TB.strictEqual(entry.changes[0].diff.name.to, 'Bob', 'New value was recorded');
+						TB.strictEqual(entry.changes[0].diff['stock.count'].to, 2, 'Nested change was recorded');
+						TB.strictEqual(auditLog.capped(), true, 'Audit log is a capped collection');
+
+						send({type: 'request', id: 2, method: 'GET', path: '/testAuditApi/collection/items/1'}, function () {
+							send({type: 'request', id: 3, method: 'GET', path: '/testAuditApi/collection/items/1'}, function (msg) {
+								TB.strictEqual(msg.status, 200, 'Last request within the rate limit was allowed');
+								TB.strictEqual(auditLog.count(), 1, 'Reads were not recorded in the audit log');
+
+								send({type: 'request', id: 4, method: 'GET', path: '/testAuditApi/collection/items/1'}, function (msg) {
+									TB.strictEqual(msg.status, 429, 'Request over the rate limit was rejected');
+
+									socket.terminate();
+									fdb.api.stop();
+									fdb.api.audit(false);
+									db.drop();
+
+									callback();
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+
+		req.end(JSON.stringify({_id: '2', name: new Array(300).join('x')}));
+	});
+});
+
+TB.test('NodeApiServer :: ETags and conditional requests', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testETagApi'),
+		coll = db.collection('items'),
+		socket,
+		send;
+
+	// Sends a message over the socket and calls back with the next message
+	send = function (msg, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)));
+		});
+
+		socket.send(JSON.stringify(msg));
+	};
+
+	coll.insert({_id: '1', name: 'Jim', count: 1});
+
+	fdb.api.access('testETagApi', 'collection', 'items', '*', 'allow');
+
+	fdb.api.start('127.0.0.1', '9023', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9023/fdb/_ws');
+
+		socket.once('message', function () {
+			send({type: 'request', id: 1, method: 'GET', path: '/testETagApi/collection/items/1'}, function (msg) {
+				var etag = msg.headers && msg.headers.ETag;
+
+				TB.strictEqual(msg.status, 200, 'Document was read');
+				TB.ok(/^"[0-9a-f]+"$/.test(etag), 'Response has an ETag');
+
+				send({type: 'request', id: 2, method: 'GET', path: '/testETagApi/collection/items/1', headers: {'If-None-Match': etag}}, function (msg) {
+					TB.strictEqual(msg.status, 304, 'Unchanged document was not sent again');
+
+					send({type: 'request', id: 3, method: 'PATCH', path: '/testETagApi/collection/items/1', data: {count: 2}, headers: {'If-Match': '"0"'}}, function (msg) {
+						TB.strictEqual(msg.status, 412, 'Update with the wrong ETag was refused');
+						TB.strictEqual(coll.findById('1').count, 1, 'Document was not updated');
+
+						send({type: 'request', id: 4, method: 'PATCH', path: '/testETagApi/collection/items/1', data: {count: 2}, headers: {'If-Match': etag}}, function (msg) {
+							var newETag = msg.headers && msg.headers.ETag;
+
+							TB.strictEqual(msg.status, 200, 'Update with the current ETag was allowed');
+							TB.strictEqual(coll.findById('1').count, 2, 'Document was updated');
+							TB.ok(newETag && newETag !== etag, 'Response has the new ETag');
+
+							send({type: 'request', id: 5, method: 'PUT', path: '/testETagApi/collection/items/1', data: {_id: '1', name: 'Bob'}, headers: {'If-Match': etag}}, function (msg) {
+								TB.strictEqual(msg.status, 412, 'Replace with a stale ETag was refused');
+
+								send({type: 'request', id: 6, method: 'GET', path: '/testETagApi/collection/items/1', headers: {'If-None-Match': etag}}, function (msg) {
+									TB.strictEqual(msg.status, 200, 'Changed document was sent');
+									TB.strictEqual(msg.headers.ETag, newETag, 'ETag matches the one returned by the update');
+
+									send({type: 'request', id: 7, method: 'DELETE', path: '/testETagApi/collection/items/1', headers: {'If-Match': newETag}}, function (msg) {
+										TB.strictEqual(msg.status, 200, 'Delete with the current ETag was allowed');
+										TB.strictEqual(coll.count(), 0, 'Document was removed');
+
+										send({type: 'request', id: 8, method: 'DELETE', path: '/testETagApi/collection/items/1', headers: {'If-Match': '*'}}, function (msg) {
+											TB.strictEqual(msg.status, 412, 'Delete of a missing document with If-Match * was refused');
+
+											coll.insert({_id: '1', name: 'Jim', count: 1});
+
+											send({type: 'request', id: 9, method: 'GET', path: '/testETagApi/collection/items/1'}, function (msg) {
+												var docs = [],
+													i;
+
+												// Start a deferred upsert that changes the document
+												// while the next request waits for it
+												for (i = 0; i < 2000; i++) {
+													docs.push({_id: 'filler' + i});
+												}
+
+												docs.push({_id: '1', name: 'Jim', count: 5});
+												coll.upsert(docs);
+
+												send({type: 'request', id: 10, method: 'PATCH', path: '/testETagApi/collection/items/1', data: {count: 2}, headers: {'If-Match': msg.headers.ETag}}, function (msg) {
+													TB.strictEqual(msg.status, 412, 'Update of a document changed while the request waited was refused');
+													TB.strictEqual(coll.findById('1').count, 5, 'Document was not updated');
+
+													socket.terminate();
+													fdb.api.stop();
+													db.drop();
+
+													callback();
+												});
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Token authentication', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testAuthApi'),
+		socket,
+		send,
+		post;
+
+	// Sends a message over the socket and calls back with the next message
+	send = function (msg, cb) {
+		socket.once('message', function (data) {
+			cb(JSON.parse(String(data)));
+		});
+
+		socket.send(JSON.stringify(msg));
+	};
+
+	// Posts JSON over http and calls back with the status and parsed body
+	post = function (path, body, headers, cb) {
+		var req;
+
+		headers['Content-Type'] = 'application/json';
+
+		req = http.request({host: '127.0.0.1', port: 9024, method: 'POST', path: path, headers: headers}, function (res) {
+			var data = '';
+
+			res.on('data', function (chunk) {
+				data += chunk;
+			});
+
+			res.on('end', function () {
+				var json;
+
+				try {
+					json = JSON.parse(data);
+				} catch (e) {
+					json = data;
+				}
+
+				cb(res.statusCode, json);
+			});
+		});
+
+		req.end(JSON.stringify(body));
+	};
+
+	db.collection('notes').insert({_id: '1', text: 'Hello'});
+
+	fdb.api.auth('testAuthApi', {secret: 'test secret', iterations: 1000});
+
+	fdb.api.access('testAuthApi', 'collection', 'notes', '*', function (dbName, objType, objName, httpMethod, req, callback) {
+		if (!req.user) {
+			return callback('403 Access Forbidden');
+		}
+
+		callback(false, dbName, objType, objName, httpMethod, req);
+	});
+
+	fdb.api.access('testAuthApi', 'collection', 'users', 'GET', 'allow');
+
+	fdb.api.auth().createUser({username: 'jim', password: 'secret', role: 'admin'}, function (err, user) {
+		TB.strictEqual(err, false, 'User was created');
+		TB.strictEqual(user.password, undefined, 'Created user was returned without their password');
+		TB.ok(db.collection('users').findOne({username: 'jim'}).password.indexOf('pbkdf2$') === 0, 'Password was stored hashed');
+
+		fdb.api.start('127.0.0.1', '9024', {webSocket: true}, function () {
+			post('/fdb/_auth/login', {username: 'jim', password: 'wrong'}, {}, function (status) {
+				TB.strictEqual(status, 401, 'Login with the wrong password was refused');
+
+				post('/fdb/_auth/login', {username: 'jim', password: 'secret'}, {}, function (status, tokens) {
+					TB.strictEqual(status, 200, 'Login with the right password was allowed');
+					TB.ok(typeof tokens.token === 'string' && typeof tokens.refreshToken === 'string', 'Login returned tokens');
+					TB.strictEqual(tokens.user.role, 'admin', 'Login returned the user');
+					TB.strictEqual(tokens.user.password, undefined, 'Login did not return the password');
+
+					socket = new WebSocket('ws://127.0.0.1:9024/fdb/_ws');
+
+					socket.once('message', function () {
+						send({type: 'request', id: 1, method: 'GET', path: '/testAuthApi/collection/notes'}, function (msg) {
+							TB.strictEqual(msg.status, 403, 'Request without a token was denied by the access function');
+
+							send({type: 'request', id: 2, method: 'GET', path: '/testAuthApi/collection/notes', headers: {Authorization: 'Bearer ' + tokens.token}}, function (msg) {
+								TB.strictEqual(msg.status, 200, 'Request with a token was allowed');
+								TB.strictEqual(msg.data[0].text, 'Hello', 'Request with a token got the data');
+
+								send({type: 'request', id: 3, method: 'GET', path: '/testAuthApi/collection/users', headers: {Authorization: 'Bearer ' + tokens.token}}, function (msg) {
+									TB.strictEqual(msg.data[0].username, 'jim', 'Users collection was read');
+									TB.strictEqual(msg.data[0].password, undefined, 'Password hashes were not sent');
+
+									send({type: 'request', id: 4, method: 'GET', path: '/testAuthApi/collection/notes', headers: {Authorization: 'Bearer ' + tokens.token + 'x'}}, function (msg) {
+										TB.strictEqual(msg.status, 401, 'Request with a tampered token was refused');
+
+										post('/fdb/_auth/refresh', {refreshToken: tokens.refreshToken}, {}, function (status, newTokens) {
+											TB.strictEqual(status, 200, 'Refresh token was swapped for new tokens');
+											TB.ok(newTokens.token && newTokens.token !== tokens.token, 'Refresh returned a new access token');
+
+											post('/fdb/_auth/refresh', {refreshToken: tokens.refreshToken}, {}, function (status) {
+												TB.strictEqual(status, 401, 'Refresh token could only be used once');
+
+												send({type: 'request', id: 5, method: 'GET', path: '/testAuthApi/collection/notes', headers: {Authorization: 'Bearer ' + tokens.token}}, function (msg) {
+													TB.strictEqual(msg.status, 401, 'Access token of the refreshed session was revoked');
+
+													post('/fdb/_auth/logout', {}, {Authorization: 'Bearer ' + newTokens.token}, function (status) {
+														TB.strictEqual(status, 200, 'Logged out');
+
+														send({type: 'request', id: 6, method: 'GET', path: '/testAuthApi/collection/notes', headers: {Authorization: 'Bearer ' + newTokens.token}}, function (msg) {
+															TB.strictEqual(msg.status, 401, 'Access token was revoked by logging out');
+
+															socket.terminate();
+															fdb.api.stop();
+															fdb.api.auth(false);
+															db.drop();
+
+															callback();
+														});
+													});
+												});
+											});
+										});
+									});
+								});
+							});
+						});
+					});
+				});
+			});
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Syncs of queried subsets', function (callback) {
+	var fdb = new ForerunnerDB(),
+		db = fdb.db('testSubsetApi'),
+		coll = db.collection('items'),
+		events = {1: [], 2: []},
+		subscribed = 0,
+		socket,
+		summary,
+		step;
+
+	// Summarises the events a subscription received since the last check
+	summary = function (id) {
+		var arr = [],
+			i, j;
+
+		for (i = 0; i < events[id].length; i++) {
+			for (j = 0; j < events[id][i].data.dataSet.length; j++) {
+				arr.push(events[id][i].event + ' ' + events[id][i].data.dataSet[j]._id);
+			}
+		}
+
+		events[id] = [];
+
+		return arr.join(', ');
+	};
+
+	// Makes a change and checks the events it sent after they arrive
+	step = function (change, check) {
+		change();
+
+		setTimeout(check, 100);
+	};
+
+	coll.insert([
+		{_id: '1', price: 10, type: 'a'},
+		{_id: '2', price: 20, type: 'a'},
+		{_id: '3', price: 30, type: 'b'}
+	]);
+
+	fdb.api.access('testSubsetApi', 'collection', 'items', '*', 'allow');
+
+	fdb.api.start('127.0.0.1', '9025', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9025/fdb/_ws');
+
+		socket.on('message', function (data) {
+			var msg = JSON.parse(String(data));
+
+			if (msg.type === 'event') {
+				events[msg.id].push(msg);
+			}
+
+			if (msg.type !== 'subscribed' || ++subscribed < 2) {
+				return;
+			}
+
+			TB.strictEqual(db.views().length, 2, 'A view was created for each subset');
+
+			step(function () {
+				coll.insert({_id: '4', price: 5, type: 'b'});
+			}, function () {
+				TB.strictEqual(summary(1), '', 'Insert that does not match the query was not sent');
+				TB.strictEqual(summary(2), '', 'Insert outside the limit was not sent');
+
+				step(function () {
+					coll.updateById('1', {price: 40});
+				}, function () {
+					TB.strictEqual(summary(1), 'update 1', 'Update to a matching document was sent');
+					TB.strictEqual(summary(2), 'leave 2, insert 1', 'Document pushed out of the limit left and the updated one entered');
+
+					step(function () {
+						coll.updateById('2', {type: 'b'});
+					}, function () {
+						TB.strictEqual(summary(1), 'leave 2', 'Document updated out of the query left the result set');
+						TB.strictEqual(summary(2), '', 'Update outside the limit was not sent');
+
+						step(function () {
+							coll.removeById('3');
+						}, function () {
+							TB.strictEqual(summary(1), '', 'Remove that does not match the query was not sent');
+							TB.strictEqual(summary(2), 'remove 3, insert 2', 'Removed document was removed and the next one entered');
+
+							socket.send(JSON.stringify({type: 'unsubscribe', id: 1}));
+							socket.send(JSON.stringify({type: 'unsubscribe', id: 2}));
+
+							setTimeout(function () {
+								TB.strictEqual(db.views().length, 0, 'Subset views were dropped when their syncs ended');
+
+								socket.terminate();
+								fdb.api.stop();
+								db.drop();
+
+								callback();
+							}, 100);
+						});
+					});
+				});
+			});
+		});
+
+		socket.once('open', function () {
+			socket.send(JSON.stringify({type: 'subscribe', id: 1, path: '/testSubsetApi/collection/items', query: {type: 'a'}}));
+			socket.send(JSON.stringify({type: 'subscribe', id: 2, path: '/testSubsetApi/collection/items', query: {}, options: {$orderBy: {price: -1}, $limit: 2}}));
+		});
+	});
+});
+
+TB.test('NodeApiServer :: Sharing changes between processes', function (callback) {
+	var fdb1 = new ForerunnerDB(),
+		fdb2 = new ForerunnerDB(),
+		coll1 = fdb1.db('testPubSubApi').collection('items'),
+		coll2,
+		events = [],
+		socket;
+
+	fdb1.api.pubsub('memory', {channel: 'testPubSubApi'});
+	fdb2.api.pubsub('memory', {channel: 'testPubSubApi'});
+
+	fdb1.api.access('testPubSubApi', 'collection', 'items', '*', 'allow');
+
+	fdb1.api.start('127.0.0.1', '9026', {webSocket: true}, function () {
+		socket = new WebSocket('ws://127.0.0.1:9026/fdb/_ws');
+
+		socket.on('message', function (data) {
+			var msg = JSON.parse(String(data));
+
+			if (msg.type === 'event') {
+				events.push(msg.event + ' ' + msg.data.dataSet[0]._id);
+			}
+
+			if (msg.type !== 'subscribed') {
+				return;
+			}
+
+			// The other instance's database is created after pub/sub was set up
+			coll2 = fdb2.db('testPubSubApi').collection('items');
+			coll2.insert({_id: '1', price: 10});
+
+			setTimeout(function () {
+				TB.strictEqual(coll1.count(), 1, 'Insert was applied to the other instance');
+				TB.strictEqual(events.join(', '), 'insert 1', 'Sync client was sent the insert made on the other instance');
+
+				coll1.updateById('1', {price: 20});
+
+				setTimeout(function () {
+					TB.strictEqual(coll2.findById('1').price, 20, 'Update was applied to the other instance');
+
+					coll2.removeById('1');
+
+					setTimeout(function () {
+						TB.strictEqual(coll1.count(), 0, 'Remove was applied to the other instance');
+						TB.strictEqual(events.join(', '), 'insert 1, update 1, remove 1', 'Sync client was sent each change once');
+
+						fdb2.api.pubsub(false);
+						coll2.insert({_id: '2'});
+
+						setTimeout(function () {
+							TB.strictEqual(coll1.count(), 0, 'Changes are not shared once pub/sub is stopped');
+
+							socket.terminate();
+							fdb1.api.pubsub(false);
+							fdb1.api.stop();
+							fdb1.db('testPubSubApi').drop();
+							fdb2.db('testPubSubApi').drop();
+
+							callback();
+						}, 100);
+					}, 100);
+				}, 100);
+			}, 100);
+		});
+
+		socket.once('open', function () {
+			socket.send(JSON.stringify({type: 'subscribe', id: 1, path: '/testPubSubApi/collection/items'}));
+		});
+	});
+});
+
+TB.test('NodeApiPubSub :: Socket adapter', function (callback) {
+	var path = require('path').join(require('os').tmpdir(), 'fdbTestPubSub' + process.pid + '.sock'),
+		fdbs = [new ForerunnerDB(), new ForerunnerDB(), new ForerunnerDB()],
+		colls = [],
+		i;
+
+	for (i = 0; i < fdbs.length; i++) {
+		colls.push(fdbs[i].db('testPubSubSocket').collection('items'));
+	}
+
+	// The first adapter becomes the hub that relays between the others
+	fdbs[0].api.pubsub('socket', {path: path});
+
+	setTimeout(function () {
+		fdbs[1].api.pubsub('socket', {path: path});
+		fdbs[2].api.pubsub('socket', {path: path});
+
+		colls[1].insert({_id: '1', name: 'Jim'});
+
+		setTimeout(function () {
+			TB.strictEqual(colls[0].count(), 1, 'Hub received the change');
+			TB.strictEqual(colls[2].count(), 1, 'Hub relayed the change to the other process');
+
+			// When the hub goes away one of the others takes over
+			fdbs[0].api.pubsub(false);
+
+			setTimeout(function () {
+				colls[2].updateById('1', {name: 'Bob'});
+
+				setTimeout(function () {
+					TB.strictEqual(colls[1].findById('1').name, 'Bob', 'Changes are shared after the hub has gone');
+					TB.strictEqual(colls[0].findById('1').name, 'Jim', 'Stopped instance did not receive the change');
+
+					for (i = 0; i < fdbs.length; i++) {
+						fdbs[i].api.pubsub(false);
+						fdbs[i].db('testPubSubSocket').drop();
+					}
+
+					callback();
+				}, 200);
+			}, 200);
+		}, 200);
+	}, 100);
+});
+
+TB.test('NodeApiPubSub :: Socket adapter failover', function (callback) {
+	var fs = require('fs'),
+		path = require('path').join(require('os').tmpdir(), 'fdbTestFailover' + process.pid + '.sock'),
+		fdbs = [new ForerunnerDB(), new ForerunnerDB(), new ForerunnerDB()],
+		colls = [],
+		unlink = fs.unlink,
+		unlinks = 0,
+		hub,
+		i;
+
+	for (i = 0; i < fdbs.length; i++) {
+		colls.push(fdbs[i].db('testPubSubFailover').collection('items'));
+	}
+
+	// A hub in another process that is killed without closing its
+	// socket, leaving the socket file behind
+	hub = require('child_process').spawn(process.execPath, ['-e', 'require("net").createServer().listen(' + JSON.stringify(path) + ', function () { console.log("ready"); });']);
+
+	// Slow down removing the socket file so that the takeovers overlap
+	fs.unlink = function (file, cb) {
+		if (file !== path) {
+			return unlink.apply(fs, arguments);
+		}
+
+		setTimeout(function () {
+			unlink.call(fs, file, cb);
+		}, 50 * unlinks++);
+	};
+
+	hub.stdout.once('data', function () {
+		for (i = 0; i < fdbs.length; i++) {
+			fdbs[i].api.pubsub('socket', {path: path});
+		}
+
+		setTimeout(function () {
+			// Every adapter tries to take over at the same time
+			hub.kill('SIGKILL');
+
+			setTimeout(function () {
+				for (i = 0; i < colls.length; i++) {
+					colls[i].insert({_id: String(i), name: 'Jim'});
+				}
+
+				setTimeout(function () {
+					for (i = 0; i < colls.length; i++) {
+						TB.strictEqual(colls[i].count(), 3, 'Adapter ' + i + ' received the changes from the others');
+					}
+
+					TB.strictEqual(fs.existsSync(path + '.lock'), false, 'Takeover lock was released');
+
+					fs.unlink = unlink;
+
+					for (i = 0; i < fdbs.length; i++) {
+						fdbs[i].api.pubsub(false);
+						fdbs[i].db('testPubSubFailover').drop();
+					}
+
+					callback();
+				}, 200);
+			}, 300);
+		}, 200);
+	});
+});
+
 TB.test('Collection.index() :: Test 2d index search on large data set', function (callback) {
 	var fdb = new ForerunnerDB(),
 		db = fdb.db('temp'),
@@ -0,0 +1,197 @@
+QUnit.module('Aggregate');
+QUnit.test("Collection.aggregate() :: $match, $group and $sort stages", function () {
+	base.dbUp();
+
+	var coll = db.collection('sales'),
+		result;
+
+	coll.insert([
+		{_id: '1', product: 'apple', qty: 5, price: 2, status: 'complete'},
+		{_id: '2', product: 'pear', qty: 2, price: 3, status: 'complete'},
+		{_id: '3', product: 'apple', qty: 10, price: 1, status: 'complete'},
+		{_id: '4', product: 'apple', qty: 1, price: 4, status: 'pending'},
+		{_id: '5', product: 'pear', qty: 8, price: 2, status: 'complete'}
+	]);
+
+	result = coll.aggregate([
+		{$match: {status: 'complete'}},
+		{$group: {
+			_id: '$product',
+			total: {$sum: '$qty'},
+			count: {$sum: 1},
+			avgPrice: {$avg: '$price'},
+			minQty: {$min: '$qty'},
+			maxQty: {$max: '$qty'},
+			orders: {$push: '$_id'},
+			firstQty: {$first: '$qty'}
+		}},
+		{$sort: {total: -1}}
+	]);
+
+	strictEqual(result.length, 2, "Two groups returned");
+	strictEqual(result[0]._id, 'apple', "Groups sorted by total descending");
+	strictEqual(result[0].total, 15, "$sum of field");
+	strictEqual(result[0].count, 2, "$sum of literal");
+	strictEqual(result[0].avgPrice, 1.5, "$avg");
+	strictEqual(result[0].minQty, 5, "$min");
+	strictEqual(result[0].maxQty, 10, "$max");
+	strictEqual(result[0].orders.join(','), '1,3', "$push");
+	strictEqual(result[0].firstQty, 5, "$first");
+	strictEqual(result[1]._id, 'pear', "Second group");
+	strictEqual(result[1].total, 10, "Second group total");
+
+	result = coll.aggregate([
+		{$group: {_id: null, total: {$sum: '$qty'}}}
+	]);
+
+	strictEqual(result.length, 1, "Null _id groups all documents");
+	strictEqual(result[0].total, 26, "Total of all documents");
+
+	strictEqual(coll.findById('1').total, undefined, "Collection documents were not modified");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.aggregate() :: $project, $unwind, $skip and $limit stages", function () {
+	base.dbUp();
+
+	var coll = db.collection('posts'),
+		result;
+
+	coll.insert([
+		{_id: '1', title: 'First', author: {name: 'Jim', age: 30}, tags: ['a', 'b']},
+		{_id: '2', title: 'Second', author: {name: 'Amy', age: 25}, tags: ['c']},
+		{_id: '3', title: 'Third', author: {name: 'Bob', age: 40}, tags: []}
+	]);
+
+	result = coll.aggregate([
+		{$project: {title: 1, authorName: '$author.name'}}
+	]);
+
+	strictEqual(result.length, 3, "All documents projected");
+	strictEqual(result[0]._id, '1', "Primary key included by default");
+	strictEqual(result[0].title, 'First', "Included field");
+	strictEqual(result[0].authorName, 'Jim', "Computed field");
+	strictEqual(result[0].tags, undefined, "Field not included");
+
+	result = coll.aggregate([
+		{$project: {tags: 0, 'author.age': 0}}
+	]);
+
+	strictEqual(result[0].tags, undefined, "Excluded field removed");
+	strictEqual(result[0].author.age, undefined, "Excluded sub-field removed");
+	strictEqual(result[0].author.name, 'Jim', "Other sub-fields remain");
+
+	result = coll.aggregate([
+		{$unwind: '$tags'}
+	]);
+
+	strictEqual(result.length, 3, "Unwound one document per array element");
+	strictEqual(result[0].tags, 'a', "First element");
+	strictEqual(result[1].tags, 'b', "Second element");
+	strictEqual(result[2].tags, 'c', "Third element");
+
+	result = coll.aggregate([
+		{$unwind: {path: '$tags', preserveNullAndEmptyArrays: true}}
+	]);
+
+	strictEqual(result.length, 4, "Empty array preserved");
+
+	result = coll.aggregate([
+		{$sort: {'author.age': 1}},
+		{$skip: 1},
+		{$limit: 1}
+	]);
+
+	strictEqual(result.length, 1, "Limited to one result");
+	strictEqual(result[0]._id, '1', "Skipped the first sorted result");
+
+	try {
+		coll.aggregate([{$foo: {}}]);
+		ok(false, "Unknown stage should throw");
+	} catch (e) {
+		ok(true, "Unknown stage threw");
+	}
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.aggregate() :: $lookup stage", function () {
+	base.dbUp();
+
+	var orders = db.collection('orders'),
+		items = db.collection('items'),
+		result;
+
+	items.insert([
+		{_id: 'i1', sku: 'apple', name: 'Apple'},
+		{_id: 'i2', sku: 'pear', name: 'Pear'}
+	]);
+
+	orders.insert([
+		{_id: '1', sku: 'apple', qty: 2},
+		{_id: '2', sku: 'banana', qty: 1}
+	]);
+
+	result = orders.aggregate([
+		{$lookup: {
+			from: 'items',
+			localField: 'sku',
+			foreignField: 'sku',
+			as: 'item'
+		}}
+	]);
+
+	strictEqual(result.length, 2, "All documents returned");
+	strictEqual(result[0].item.length, 1, "Matched one joined document");
+	strictEqual(result[0].item[0].name, 'Apple', "Joined document is correct");
+	strictEqual(result[1].item.length, 0, "Unmatched lookup is an empty array");
+
+	base.dbDown();
+});
+
+QUnit.test("View.pipeline() :: View driven by an aggregation pipeline", function () {
+	base.dbUp();
+
+	var coll = db.collection('sales'),
+		view = db.view('salesByProduct');
+
+	coll.insert([
+		{_id: '1', product: 'apple', qty: 5},
+		{_id: '2', product: 'pear', qty: 2},
+		{_id: '3', product: 'apple', qty: 10}
+	]);
+
+	view
+		.query({qty: {$gt: 2}}, false)
+		.pipeline([
+			{$group: {_id: '$product', total: {$sum: '$qty'}}}
+		], false)
+		.from(coll);
+
+	strictEqual(view.count(), 1, "View contains pipeline output for the queried documents");
+	strictEqual(view.findById('apple').total, 15, "View group total is correct");
+
+	coll.insert({_id: '4', product: 'pear', qty: 3});
+
+	strictEqual(view.count(), 2, "View updated after insert");
+	strictEqual(view.findById('pear').total, 3, "New group total is correct");
+
+	coll.update({_id: '1'}, {qty: 1});
+
+	strictEqual(view.findById('apple').total, 10, "View updated after update");
+
+	coll.remove({_id: '3'});
+
+	strictEqual(view.findById('apple'), undefined, "View updated after remove");
+
+	strictEqual(view.aggregate([{$group: {_id: null, total: {$sum: '$total'}}}])[0].total, 3, "Aggregate runs against view data");
+
+	view.pipeline(null);
+
+	strictEqual(view.count(), 1, "Removing the pipeline restores the queried documents");
+	strictEqual(view.find()[0]._id, '4', "View contains source documents");
+
+	view.drop();
+	base.dbDown();
+});
@@ -414,6 +414,180 @@ QUnit.test("Collection.find() :: $nin with regex primary key search", function (
 	base.dbDown();
 });
 
+QUnit.test("Collection.find() :: $not clause", function () {
+	base.dbUp();
+
+	var coll = db.collection('testOps'),
+		result;
+
+	coll.setData([
+		{_id: 1, name: 'Jim', age: 15, tags: ['a', 'b']},
+		{_id: 2, name: 'Bob', age: 30, tags: ['c']},
+		{_id: 3, name: 'Jane'}
+	]);
+
+	result = coll.find({age: {$not: {$gt: 20}}});
+
+	strictEqual(result.length, 2, "Check result count is as expected");
+	strictEqual(result[0]._id, 1, "Value not matching the test is returned");
+	strictEqual(result[1]._id, 3, "Document without the field is returned");
+
+	result = coll.find({name: {$not: {$regex: '^J'}}});
+
+	strictEqual(result.length, 1, "Check $not with $regex result count");
+	strictEqual(result[0]._id, 2, "Correct document returned");
+
+	result = coll.find({tags: {$not: {$in: ['a']}}});
+
+	strictEqual(result.length, 2, "Array items are all checked by $not");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $nor clause", function () {
+	base.dbUp();
+
+	var coll = db.collection('testOps'),
+		result;
+
+	coll.setData([
+		{_id: 1, name: 'Jim', age: 15},
+		{_id: 2, name: 'Bob', age: 30},
+		{_id: 3, name: 'Jane', age: 40}
+	]);
+
+	result = coll.find({$nor: [{name: 'Jim'}, {age: {$gt: 35}}]});
+
+	strictEqual(result.length, 1, "Check result count is as expected");
+	strictEqual(result[0]._id, 2, "Correct document returned");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $all and $size clauses", function () {
+	base.dbUp();
+
+	var coll = db.collection('testOps'),
+		result;
+
+	coll.setData([
+		{_id: 1, tags: ['a', 'b', 'c']},
+		{_id: 2, tags: ['a', 'c']},
+		{_id: 3, tags: ['b']},
+		{_id: 4, tags: 'a'}
+	]);
+
+	result = coll.find({tags: {$all: ['a', 'c']}});
+
+	strictEqual(result.length, 2, "Check $all result count");
+	strictEqual(result[0]._id, 1, "Result 1 has correct id");
+	strictEqual(result[1]._id, 2, "Result 2 has correct id");
+
+	result = coll.find({tags: {$all: ['a']}});
+
+	strictEqual(result.length, 3, "$all matches a non-array value");
+
+	result = coll.find({tags: {$size: 2}});
+
+	strictEqual(result.length, 1, "Check $size result count");
+	strictEqual(result[0]._id, 2, "Correct document returned");
+
+	result = coll.find({tags: {$size: 1}});
+
+	strictEqual(result.length, 1, "$size does not match non-array values");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $type clause", function () {
+	base.dbUp();
+
+	var coll = db.collection('testOps'),
+		result;
+
+	coll.setData([
+		{_id: 1, val: 'text'},
+		{_id: 2, val: 12},
+		{_id: 3, val: 1.5},
+		{_id: 4, val: [1, 2]},
+		{_id: 5, val: null},
+		{_id: 6, val: {a: 1}},
+		{_id: 7, val: true}
+	]);
+
+	strictEqual(coll.find({val: {$type: 'string'}}).length, 1, "string");
+	strictEqual(coll.find({val: {$type: 'number'}}).length, 3, "number includes array items");
+	strictEqual(coll.find({val: {$type: 'int'}}).length, 2, "int");
+	strictEqual(coll.find({val: {$type: 'array'}}).length, 1, "array");
+	strictEqual(coll.find({val: {$type: 'null'}}).length, 1, "null");
+	strictEqual(coll.find({val: {$type: 'object'}}).length, 1, "object");
+	strictEqual(coll.find({val: {$type: 'bool'}}).length, 1, "bool");
+	strictEqual(coll.find({val: {$type: 2}}).length, 1, "Numeric type code");
+	strictEqual(coll.find({val: {$type: ['string', 'bool']}}).length, 2, "Array of types");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $mod clause", function () {
+	base.dbUp();
+
+	var coll = db.collection('testOps'),
+		result;
+
+	coll.setData([
+		{_id: 1, qty: 4},
+		{_id: 2, qty: 5},
+		{_id: 3, qty: 8},
+		{_id: 4, qty: '8'}
+	]);
+
+	result = coll.find({qty: {$mod: [4, 0]}});
+
+	strictEqual(result.length, 2, "Check result count is as expected");
+	strictEqual(result[0]._id, 1, "Result 1 has correct id");
+	strictEqual(result[1]._id, 3, "Result 2 has correct id");
+
+	try {
+		coll.find({qty: {$mod: 4}});
+		ok(false, "Invalid $mod should throw");
+	} catch (e) {
+		ok(true, "Invalid $mod threw");
+	}
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $regex clause with $options", function () {
+	base.dbUp();
+
+	var coll = db.collection('testOps'),
+		query,
+		result;
+
+	coll.setData([
+		{_id: 1, name: 'Jim', tags: ['Red', 'blue']},
+		{_id: 2, name: 'jane', tags: ['green']},
+		{_id: 3, name: 'Bob', tags: ['red']},
+		{_id: 4, name: 5}
+	]);
+
+	result = coll.find({name: {$regex: '^j'}});
+
+	strictEqual(result.length, 1, "Check case sensitive result count");
+	strictEqual(result[0]._id, 2, "Correct document returned");
+
+	query = {name: {$regex: '^j', $options: 'i'}};
+	result = coll.find(coll.jParse(coll.jStringify(query)));
+
+	strictEqual(result.length, 2, "Serialised query with $options is case insensitive");
+
+	result = coll.find({tags: {$regex: '^red$', $options: 'i'}});
+
+	strictEqual(result.length, 2, "Array items are matched by $regex");
+
+	base.dbDown();
+});
+
 QUnit.test("Collection.find() :: Match against data retrieved from $find sub-query", function () {
 	base.dbUp();
 	base.dataUp();
@@ -140,7 +140,7 @@ QUnit.test("Index.lookup() :: Test optimal query index detection", function () {
 		orgId: "3"
 	});
 
-	strictEqual(a && a.index.used && a.index.potential.length, 2, "Query analyser returned correct number of indexes to use");
+	strictEqual(a && a.index.used && a.index.potential.length, 3, "Query analyser returned correct number of indexes to use");
 	strictEqual(a.index.used._name, 'testArrValAndOrgId1', "Check index name: " + a.index.used._name);
 
 	base.dbDown();
@@ -263,6 +263,168 @@ QUnit.test("Collection.find() :: Test index doesn't interfere with other queries
 	base.dbDown();
 });
 
+QUnit.test("Collection.find() :: Test operator query is not resolved by index key equality", function () {
+	base.dbUp();
+
+	var coll = db.collection('testIndexColl').truncate(),
+		result,
+		expected;
+
+	coll.insert([{
+		_id: '1',
+		name: 'jim',
+		age: 13
+	}, {
+		_id: '2',
+		name: 'rice',
+		age: 14
+	}, {
+		_id: '3',
+		name: 'paddy',
+		age: 11
+	}, {
+		_id: '4',
+		name: 'alan',
+		age: 19
+	}, {
+		_id: '5',
+		name: 'moon',
+		age: 14
+	}]);
+
+	coll.ensureIndex({
+		age: 1
+	}, {
+		type: 'btree'
+	});
+
+	expected = coll.find({age: {$gt: 13}}, {$skipIndex: true});
+	result = coll.find({age: {$gt: 13}});
+
+	strictEqual(expected.length, 3, "Check correct number of results returned without index");
+	strictEqual(result.length, expected.length, "Check index returns the same number of results");
+
+	result = coll.find({age: {$mod: [2, 0]}});
+
+	strictEqual(result.length, 2, "Check $mod query against indexed field");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.ensureIndex() :: Partial and sparse btree indexes", function () {
+	base.dbUp();
+
+	var coll = db.collection('testIndexColl').truncate(),
+		index;
+
+	coll.insert([
+		{_id: '1', name: 'jim', age: 13, status: 'active'},
+		{_id: '2', name: 'rice', age: 14, status: 'inactive'},
+		{_id: '3', name: 'paddy', status: 'active'}
+	]);
+
+	index = coll.ensureIndex({
+		age: 1
+	}, {
+		type: 'btree',
+		sparse: true,
+		partialFilter: {
+			status: 'active'
+		}
+	}).index;
+
+	strictEqual(index.size(), 1, "Only active documents with the key are indexed");
+	strictEqual(coll.explain({status: 'active', age: 13}).index.used, index, "Query including the filter used the index");
+	strictEqual(coll.find({status: 'active', age: 13})[0]._id, '1', "Query returns the correct document");
+	strictEqual(coll.explain({age: 14}).index.used, false, "Query without the filter did not use the index");
+	strictEqual(coll.find({age: 14})[0]._id, '2', "Query returns the correct document");
+
+	coll.update({_id: '3'}, {age: 15});
+	strictEqual(index.size(), 2, "Updated document added to the index");
+
+	coll.remove({_id: '1'});
+	strictEqual(index.size(), 1, "Removed document removed from the index");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: Query a partial btree index after it has been emptied", function () {
+	base.dbUp();
+
+	var coll = db.collection('test').truncate(),
+		index,
+		result;
+
+	index = coll.ensureIndex({
+		name: 1
+	}, {
+		type: 'btree',
+		partialFilter: {
+			status: 'active'
+		}
+	}).index;
+
+	coll.insert([
+		{_id: '1', name: 'jim', status: 'active'},
+		{_id: '2', name: 'kim', status: 'active'},
+		{_id: '3', name: 'sue', status: 'active'}
+	]);
+
+	// Move every document out of the filter, then remove one
+	coll.update({_id: '1'}, {status: 'inactive'});
+	coll.update({_id: '2'}, {status: 'inactive'});
+	coll.update({_id: '3'}, {status: 'inactive'});
+	coll.insert({_id: '4', name: 'bob', status: 'active'});
+	coll.remove({_id: '4'});
+
+	strictEqual(index.size(), 0, "Index is empty");
+
+	try {
+		result = coll.find({name: 'jim', status: 'active'});
+		strictEqual(result.length, 0, "Query against the empty index returned no documents");
+
+		result = coll.find({name: 'jim'});
+		strictEqual(result.length, 1, "Query without the filter found the document");
+	} catch (e) {
+		ok(false, "Querying the empty index threw: " + e);
+	}
+
+	coll.insert({_id: '5', name: 'amy', status: 'active'});
+	strictEqual(coll.find({name: 'amy', status: 'active'}).length, 1, "Index holds documents inserted after it was emptied");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.remove() :: Removing documents keeps a btree index in step with the data", function () {
+	base.dbUp();
+
+	var coll = db.collection('test').truncate(),
+		ids = ['5', '3', '8', '1', '4', '7', '9', '2', '6'],
+		val,
+		i;
+
+	coll.ensureIndex({
+		val: 1
+	}, {
+		type: 'btree'
+	});
+
+	for (i = 0; i < ids.length; i++) {
+		coll.insert({_id: ids[i], val: Number(ids[i]) % 3});
+	}
+
+	// Remove nodes with two branches, one branch and none
+	coll.remove({_id: '5'});
+	coll.remove({_id: '3'});
+	coll.remove({_id: '9'});
+
+	for (val = 0; val < 3; val++) {
+		strictEqual(coll.find({val: val}).length, coll.find({val: val}, {$skipIndex: true}).length, "Index lookup for " + val + " matches a table scan");
+	}
+
+	base.dbDown();
+});
+
 QUnit.test("Collection.find() :: Random data inserted into collection and indexed with existing index", function () {
 	base.dbUp();
 
@@ -87,7 +87,7 @@ QUnit.test("Index.lookup() :: Test optimal query index detection", function () {
 		orgId: "3"
 	});
 
-	strictEqual(a && a.index.used && a.index.potential.length, 2, "Query analyser returned correct number of indexes to use");
+	strictEqual(a && a.index.used && a.index.potential.length, 3, "Query analyser returned correct number of indexes to use");
 	strictEqual(a.index.used._name, 'testArrValAndOrgId', "Check index name: " + a.index.used._name);
 
 	base.dbDown();
@@ -314,6 +314,157 @@ QUnit.test("Index.remove() :: Test index is being kept up to date with CRUD", fu
 	base.dbDown();
 });
 
+QUnit.test("Collection.ensureIndex() :: Sparse index skips documents missing the keys", function () {
+	base.dbUp();
+
+	var coll = db.collection('testSparse').truncate(),
+		index,
+		result;
+
+	coll.insert([
+		{_id: '1', email: 'jim@example.com'},
+		{_id: '2'},
+		{_id: '3'}
+	]);
+
+	index = coll.ensureIndex({
+		email: 1
+	}, {
+		unique: true,
+		sparse: true,
+		name: 'email'
+	}).index;
+
+	strictEqual(index.size(), 1, "Only the document with the key is indexed");
+
+	result = coll.insert({_id: '4'});
+	strictEqual(result.inserted.length, 1, "Unique sparse index allows more documents missing the key");
+
+	result = coll.insert({_id: '5', email: 'jim@example.com'});
+	strictEqual(result.failed.length, 1, "Unique sparse index still enforces uniqueness");
+
+	coll.update({_id: '2'}, {email: 'bob@example.com'});
+	strictEqual(index.size(), 2, "Updated document added to the index");
+
+	coll.remove({_id: '3'});
+	strictEqual(coll.find({email: 'bob@example.com'}).length, 1, "Query returns the correct document");
+	strictEqual(coll.explain({email: 'bob@example.com'}).index.used, index, "Query used the sparse index");
+	strictEqual(coll.explain({email: null}).index.used, false, "Query for null does not use the sparse index");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.ensureIndex() :: Partial index only holds documents matching the filter", function () {
+	base.dbUp();
+
+	var coll = db.collection('testPartial').truncate(),
+		index,
+		result;
+
+	coll.insert([
+		{_id: '1', name: 'Jim', status: 'active', age: 20},
+		{_id: '2', name: 'Bob', status: 'inactive', age: 30},
+		{_id: '3', name: 'Jim', status: 'inactive', age: 40}
+	]);
+
+	index = coll.ensureIndex({
+		name: 1
+	}, {
+		name: 'activeName',
+		partialFilter: {
+			status: 'active'
+		}
+	}).index;
+
+	strictEqual(index.size(), 1, "Only matching documents are indexed");
+
+	result = coll.find({status: 'active', name: 'Jim'});
+	strictEqual(result.length, 1, "Correct number of results");
+	strictEqual(result[0]._id, '1', "Correct document returned");
+	strictEqual(coll.explain({status: 'active', name: 'Jim'}).index.used, index, "Query including the filter used the partial index");
+
+	result = coll.find({name: 'Jim'});
+	strictEqual(result.length, 2, "Query without the filter returns all matches");
+	strictEqual(coll.explain({name: 'Jim'}).index.used, false, "Query without the filter did not use the partial index");
+
+	coll.update({_id: '3'}, {status: 'active'});
+	strictEqual(index.size(), 2, "Document added to index when it starts matching the filter");
+
+	coll.update({_id: '1'}, {status: 'inactive'});
+	strictEqual(index.size(), 1, "Document removed from index when it stops matching the filter");
+	strictEqual(coll.find({status: 'active', name: 'Jim'})[0]._id, '3', "Query returns the correct document");
+
+	coll.ensureIndex({
+		age: 1
+	}, {
+		name: 'adultAge',
+		partialFilter: {
+			age: {
+				$gte: 18
+			}
+		}
+	});
+
+	strictEqual(coll.explain({age: 30}).index.used.name(), 'adultAge', "Query for a value satisfying the filter used the partial index");
+	strictEqual(coll.find({age: 30})[0]._id, '2', "Query returns the correct document");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: Query planner intersects index results", function () {
+	base.dbUp();
+
+	var coll = db.collection('testIntersect').truncate(),
+		explain,
+		result;
+
+	coll.insert([
+		{_id: '1', name: 'Jim', city: 'London', age: 20},
+		{_id: '2', name: 'Jim', city: 'Paris', age: 20},
+		{_id: '3', name: 'Bob', city: 'London', age: 20},
+		{_id: '4', name: 'Jim', city: 'London', age: 30}
+	]);
+
+	coll.ensureIndex({
+		name: 1
+	}, {
+		name: 'name'
+	});
+
+	coll.ensureIndex({
+		city: 1
+	}, {
+		name: 'city',
+		type: 'btree'
+	});
+
+	result = coll.find({city: 'London', name: 'Jim'});
+	explain = coll.explain({city: 'London', name: 'Jim'});
+
+	strictEqual(result.length, 2, "Correct number of results");
+	strictEqual(result[0]._id, '1', "Result 1 has correct id");
+	strictEqual(result[1]._id, '4', "Result 2 has correct id");
+	strictEqual(explain.plan.type, 'indexIntersection', "Plan intersected the indexes");
+	strictEqual(explain.plan.indexes.sort().join(','), 'city,name', "Plan used both indexes");
+	strictEqual(explain.plan.tableScan, false, "Plan did not require a table scan");
+
+	result = coll.find({city: 'London', name: 'Jim', age: 30});
+	explain = coll.explain({city: 'London', name: 'Jim', age: 30});
+
+	strictEqual(result.length, 1, "Correct number of results with an un-indexed key");
+	strictEqual(result[0]._id, '4', "Correct document returned");
+	strictEqual(explain.plan.type, 'indexIntersection', "Plan intersected the indexes");
+	strictEqual(explain.plan.tableScan, true, "Plan scanned the intersected results");
+	strictEqual(explain.steps.filter(function (step) { return step.name === 'tableScan: 2'; }).length, 1, "Only the intersected documents were scanned");
+
+	strictEqual(coll.find({city: 'Paris', name: 'Bob'}).length, 0, "Empty intersection returns no results");
+
+	explain = coll.explain({age: 20});
+	strictEqual(explain.plan.type, 'tableScan', "Plan shows a table scan when no index matches");
+
+	base.dbDown();
+});
+
 ForerunnerDB.version('1.4', function () {
 	QUnit.test("Collection.find() :: Test index based on range search ($gt, $lt etc)", function () {
 		base.dbUp();
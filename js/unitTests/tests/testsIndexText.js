@@ -0,0 +1,181 @@
+QUnit.module('IndexText');
+QUnit.test("Collection.ensureIndex() :: Create a text index", function () {
+	base.dbUp();
+
+	var coll = db.collection('articles'),
+		indexResult;
+
+	coll.insert([{
+		_id: '1',
+		title: 'The quick brown fox',
+		body: 'Jumped over the lazy dog'
+	}, {
+		_id: '2',
+		title: 'A lazy afternoon',
+		body: 'Nothing much happened'
+	}]);
+
+	indexResult = coll.ensureIndex({
+		title: 1,
+		body: 1
+	}, {
+		type: 'text'
+	});
+
+	strictEqual(indexResult.err, undefined, "Initialise index");
+	strictEqual(indexResult.state.ok, true, "Index state ok");
+	strictEqual(indexResult.index.size(), 2, "Index contains both documents");
+	strictEqual(coll.textIndex(), indexResult.index, "Collection returns the text index");
+	ok(indexResult.index.data().lazy !== undefined, "Term was indexed");
+	strictEqual(indexResult.index.data().the, undefined, "Stop word was not indexed");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $text query uses the text index", function () {
+	base.dbUp();
+
+	var coll = db.collection('articles'),
+		explain,
+		result;
+
+	coll.ensureIndex({
+		title: 1,
+		body: 1
+	}, {
+		type: 'text'
+	});
+
+	coll.insert([{
+		_id: '1',
+		title: 'The quick brown fox',
+		body: 'Jumped over the lazy dog'
+	}, {
+		_id: '2',
+		title: 'A lazy afternoon',
+		body: 'Nothing much happened'
+	}, {
+		_id: '3',
+		title: 'Cooking with FOXES',
+		body: 'A recipe book'
+	}]);
+
+	result = coll.find({$text: {$search: 'LAZY'}});
+
+	strictEqual(result.length, 2, "Search is case insensitive");
+	explain = coll.explain({$text: {$search: 'lazy'}});
+
+	strictEqual(explain.index.used.type(), 'text', "Text index was used");
+	strictEqual(explain.steps.filter(function (step) { return step.name.indexOf('tableScan') === 0; }).length, 0, "No table scan was required");
+
+	result = coll.find({$text: {$search: 'fox'}});
+	strictEqual(result.length, 1, "Terms are not stemmed");
+	strictEqual(result[0]._id, '1', "Correct document returned");
+
+	result = coll.find({$text: {$search: 'lazy -dog'}});
+	strictEqual(result.length, 1, "Negated term excluded a document");
+	strictEqual(result[0]._id, '2', "Correct document returned");
+
+	result = coll.find({$text: {$search: 'lazy'}, _id: '1'});
+	strictEqual(result.length, 1, "Other query keys are applied");
+	strictEqual(result[0]._id, '1', "Correct document returned");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $text query index stays up to date", function () {
+	base.dbUp();
+
+	var coll = db.collection('articles');
+
+	coll.ensureIndex({
+		title: 1
+	}, {
+		type: 'text'
+	});
+
+	coll.insert({_id: '1', title: 'Red apples'});
+	coll.insert({_id: '2', title: 'Green apples'});
+
+	strictEqual(coll.find({$text: {$search: 'apples'}}).length, 2, "Inserted documents are searchable");
+
+	coll.update({_id: '1'}, {title: 'Red pears'});
+
+	strictEqual(coll.find({$text: {$search: 'apples'}}).length, 1, "Updated document no longer matches old term");
+	strictEqual(coll.find({$text: {$search: 'pears'}}).length, 1, "Updated document matches new term");
+
+	coll.remove({_id: '2'});
+
+	strictEqual(coll.find({$text: {$search: 'apples'}}).length, 0, "Removed document is not returned");
+	strictEqual(coll.textIndex().data().apples, undefined, "Removed term was cleaned up");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: Order $text results by relevance", function () {
+	base.dbUp();
+
+	var coll = db.collection('articles'),
+		result;
+
+	coll.ensureIndex({
+		title: 1,
+		body: 1
+	}, {
+		type: 'text',
+		weights: {
+			title: 5
+		}
+	});
+
+	coll.insert([{
+		_id: '1',
+		title: 'Gardening',
+		body: 'Roses and more roses'
+	}, {
+		_id: '2',
+		title: 'Roses',
+		body: 'All about flowers'
+	}, {
+		_id: '3',
+		title: 'Flowers',
+		body: 'One rose, roses'
+	}]);
+
+	result = coll.find({
+		$text: {
+			$search: 'roses',
+			$scoreField: 'score'
+		}
+	}, {
+		$orderBy: {
+			$textScore: -1
+		}
+	});
+
+	strictEqual(result.length, 3, "All documents matched");
+	strictEqual(result[0]._id, '2', "Title match scored highest due to weight");
+	strictEqual(result[1]._id, '1', "Two body matches scored second");
+	strictEqual(result[2]._id, '3', "Single body match scored last");
+	strictEqual(result[0].score, 5, "Score added to result document");
+	strictEqual(coll.findById('2').score, undefined, "Original document was not modified");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.find() :: $text query without a text index throws", function () {
+	base.dbUp();
+
+	var coll = db.collection('articles');
+
+	coll.insert({_id: '1', title: 'Hello'});
+
+	try {
+		coll.find({$text: {$search: 'hello'}});
+		ok(false, "Query should have thrown");
+	} catch (e) {
+		ok(true, "Query threw without a text index");
+	}
+
+	base.dbDown();
+});
@@ -447,4 +447,71 @@ ForerunnerDB.moduleLoaded('Persist', function () {
 			});
 		});
 	});
-});
\ No newline at end of file
+
+	QUnit.asyncTest('Persist.save() :: Save collection settings and indexes then restore them on load', function () {
+		expect(6);
+
+		var fdb = new ForerunnerDB(),
+			db = fdb.db('db1'),
+			items = db.collection('settings', {primaryKey: 'sku', capped: true, size: 10});
+
+		items.ensureIndex({name: 1}, {unique: true, name: 'uniqueName'});
+		items.insert([{sku: 'a', name: 'Apple'}, {sku: 'b', name: 'Banana'}]);
+
+		items.save(function (err) {
+			strictEqual(Boolean(err), false, 'The save operation did not result in error');
+
+			// Drop the database from memory without dropping persistent storage (pass false)
+			db.drop(false);
+
+			db = fdb.db('db1');
+			items = db.collection('settings');
+
+			items.load(function (err) {
+				strictEqual(err, false, 'The load operation did not produce an error');
+				strictEqual(items.primaryKey(), 'sku', 'Primary key was restored');
+				strictEqual(items.cappedSize(), 10, 'Capped size was restored');
+				strictEqual(items.index('uniqueName') && items.index('uniqueName').unique(), true, 'Unique index was restored');
+				strictEqual(items.insert({sku: 'c', name: 'Apple'}).inserted.length, 0, 'Restored unique index is enforced');
+
+				// Now drop the whole database, removing all persistent storage as well
+				db.drop(true);
+				start();
+			});
+		});
+	});
+
+	QUnit.asyncTest('Db.backup() :: Back up the database then restore it', function () {
+		expect(5);
+
+		var fdb = new ForerunnerDB(),
+			db = fdb.db('db1'),
+			items = db.collection('backup'),
+			stages = [];
+
+		db.on('backupProgress', function (event) {
+			stages.push(event.stage);
+		});
+
+		items.insert([{_id: '1', name: 'First'}, {_id: '2', name: 'Second'}]);
+
+		db.backup('db1-testBackup', function (err) {
+			strictEqual(Boolean(err), false, 'The backup operation did not result in error');
+			strictEqual(stages[stages.length - 1], 'complete', 'Backup progress was reported');
+
+			items.removeById('1');
+			items.insert({_id: '3', name: 'Third'});
+
+			db.restore('db1-testBackup', function (err) {
+				strictEqual(err, false, 'The restore operation did not produce an error');
+				strictEqual(items.count(), 2, 'Restored data has the backed up documents only');
+				ok(items.findById('1') && !items.findById('3'), 'Restored data matches the backup');
+
+				db.persist.drop('db1-testBackup', function () {
+					db.drop(true);
+					start();
+				});
+			});
+		});
+	});
+});
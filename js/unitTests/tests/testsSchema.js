@@ -0,0 +1,152 @@
+QUnit.module('Schema');
+QUnit.test("Collection.schema() :: Set and get a collection schema", function () {
+	base.dbUp();
+
+	var coll = db.collection('people'),
+		definition = {
+			type: 'object',
+			required: ['name']
+		};
+
+	strictEqual(coll.schema(), undefined, "No schema by default");
+	strictEqual(coll.schema(definition), coll, "Setting a schema returns the collection");
+	strictEqual(coll.schema(), definition, "Schema definition returned");
+	strictEqual(coll.validate({}).length, 1, "Validate returns errors");
+
+	coll.schema(null);
+
+	strictEqual(coll.schema(), undefined, "Schema removed");
+	strictEqual(coll.validate({}).length, 0, "No errors without a schema");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.insert() :: Documents that fail schema validation are rejected", function () {
+	base.dbUp();
+
+	var coll = db.collection('people'),
+		result;
+
+	coll.schema({
+		type: 'object',
+		required: ['name', 'age'],
+		properties: {
+			name: {type: 'string', minLength: 2},
+			age: {type: 'integer', minimum: 0},
+			role: {enum: ['admin', 'user']},
+			email: {type: 'string', pattern: '^[^@]+@[^@]+$'},
+			address: {
+				type: 'object',
+				required: ['city'],
+				properties: {
+					city: {type: 'string'}
+				},
+				additionalProperties: false
+			},
+			tags: {
+				type: 'array',
+				items: {type: 'string'},
+				maxItems: 3
+			}
+		}
+	});
+
+	result = coll.insert([
+		{_id: '1', name: 'Jim', age: 30, role: 'admin', email: 'jim@example.com', address: {city: 'London'}, tags: ['a']},
+		{_id: '2', name: 'J', age: 30},
+		{_id: '3', name: 'Bob', age: 1.5},
+		{_id: '4', name: 'Amy', age: 20, role: 'owner'},
+		{_id: '5', name: 'Ted', age: 20, email: 'nope'},
+		{_id: '6', name: 'Sue', age: 20, address: {town: 'Leeds'}},
+		{_id: '7', name: 'Ann', age: 20, tags: ['a', 2]},
+		{_id: '8', age: 20}
+	]);
+
+	strictEqual(result.inserted.length, 1, "Valid document inserted");
+	strictEqual(result.failed.length, 7, "Invalid documents failed");
+	strictEqual(coll.count(), 1, "Only the valid document is in the collection");
+	strictEqual(result.failed[0].reason, 'Schema validation failed', "Failure reason");
+	strictEqual(result.failed[0].errors[0].path, 'name', "minLength error path");
+	strictEqual(result.failed[0].errors[0].keyword, 'minLength', "minLength error keyword");
+	strictEqual(result.failed[1].errors[0].keyword, 'type', "integer type checked");
+	strictEqual(result.failed[2].errors[0].keyword, 'enum', "enum checked");
+	strictEqual(result.failed[3].errors[0].keyword, 'pattern', "pattern checked");
+	strictEqual(result.failed[4].errors.length, 2, "Nested object errors reported");
+	strictEqual(result.failed[4].errors[0].path, 'address.city', "Nested required path");
+	strictEqual(result.failed[4].errors[1].path, 'address.town', "Nested additional property path");
+	strictEqual(result.failed[5].errors[0].path, 'tags.1', "Array item path");
+	strictEqual(result.failed[6].errors[0].keyword, 'required', "required checked");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.update() :: Updates that fail schema validation are not applied", function () {
+	base.dbUp();
+
+	var coll = db.collection('people'),
+		failedEvent,
+		result;
+
+	coll.schema({
+		type: 'object',
+		properties: {
+			name: {type: 'string'},
+			age: {type: 'number', maximum: 120}
+		}
+	});
+
+	coll.insert([
+		{_id: '1', name: 'Jim', age: 30},
+		{_id: '2', name: 'Bob', age: 119}
+	]);
+
+	coll.on('validationFailed', function (data) {
+		failedEvent = data;
+	});
+
+	result = coll.update({}, {$inc: {age: 2}});
+
+	strictEqual(result.length, 1, "Only the valid update was applied");
+	strictEqual(result[0]._id, '1', "Correct document updated");
+	strictEqual(coll.findById('1').age, 32, "Valid update applied");
+	strictEqual(coll.findById('2').age, 119, "Invalid update not applied");
+	strictEqual(failedEvent.type, 'update', "validationFailed event fired");
+	strictEqual(failedEvent.failed.length, 1, "Event contains the failed document");
+	strictEqual(failedEvent.failed[0].errors[0].keyword, 'maximum', "Event contains the errors");
+
+	result = coll.upsert({_id: '1', name: 12});
+
+	strictEqual(result.op, 'update', "Upsert performed an update");
+	strictEqual(result.result.length, 0, "Invalid upsert update not applied");
+	strictEqual(coll.findById('1').name, 'Jim', "Document unchanged");
+
+	result = coll.upsert({_id: '3', name: 12});
+
+	strictEqual(result.op, 'insert', "Upsert performed an insert");
+	strictEqual(result.result.failed.length, 1, "Invalid upsert insert failed");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.setData() :: Documents that fail schema validation are not set", function () {
+	base.dbUp();
+
+	var coll = db.collection('people');
+
+	coll.schema({
+		type: 'object',
+		properties: {
+			name: {type: 'string'}
+		}
+	});
+
+	coll.setData([
+		{_id: '1', name: 'Jim'},
+		{_id: '2', name: false}
+	]);
+
+	strictEqual(coll.count(), 1, "Only the valid document was set");
+	strictEqual(coll.find()[0]._id, '1', "Correct document set");
+
+	base.dbDown();
+});
@@ -0,0 +1,308 @@
+QUnit.module('Transaction');
+QUnit.test("Db.transaction() :: Commit operations across multiple collections", function () {
+	base.dbUp();
+
+	var orders = db.collection('orders'),
+		stock = db.collection('stock'),
+		results;
+
+	stock.insert({_id: 'widget', qty: 10});
+
+	results = db.transaction(function (tx) {
+		tx.collection('orders').insert({_id: '1', item: 'widget', qty: 2});
+		tx.collection('stock').update({_id: 'widget'}, {$inc: {qty: -2}});
+	});
+
+	strictEqual(results.length, 2, "Got a result for each operation");
+	strictEqual(orders.count(), 1, "Order was inserted");
+	strictEqual(stock.findById('widget').qty, 8, "Stock was updated");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Operations are not applied until commit", function () {
+	base.dbUp();
+
+	var coll = db.collection('test'),
+		countDuringTransaction;
+
+	db.transaction(function (tx) {
+		tx.collection('test').insert({_id: '1'});
+		countDuringTransaction = coll.count();
+	});
+
+	strictEqual(countDuringTransaction, 0, "Insert was buffered while the transaction was open");
+	strictEqual(coll.count(), 1, "Insert was applied on commit");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Roll back all collections when an operation fails", function () {
+	base.dbUp();
+
+	var orders = db.collection('orders'),
+		stock = db.collection('stock'),
+		errorReported;
+
+	orders.ensureIndex({ref: 1}, {unique: true});
+	orders.insert({_id: '1', ref: 'A'});
+	stock.insert({_id: 'widget', qty: 10});
+
+	db.transaction(function (tx) {
+		tx.collection('stock').update({_id: 'widget'}, {$inc: {qty: -2}});
+		tx.collection('orders').update({_id: '1'}, {status: 'shipped'});
+		tx.collection('stock').insert({_id: 'gadget', qty: 1});
+
+		// This violates the unique index on "ref"
+		tx.collection('orders').insert({_id: '2', ref: 'A'});
+	}, function (err) {
+		errorReported = err;
+	});
+
+	ok(errorReported, "The callback received an error");
+	strictEqual(stock.findById('widget').qty, 10, "Stock update was rolled back");
+	strictEqual(stock.count(), 1, "Stock insert was rolled back");
+	strictEqual(orders.findById('1').status, undefined, "Order update was rolled back");
+	strictEqual(orders.count(), 1, "Order insert was rolled back");
+
+	strictEqual(stock.find({_id: 'gadget'}).length, 0, "Primary key index was restored");
+	strictEqual(orders.find({ref: 'A'}).length, 1, "Secondary index was restored");
+	strictEqual(orders.find({ref: 'A'}, {$skipIndex: true}).length, 1, "Data matches index");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Roll back when a trigger cancels an update or remove", function () {
+	base.dbUp();
+
+	var orders = db.collection('orders'),
+		stock = db.collection('stock'),
+		errorReported;
+
+	orders.insert({_id: '1', status: 'new'});
+	stock.insert({_id: 'widget', qty: 10, locked: true});
+
+	stock.addTrigger('locked', db.TYPE_UPDATE, db.PHASE_BEFORE, function (operation, oldDoc) {
+		return !oldDoc.locked;
+	});
+
+	stock.addTrigger('lockedRemove', db.TYPE_REMOVE, db.PHASE_BEFORE, function (operation, oldDoc) {
+		return !oldDoc.locked;
+	});
+
+	db.transaction(function (tx) {
+		tx.collection('orders').updateById('1', {status: 'shipped'});
+		tx.collection('stock').updateById('widget', {$inc: {qty: -2}});
+	}, function (err) {
+		errorReported = err;
+	});
+
+	ok(errorReported, "The callback received an error for the cancelled update");
+	strictEqual(orders.findById('1').status, 'new', "Order update was rolled back");
+	strictEqual(stock.findById('widget').qty, 10, "Stock was not updated");
+
+	errorReported = undefined;
+
+	db.transaction(function (tx) {
+		tx.collection('orders').removeById('1');
+		tx.collection('stock').removeById('widget');
+	}, function (err) {
+		errorReported = err;
+	});
+
+	ok(errorReported, "The callback received an error for the cancelled remove");
+	strictEqual(orders.count(), 1, "Order remove was rolled back");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Roll back when an update fails schema validation", function () {
+	base.dbUp();
+
+	var orders = db.collection('orders'),
+		errorReported;
+
+	orders.schema({
+		type: 'object',
+		properties: {
+			qty: {type: 'number'}
+		}
+	});
+
+	orders.insert([{_id: '1', qty: 1}, {_id: '2', qty: 2}]);
+
+	db.transaction(function (tx) {
+		tx.collection('orders').updateById('1', {qty: 5});
+		tx.collection('orders').updateById('2', {qty: 'many'});
+	}, function (err) {
+		errorReported = err;
+	});
+
+	ok(errorReported, "The callback received an error");
+	strictEqual(orders.findById('1').qty, 1, "Valid update was rolled back");
+	strictEqual(orders.findById('2').qty, 2, "Invalid update was not applied");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Checks run between operations and roll back when they fail", function () {
+	base.dbUp();
+
+	var stock = db.collection('stock'),
+		checked = [],
+		results,
+		errorReported;
+
+	stock.insert({_id: 'widget', qty: 10});
+
+	results = db.transaction(function (tx) {
+		tx.collection('stock').updateById('widget', {$inc: {qty: -4}});
+		tx.check(function () {
+			checked.push(stock.findById('widget').qty);
+			return false;
+		});
+		tx.collection('stock').updateById('widget', {$inc: {qty: -4}});
+	});
+
+	strictEqual(checked[0], 6, "Check saw the state left by the operation before it");
+	strictEqual(results.length, 2, "Checks have no entry in the results");
+	strictEqual(stock.findById('widget').qty, 2, "Operations were applied");
+
+	db.transaction(function (tx) {
+		tx.collection('stock').updateById('widget', {$inc: {qty: -4}});
+		tx.check(function () {
+			return stock.findById('widget').qty < 0 ? 'Not enough stock' : false;
+		});
+	}, function (err) {
+		errorReported = err;
+	});
+
+	ok(errorReported && String(errorReported).indexOf('Not enough stock') > -1, "The callback received the check failure");
+	strictEqual(stock.findById('widget').qty, 2, "Operation was rolled back");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Throws without a callback and nothing is applied if the function throws", function () {
+	base.dbUp();
+
+	var coll = db.collection('test');
+
+	coll.insert({_id: '1'});
+
+	try {
+		db.transaction(function (tx) {
+			tx.collection('test').insert({_id: '2'});
+			tx.collection('test').insert({_id: '1'});
+		});
+
+		ok(false, "Transaction should have thrown");
+	} catch (e) {
+		ok(true, "Transaction threw on primary key violation");
+	}
+
+	strictEqual(coll.count(), 1, "Collection was restored");
+
+	try {
+		db.transaction(function (tx) {
+			tx.collection('test').insert({_id: '3'});
+			throw('Abort');
+		});
+	} catch (e) {
+		strictEqual(e, 'Abort', "Error from transaction function was re-thrown");
+	}
+
+	db.transaction(function (tx) {
+		tx.collection('test').insert({_id: '4'});
+		return false;
+	});
+
+	strictEqual(coll.count(), 1, "Nothing was applied from aborted transactions");
+
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Chain packets and change events are sent once after commit", function () {
+	base.dbUp();
+
+	var coll = db.collection('test'),
+		view = db.view('testView').from(coll),
+		changeCount = 0,
+		changeData,
+		viewCountOnChange;
+
+	coll.on('immediateChange', function (data) {
+		changeCount++;
+		changeData = data;
+		viewCountOnChange = view.count();
+	});
+
+	db.transaction(function (tx) {
+		tx.collection('test').insert({_id: '1', val: 1});
+		tx.collection('test').insert({_id: '2', val: 2});
+		tx.collection('test').update({_id: '1'}, {val: 3});
+	});
+
+	strictEqual(changeCount, 1, "Change event fired once");
+	strictEqual(changeData.type, 'transaction', "Change event type is transaction");
+	strictEqual(changeData.data.length, 3, "Change event contains each operation");
+	strictEqual(viewCountOnChange, 2, "View had received chain packets when change fired");
+	strictEqual(view.findById('1').val, 3, "View received update packet");
+
+	view.drop();
+	base.dbDown();
+});
+
+QUnit.test("Db.transaction() :: Nothing is emitted on rollback", function () {
+	base.dbUp();
+
+	var coll = db.collection('test'),
+		view = db.view('testView').from(coll),
+		changeCount = 0;
+
+	coll.insert({_id: '1'});
+
+	coll.on('immediateChange', function () {
+		changeCount++;
+	});
+
+	try {
+		db.transaction(function (tx) {
+			tx.collection('test').insert({_id: '2'});
+			tx.collection('test').insert({_id: '1'});
+		});
+	} catch (e) {}
+
+	strictEqual(changeCount, 0, "No change event fired");
+	strictEqual(view.count(), 1, "View did not receive chain packets");
+
+	view.drop();
+	base.dbDown();
+});
+
+QUnit.test("Transaction.commit() :: Manually committed transaction", function () {
+	base.dbUp();
+
+	var coll = db.collection('test'),
+		tx = db.transaction();
+
+	tx.collection('test')
+		.insert({_id: '1', val: 1})
+		.updateById('1', {val: 2});
+
+	strictEqual(coll.count(), 0, "Nothing applied before commit");
+
+	tx.commit();
+
+	strictEqual(coll.findById('1').val, 2, "Operations applied after commit");
+	strictEqual(tx.state(), 'committed', "Transaction state is committed");
+
+	try {
+		tx.collection('test').insert({_id: '2'});
+		ok(false, "Should not be able to queue on a committed transaction");
+	} catch (e) {
+		ok(true, "Cannot queue on a committed transaction");
+	}
+
+	base.dbDown();
+});
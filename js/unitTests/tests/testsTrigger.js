@@ -174,6 +174,104 @@ QUnit.test("Trigger after update cannot modify internal document", function() {
 	base.dbDown();
 });
 
+QUnit.test("Trigger before and after update with $unset", function() {
+	base.dbUp();
+	var coll = db.collection('transformColl').truncate(),
+		beforeData,
+		afterData,
+		result;
+
+	coll.addTrigger('before', db.TYPE_UPDATE, db.PHASE_BEFORE, function (operation, oldData, newData) {
+		beforeData = newData;
+	});
+
+	coll.addTrigger('after', db.TYPE_UPDATE, db.PHASE_AFTER, function (operation, oldData, newData) {
+		afterData = newData;
+	});
+
+	coll.insert({
+		_id: 1,
+		name: 'Test',
+		status: 'active',
+		meta: {
+			created: 1,
+			tag: 'old'
+		}
+	});
+
+	coll.update({_id: 1}, {$unset: {status: 1}});
+	coll.update({_id: 1}, {meta: {$unset: {tag: 1}}});
+
+	result = coll.findById(1);
+
+	strictEqual(beforeData.meta.tag, undefined, "Before trigger saw the field removed");
+	strictEqual(afterData.meta.tag, undefined, "After trigger saw the field removed");
+	strictEqual(result.status, undefined, "Field was removed from the document");
+	strictEqual(result.meta.tag, undefined, "Sub-document field was removed from the document");
+	strictEqual(result.meta.created, 1, "Other sub-document fields were kept");
+	strictEqual(result.name, 'Test', "Other fields were kept");
+
+	base.dbDown();
+});
+
+QUnit.test("Trigger before and after update with $replace", function() {
+	base.dbUp();
+	var coll = db.collection('transformColl').truncate(),
+		afterOld,
+		afterNew,
+		result;
+
+	coll.addTrigger('before', db.TYPE_UPDATE, db.PHASE_BEFORE, function () {});
+
+	coll.addTrigger('after', db.TYPE_UPDATE, db.PHASE_AFTER, function (operation, oldData, newData) {
+		afterOld = oldData;
+		afterNew = newData;
+	});
+
+	coll.insert({
+		_id: 1,
+		name: 'Test',
+		status: 'active'
+	});
+
+	coll.update({_id: 1}, {$replace: {title: 'Replaced'}});
+
+	result = coll.findById(1);
+
+	strictEqual(afterOld.name, 'Test', "After trigger received the old document");
+	strictEqual(afterNew.name, undefined, "After trigger received the replaced document");
+	strictEqual(result._id, 1, "Primary key was kept");
+	strictEqual(result.title, 'Replaced', "Replacement field was added");
+	strictEqual(result.name, undefined, "Fields missing from the replacement were removed");
+	strictEqual(result.status, undefined, "Fields missing from the replacement were removed");
+
+	base.dbDown();
+});
+
+QUnit.test("Trigger before update removes a field", function() {
+	base.dbUp();
+	var coll = db.collection('transformColl').truncate(),
+		result;
+
+	coll.addTrigger('strip', db.TYPE_UPDATE, db.PHASE_BEFORE, function (operation, oldData, newData) {
+		delete newData.secret;
+	});
+
+	coll.insert({
+		_id: 1,
+		secret: 'hidden'
+	});
+
+	coll.update({_id: 1}, {name: 'Test'});
+
+	result = coll.findById(1);
+
+	strictEqual(result.name, 'Test', "Update was applied");
+	strictEqual(result.secret, undefined, "Field removed by the trigger was removed from the document");
+
+	base.dbDown();
+});
+
 QUnit.test("Trigger alters data before insert and update", function() {
 	base.dbUp();
 	var coll = db.collection('transformColl').truncate(),
@@ -0,0 +1,119 @@
+QUnit.module('Ttl');
+QUnit.test("Collection.ensureIndex() :: TTL index removes expired documents", function () {
+	base.dbUp();
+
+	var coll = db.collection('sessions'),
+		now = new Date().getTime(),
+		removed,
+		removeCount = 0;
+
+	coll.ensureIndex({
+		createdAt: 1
+	}, {
+		expireAfterSeconds: 60
+	});
+
+	coll.on('remove', function (removedArr) {
+		removeCount += removedArr.length;
+	});
+
+	coll.insert([{
+		_id: '1',
+		createdAt: new Date(now - 120000)
+	}, {
+		_id: '2',
+		createdAt: new Date(now)
+	}, {
+		_id: '3',
+		createdAt: [new Date(now), new Date(now - 61000)]
+	}, {
+		_id: '4',
+		createdAt: 'not a date'
+	}, {
+		_id: '5'
+	}]);
+
+	ok(coll.isExpired(coll.find({_id: '1'}, {$decouple: false})[0]), "Document is expired");
+	ok(!coll.isExpired(coll.find({_id: '2'}, {$decouple: false})[0]), "Document is not expired");
+
+	removed = coll.removeExpired();
+
+	strictEqual(removed.length, 2, "Expired documents were removed");
+	strictEqual(removeCount, 2, "Removal went through the remove path");
+	strictEqual(coll.count(), 3, "Remaining document count is correct");
+	strictEqual(coll.findById('1'), undefined, "Expired document removed");
+	strictEqual(coll.findById('3'), undefined, "Array of dates expires on the earliest date");
+	ok(coll.findById('4') !== undefined, "Non-date field does not expire");
+	ok(coll.findById('5') !== undefined, "Missing field does not expire");
+
+	strictEqual(coll.removeExpired().length, 0, "Nothing left to remove");
+
+	try {
+		coll.ensureIndex({
+			createdAt: 1,
+			updatedAt: 1
+		}, {
+			expireAfterSeconds: 60
+		});
+
+		ok(false, "Compound TTL index should throw");
+	} catch (e) {
+		ok(true, "Compound TTL index threw");
+	}
+
+	base.dbDown();
+});
+
+QUnit.test("Db.collection() :: Collection ttl option expires documents", function () {
+	base.dbUp();
+
+	var coll = db.collection('cache', {ttl: 30}),
+		expires;
+
+	strictEqual(coll.ttl(), 30, "Collection ttl was set");
+
+	coll.insert({_id: '1', val: 1});
+
+	expires = coll.metaData().expires['1'];
+	ok(expires > new Date().getTime() + 29000 && expires <= new Date().getTime() + 30000, "Expiry time stored in metaData");
+
+	strictEqual(coll.removeExpired().length, 0, "Document has not expired yet");
+
+	// Move the expiry time into the past
+	coll.metaData().expires['1'] = new Date().getTime() - 1;
+
+	strictEqual(coll.removeExpired().length, 1, "Expired document removed");
+	strictEqual(coll.count(), 0, "Collection is empty");
+	strictEqual(coll.metaData().expires['1'], undefined, "Expiry time was cleaned up");
+
+	coll.ttl(false);
+	coll.insert({_id: '2', val: 2});
+
+	strictEqual(coll.metaData().expires['2'], undefined, "No expiry recorded once ttl is disabled");
+
+	base.dbDown();
+});
+
+QUnit.asyncTest("Collection.ttlCheckInterval() :: Expired documents are removed automatically", function () {
+	base.dbUp();
+
+	var coll = db.collection('sessions');
+
+	coll.ttlCheckInterval(20);
+	coll.ensureIndex({
+		createdAt: 1
+	}, {
+		expireAfterSeconds: 0
+	});
+
+	coll.insert({_id: '1', createdAt: new Date()});
+	coll.insert({_id: '2', createdAt: new Date(new Date().getTime() + 60000)});
+
+	setTimeout(function () {
+		strictEqual(coll.count(), 1, "Expired document was removed by the timer");
+		strictEqual(coll.find()[0]._id, '2', "Unexpired document remains");
+
+		base.dbDown();
+		start();
+	}, 100);
+});
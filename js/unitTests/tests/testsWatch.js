@@ -0,0 +1,132 @@
+QUnit.module('Watch');
+QUnit.test("Collection.watch() :: Deliver insert, update and remove changes", function () {
+	base.dbUp();
+
+	var coll = db.collection('people'),
+		changes = [],
+		watcher;
+
+	watcher = coll.watch({age: {$gte: 18}}, function (change) {
+		changes.push(change);
+	});
+
+	coll.insert([{
+		_id: '1',
+		age: 20
+	}, {
+		_id: '2',
+		age: 10
+	}]);
+
+	strictEqual(changes.length, 1, "Only the matching insert was delivered");
+	strictEqual(changes[0].type, 'insert', "Change type is correct");
+	strictEqual(changes[0].documentKey, '1', "Document key is correct");
+	strictEqual(changes[0].before, undefined, "Insert has no before document");
+	strictEqual(changes[0].after.age, 20, "Insert has the after document");
+
+	coll.update({_id: '2'}, {age: 30});
+
+	strictEqual(changes.length, 2, "Update into the query was delivered");
+	strictEqual(changes[1].type, 'update', "Change type is correct");
+	strictEqual(changes[1].before.age, 10, "Update has the before document");
+	strictEqual(changes[1].after.age, 30, "Update has the after document");
+
+	coll.update({_id: '1'}, {age: 5});
+
+	strictEqual(changes.length, 3, "Update out of the query was delivered");
+
+	coll.remove({_id: '2'});
+
+	strictEqual(changes.length, 4, "Remove was delivered");
+	strictEqual(changes[3].type, 'remove', "Change type is correct");
+	strictEqual(changes[3].before.age, 30, "Remove has the before document");
+	strictEqual(changes[3].after, undefined, "Remove has no after document");
+
+	ok(changes[0].token < changes[1].token && changes[1].token < changes[2].token && changes[2].token < changes[3].token, "Tokens increase with each change");
+	strictEqual(watcher.resumeToken(), changes[3].token, "Watcher holds the last delivered token");
+
+	watcher.stop();
+	coll.insert({_id: '3', age: 40});
+
+	strictEqual(changes.length, 4, "Stopped watcher receives no changes");
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.watch() :: Resume a watcher from a token", function () {
+	base.dbUp();
+
+	var coll = db.collection('people'),
+		changes = [],
+		token,
+		watcher;
+
+	watcher = coll.watch(function (change) {
+		changes.push(change);
+	});
+
+	coll.insert({_id: '1', name: 'Jim'});
+	coll.insert({_id: '2', name: 'Amy'});
+
+	token = watcher.resumeToken();
+	watcher.stop();
+
+	// Changes made while the consumer is not watching
+	coll.update({_id: '1'}, {name: 'Bob'});
+	coll.remove({_id: '2'});
+
+	changes = [];
+
+	coll.watch(function (change) {
+		changes.push(change);
+	}, {
+		resumeAfter: token
+	});
+
+	strictEqual(changes.length, 2, "Missed changes were replayed");
+	strictEqual(changes[0].type, 'update', "First replayed change is the update");
+	strictEqual(changes[0].before.name, 'Jim', "Replayed update has the before document");
+	strictEqual(changes[0].after.name, 'Bob', "Replayed update has the after document");
+	strictEqual(changes[1].type, 'remove', "Second replayed change is the remove");
+
+	coll.insert({_id: '3', name: 'Kat'});
+
+	strictEqual(changes.length, 3, "Resumed watcher receives new changes");
+	strictEqual(changes[2].token, changes[1].token + 1, "New change follows on from the replayed changes");
+
+	try {
+		coll.watch(function () {}, {resumeAfter: 1000});
+		ok(false, "Unknown token should throw");
+	} catch (e) {
+		ok(true, "Unknown token threw");
+	}
+
+	base.dbDown();
+});
+
+QUnit.test("Collection.watch() :: Resume token that has left the binary log throws", function () {
+	base.dbUp();
+
+	var coll = db.collection('people'),
+		watcher;
+
+	coll._binaryLog.size(2);
+	watcher = coll.watch(function () {});
+
+	coll.insert({_id: '1'});
+	coll.insert({_id: '2'});
+	coll.insert({_id: '3'});
+	coll.insert({_id: '4'});
+
+	try {
+		coll.watch(function () {}, {resumeAfter: 1});
+		ok(false, "Token no longer in the log should throw");
+	} catch (e) {
+		ok(true, "Token no longer in the log threw");
+	}
+
+	strictEqual(coll.watch(function () {}, {resumeAfter: 2}).resumeToken(), 4, "Token still in the log resumes");
+
+	watcher.stop();
+	base.dbDown();
+});